@@ -187,14 +187,17 @@ class VeedAnalytics {
             accountType: userData.company ? 'business' : 'individual',
             marketingOptIn: true,
             isTrial: false,
-            role: 'user'
+            role: 'user',
+            invitedBy: userData.invitedBy || null
         });
 
         // STEP 2: TRACK the signup event (user registration)
         analytics.track('Signed Up', {
             plan: 'free',
             method: 'email',
-            source: 'homepage',
+            source: userData.inviteId ? 'invite' : 'homepage',
+            inviteId: userData.inviteId || null,
+            inviterId: userData.invitedBy || null,
             accountType: userData.company ? 'business' : 'individual',
             companySize: this.estimateCompanySize(userData.company),
             industry: this.estimateIndustry(userData.email)
@@ -205,7 +208,7 @@ class VeedAnalytics {
             accountId: generatedUserId,
             plan: 'free',
             accountType: userData.company ? 'business' : 'individual',
-            source: 'homepage',
+            source: userData.inviteId ? 'invite' : 'homepage',
             method: 'email',
             companySize: this.estimateCompanySize(userData.company),
             industry: this.estimateIndustry(userData.email),
@@ -251,7 +254,7 @@ class VeedAnalytics {
             lastLogin: loginTimestamp,
             loginCount: loginCount,
             role: storedUserData.role || 'user',
-            isTrial: currentPlan === 'free' ? false : this.isTrialUser()
+            isTrial: this.isTrialUser()
         });
 
         // STEP 2: TRACK the login event
@@ -303,6 +306,9 @@ class VeedAnalytics {
             projectType: projectData.type || 'video_editing',
             templateUsed: projectData.template || null,
             creationMethod: projectData.method || 'manual',
+            aspectRatio: projectData.aspectRatio || null,
+            frameRate: projectData.frameRate || null,
+            canvasResolution: projectData.canvasResolution || null,
             plan: this.getUserPlan(),
             projectsCreatedToday: this.getProjectsCreatedToday(),
             totalProjectsCreated: this.getTotalProjectsCreated()
@@ -316,7 +322,7 @@ class VeedAnalytics {
 
     // Subscription upgrade tracking
     trackSubscriptionUpgrade(planData) {
-        const previousPlan = this.getUserPlan();
+        const previousPlan = planData.previousPlan || this.getUserPlan();
         const mrr = this.calculateMRR(planData);
         const upgradeTimestamp = new Date().toISOString();
         
@@ -326,7 +332,7 @@ class VeedAnalytics {
             billingInterval: planData.billingCycle || 'monthly',
             subscriptionStatus: 'active',
             mrr: mrr,
-            isTrial: planData.fromTrial === true ? false : this.isTrialUser()
+            isTrial: false
         });
 
         // Track subscription upgrade event
@@ -348,21 +354,118 @@ class VeedAnalytics {
         localStorage.setItem('user_plan', planData.plan);
     }
 
-    // Team invitation tracking
-    trackUserInvited(inviteData) {
+    // Trial lifecycle tracking - takes the subscription record from SubscriptionManager
+    identifySubscription(subscription) {
+        if (!this.userId) return;
+
+        analytics.identify(this.userId, {
+            plan: this.getUserPlan(),
+            subscriptionStatus: subscription.status,
+            billingInterval: subscription.billing_cycle,
+            isTrial: subscription.status === 'trialing',
+            trialStartDate: subscription.trial_start || null,
+            trialEndDate: subscription.trial_end || null
+        });
+    }
+
+    trackTrialStarted(subscription) {
+        analytics.track('Trial Started', {
+            trialPlan: subscription.plan,
+            previousPlan: subscription.previous_plan,
+            billingInterval: subscription.billing_cycle,
+            trialStartDate: subscription.trial_start,
+            trialEndDate: subscription.trial_end,
+            trialDays: SubscriptionManager.TRIAL_DAYS,
+            daysSinceSignup: this.getDaysSinceSignup()
+        });
+    }
+
+    trackTrialEndingSoon(subscription, daysLeft) {
+        analytics.track('Trial Ending Soon', {
+            trialPlan: subscription.plan,
+            trialEndDate: subscription.trial_end,
+            daysLeft: daysLeft,
+            paymentMethodAdded: !!subscription.payment_method
+        });
+    }
+
+    // outcome is converted, expired or canceled
+    trackTrialEnded(subscription, outcome) {
+        analytics.track('Trial Ended', {
+            trialPlan: subscription.plan,
+            trialStartDate: subscription.trial_start,
+            trialEndDate: subscription.trial_end,
+            outcome: outcome,
+            converted: outcome === 'converted',
+            newPlan: this.getUserPlan(),
+            trialDaysUsed: Math.ceil((Date.now() - new Date(subscription.trial_start).getTime()) / (1000 * 60 * 60 * 24))
+        });
+    }
+
+    trackSubscriptionStatusChanged(subscription, previousStatus, reason) {
+        this.identifySubscription(subscription);
+
+        analytics.track('Subscription Status Changed', {
+            previousStatus: previousStatus,
+            newStatus: subscription.status,
+            plan: subscription.plan,
+            reason: reason,
+            billingInterval: subscription.billing_cycle
+        });
+    }
+
+    // Team invitation tracking - takes the persisted invite record from InviteManager
+    trackUserInvited(invite) {
         analytics.track('Invite Sent', {
-            inviteId: this.generateInviteId(),
-            inviteeEmail: inviteData.email,
-            inviteeRole: inviteData.role || 'editor',
-            method: 'email',
+            inviteId: invite.id || this.generateInviteId(),
+            inviteeEmail: invite.invitee_email,
+            inviteeRole: invite.role || 'editor',
+            method: 'link',
             teamSizeBefore: this.getTeamSize(),
-            projectId: inviteData.projectId || null,
+            projectId: invite.project_id || null,
+            teamId: invite.team_id || null,
+            inviteContext: invite.context || null,
+            expiresAt: invite.expires_at,
             plan: this.getUserPlan(),
-            messageIncluded: !!inviteData.message
+            messageIncluded: !!invite.message
         });
 
         // Track viral growth metrics
-        this.updateViralMetrics(inviteData);
+        this.updateViralMetrics(invite);
+    }
+
+    // Invite acceptance - attributes the invitee (and a new signup) to the inviter
+    trackInviteAccepted(invite) {
+        analytics.track('Invite Accepted', {
+            inviteId: invite.id,
+            inviterId: invite.inviter_user_id || invite.inviter_id,
+            inviteeRole: invite.role,
+            projectId: invite.project_id || null,
+            teamId: invite.team_id || null,
+            isNewUser: !!invite.new_user,
+            timesSent: invite.sent_count,
+            hoursToAccept: Math.round((new Date(invite.accepted_at) - new Date(invite.created_at)) / 3600000),
+            viralCoefficient: this.calculateViralCoefficient()
+        });
+    }
+
+    // Workspace tracking - group call associates the user with their Team Space account
+    groupWorkspace(team, sharedProjects = 0) {
+        const roleCount = (role) => team.members.filter(member => member.role === role).length;
+
+        analytics.group(team.id, {
+            name: team.name,
+            plan: team.plan,
+            createdAt: team.created_at,
+            ownerId: team.owner_id,
+            employees: team.members.length,
+            memberCount: team.members.length,
+            adminCount: roleCount('owner') + roleCount('admin'),
+            editorCount: roleCount('editor'),
+            viewerCount: roleCount('viewer'),
+            folderCount: team.folders.length,
+            sharedProjectCount: sharedProjects
+        });
     }
 
     // Onboarding milestone tracking
@@ -399,14 +502,19 @@ class VeedAnalytics {
             plan: this.getUserPlan(),
             exportCountToday: this.getExportCountToday(),
             totalExports: this.getTotalExports(),
-            watermarkPresent: this.hasWatermark(),
+            watermarkPresent: exportData.hasWatermark ?? this.hasWatermark(),
             subtitlesEnabled: exportData.hasSubtitles || false,
+            subtitleTracks: exportData.subtitleTracks || 0,
+            subtitleCues: exportData.subtitleCues || 0,
+            audioTracks: exportData.audioTracks || 0,
+            backgroundMusicUsed: exportData.backgroundMusic || false,
             effectsUsed: exportData.effectsCount || 0,
             collaborationProject: exportData.isCollaborative || false
         });
         
         // Track plan usage limits
         this.updateUsageLimits('exports', 1);
+        this.updateUsageLimits('export_minutes', (exportData.duration || 0) / 60);
     }
 
     // Churn risk tracking
@@ -500,7 +608,7 @@ class VeedAnalytics {
         const userData = JSON.parse(localStorage.getItem('veed_user_data') || '{}');
         if (!userData.email) return 'anonymous';
         if (!this.getCompletedMilestones().includes('first_project_created')) return 'onboarding';
-        if (this.getUserPlan() === 'free') return 'freemium';
+        if (Entitlements.getPrice(this.getUserPlan()) === 0) return 'freemium';
         return 'paid_user';
     }
 
@@ -557,13 +665,11 @@ class VeedAnalytics {
     }
 
     calculateACV(planData) {
-        const monthlyPrices = { free: 0, pro: 24, business: 59 };
-        return (monthlyPrices[planData.plan] || 0) * 12;
+        return Entitlements.getPrice(planData.plan) * 12;
     }
 
     calculateMRR(planData) {
-        const monthlyPrices = { free: 0, pro: 24, business: 59 };
-        return monthlyPrices[planData.plan] || 0;
+        return Entitlements.getPrice(planData.plan);
     }
 
     estimateCLV(planData) {
@@ -602,12 +708,20 @@ class VeedAnalytics {
     getLoginStreak() { return Math.floor(Math.random() * 30); }
     getLoginCount() { return parseInt(localStorage.getItem('login_count') || '0'); }
     getDeviceFingerprint() { return 'fp_' + Math.random().toString(36).substr(2, 16); }
-    isTrialUser() { return Math.random() > 0.7; }
+    // Read from the stored user so it is right even before the subscription manager has started
+    isTrialUser() {
+        const userData = JSON.parse(localStorage.getItem('veed_user_data') || '{}');
+        return userData.subscription?.status === 'trialing';
+    }
     getFeatureCategory(feature) { 
         const categories = { 'subtitles': 'ai_tools', 'screen-record': 'recording', 'collaboration': 'team_features' };
         return categories[feature] || 'editing_tools';
     }
-    getFeatureAvailability() { return this.getUserPlan() === 'free' ? 'limited' : 'full'; }
+    // Marketing feature names that aren't plan entitlements count as fully available
+    getFeatureAvailability(featureName) {
+        const gated = Entitlements.getFeatures().includes(featureName);
+        return gated && !Entitlements.can(this.getUserPlan(), featureName) ? 'limited' : 'full';
+    }
     isPowerUser() { return Math.random() > 0.7; }
     getFeatureAdoptionDay() { return Math.floor(Math.random() * 30); }
     getPreviousFeatureUsage() { return Math.floor(Math.random() * 10); }
@@ -619,8 +733,14 @@ class VeedAnalytics {
     getFeatureUsageStats() { return { subtitles: 5, exports: 3, collaboration: 1 }; }
     getUpgradeTrigger() { return ['export_limit', 'watermark_removal', 'advanced_features'][Math.floor(Math.random() * 3)]; }
     getPriceSensitivity() { return Math.random(); }
-    getTeamSize() { return Math.floor(Math.random() * 20) + 1; }
-    calculateViralCoefficient() { return Math.random() * 0.5; }
+    getTeamSize() { return window.teamSpace ? window.teamSpace.getMemberCount() : 1; }
+    // New signups from accepted invites per user who has sent an invite
+    calculateViralCoefficient() {
+        const invites = window.inviteManager ? window.inviteManager.store.list() : [];
+        const inviters = new Set(invites.map(invite => invite.inviter_id)).size;
+        const signups = invites.filter(invite => invite.status === 'accepted' && invite.new_user).length;
+        return inviters ? signups / inviters : 0;
+    }
     updateViralMetrics() { /* Implementation */ }
     getCompletedMilestones() { return JSON.parse(localStorage.getItem('onboarding_milestones') || '[]'); }
     getMilestoneCompletionTime() { return Math.floor(Math.random() * 300); }
@@ -634,10 +754,38 @@ class VeedAnalytics {
             localStorage.setItem('onboarding_milestones', JSON.stringify(milestones));
         }
     }
-    getExportCountToday() { return Math.floor(Math.random() * 5); }
-    getTotalExports() { return parseInt(localStorage.getItem('total_exports') || '0'); }
-    hasWatermark() { return this.getUserPlan() === 'free'; }
-    updateUsageLimits() { /* Implementation */ }
+    getExportCountToday() { return window.usageMeter ? window.usageMeter.get('exports', 'day') : 0; }
+    getTotalExports() { return window.usageMeter ? window.usageMeter.getTotal('exports') : 0; }
+    hasWatermark() { return Watermark.isRequired(this.getUserPlan()); }
+    // Report plan quotas that the latest usage pushed past 80% or 100%, and keep usage traits current
+    updateUsageLimits(metric, amount) {
+        if (!window.usageMeter) return;
+
+        window.usageMeter.getSummary().filter(entry => entry.metric === metric).forEach(entry => {
+            const before = (entry.used - amount) / entry.limit;
+            const after = entry.used / entry.limit;
+            const threshold = [1, 0.8].find(t => before < t && after >= t);
+            if (!threshold) return;
+
+            analytics.track(threshold === 1 ? 'Usage Limit Reached' : 'Usage Limit Approaching', {
+                quota: entry.quota,
+                period: entry.period,
+                used: Math.round(entry.used * 100) / 100,
+                limit: entry.limit,
+                percentUsed: Math.round(after * 100),
+                resetsAt: entry.resets_at,
+                plan: this.getUserPlan()
+            });
+        });
+
+        if (this.userId) {
+            analytics.identify(this.userId, {
+                exportsThisMonth: window.usageMeter.get('exports', 'month'),
+                exportMinutesThisMonth: Math.round(window.usageMeter.get('export_minutes', 'month') * 100) / 100,
+                totalExports: window.usageMeter.getTotal('exports')
+            });
+        }
+    }
     calculateChurnRiskScore() { return Math.random(); }
     getLastActivityDate() { return new Date().toISOString(); }
     getFeatureUsageDecline() { return Math.random() * 0.3; }
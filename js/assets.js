@@ -0,0 +1,1103 @@
+// Asset library: a bundled catalogue of royalty-free music, images and fonts, plus the user's own uploads
+// Catalogue music is synthesised from a recipe and images are generated SVG; uploads are Blobs in IndexedDB with a quota per plan
+
+class AssetCatalogue {
+    // Deterministic pseudo-random numbers so generated images look the same every time
+    static random(seed) {
+        let state = seed;
+        return () => {
+            state = (state + 0x6d2b79f5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static svgUrl(width, height, body) {
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${body}</svg>`;
+        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    }
+
+    // Chords are [semitones above the root, quality]; two bars per chord
+    static get MUSIC() {
+        return [
+            { id: 'music_sunrise_pop', title: 'Sunrise Pop', tags: ['upbeat', 'pop', 'happy', 'vlog'], recipe: { bpm: 112, root: 60, wave: 'triangle', chords: [[0, 'maj'], [7, 'maj'], [9, 'min'], [5, 'maj']], drums: true, arpeggio: true } },
+            { id: 'music_night_drive', title: 'Night Drive', tags: ['synthwave', 'retro', 'energetic'], recipe: { bpm: 100, root: 57, wave: 'sawtooth', chords: [[0, 'min'], [8, 'maj'], [3, 'maj'], [10, 'maj']], drums: true, arpeggio: true } },
+            { id: 'music_calm_focus', title: 'Calm Focus', tags: ['ambient', 'calm', 'tutorial', 'background'], recipe: { bpm: 72, root: 62, wave: 'sine', chords: [[0, 'maj'], [5, 'maj'], [9, 'min'], [7, 'maj']], drums: false, arpeggio: true } },
+            { id: 'music_corporate_rise', title: 'Corporate Rise', tags: ['corporate', 'inspiring', 'presentation'], recipe: { bpm: 96, root: 60, wave: 'triangle', chords: [[0, 'maj'], [9, 'min'], [5, 'maj'], [7, 'maj']], drums: true, arpeggio: false } },
+            { id: 'music_lofi_study', title: 'Lo-fi Study', tags: ['lofi', 'chill', 'background'], recipe: { bpm: 80, root: 55, wave: 'sine', chords: [[0, 'maj'], [4, 'min'], [9, 'min'], [5, 'maj']], drums: true, arpeggio: false } },
+            { id: 'music_dark_tension', title: 'Dark Tension', tags: ['cinematic', 'dramatic', 'suspense'], recipe: { bpm: 66, root: 50, wave: 'sawtooth', chords: [[0, 'min'], [1, 'maj'], [0, 'min'], [8, 'maj']], drums: false, arpeggio: false } }
+        ].map(item => ({
+            ...item,
+            kind: 'music',
+            source: 'catalogue',
+            license: 'Royalty-free',
+            duration: item.recipe.chords.length * 2 * 4 * 60 / item.recipe.bpm
+        }));
+    }
+
+    static get IMAGES() {
+        const stars = AssetCatalogue.random(7);
+        const bokeh = AssetCatalogue.random(21);
+        const confetti = AssetCatalogue.random(42);
+        const palette = ['#6366f1', '#ec4899', '#10b981', '#f59e0b', '#0ea5e9'];
+
+        return [
+            {
+                id: 'image_sunset_gradient', title: 'Sunset Gradient', tags: ['background', 'gradient', 'warm'], width: 1920, height: 1080, fill: true,
+                url: AssetCatalogue.svgUrl(1920, 1080, '<defs><linearGradient id="g" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="#f97316"/><stop offset="0.5" stop-color="#ec4899"/><stop offset="1" stop-color="#6366f1"/></linearGradient></defs><rect width="1920" height="1080" fill="url(#g)"/>')
+            },
+            {
+                id: 'image_ocean_gradient', title: 'Ocean Gradient', tags: ['background', 'gradient', 'cool', 'blue'], width: 1920, height: 1080, fill: true,
+                url: AssetCatalogue.svgUrl(1920, 1080, '<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#0ea5e9"/><stop offset="1" stop-color="#1e3a8a"/></linearGradient></defs><rect width="1920" height="1080" fill="url(#g)"/>')
+            },
+            {
+                id: 'image_night_sky', title: 'Night Sky', tags: ['background', 'dark', 'stars'], width: 1920, height: 1080, fill: true,
+                url: AssetCatalogue.svgUrl(1920, 1080, '<rect width="1920" height="1080" fill="#0f172a"/>' + Array.from({ length: 140 }, () =>
+                    `<circle cx="${Math.round(stars() * 1920)}" cy="${Math.round(stars() * 1080)}" r="${(stars() * 2.5 + 0.5).toFixed(1)}" fill="#ffffff" opacity="${(stars() * 0.6 + 0.4).toFixed(2)}"/>`).join(''))
+            },
+            {
+                id: 'image_soft_bokeh', title: 'Soft Bokeh', tags: ['background', 'lights', 'blur', 'dark'], width: 1920, height: 1080, fill: true,
+                url: AssetCatalogue.svgUrl(1920, 1080, '<defs><filter id="b"><feGaussianBlur stdDeviation="18"/></filter></defs><rect width="1920" height="1080" fill="#1f2937"/><g filter="url(#b)">' + Array.from({ length: 26 }, (_, i) =>
+                    `<circle cx="${Math.round(bokeh() * 1920)}" cy="${Math.round(bokeh() * 1080)}" r="${Math.round(bokeh() * 90 + 30)}" fill="${palette[i % palette.length]}" opacity="0.45"/>`).join('') + '</g>')
+            },
+            {
+                id: 'image_paper_grid', title: 'Paper Grid', tags: ['background', 'light', 'grid', 'education'], width: 1920, height: 1080, fill: true,
+                url: AssetCatalogue.svgUrl(1920, 1080, '<defs><pattern id="p" width="60" height="60" patternUnits="userSpaceOnUse"><path d="M60 0H0V60" fill="none" stroke="#cbd5e1" stroke-width="2"/></pattern></defs><rect width="1920" height="1080" fill="#f8fafc"/><rect width="1920" height="1080" fill="url(#p)"/>')
+            },
+            {
+                id: 'image_confetti', title: 'Confetti', tags: ['overlay', 'celebration', 'party'], width: 1920, height: 1080, fill: true,
+                url: AssetCatalogue.svgUrl(1920, 1080, Array.from({ length: 90 }, (_, i) => {
+                    const x = Math.round(confetti() * 1920);
+                    const y = Math.round(confetti() * 1080);
+                    return `<rect x="${x}" y="${y}" width="14" height="28" rx="3" fill="${palette[i % palette.length]}" transform="rotate(${Math.round(confetti() * 180)} ${x + 7} ${y + 14})"/>`;
+                }).join(''))
+            },
+            {
+                id: 'image_arrow_callout', title: 'Arrow Callout', tags: ['sticker', 'arrow', 'pointer'], width: 600, height: 300, scale: 0.3,
+                url: AssetCatalogue.svgUrl(600, 300, '<path d="M40 240 C 180 60, 380 60, 500 130" fill="none" stroke="#6366f1" stroke-width="28" stroke-linecap="round"/><path d="M470 60 L 560 150 L 440 190 Z" fill="#6366f1"/>')
+            },
+            {
+                id: 'image_speech_bubble', title: 'Speech Bubble', tags: ['sticker', 'speech', 'comic'], width: 600, height: 420, scale: 0.35,
+                url: AssetCatalogue.svgUrl(600, 420, '<path d="M60 20 H540 A40 40 0 0 1 580 60 V260 A40 40 0 0 1 540 300 H220 L120 400 L140 300 H60 A40 40 0 0 1 20 260 V60 A40 40 0 0 1 60 20 Z" fill="#ffffff" stroke="#111827" stroke-width="12" stroke-linejoin="round"/>')
+            },
+            {
+                id: 'image_star_burst', title: 'Star Burst', tags: ['sticker', 'badge', 'sale', 'new'], width: 500, height: 500, scale: 0.25,
+                url: AssetCatalogue.svgUrl(500, 500, '<polygon points="' + Array.from({ length: 32 }, (_, i) => {
+                    const radius = i % 2 === 0 ? 240 : 185;
+                    const angle = Math.PI * i / 16;
+                    return `${Math.round(250 + radius * Math.sin(angle))},${Math.round(250 - radius * Math.cos(angle))}`;
+                }).join(' ') + '" fill="#f59e0b"/><text x="250" y="285" font-family="Impact, sans-serif" font-size="110" text-anchor="middle" fill="#ffffff">NEW!</text>')
+            }
+        ].map(item => ({ ...item, kind: 'image', source: 'catalogue', license: 'Royalty-free' }));
+    }
+
+    // Google Fonts families under the SIL Open Font License; weights are the ones each family ships
+    static get FONTS() {
+        return [
+            { family: 'Montserrat', weights: '400;700', tags: ['sans-serif', 'modern', 'headings'] },
+            { family: 'Poppins', weights: '400;700', tags: ['sans-serif', 'friendly', 'rounded'] },
+            { family: 'Oswald', weights: '400;700', tags: ['sans-serif', 'condensed', 'headings'] },
+            { family: 'Playfair Display', weights: '400;700', tags: ['serif', 'elegant', 'headings'] },
+            { family: 'Merriweather', weights: '400;700', tags: ['serif', 'readable', 'body'] },
+            { family: 'Bebas Neue', weights: '400', tags: ['display', 'bold', 'headings'] },
+            { family: 'Lobster', weights: '400', tags: ['script', 'retro', 'display'] },
+            { family: 'Pacifico', weights: '400', tags: ['handwriting', 'playful', 'script'] },
+            { family: 'Roboto Mono', weights: '400;700', tags: ['monospace', 'code', 'tech'] }
+        ].map(item => ({
+            ...item,
+            id: 'font_' + item.family.toLowerCase().replace(/\s+/g, '_'),
+            title: item.family,
+            kind: 'font',
+            source: 'catalogue',
+            license: 'SIL Open Font License',
+            css_url: `https://fonts.googleapis.com/css2?family=${item.family.replace(/\s+/g, '+')}:wght@${item.weights}&display=swap`
+        }));
+    }
+
+    static getAll() {
+        return [...AssetCatalogue.MUSIC, ...AssetCatalogue.IMAGES, ...AssetCatalogue.FONTS];
+    }
+
+    // Render a music recipe: a chord pad, a bass line, an optional arpeggio and optional kick/hi-hat
+    static renderMusic(item) {
+        const { bpm, root, wave, chords, drums, arpeggio } = item.recipe;
+        const beat = 60 / bpm;
+        const bars = chords.length * 2;
+        const duration = bars * 4 * beat;
+        const rate = 44100;
+        const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new Offline(2, Math.ceil(duration * rate), rate);
+
+        const master = context.createGain();
+        master.gain.setValueAtTime(0.6, 0);
+        master.gain.setValueAtTime(0.6, duration - 1);
+        master.gain.linearRampToValueAtTime(0, duration);
+        master.connect(context.destination);
+
+        const note = (midi, start, length, type, volume) => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = type;
+            oscillator.frequency.value = 440 * Math.pow(2, (midi - 69) / 12);
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(volume, start + 0.02);
+            gain.gain.setTargetAtTime(0, start + length * 0.7, length * 0.15);
+            oscillator.connect(gain);
+            gain.connect(master);
+            oscillator.start(start);
+            oscillator.stop(start + length + 0.3);
+        };
+
+        const noise = context.createBuffer(1, Math.round(rate * 0.05), rate);
+        const samples = noise.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+
+        const kick = (start) => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.frequency.setValueAtTime(150, start);
+            oscillator.frequency.exponentialRampToValueAtTime(40, start + 0.25);
+            gain.gain.setValueAtTime(0.8, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+            oscillator.connect(gain);
+            gain.connect(master);
+            oscillator.start(start);
+            oscillator.stop(start + 0.3);
+        };
+
+        const hat = (start) => {
+            const source = context.createBufferSource();
+            const filter = context.createBiquadFilter();
+            const gain = context.createGain();
+            source.buffer = noise;
+            filter.type = 'highpass';
+            filter.frequency.value = 7000;
+            gain.gain.value = 0.15;
+            source.connect(filter);
+            filter.connect(gain);
+            gain.connect(master);
+            source.start(start);
+        };
+
+        for (let bar = 0; bar < bars; bar++) {
+            const [offset, quality] = chords[Math.floor(bar / 2) % chords.length];
+            const chord = [0, quality === 'min' ? 3 : 4, 7].map(interval => root + offset + interval);
+            const barStart = bar * 4 * beat;
+
+            chord.forEach(midi => note(midi, barStart, 4 * beat, wave, 0.06));
+            for (let i = 0; i < 4; i++) {
+                note(root + offset - 24, barStart + i * beat, beat * 0.9, 'sine', 0.22);
+                if (drums) {
+                    if (i % 2 === 0) kick(barStart + i * beat);
+                    hat(barStart + (i + 0.5) * beat);
+                }
+            }
+            if (arpeggio) {
+                for (let i = 0; i < 8; i++) {
+                    note(chord[i % 3] + 12, barStart + i * beat / 2, beat / 2, 'triangle', 0.05);
+                }
+            }
+        }
+
+        return context.startRendering();
+    }
+
+    // 16-bit PCM WAV, so the media bin can import it like any other upload
+    static encodeWav(buffer) {
+        const channels = buffer.numberOfChannels;
+        const dataSize = buffer.length * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * 2, true);
+        view.setUint16(32, channels * 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const data = Array.from({ length: channels }, (_, i) => buffer.getChannelData(i));
+        let offset = 44;
+        for (let i = 0; i < buffer.length; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, data[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
+        }
+
+        return new Blob([view], { type: 'audio/wav' });
+    }
+}
+
+class AssetLibrary {
+    constructor(store = new DraftStore('veed_asset_library', 'uploads')) {
+        this.store = store;
+        this.catalogue = AssetCatalogue.getAll();
+        this.uploads = [];          // Upload records for every account in this browser, Blobs included
+        this.kind = 'music';
+        this.search = '';
+        this.tag = null;
+        this.sourceFilter = 'all';
+        this.objectUrls = {};       // Preview URLs for uploads and rendered music, keyed by asset id
+        this.musicBlobs = {};       // WAV renders of catalogue music, keyed by asset id
+        this.mediaAssets = {};      // Media bin asset ids for library music already imported this session
+        this.imageUrls = {};        // Downscaled data URLs for uploaded images used on the timeline
+        this.loadedFonts = {};      // Font loading promises, keyed by asset id
+        this.previewAudio = null;
+        this.previewingId = null;
+
+        this.init();
+    }
+
+    static get KINDS() {
+        return {
+            music: { label: 'Music', icon: 'fa-music' },
+            image: { label: 'Images', icon: 'fa-image' },
+            font: { label: 'Fonts', icon: 'fa-font' }
+        };
+    }
+
+    // Uploaded images are downscaled before they go into a project, which is stored in localStorage
+    static get IMAGE_MAX_SIZE() { return 1920; }
+
+    static get FONT_EXTENSIONS() { return ['ttf', 'otf', 'woff', 'woff2']; }
+    static get DRAG_TYPE() { return 'application/x-veed-asset'; }
+    static get FONTS_KEY_PREFIX() { return 'veed_library_fonts_'; }
+
+    init() {
+        const modal = document.getElementById('asset-library-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-asset-action]');
+                if (button) {
+                    this.handleAction(button.dataset.assetAction, button.dataset);
+                }
+            });
+
+            const searchInput = document.getElementById('asset-library-search');
+            if (searchInput) {
+                searchInput.addEventListener('input', (e) => {
+                    this.search = e.target.value;
+                    this.renderGrid();
+                });
+                searchInput.addEventListener('change', () => this.trackSearch('modal'));
+            }
+
+            const sourceSelect = document.getElementById('asset-library-source');
+            if (sourceSelect) {
+                sourceSelect.addEventListener('change', (e) => {
+                    this.sourceFilter = e.target.value;
+                    this.renderGrid();
+                });
+            }
+        }
+
+        // Library sections in the Media and Audio tabs: click or drag onto the timeline
+        const toolContent = document.getElementById('tool-content');
+        if (toolContent) {
+            toolContent.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-asset-add]');
+                if (item) {
+                    this.addToProject(item.dataset.assetAdd, { method: 'click' });
+                }
+            });
+
+            toolContent.addEventListener('input', (e) => {
+                const input = e.target.closest('[data-asset-search]');
+                if (input) {
+                    this.search = input.value;
+                    this.renderEditorItems(input.dataset.assetSearch);
+                }
+            });
+
+            toolContent.addEventListener('change', (e) => {
+                if (e.target.closest('[data-asset-search]')) {
+                    this.trackSearch('editor', e.target.dataset.assetSearch);
+                }
+            });
+
+            toolContent.addEventListener('dragstart', (e) => {
+                const item = e.target.closest('[data-asset-add]');
+                if (item) {
+                    e.dataTransfer.setData(AssetLibrary.DRAG_TYPE, item.dataset.assetAdd);
+                    e.dataTransfer.effectAllowed = 'copy';
+                }
+            });
+        }
+
+        [document.getElementById('timeline-tracks'), document.querySelector('#editor-modal .video-canvas')].forEach(target => {
+            if (!target) return;
+            target.addEventListener('dragover', (e) => this.onDragOver(e, target));
+            target.addEventListener('dragleave', () => target.classList.remove('asset-drop-target'));
+            target.addEventListener('drop', (e) => this.onDrop(e, target));
+        });
+
+        this.loadUploads();
+    }
+
+    getAccountId() {
+        return window.app?.currentUser?.email || null;
+    }
+
+    // Uploads
+    loadUploads() {
+        return this.store.list()
+            .then(records => {
+                this.uploads = records;
+                this.meterStorage();
+                this.loadActiveFonts();
+                this.refresh();
+                return records;
+            })
+            .catch(error => {
+                console.error('Error loading asset uploads:', error);
+                return [];
+            });
+    }
+
+    getUploads() {
+        const accountId = this.getAccountId();
+        return this.uploads.filter(upload => upload.account_id === accountId);
+    }
+
+    getAssets(kind) {
+        return [...this.catalogue, ...this.getUploads()].filter(asset => !kind || asset.kind === kind);
+    }
+
+    getAsset(assetId) {
+        return this.getAssets().find(asset => asset.id === assetId) || null;
+    }
+
+    // Search matches titles and tags; a tag filter must match exactly
+    filterAssets(kind, search = this.search, tag = this.tag, source = this.sourceFilter) {
+        const query = search.trim().toLowerCase();
+
+        return this.getAssets(kind).filter(asset => {
+            if (source === 'catalogue' && asset.source !== 'catalogue') return false;
+            if (source === 'uploads' && asset.source !== 'upload') return false;
+            if (tag && !asset.tags.includes(tag)) return false;
+            return !query || asset.title.toLowerCase().includes(query) || asset.tags.some(t => t.includes(query));
+        });
+    }
+
+    getTags(kind) {
+        return [...new Set(this.getAssets(kind).flatMap(asset => asset.tags))].sort();
+    }
+
+    getUploadedBytes() {
+        return this.getUploads().reduce((total, upload) => total + upload.size, 0);
+    }
+
+    // Imported media and brand kit clips share the plan's storage quota with library uploads
+    getUsage() {
+        const plan = Entitlements.getPlan(window.app?.currentUser);
+        const shared = window.usageMeter ? window.usageMeter.getStorageBytes(['media_bin', 'brand_kits']) : 0;
+        const used = this.getUploadedBytes() + shared;
+        const quota = Entitlements.limit(plan, 'asset_storage_mb') * 1024 * 1024;
+        return { used: used, quota: quota, percent: Math.min(100, Math.round(used / quota * 100)), count: this.getUploads().length, plan: plan };
+    }
+
+    meterStorage() {
+        window.usageMeter?.setStorage('asset_library', this.getUploadedBytes());
+    }
+
+    getKindForFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (file.type.startsWith('audio/')) return 'music';
+        if (file.type.startsWith('image/')) return 'image';
+        if (file.type.startsWith('font/') || AssetLibrary.FONT_EXTENSIONS.includes(extension)) return 'font';
+        return null;
+    }
+
+    openUploadDialog() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        input.accept = 'audio/*,image/*,' + AssetLibrary.FONT_EXTENSIONS.map(ext => '.' + ext).join(',');
+        input.onchange = (e) => {
+            Array.from(e.target.files).reduce((previous, file) => previous.then(() => this.upload(file)), Promise.resolve());
+        };
+        input.click();
+    }
+
+    trackUploadBlocked(file, reason, usage = this.getUsage()) {
+        analytics.track('Asset Upload Blocked', {
+            user_id: this.getAccountId(),
+            reason: reason,
+            file_size: file.size,
+            file_type: file.type || null,
+            storage_used_mb: Math.round(usage.used / 1024 / 1024 * 10) / 10,
+            storage_quota_mb: Math.round(usage.quota / 1024 / 1024),
+            user_plan: usage.plan
+        });
+    }
+
+    upload(file) {
+        if (!this.getAccountId()) {
+            window.app?.showSignupModal();
+            return Promise.resolve(null);
+        }
+
+        const kind = this.getKindForFile(file);
+        if (!kind) {
+            this.trackUploadBlocked(file, 'unsupported_type');
+            window.app?.showNotification(`${file.name} isn't an audio file, image or font`, 'error');
+            return Promise.resolve(null);
+        }
+
+        const usage = this.getUsage();
+        if (usage.used + file.size > usage.quota) {
+            this.trackUploadBlocked(file, 'quota_exceeded', usage);
+            window.app?.showNotification(`${file.name} doesn't fit in your ${this.formatSize(usage.quota)} of asset storage`, 'error');
+            if (Entitlements.getUpgradePlan(usage.plan, 'asset_storage')) {
+                window.app?.showUpgradePrompt('asset_storage');
+            }
+            return Promise.resolve(null);
+        }
+
+        const title = file.name.replace(/\.[^.]+$/, '');
+        const id = 'upl_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        return this.probe(kind, file, title)
+            .then(metadata => this.store.put({
+                key: id,
+                id: id,
+                account_id: this.getAccountId(),
+                kind: kind,
+                source: 'upload',
+                title: title,
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                tags: [],
+                created_at: new Date().toISOString(),
+                blob: file,
+                ...metadata
+            }).then(() => this.store.get(id)))
+            .then(record => {
+                this.uploads.push(record);
+                this.meterStorage();
+                const after = this.getUsage();
+
+                analytics.track('Asset Uploaded', {
+                    user_id: record.account_id,
+                    asset_id: record.id,
+                    asset_kind: kind,
+                    file_size: file.size,
+                    file_type: file.type || null,
+                    storage_used_mb: Math.round(after.used / 1024 / 1024 * 10) / 10,
+                    storage_quota_mb: Math.round(after.quota / 1024 / 1024),
+                    storage_used_percent: after.percent,
+                    upload_count: after.count,
+                    user_plan: after.plan
+                });
+
+                this.refresh();
+                window.app?.showNotification(`${file.name} added to your library`, 'success');
+                return record;
+            })
+            .catch(error => {
+                window.app?.showNotification(error.name === 'QuotaExceededError'
+                    ? 'Your browser is out of storage space for uploads'
+                    : error.message, 'error');
+                return null;
+            });
+    }
+
+    // Read what the library shows about an upload, which also checks the browser can use the file
+    probe(kind, file, title) {
+        const url = URL.createObjectURL(file);
+        const release = (value) => {
+            URL.revokeObjectURL(url);
+            return value;
+        };
+
+        const probes = {
+            music: () => new Promise((resolve, reject) => {
+                const audio = new Audio();
+                audio.onloadedmetadata = () => resolve({ duration: audio.duration });
+                audio.onerror = () => reject(new Error('This audio format is not supported by your browser'));
+                audio.src = url;
+            }),
+            image: () => new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight, scale: 0.35 });
+                image.onerror = () => reject(new Error('This image format is not supported by your browser'));
+                image.src = url;
+            }),
+            font: () => file.arrayBuffer()
+                .then(data => new FontFace(title, data).load())
+                .then(() => ({ family: title }))
+                .catch(() => { throw new Error('This font file could not be read'); })
+        };
+
+        return probes[kind]().then(release, error => {
+            release();
+            throw error;
+        });
+    }
+
+    removeUpload(assetId) {
+        const upload = this.getUploads().find(u => u.id === assetId);
+        if (!upload || !confirm(`Delete ${upload.name} from your library?`)) return Promise.resolve(false);
+
+        return this.store.remove(upload.key).then(() => {
+            this.uploads = this.uploads.filter(u => u.id !== assetId);
+            if (this.objectUrls[assetId]) {
+                URL.revokeObjectURL(this.objectUrls[assetId]);
+                delete this.objectUrls[assetId];
+            }
+            this.deactivateFont(assetId);
+
+            analytics.track('Asset Deleted', {
+                user_id: this.getAccountId(),
+                asset_id: assetId,
+                asset_kind: upload.kind,
+                file_size: upload.size
+            });
+
+            this.refresh();
+            return true;
+        });
+    }
+
+    // Previews
+    getObjectUrl(asset) {
+        if (!this.objectUrls[asset.id]) {
+            this.objectUrls[asset.id] = URL.createObjectURL(asset.blob);
+        }
+        return this.objectUrls[asset.id];
+    }
+
+    // Catalogue music is rendered on first use and kept for the session
+    getMusicBlob(asset) {
+        if (asset.source === 'upload') return Promise.resolve(asset.blob);
+        if (!this.musicBlobs[asset.id]) {
+            this.musicBlobs[asset.id] = AssetCatalogue.renderMusic(asset).then(buffer => AssetCatalogue.encodeWav(buffer));
+        }
+        return this.musicBlobs[asset.id];
+    }
+
+    togglePreview(assetId) {
+        const asset = this.getAsset(assetId);
+        if (!asset || asset.kind !== 'music') return Promise.resolve(false);
+
+        const wasPlaying = this.previewingId === assetId;
+        this.stopPreview();
+        if (wasPlaying) return Promise.resolve(false);
+
+        this.previewingId = assetId;
+        this.renderGrid();
+
+        return this.getMusicBlob(asset).then(blob => {
+            if (this.previewingId !== assetId) return false;
+
+            if (!this.objectUrls[assetId]) {
+                this.objectUrls[assetId] = URL.createObjectURL(blob);
+            }
+            this.previewAudio = new Audio(this.objectUrls[assetId]);
+            this.previewAudio.onended = () => this.stopPreview();
+            this.previewAudio.play().catch(() => this.stopPreview());
+
+            analytics.track('Asset Previewed', {
+                user_id: this.getAccountId(),
+                asset_id: asset.id,
+                asset_kind: asset.kind,
+                asset_source: asset.source
+            });
+            return true;
+        });
+    }
+
+    stopPreview() {
+        if (this.previewAudio) {
+            this.previewAudio.pause();
+            this.previewAudio = null;
+        }
+        if (this.previewingId) {
+            this.previewingId = null;
+            this.renderGrid();
+        }
+    }
+
+    // Fonts
+    getActiveFontIds() {
+        const accountId = this.getAccountId();
+        if (!accountId) return [];
+
+        try {
+            return JSON.parse(localStorage.getItem(AssetLibrary.FONTS_KEY_PREFIX + accountId) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    setActiveFontIds(ids) {
+        const accountId = this.getAccountId();
+        if (accountId) {
+            localStorage.setItem(AssetLibrary.FONTS_KEY_PREFIX + accountId, JSON.stringify(ids));
+        }
+    }
+
+    // Families added from the library, offered by the text tool and brand kits alongside the built-in fonts
+    getFontFamilies() {
+        return this.getActiveFontIds()
+            .map(id => this.getAsset(id))
+            .filter(Boolean)
+            .map(asset => asset.family);
+    }
+
+    loadFont(asset) {
+        if (this.loadedFonts[asset.id]) return this.loadedFonts[asset.id];
+
+        const loading = asset.source === 'upload'
+            ? asset.blob.arrayBuffer().then(data => new FontFace(asset.family, data).load()).then(face => document.fonts.add(face))
+            : new Promise((resolve, reject) => {
+                const link = document.createElement('link');
+                link.rel = 'stylesheet';
+                link.href = asset.css_url;
+                link.onload = resolve;
+                link.onerror = () => reject(new Error(`${asset.family} could not be downloaded`));
+                document.head.appendChild(link);
+            }).then(() => document.fonts.load(`16px "${asset.family}"`));
+
+        this.loadedFonts[asset.id] = loading
+            .then(() => {
+                // Text drawn before the font arrived was drawn in a fallback
+                window.videoEditor?.preview.render(window.videoEditor.preview.isPlaying);
+                return asset.family;
+            })
+            .catch(error => {
+                delete this.loadedFonts[asset.id];
+                throw error;
+            });
+        return this.loadedFonts[asset.id];
+    }
+
+    loadActiveFonts() {
+        this.getActiveFontIds().forEach(id => {
+            const asset = this.getAsset(id);
+            if (asset) {
+                this.loadFont(asset).catch(error => console.error('Error loading font:', error));
+            }
+        });
+    }
+
+    activateFont(asset) {
+        return this.loadFont(asset).then(family => {
+            const ids = this.getActiveFontIds();
+            if (!ids.includes(asset.id)) {
+                this.setActiveFontIds(ids.concat(asset.id));
+            }
+            return family;
+        });
+    }
+
+    deactivateFont(assetId) {
+        this.setActiveFontIds(this.getActiveFontIds().filter(id => id !== assetId));
+    }
+
+    // Adding to a project
+    isEditorOpen() {
+        return document.getElementById('editor-modal')?.style.display === 'block';
+    }
+
+    // Outside the editor, using an asset starts a new project the same way the hero button does
+    addToProject(assetId, options = {}) {
+        const asset = this.getAsset(assetId);
+        const editor = window.videoEditor;
+        if (!asset || !editor) return Promise.resolve(null);
+
+        if (!window.app?.currentUser) {
+            window.app?.showSignupModal();
+            return Promise.resolve(null);
+        }
+
+        if (!this.isEditorOpen()) {
+            window.app.closeModal('asset-library-modal');
+            window.app.openEditor();
+        }
+
+        if (editor.isReadOnly()) {
+            editor.notifyReadOnly();
+            return Promise.resolve(null);
+        }
+
+        const adders = {
+            music: () => this.addMusic(asset, options),
+            image: () => this.addImage(asset, options),
+            font: () => this.useFont(asset)
+        };
+
+        return adders[asset.kind]()
+            .then(result => {
+                if (!result) return null;
+
+                analytics.track('Asset Added To Project', {
+                    user_id: this.getAccountId(),
+                    project_id: editor.currentProject?.id || null,
+                    asset_id: asset.id,
+                    asset_kind: asset.kind,
+                    asset_source: asset.source,
+                    asset_tags: asset.tags,
+                    method: options.method || 'click',
+                    location: options.location || 'editor'
+                });
+                return result;
+            })
+            .catch(error => {
+                window.app?.showNotification(error.message, 'error');
+                return null;
+            });
+    }
+
+    addMusic(asset, options) {
+        const editor = window.videoEditor;
+        const cached = editor.mediaBin.getAsset(this.mediaAssets[asset.id]);
+        const imported = cached
+            ? Promise.resolve(cached)
+            : this.getMusicBlob(asset)
+                .then(blob => editor.importMedia(new File([blob], asset.source === 'upload' ? asset.name : `${asset.title}.wav`, { type: blob.type })))
+                .then(mediaAsset => {
+                    this.mediaAssets[asset.id] = mediaAsset.id;
+                    return mediaAsset;
+                });
+
+        return imported.then(mediaAsset => {
+            const clip = editor.addMediaClip(mediaAsset, 'asset_library', options.start);
+            if (clip) {
+                editor.selectClip(clip.id);
+                editor.refreshToolPanel('audio');
+            }
+            return clip;
+        });
+    }
+
+    // Full-frame images are scaled to cover the project canvas; stickers keep their own size
+    getImageScale(asset) {
+        if (!asset.fill) return asset.scale || 0.35;
+
+        const frame = ProjectCanvas.getDimensions(window.videoEditor.canvasSettings, 1080);
+        const width = Math.max(frame.width, frame.height * asset.width / asset.height);
+        return width / Math.min(frame.width, frame.height);
+    }
+
+    getImageUrl(asset) {
+        if (asset.source === 'catalogue') return Promise.resolve(asset.url);
+        if (this.imageUrls[asset.id]) return Promise.resolve(this.imageUrls[asset.id]);
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const scale = Math.min(1, AssetLibrary.IMAGE_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                // PNG keeps transparency; photos are much smaller as JPEG
+                const type = asset.type === 'image/png' || asset.type === 'image/svg+xml' || asset.type === 'image/gif' ? 'image/png' : 'image/jpeg';
+                this.imageUrls[asset.id] = canvas.toDataURL(type, 0.85);
+                resolve(this.imageUrls[asset.id]);
+            };
+            image.onerror = () => reject(new Error('This image could not be loaded'));
+            image.src = this.getObjectUrl(asset);
+        });
+    }
+
+    addImage(asset, options) {
+        const editor = window.videoEditor;
+
+        return this.getImageUrl(asset).then(url => {
+            const clip = editor.trackElementAdd('image', {
+                name: asset.title,
+                ...(options.start !== undefined ? { start: options.start } : {}),
+                out: Timeline.DEFAULT_DURATIONS.overlay,
+                properties: {
+                    image_url: url,
+                    x: 0.5,
+                    y: 0.5,
+                    scale: this.getImageScale(asset),
+                    opacity: 1,
+                    library_asset_id: asset.id
+                },
+                method: 'asset_library'
+            });
+
+            if (clip) {
+                editor.selectClip(clip.id);
+            }
+            return clip || null;
+        });
+    }
+
+    // Fonts aren't timeline elements: adding one makes it available and applies it to the selected text
+    useFont(asset) {
+        const editor = window.videoEditor;
+
+        return this.activateFont(asset).then(family => {
+            if (editor.textTool.getSelectedText()) {
+                editor.textTool.updateStyle('font', family);
+            } else {
+                window.app?.showNotification(`${family} is now available in the Text tab`, 'success');
+            }
+            editor.refreshToolPanel('text');
+            this.refresh();
+            return family;
+        });
+    }
+
+    onDragOver(event, target) {
+        if (!event.dataTransfer.types.includes(AssetLibrary.DRAG_TYPE)) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        target.classList.add('asset-drop-target');
+    }
+
+    // Dropping on a track lane places the clip at that point of the timeline, anywhere else at the playhead
+    onDrop(event, target) {
+        const assetId = event.dataTransfer.getData(AssetLibrary.DRAG_TYPE);
+        if (!assetId) return;
+
+        event.preventDefault();
+        target.classList.remove('asset-drop-target');
+
+        const editor = window.videoEditor;
+        const lane = event.target.closest('.track-lane');
+        let start = editor.currentTime;
+        if (lane) {
+            const rect = lane.getBoundingClientRect();
+            start = Math.max(0, (event.clientX - rect.left) / rect.width * Math.max(editor.duration, 1));
+        }
+
+        this.addToProject(assetId, { method: 'drag', start: Math.round(start * 10) / 10 });
+    }
+
+    // Library modal
+    open(kind = 'music', entryPoint = 'resources') {
+        this.kind = AssetLibrary.KINDS[kind] ? kind : 'music';
+        this.search = '';
+        this.tag = null;
+
+        const searchInput = document.getElementById('asset-library-search');
+        if (searchInput) {
+            searchInput.value = '';
+        }
+
+        this.render();
+        window.app?.showModal('asset-library-modal');
+        this.loadUploads();
+
+        analytics.track('Asset Library Opened', {
+            user_id: this.getAccountId(),
+            asset_kind: this.kind,
+            entry_point: entryPoint,
+            user_plan: window.app?.currentPlan
+        });
+    }
+
+    trackSearch(location, kind = this.kind) {
+        if (!this.search.trim()) return;
+
+        analytics.track('Asset Library Searched', {
+            user_id: this.getAccountId(),
+            query: this.search.trim(),
+            asset_kind: kind,
+            tag: location === 'modal' ? this.tag : null,
+            results_count: location === 'modal' ? this.filterAssets(kind).length : this.filterAssets(kind, this.search, null, 'all').length,
+            location: location
+        });
+    }
+
+    handleAction(action, data) {
+        const actions = {
+            kind: () => {
+                this.stopPreview();
+                this.kind = data.assetKind;
+                this.tag = null;
+                this.render();
+            },
+            tag: () => {
+                this.tag = this.tag === data.assetTag ? null : data.assetTag;
+                this.render();
+            },
+            upload: () => this.openUploadDialog(),
+            preview: () => this.togglePreview(data.assetId),
+            use: () => this.addToProject(data.assetId, { method: 'click', location: 'library' }),
+            delete: () => this.removeUpload(data.assetId)
+        };
+
+        actions[action]?.();
+    }
+
+    // Rendering
+
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${Math.round(bytes / 1024 / 1024 / 1024 * 10) / 10} GB`;
+        return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+    }
+
+    formatDuration(seconds) {
+        const total = Math.round(seconds || 0);
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
+    // The library modal, plus whichever editor panel shows the library
+    refresh() {
+        if (document.getElementById('asset-library-modal')?.style.display === 'block') {
+            this.render();
+        }
+        window.videoEditor?.refreshToolPanel('media');
+        window.videoEditor?.refreshToolPanel('audio');
+    }
+
+    render() {
+        const tabs = document.getElementById('asset-library-tabs');
+        if (tabs) {
+            tabs.innerHTML = Object.entries(AssetLibrary.KINDS).map(([kind, info]) => `
+                <button class="asset-library-tab${kind === this.kind ? ' active' : ''}" data-asset-action="kind" data-asset-kind="${kind}">
+                    <i class="fas ${info.icon}"></i>
+                    ${info.label}
+                </button>
+            `).join('');
+        }
+
+        const tags = document.getElementById('asset-library-tags');
+        if (tags) {
+            tags.innerHTML = this.getTags(this.kind).map(tag => `
+                <button class="asset-tag${tag === this.tag ? ' active' : ''}" data-asset-action="tag" data-asset-tag="${Utils.escapeHtml(tag)}">${Utils.escapeHtml(tag)}</button>
+            `).join('');
+        }
+
+        this.renderGrid();
+        this.renderQuota();
+    }
+
+    renderGrid() {
+        const grid = document.getElementById('asset-library-grid');
+        if (!grid) return;
+
+        const assets = this.filterAssets(this.kind);
+        grid.innerHTML = assets.length === 0
+            ? '<p class="media-bin-empty">No assets match your search</p>'
+            : assets.map(asset => this.renderCard(asset)).join('');
+    }
+
+    renderCard(asset) {
+        const activeFonts = this.getActiveFontIds();
+        const previews = {
+            music: () => `
+                <button class="asset-card-play" data-asset-action="preview" data-asset-id="${asset.id}" title="Preview">
+                    <i class="fas fa-${this.previewingId === asset.id ? 'pause' : 'play'}"></i>
+                </button>
+            `,
+            image: () => `<img src="${asset.source === 'upload' ? this.getObjectUrl(asset) : asset.url}" alt="">`,
+            font: () => `<span class="asset-card-font" style="font-family: '${Utils.escapeHtml(asset.family)}', sans-serif">Aa Bb Cc</span>`
+        };
+        const meta = {
+            music: () => `${this.formatDuration(asset.duration)}${asset.recipe ? ` · ${asset.recipe.bpm} BPM` : ''}`,
+            image: () => `${asset.width}×${asset.height}`,
+            font: () => activeFonts.includes(asset.id) ? 'Added to your fonts' : asset.license
+        };
+
+        // Font samples only render once the font has been fetched
+        if (asset.kind === 'font') {
+            this.loadFont(asset).catch(() => {});
+        }
+
+        return `
+            <div class="asset-card">
+                <div class="asset-card-preview asset-card-${asset.kind}">${previews[asset.kind]()}</div>
+                <div class="asset-card-info">
+                    <span class="media-asset-name">${Utils.escapeHtml(asset.title)}</span>
+                    <span class="library-item-meta">${meta[asset.kind]()}${asset.source === 'upload' ? ` · ${this.formatSize(asset.size)}` : ''}</span>
+                    <div class="asset-card-tags">${asset.tags.slice(0, 3).map(tag => `<span>${Utils.escapeHtml(tag)}</span>`).join('')}</div>
+                </div>
+                <div class="asset-card-actions">
+                    <button class="btn-primary" data-asset-action="use" data-asset-id="${asset.id}">${asset.kind === 'font' ? 'Use Font' : 'Use'}</button>
+                    ${asset.source === 'upload' ? `<button class="btn-secondary" data-asset-action="delete" data-asset-id="${asset.id}" title="Delete"><i class="fas fa-trash"></i></button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderQuota() {
+        const container = document.getElementById('asset-library-quota');
+        if (!container) return;
+
+        if (!this.getAccountId()) {
+            container.innerHTML = '<p class="library-item-meta">Sign up to upload your own music, images and fonts.</p>';
+            return;
+        }
+
+        const usage = this.getUsage();
+        container.innerHTML = `
+            <div class="asset-quota-bar"><div style="width: ${usage.percent}%" class="${usage.percent >= 90 ? 'full' : ''}"></div></div>
+            <span class="library-item-meta">${this.formatSize(usage.used)} of ${this.formatSize(usage.quota)} used by ${usage.count} upload${usage.count === 1 ? '' : 's'}, imported media and brand kits on the ${usage.plan} plan</span>
+        `;
+    }
+
+    // Compact library section for the Media (images) and Audio (music) tabs
+    renderEditorSection(kind) {
+        return `
+            <h4 class="media-bin-title">Library</h4>
+            <input type="search" class="asset-panel-search" data-asset-search="${kind}" placeholder="Search ${AssetLibrary.KINDS[kind].label.toLowerCase()}" value="${Utils.escapeHtml(this.search)}">
+            <div class="asset-panel-grid" data-asset-grid="${kind}">${this.renderEditorItems(kind, false)}</div>
+            <div class="media-tools">
+                <button class="tool-item" onclick="openAssetLibrary('${kind}', 'editor')">
+                    <i class="fas fa-photo-video"></i>
+                    Browse Library
+                </button>
+            </div>
+        `;
+    }
+
+    // Re-renders just the items so the search box keeps focus while typing
+    renderEditorItems(kind, update = true) {
+        const assets = this.filterAssets(kind, this.search, null, 'all');
+        const html = assets.length === 0 ? '<p class="media-bin-empty">Nothing matches your search</p>' : assets.map(asset => `
+            <div class="asset-panel-item" draggable="true" data-asset-add="${asset.id}" title="Click or drag onto the timeline">
+                ${asset.kind === 'image'
+                    ? `<img src="${asset.source === 'upload' ? this.getObjectUrl(asset) : asset.url}" alt="">`
+                    : '<i class="fas fa-music"></i>'}
+                <span>${Utils.escapeHtml(asset.title)}</span>
+            </div>
+        `).join('');
+
+        if (update) {
+            const grid = document.querySelector(`[data-asset-grid="${kind}"]`);
+            if (grid) {
+                grid.innerHTML = html;
+            }
+        }
+        return html;
+    }
+}
+
+// Initialize asset library when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.assetLibrary = new AssetLibrary();
+});
+
+// Global function for HTML onclick handlers
+window.openAssetLibrary = function(kind, entryPoint) {
+    if (window.assetLibrary) {
+        window.assetLibrary.open(kind, entryPoint);
+    }
+};
@@ -0,0 +1,303 @@
+// Audio mixing for preview playback and export
+// AudioMixer schedules decoded audio clips with per-clip gain and fades; AudioTool is the Audio tab UI
+
+class AudioMixer {
+    constructor(timeline, mediaBin) {
+        this.timeline = timeline;
+        this.mediaBin = mediaBin;
+        this.context = null;
+        this.sources = [];
+    }
+
+    static get DEFAULTS() {
+        return {
+            volume: 1,            // Linear gain; up to 2 boosts quiet clips
+            fade_in: 0,           // Seconds
+            fade_out: 0,
+            background_music: false
+        };
+    }
+
+    static getSettings(clip) {
+        return { ...AudioMixer.DEFAULTS, ...clip.properties };
+    }
+
+    getContext() {
+        if (!this.context) {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        return this.context;
+    }
+
+    // Schedule every audible audio clip after a timeline position onto a destination node
+    schedule(context, destination, fromTime, startAt = context.currentTime) {
+        const sources = [];
+
+        this.timeline.getClips('audio').forEach(clip => {
+            const buffer = clip.source ? this.mediaBin.getAudioBuffer(clip.source) : null;
+            const clipEnd = this.timeline.getClipEnd(clip);
+            if (!buffer || clipEnd <= fromTime || !this.timeline.isTrackAudible(this.timeline.getTrack(clip.trackId))) return;
+
+            const offset = Math.max(0, fromTime - clip.start);
+            const when = startAt + Math.max(0, clip.start - fromTime);
+            const duration = this.timeline.getClipDuration(clip) - offset;
+
+            const source = context.createBufferSource();
+            const gain = context.createGain();
+            source.buffer = buffer;
+            this.applyEnvelope(gain.gain, clip, offset, when, duration);
+
+            source.connect(gain);
+            gain.connect(destination);
+            source.start(when, clip.in + offset, duration);
+            sources.push(source);
+        });
+
+        return sources;
+    }
+
+    // Volume with linear fades, starting part-way into the clip when playback begins mid-clip
+    applyEnvelope(param, clip, offset, when, duration) {
+        const settings = AudioMixer.getSettings(clip);
+        const clipDuration = offset + duration;
+        const gainAt = (time) => settings.volume * Math.max(0, Math.min(1,
+            settings.fade_in > 0 ? time / settings.fade_in : 1,
+            settings.fade_out > 0 ? (clipDuration - time) / settings.fade_out : 1
+        ));
+
+        param.setValueAtTime(gainAt(offset), when);
+
+        if (settings.fade_in > offset) {
+            param.linearRampToValueAtTime(gainAt(settings.fade_in), when + settings.fade_in - offset);
+        }
+
+        if (settings.fade_out > 0) {
+            const fadeStart = Math.max(offset, settings.fade_in, clipDuration - settings.fade_out);
+            param.setValueAtTime(gainAt(fadeStart), when + fadeStart - offset);
+            param.linearRampToValueAtTime(0, when + duration);
+        }
+    }
+
+    // Preview Playback
+    play(fromTime) {
+        const context = this.getContext();
+        this.stop();
+
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+        this.sources = this.schedule(context, context.destination, fromTime);
+    }
+
+    stop() {
+        this.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (e) {
+                // Already finished
+            }
+        });
+        this.sources = [];
+    }
+
+    // Export Summary
+    hasBackgroundMusic() {
+        return this.timeline.getClips('audio').some(clip => AudioMixer.getSettings(clip).background_music);
+    }
+}
+
+class AudioTool {
+    constructor(editor) {
+        this.editor = editor;
+
+        this.init();
+    }
+
+    init() {
+        const toolContent = document.getElementById('tool-content');
+        if (!toolContent) return;
+
+        toolContent.addEventListener('change', (e) => {
+            const setting = e.target.dataset.audioSetting;
+            if (setting) {
+                this.updateClip(setting, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+            }
+        });
+
+        toolContent.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-track-toggle]');
+            if (button) {
+                this.toggleTrack(button.closest('[data-track-id]').dataset.trackId, button.dataset.trackToggle);
+            }
+        });
+    }
+
+    getSelectedAudio() {
+        const clip = this.editor.getSelectedClip();
+        return clip && clip.type === 'audio' ? clip : null;
+    }
+
+    openImportDialog() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'audio/*';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importFile(file);
+            }
+        };
+        input.click();
+    }
+
+    importFile(file) {
+        return this.editor.importMedia(file)
+            .then(asset => {
+                analytics.track('Audio Uploaded', {
+                    user_id: window.app?.currentUser?.email,
+                    file_size: file.size,
+                    file_type: file.type,
+                    duration_seconds: Math.round(asset.duration * 10) / 10,
+                    channels: asset.channels,
+                    sample_rate: asset.sample_rate
+                });
+
+                this.editor.refreshToolPanel('audio');
+                window.app?.showNotification(`${asset.name} added to the media bin`, 'success');
+                return asset;
+            })
+            .catch(error => {
+                analytics.track('Audio Upload Failed', {
+                    user_id: window.app?.currentUser?.email,
+                    file_type: file.type,
+                    error_message: error.message
+                });
+                window.app?.showNotification(error.message, 'error');
+            });
+    }
+
+    addAsset(assetId) {
+        const asset = this.editor.mediaBin.getAsset(assetId);
+        if (!asset) return null;
+
+        const clip = this.editor.addMediaClip(asset, 'audio_panel');
+        if (clip) {
+            this.editor.selectClip(clip.id);
+        }
+        return clip;
+    }
+
+    updateClip(setting, value) {
+        const clip = this.getSelectedAudio();
+        if (!clip) return null;
+
+        const duration = this.editor.timeline.getClipDuration(clip);
+        const values = {
+            volume: () => Math.max(0, Math.min(2, parseInt(value) / 100)),
+            fade_in: () => Math.max(0, Math.min(duration, parseFloat(value) || 0)),
+            fade_out: () => Math.max(0, Math.min(duration, parseFloat(value) || 0)),
+            background_music: () => value
+        };
+        if (!values[setting]) return null;
+
+        const updated = this.editor.executeCommand(new UpdateClipCommand(clip.id, {
+            properties: { [setting]: values[setting]() }
+        }));
+
+        if (updated) {
+            this.editor.trackInteraction('audio_clip_change', {
+                setting: setting,
+                ...this.editor.getElementProperties(updated)
+            });
+        }
+        return updated;
+    }
+
+    // Mute and solo are saved with the project, so they go through the undo history like any other edit
+    toggleTrack(trackId, field) {
+        const track = this.editor.timeline.getTrack(trackId);
+        if (!track || !['muted', 'solo'].includes(field)) return false;
+
+        const updated = this.editor.executeCommand(new UpdateTrackCommand(trackId, { [field]: !track[field] }));
+        if (!updated) return false;
+
+        if (this.editor.isPlaying) {
+            this.editor.audioMixer.play(this.editor.currentTime);
+        }
+
+        this.editor.trackInteraction(field === 'muted' ? 'track_mute' : 'track_solo', {
+            track_type: track.type,
+            enabled: track[field],
+            audible_tracks: this.editor.timeline.getTracks().filter(t => this.editor.timeline.isTrackAudible(t)).length
+        });
+        return true;
+    }
+
+    renderPanel() {
+        const assets = this.editor.mediaBin.getAssets('audio');
+        const tracks = this.editor.timeline.getTracks().filter(t => t.type === 'audio' || t.type === 'video');
+        const clip = this.getSelectedAudio();
+
+        return `
+            <div class="media-tools">
+                <button class="tool-item" onclick="uploadAudioFile()">
+                    <i class="fas fa-upload"></i>
+                    Upload Audio
+                </button>
+            </div>
+            <h4 class="media-bin-title">Audio Files</h4>
+            <div class="media-bin">
+                ${assets.length === 0 ? '<p class="media-bin-empty">Uploaded music and voiceovers appear here</p>' : assets.map(asset => `
+                    <div class="media-asset" onclick="addAudioAsset('${asset.id}')" title="Add to timeline">
+                        <i class="fas fa-music"></i>
+                        <div class="media-asset-info">
+                            <span class="media-asset-name">${Utils.escapeHtml(asset.name)}</span>
+                            <span class="media-asset-meta">${Math.round(asset.duration)}s · ${asset.channels === 1 ? 'mono' : 'stereo'}</span>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            ${window.assetLibrary ? window.assetLibrary.renderEditorSection('music') : ''}
+            ${tracks.length > 0 ? `
+                <h4 class="media-bin-title">Mixer</h4>
+                <div class="audio-mixer">
+                    ${tracks.map(track => `
+                        <div class="audio-mixer-track" data-track-id="${Utils.escapeHtml(track.id)}">
+                            <span>${Utils.escapeHtml(track.name)}</span>
+                            <button class="${track.muted ? 'active' : ''}" data-track-toggle="muted" title="Mute">M</button>
+                            <button class="${track.solo ? 'active' : ''}" data-track-toggle="solo" title="Solo">S</button>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${clip ? this.renderClipSettings(clip) : ''}
+        `;
+    }
+
+    renderClipSettings(clip) {
+        const settings = AudioMixer.getSettings(clip);
+
+        return `
+            <h4 class="media-bin-title">Clip Audio</h4>
+            <div class="clip-settings">
+                <label>Volume <input type="range" min="0" max="200" step="5" value="${Math.round(settings.volume * 100)}" data-audio-setting="volume"></label>
+                <label>Fade in (s) <input type="number" min="0" step="0.1" value="${settings.fade_in}" data-audio-setting="fade_in"></label>
+                <label>Fade out (s) <input type="number" min="0" step="0.1" value="${settings.fade_out}" data-audio-setting="fade_out"></label>
+                <label><input type="checkbox" ${settings.background_music ? 'checked' : ''} data-audio-setting="background_music"> Background music</label>
+            </div>
+        `;
+    }
+}
+
+// Global functions for HTML onclick handlers
+window.uploadAudioFile = function() {
+    if (window.videoEditor) {
+        window.videoEditor.audioTool.openImportDialog();
+    }
+};
+
+window.addAudioAsset = function(assetId) {
+    if (window.videoEditor) {
+        window.videoEditor.audioTool.addAsset(assetId);
+    }
+};
@@ -0,0 +1,175 @@
+// Autosave and crash recovery for the video editor
+// Drafts are written to IndexedDB on a debounce after each change and on a fixed interval
+
+class DraftStore {
+    constructor(dbName = 'veed_editor', storeName = 'drafts') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    // Run a single request against the drafts object store
+    request(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    put(draft) {
+        return this.request('readwrite', store => store.put(draft));
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    list() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    remove(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+}
+
+class Autosave {
+    constructor(editor, store = new DraftStore()) {
+        this.editor = editor;
+        this.store = store;
+        this.isDirty = false;
+        this.debounceTimer = null;
+        this.intervalTimer = null;
+        this.lastSavedAt = null;
+    }
+
+    static get DEBOUNCE_MS() { return 2000; }
+    static get INTERVAL_MS() { return 30000; }
+
+    // Drafts are kept per account; each account's projects that were never manually saved share one slot
+    getDraftKey(projectId = this.editor.currentProject?.id || null) {
+        const accountId = window.app?.currentUser?.email || 'anonymous';
+        return `${accountId}/${projectId || 'unsaved'}`;
+    }
+
+    start() {
+        this.stop();
+        this.intervalTimer = setInterval(() => {
+            if (this.isDirty) {
+                this.save('interval');
+            }
+        }, Autosave.INTERVAL_MS);
+    }
+
+    stop() {
+        clearInterval(this.intervalTimer);
+        clearTimeout(this.debounceTimer);
+        this.intervalTimer = null;
+        this.debounceTimer = null;
+    }
+
+    markDirty() {
+        this.isDirty = true;
+
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.save('change'), Autosave.DEBOUNCE_MS);
+    }
+
+    markClean() {
+        this.isDirty = false;
+        clearTimeout(this.debounceTimer);
+    }
+
+    save(trigger) {
+        if (!this.isDirty || this.editor.isReadOnly()) return Promise.resolve(false);
+
+        const editor = this.editor;
+        const draft = {
+            key: this.getDraftKey(),
+            project: editor.currentProject ? { ...editor.currentProject } : null,
+            name: document.getElementById('project-name')?.value || editor.currentProject?.name || 'Untitled Project',
+            timeline: editor.timeline.toJSON(),
+            duration: editor.duration,
+            saved_at: new Date().toISOString()
+        };
+
+        this.isDirty = false;
+        clearTimeout(this.debounceTimer);
+
+        return this.store.put(draft)
+            .then(() => {
+                this.lastSavedAt = draft.saved_at;
+                editor.trackProjectSaved(trigger, true);
+                return true;
+            })
+            .catch(error => {
+                // Keep the changes flagged so the next attempt retries them
+                this.isDirty = true;
+                console.error('Autosave failed:', error);
+                return false;
+            });
+    }
+
+    discard(key = this.getDraftKey()) {
+        return this.store.remove(key).catch(error => console.error('Error discarding draft:', error));
+    }
+
+    // Offer to restore a draft that is newer than the project's last manual save
+    checkForDraft() {
+        const key = this.getDraftKey();
+        const lastManualSave = this.editor.currentProject?.updated_at;
+
+        return this.store.get(key)
+            .then(draft => {
+                if (!draft || !draft.timeline?.tracks?.length) return false;
+                if (lastManualSave && new Date(draft.saved_at) <= new Date(lastManualSave)) {
+                    this.discard(key);
+                    return false;
+                }
+
+                const draftAge = Date.now() - new Date(draft.saved_at).getTime();
+                const restore = confirm(`Restore unsaved changes to "${draft.name}" from ${new Date(draft.saved_at).toLocaleString()}?`);
+
+                analytics.track(restore ? 'Draft Restored' : 'Draft Discarded', {
+                    user_id: window.app?.currentUser?.email,
+                    project_id: draft.project?.id || null,
+                    draft_age_ms: draftAge,
+                    elements_count: draft.timeline.tracks.reduce((count, track) => count + track.clips.length, 0),
+                    had_manual_save: !!lastManualSave
+                });
+
+                if (restore) {
+                    this.editor.restoreDraft(draft);
+                } else {
+                    this.discard(key);
+                }
+                return restore;
+            })
+            .catch(error => {
+                console.error('Error checking for drafts:', error);
+                return false;
+            });
+    }
+}
@@ -0,0 +1,709 @@
+// Brand kits: logos, colour palettes, fonts and intro/outro clips saved per account
+// Kit records and downscaled logos live in localStorage; intro and outro videos are kept as Blobs in IndexedDB
+
+class BrandKitStore {
+    constructor(prefix = 'brand_kits_', clips = new DraftStore('veed_brand_kits', 'clips')) {
+        this.prefix = prefix;
+        this.clips = clips;
+    }
+
+    key(accountId) {
+        return this.prefix + accountId;
+    }
+
+    generateId() {
+        return 'kit_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    list(accountId) {
+        const data = localStorage.getItem(this.key(accountId));
+        if (!data) return [];
+
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            console.error('Error loading brand kits:', accountId, e);
+            return [];
+        }
+    }
+
+    get(accountId, kitId) {
+        return this.list(accountId).find(kit => kit.id === kitId) || null;
+    }
+
+    // Insert or replace a kit; throws if localStorage is full
+    save(accountId, kit) {
+        const now = new Date().toISOString();
+        const record = {
+            ...kit,
+            id: kit.id || this.generateId(),
+            created_at: kit.created_at || now,
+            updated_at: now
+        };
+
+        const kits = this.list(accountId);
+        const index = kits.findIndex(k => k.id === record.id);
+        if (index === -1) {
+            kits.push(record);
+        } else {
+            kits[index] = record;
+        }
+
+        localStorage.setItem(this.key(accountId), JSON.stringify(kits));
+        return record;
+    }
+
+    remove(accountId, kitId) {
+        const kits = this.list(accountId);
+        if (!kits.some(kit => kit.id === kitId)) return false;
+
+        localStorage.setItem(this.key(accountId), JSON.stringify(kits.filter(kit => kit.id !== kitId)));
+        BrandKitManager.CLIP_ROLES.forEach(role => this.removeClip(kitId, role).catch(() => {}));
+        return true;
+    }
+
+    // Intro / outro clips
+    clipKey(kitId, role) {
+        return `${kitId}_${role}`;
+    }
+
+    saveClip(kitId, role, file) {
+        return this.clips.put({ key: this.clipKey(kitId, role), blob: file, name: file.name, type: file.type });
+    }
+
+    loadClip(kitId, role) {
+        return this.clips.get(this.clipKey(kitId, role));
+    }
+
+    removeClip(kitId, role) {
+        return this.clips.remove(this.clipKey(kitId, role));
+    }
+}
+
+class BrandKitManager {
+    constructor(store = new BrandKitStore()) {
+        this.store = store;
+        this.selectedKitId = null;
+        this.example = null; // Example kit being previewed; not saved until the user adopts it
+
+        this.init();
+    }
+
+    static get DEFAULTS() {
+        return {
+            name: 'My Brand',
+            palette: ['#6366f1', '#ec4899', '#10b981', '#f59e0b'],
+            text_color: '#ffffff',
+            fonts: { heading: 'Inter', body: 'Inter' },
+            logos: [],
+            logo_position: 'top_right',
+            intro: null,
+            outro: null
+        };
+    }
+
+    // The examples shown in the Brand Kits section
+    static get EXAMPLES() {
+        return {
+            tech: { name: 'Tech Startup', palette: ['#2563eb', '#1e40af', '#64748b'], fonts: { heading: 'Trebuchet MS', body: 'Inter' } },
+            creative: { name: 'Creative Agency', palette: ['#ec4899', '#f59e0b', '#8b5cf6'], fonts: { heading: 'Impact', body: 'Trebuchet MS' } },
+            corporate: { name: 'Corporate', palette: ['#1f2937', '#374151', '#6b7280'], fonts: { heading: 'Georgia', body: 'Inter' } }
+        };
+    }
+
+    // Logo anchor in 0-1 frame coordinates
+    static get LOGO_POSITIONS() {
+        return {
+            top_left: { label: 'Top left', x: 0.1, y: 0.1 },
+            top_right: { label: 'Top right', x: 0.9, y: 0.1 },
+            bottom_left: { label: 'Bottom left', x: 0.1, y: 0.9 },
+            bottom_right: { label: 'Bottom right', x: 0.9, y: 0.9 }
+        };
+    }
+
+    static get CLIP_ROLES() { return ['intro', 'outro']; }
+    static get MAX_PALETTE_COLORS() { return 6; }
+
+    // Logos are downscaled so a kit fits comfortably in localStorage
+    static get LOGO_MAX_SIZE() { return 512; }
+
+    init() {
+        const modal = document.getElementById('brand-kit-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            const item = e.target.closest('.brand-kit-item');
+            if (item) {
+                this.selectKit(item.dataset.kitId);
+                return;
+            }
+
+            const button = e.target.closest('[data-kit-action]');
+            if (button) {
+                this.handleAction(button.dataset.kitAction, button.dataset);
+            }
+        });
+
+        modal.addEventListener('change', (e) => {
+            const field = e.target.dataset.kitField;
+            if (field) {
+                this.updateKit(field, e.target.value, e.target.dataset);
+            }
+        });
+    }
+
+    getAccountId() {
+        return window.app?.currentUser?.email || null;
+    }
+
+    getKits() {
+        const accountId = this.getAccountId();
+        return accountId ? this.store.list(accountId) : [];
+    }
+
+    // Intro and outro clips plus the logos kept as data URLs count toward the account's asset storage quota
+    getStorageBytes() {
+        return this.getKits().reduce((total, kit) => total
+            + BrandKitManager.CLIP_ROLES.reduce((sum, role) => sum + (kit[role]?.file_size || 0), 0)
+            + kit.logos.reduce((sum, logo) => sum + (logo.url || '').length, 0), 0);
+    }
+
+    meterStorage() {
+        window.usageMeter?.setStorage('brand_kits', this.getStorageBytes());
+    }
+
+    getKit(kitId) {
+        const accountId = this.getAccountId();
+        return accountId ? this.store.get(accountId, kitId) : null;
+    }
+
+    getSelectedKit() {
+        return this.example || (this.selectedKitId ? this.getKit(this.selectedKitId) : null);
+    }
+
+    // Plan checks happen in createBrandKit() before this is reached
+    open(kitId = null) {
+        const kits = this.getKits();
+        this.example = null;
+        this.selectedKitId = kitId || this.selectedKitId || (kits[0] ? kits[0].id : null);
+
+        this.render();
+        window.app?.showModal('brand-kit-modal');
+
+        analytics.track('Brand Kit Manager Opened', {
+            user_id: window.app?.currentUser?.email,
+            user_plan: window.app?.currentPlan,
+            brand_kits: kits.length
+        });
+    }
+
+    // Show one of the example kits read-only, with the option to adopt it
+    previewExample(kitType) {
+        const example = BrandKitManager.EXAMPLES[kitType];
+        if (!example) return;
+
+        this.example = { ...BrandKitManager.DEFAULTS, ...example, example: kitType };
+        this.render();
+        window.app?.showModal('brand-kit-modal');
+    }
+
+    createKit(exampleType = null) {
+        const accountId = this.getAccountId();
+        if (!accountId) return null;
+
+        const example = BrandKitManager.EXAMPLES[exampleType] || {};
+        const kit = this.store.save(accountId, {
+            ...BrandKitManager.DEFAULTS,
+            ...example,
+            name: example.name || `${BrandKitManager.DEFAULTS.name} ${this.getKits().length + 1}`
+        });
+
+        this.example = null;
+        this.selectedKitId = kit.id;
+        this.render();
+        window.app?.showModal('brand-kit-modal');
+
+        analytics.track('Brand Kit Created', {
+            user_id: accountId,
+            user_plan: window.app?.currentPlan,
+            kit_id: kit.id,
+            creation_source: exampleType ? 'example' : 'blank',
+            example_type: exampleType,
+            palette_size: kit.palette.length,
+            total_brand_kits: this.getKits().length
+        });
+
+        return kit;
+    }
+
+    selectKit(kitId) {
+        this.example = null;
+        this.selectedKitId = kitId;
+        this.render();
+    }
+
+    saveKit(kit, field) {
+        try {
+            const saved = this.store.save(this.getAccountId(), kit);
+            this.meterStorage();
+
+            analytics.track('Brand Kit Updated', {
+                user_id: this.getAccountId(),
+                kit_id: saved.id,
+                field: field,
+                palette_size: saved.palette.length,
+                logos: saved.logos.length,
+                has_intro: !!saved.intro,
+                has_outro: !!saved.outro
+            });
+
+            this.render();
+            window.videoEditor?.refreshToolPanel('brand');
+            return saved;
+        } catch (e) {
+            window.app?.showNotification('Not enough storage space for this brand kit', 'error');
+            this.render();
+            return null;
+        }
+    }
+
+    updateKit(field, value, data = {}) {
+        const kit = this.getSelectedKit();
+        if (!kit || this.example) return null;
+
+        const updates = {
+            name: () => ({ name: value.trim() || kit.name }),
+            palette: () => ({ palette: kit.palette.map((color, i) => i === parseInt(data.index) ? value : color) }),
+            text_color: () => ({ text_color: value }),
+            heading_font: () => ({ fonts: { ...kit.fonts, heading: value } }),
+            body_font: () => ({ fonts: { ...kit.fonts, body: value } }),
+            logo_position: () => ({ logo_position: BrandKitManager.LOGO_POSITIONS[value] ? value : kit.logo_position })
+        };
+        if (!updates[field]) return null;
+
+        return this.saveKit({ ...kit, ...updates[field]() }, field);
+    }
+
+    handleAction(action, data) {
+        const kit = this.getSelectedKit();
+        const actions = {
+            new: () => window.createBrandKit('new'),
+            use_example: () => window.createBrandKit(kit.example),
+            add_color: () => kit.palette.length < BrandKitManager.MAX_PALETTE_COLORS &&
+                this.saveKit({ ...kit, palette: kit.palette.concat(kit.palette[kit.palette.length - 1] || '#ffffff') }, 'palette'),
+            remove_color: () => kit.palette.length > 1 &&
+                this.saveKit({ ...kit, palette: kit.palette.filter((_, i) => i !== parseInt(data.index)) }, 'palette'),
+            upload_logo: () => this.openUploadDialog('logo'),
+            remove_logo: () => this.saveKit({ ...kit, logos: kit.logos.filter(logo => logo.id !== data.logoId) }, 'logos'),
+            upload_intro: () => this.openUploadDialog('intro'),
+            upload_outro: () => this.openUploadDialog('outro'),
+            remove_intro: () => this.removeClip(kit, 'intro'),
+            remove_outro: () => this.removeClip(kit, 'outro'),
+            delete: () => this.deleteKit(kit)
+        };
+
+        if (kit || action === 'new') {
+            actions[action]?.();
+        }
+    }
+
+    deleteKit(kit) {
+        if (!confirm(`Delete the "${kit.name}" brand kit? This cannot be undone.`)) return;
+
+        this.store.remove(this.getAccountId(), kit.id);
+        this.meterStorage();
+        this.selectedKitId = null;
+        this.render();
+        window.videoEditor?.refreshToolPanel('brand');
+
+        analytics.track('Brand Kit Deleted', {
+            user_id: this.getAccountId(),
+            kit_id: kit.id,
+            total_brand_kits: this.getKits().length
+        });
+    }
+
+    // Asset uploads
+    openUploadDialog(assetType) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = assetType === 'logo' ? 'image/*' : 'video/*';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const upload = assetType === 'logo' ? this.addLogo(file) : this.addClip(assetType, file);
+            upload
+                .then(() => {
+                    analytics.track('Brand Kit Asset Uploaded', {
+                        user_id: this.getAccountId(),
+                        kit_id: this.selectedKitId,
+                        asset_type: assetType,
+                        file_type: file.type,
+                        file_size: file.size
+                    });
+                })
+                .catch(error => {
+                    window.app?.showNotification(error.message, 'error');
+                });
+        };
+        input.click();
+    }
+
+    addLogo(file) {
+        const kit = this.getSelectedKit();
+        if (!file.type.startsWith('image/')) {
+            return Promise.reject(new Error('Please choose an image file'));
+        }
+
+        return this.loadLogo(file).then(logo => {
+            this.saveKit({ ...kit, logos: kit.logos.concat(logo) }, 'logos');
+            return logo;
+        });
+    }
+
+    // Downscale the image to a PNG data URL, keeping transparency
+    loadLogo(file) {
+        const url = URL.createObjectURL(file);
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const scale = Math.min(1, BrandKitManager.LOGO_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+
+                resolve({
+                    id: 'logo_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                    name: file.name,
+                    url: canvas.toDataURL('image/png'),
+                    width: canvas.width,
+                    height: canvas.height
+                });
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('This image format is not supported by your browser'));
+            };
+            image.src = url;
+        });
+    }
+
+    addClip(role, file) {
+        const kit = this.getSelectedKit();
+        if (!file.type.startsWith('video/')) {
+            return Promise.reject(new Error('Please choose a video file'));
+        }
+
+        return this.store.saveClip(kit.id, role, file).then(() => {
+            this.saveKit({ ...kit, [role]: { name: file.name, file_size: file.size, file_type: file.type } }, role);
+        });
+    }
+
+    removeClip(kit, role) {
+        this.store.removeClip(kit.id, role).catch(() => {});
+        this.saveKit({ ...kit, [role]: null }, role);
+    }
+
+    // Rendering
+    render() {
+        const list = document.getElementById('brand-kit-list');
+        const editor = document.getElementById('brand-kit-editor');
+        if (!list || !editor) return;
+
+        const kits = this.getKits();
+        list.innerHTML = `
+            ${kits.map(kit => `
+                <div class="brand-kit-item${kit.id === this.selectedKitId && !this.example ? ' active' : ''}" data-kit-id="${kit.id}">
+                    ${this.renderSwatches(kit.palette)}
+                    <span>${Utils.escapeHtml(kit.name)}</span>
+                </div>
+            `).join('')}
+            <button class="btn-secondary" data-kit-action="new">
+                <i class="fas fa-plus"></i>
+                New Brand Kit
+            </button>
+        `;
+
+        const kit = this.getSelectedKit();
+        editor.innerHTML = kit ? this.renderKit(kit) : '<p class="library-empty">Create a brand kit to keep your colours, fonts and logos in one place.</p>';
+    }
+
+    renderSwatches(palette) {
+        return `<div class="brand-kit-swatches">${palette.map(color => `<span style="background: ${color};"></span>`).join('')}</div>`;
+    }
+
+    renderKit(kit) {
+        const readOnly = this.example ? 'disabled' : '';
+        const fontOptions = (selected) => TextTool.getFonts().map(font =>
+            `<option value="${font}" ${font === selected ? 'selected' : ''}>${font}</option>`
+        ).join('');
+
+        const clipRow = (role) => `
+            <div class="brand-kit-clip">
+                <span><i class="fas fa-film"></i> ${kit[role] ? Utils.escapeHtml(kit[role].name) : `No ${role}`}</span>
+                ${this.example ? '' : (kit[role]
+                    ? `<button data-kit-action="remove_${role}" title="Remove"><i class="fas fa-trash"></i></button>`
+                    : `<button data-kit-action="upload_${role}" title="Upload ${role}"><i class="fas fa-upload"></i></button>`)}
+            </div>
+        `;
+
+        return `
+            ${this.example ? `
+                <div class="brand-kit-example-banner">
+                    <span>Example brand kit</span>
+                    <button class="btn-primary" data-kit-action="use_example">Use this kit</button>
+                </div>
+            ` : ''}
+            <div class="clip-settings">
+                <label>Name <input type="text" value="${Utils.escapeHtml(kit.name)}" data-kit-field="name" ${readOnly}></label>
+            </div>
+            <h4 class="media-bin-title">Colour Palette</h4>
+            <div class="brand-kit-palette">
+                ${kit.palette.map((color, index) => `
+                    <div class="brand-kit-color">
+                        <input type="color" value="${color}" data-kit-field="palette" data-index="${index}" ${readOnly}>
+                        ${this.example || kit.palette.length === 1 ? '' : `<button data-kit-action="remove_color" data-index="${index}" title="Remove"><i class="fas fa-times"></i></button>`}
+                    </div>
+                `).join('')}
+                ${this.example || kit.palette.length >= BrandKitManager.MAX_PALETTE_COLORS ? '' : '<button data-kit-action="add_color" title="Add colour"><i class="fas fa-plus"></i></button>'}
+            </div>
+            <div class="clip-settings">
+                <label>Text colour <input type="color" value="${kit.text_color}" data-kit-field="text_color" ${readOnly}></label>
+                <label>Heading font <select data-kit-field="heading_font" ${readOnly}>${fontOptions(kit.fonts.heading)}</select></label>
+                <label>Body font <select data-kit-field="body_font" ${readOnly}>${fontOptions(kit.fonts.body)}</select></label>
+            </div>
+            <h4 class="media-bin-title">Logos</h4>
+            <div class="brand-kit-logos">
+                ${kit.logos.map((logo, index) => `
+                    <div class="brand-kit-logo" title="${Utils.escapeHtml(logo.name)}${index === 0 ? ' (used in videos)' : ''}">
+                        <img src="${logo.url}" alt="">
+                        <button data-kit-action="remove_logo" data-logo-id="${logo.id}" title="Remove"><i class="fas fa-times"></i></button>
+                    </div>
+                `).join('')}
+                ${this.example ? '' : '<button class="brand-kit-logo-upload" data-kit-action="upload_logo" title="Upload logo"><i class="fas fa-upload"></i></button>'}
+            </div>
+            <div class="clip-settings">
+                <label>Logo position <select data-kit-field="logo_position" ${readOnly}>
+                    ${Object.entries(BrandKitManager.LOGO_POSITIONS).map(([position, preset]) => `
+                        <option value="${position}" ${position === kit.logo_position ? 'selected' : ''}>${preset.label}</option>
+                    `).join('')}
+                </select></label>
+            </div>
+            <h4 class="media-bin-title">Intro &amp; Outro</h4>
+            ${clipRow('intro')}
+            ${clipRow('outro')}
+            ${this.example ? '' : `
+                <button class="btn-secondary brand-kit-delete" data-kit-action="delete">
+                    <i class="fas fa-trash"></i>
+                    Delete Brand Kit
+                </button>
+            `}
+        `;
+    }
+}
+
+class BrandKitTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.clipAssets = {}; // Intro/outro media bin assets, keyed by kit and role
+
+        this.init();
+    }
+
+    init() {
+        const toolContent = document.getElementById('tool-content');
+        if (!toolContent) return;
+
+        toolContent.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-brand-apply]');
+            if (button) {
+                this.applyKit(button.dataset.brandApply);
+            }
+        });
+    }
+
+    isAvailable() {
+        return this.editor.getFeatureAvailability('brand_kit') === 'available';
+    }
+
+    // Restyle text, replace the logo overlay and add the intro/outro, as one undoable edit
+    applyKit(kitId) {
+        if (!this.isAvailable()) {
+            analytics.track('Plan Limitation Hit', {
+                user_id: window.app?.currentUser?.email,
+                limitation_type: 'brand_kit',
+                current_plan: window.app?.currentPlan,
+                attempted_action: 'apply_brand_kit',
+                upgrade_opportunity: true
+            });
+            this.editor.showUpgradePrompt('brand_kit');
+            return Promise.resolve(null);
+        }
+
+        const kit = window.brandKitManager?.getKit(kitId);
+        if (!kit) return Promise.resolve(null);
+
+        const timeline = this.editor.timeline;
+        const hasRole = (role) => timeline.getClips().some(clip => clip.properties.brand_kit_role === role);
+
+        // Each project gets at most one intro and outro
+        const roles = BrandKitManager.CLIP_ROLES.filter(role => kit[role] && !hasRole(role));
+
+        return Promise.all(roles.map(role => this.loadClipAsset(kit, role)))
+            .then(assets => {
+                const [intro, outro] = BrandKitManager.CLIP_ROLES.map(role => assets[roles.indexOf(role)] || null);
+                const textClips = timeline.getClips('text');
+                const logos = timeline.getClips('image').filter(clip => clip.properties.brand_kit_role === 'logo');
+                const commands = [];
+
+                textClips.forEach(clip => {
+                    const style = TextTool.getStyle(clip);
+                    commands.push(new UpdateClipCommand(clip.id, {
+                        properties: {
+                            font: style.size >= TextTool.PRESETS.heading.size * 0.7 ? kit.fonts.heading : kit.fonts.body,
+                            color: kit.text_color,
+                            background: style.background ? kit.palette[0] : ''
+                        }
+                    }));
+                });
+
+                // Everything moves back to make room for the intro
+                if (intro) {
+                    timeline.getClips().forEach(clip => {
+                        commands.push(new UpdateClipCommand(clip.id, { start: clip.start + intro.duration }));
+                    });
+                    commands.push(new AddClipCommand('video', this.getClipData(intro, 'intro', 0)));
+                }
+                if (outro) {
+                    commands.push(new AddClipCommand('video', this.getClipData(outro, 'outro', timeline.getDuration() + (intro ? intro.duration : 0))));
+                }
+
+                logos.forEach(clip => commands.push(new RemoveClipCommand(clip.id)));
+                if (kit.logos.length > 0) {
+                    const duration = timeline.getDuration() + (intro ? intro.duration : 0) + (outro ? outro.duration : 0);
+                    const position = BrandKitManager.LOGO_POSITIONS[kit.logo_position] || BrandKitManager.LOGO_POSITIONS.top_right;
+                    commands.push(new AddClipCommand('image', {
+                        name: 'Logo',
+                        start: 0,
+                        out: Math.max(duration, Timeline.DEFAULT_DURATIONS.overlay),
+                        properties: {
+                            image_url: kit.logos[0].url,
+                            x: position.x,
+                            y: position.y,
+                            scale: 0.15,
+                            opacity: 0.9,
+                            brand_kit_id: kit.id,
+                            brand_kit_role: 'logo'
+                        }
+                    }));
+                }
+
+                if (commands.length === 0) {
+                    window.app?.showNotification('Add text, a logo or an intro to apply this brand kit', 'info');
+                    return null;
+                }
+
+                const result = this.editor.executeCommand(new BatchCommand('apply_brand_kit', commands));
+                this.editor.ensureProject();
+
+                analytics.track('Brand Kit Applied', {
+                    user_id: window.app?.currentUser?.email,
+                    project_id: this.editor.currentProject?.id || null,
+                    kit_id: kit.id,
+                    text_elements_restyled: textClips.length,
+                    logo_added: kit.logos.length > 0,
+                    intro_added: !!intro,
+                    outro_added: !!outro,
+                    palette_size: kit.palette.length,
+                    heading_font: kit.fonts.heading,
+                    body_font: kit.fonts.body
+                });
+
+                this.editor.trackInteraction('brand_kit_apply', { kit_id: kit.id });
+                window.app?.showNotification(`Applied the ${kit.name} brand kit`, 'success');
+                return result;
+            })
+            .catch(error => {
+                window.app?.showNotification(error.message, 'error');
+                return null;
+            });
+    }
+
+    // Import a stored intro/outro into the media bin once per session
+    loadClipAsset(kit, role) {
+        const cacheKey = `${kit.id}_${role}`;
+        const cached = this.editor.mediaBin.getAsset(this.clipAssets[cacheKey]);
+        if (cached) return Promise.resolve(cached);
+
+        return window.brandKitManager.store.loadClip(kit.id, role).then(record => {
+            if (!record) throw new Error(`The ${role} for this brand kit could not be found`);
+
+            return this.editor.importMedia(new File([record.blob], record.name, { type: record.type })).then(asset => {
+                this.clipAssets[cacheKey] = asset.id;
+                return asset;
+            });
+        });
+    }
+
+    getClipData(asset, role, start) {
+        return {
+            name: asset.name,
+            source: asset.id,
+            start: start,
+            in: 0,
+            out: asset.duration,
+            properties: { width: asset.width, height: asset.height, frame_rate: asset.frame_rate, has_audio: asset.has_audio, brand_kit_role: role }
+        };
+    }
+
+    renderPanel() {
+        if (!this.isAvailable()) {
+            return `
+                <p class="media-bin-empty">Brand kits restyle your text and add your logo, intro and outro in one click.</p>
+                <div class="media-tools">
+                    <button class="tool-item locked" onclick="applyBrandKit(null)">
+                        <i class="fas fa-lock"></i>
+                        Unlock Brand Kits
+                    </button>
+                </div>
+            `;
+        }
+
+        const kits = window.brandKitManager ? window.brandKitManager.getKits() : [];
+
+        return `
+            <div class="media-tools">
+                <button class="tool-item" onclick="createBrandKit()">
+                    <i class="fas fa-palette"></i>
+                    Manage Brand Kits
+                </button>
+            </div>
+            <h4 class="media-bin-title">Brand Kits</h4>
+            <div class="brand-kit-apply-list">
+                ${kits.length === 0 ? '<p class="media-bin-empty">Create a brand kit to apply it here</p>' : kits.map(kit => `
+                    <div class="brand-kit-apply">
+                        ${window.brandKitManager.renderSwatches(kit.palette)}
+                        <span>${Utils.escapeHtml(kit.name)}</span>
+                        <button class="btn-primary" data-brand-apply="${kit.id}">Apply</button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+}
+
+// Initialize brand kit manager when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.brandKitManager = new BrandKitManager();
+});
+
+// Global function for HTML onclick handlers
+window.applyBrandKit = function(kitId) {
+    if (window.videoEditor) {
+        window.videoEditor.brandKitTool.applyKit(kitId);
+    }
+};
@@ -0,0 +1,60 @@
+// Project canvas presets for the video editor
+// A project's aspect ratio and frame rate size the preview canvas and every export
+
+class ProjectCanvas {
+    static get ASPECT_RATIOS() {
+        return {
+            '16:9': { label: 'Landscape 16:9', width: 16, height: 9 },
+            '9:16': { label: 'Vertical 9:16', width: 9, height: 16 },
+            '1:1': { label: 'Square 1:1', width: 1, height: 1 },
+            '4:5': { label: 'Portrait 4:5', width: 4, height: 5 },
+            custom: { label: 'Custom' }
+        };
+    }
+
+    static get FRAME_RATES() { return [24, 25, 30, 60]; }
+
+    // custom_width/custom_height only matter for the custom aspect ratio
+    static get DEFAULTS() {
+        return {
+            aspect_ratio: '16:9',
+            framerate: 30,
+            custom_width: 1920,
+            custom_height: 1080
+        };
+    }
+
+    static get MAX_CUSTOM_SIZE() { return 7680; }
+
+    // Canvas settings from a project's settings, with anything unknown replaced by the defaults
+    static getSettings(settings = {}) {
+        const defaults = ProjectCanvas.DEFAULTS;
+        const clampSize = (value, fallback) => Math.max(16, Math.min(ProjectCanvas.MAX_CUSTOM_SIZE, parseInt(value) || fallback));
+
+        return {
+            aspect_ratio: ProjectCanvas.ASPECT_RATIOS[settings.aspect_ratio] ? settings.aspect_ratio : defaults.aspect_ratio,
+            framerate: ProjectCanvas.FRAME_RATES.includes(parseInt(settings.framerate)) ? parseInt(settings.framerate) : defaults.framerate,
+            custom_width: clampSize(settings.custom_width, defaults.custom_width),
+            custom_height: clampSize(settings.custom_height, defaults.custom_height)
+        };
+    }
+
+    // Frame size whose shorter side matches a quality preset; encoders want even dimensions.
+    // A very wide or tall custom ratio would push the longer side far past any canvas, so it is capped
+    // at MAX_CUSTOM_SIZE and the shorter side shrinks instead
+    static getDimensions(settings, shortSide) {
+        const canvas = ProjectCanvas.getSettings(settings);
+        const ratio = canvas.aspect_ratio === 'custom'
+            ? { width: canvas.custom_width, height: canvas.custom_height }
+            : ProjectCanvas.ASPECT_RATIOS[canvas.aspect_ratio];
+
+        const scale = Math.min(shortSide / Math.min(ratio.width, ratio.height), ProjectCanvas.MAX_CUSTOM_SIZE / Math.max(ratio.width, ratio.height));
+        const even = (value) => Math.max(2, Math.round(value * scale / 2) * 2);
+        return { width: even(ratio.width), height: even(ratio.height) };
+    }
+
+    static getLabel(settings) {
+        const canvas = ProjectCanvas.getSettings(settings);
+        return canvas.aspect_ratio === 'custom' ? `${canvas.custom_width}x${canvas.custom_height}` : canvas.aspect_ratio;
+    }
+}
@@ -0,0 +1,688 @@
+// Real-time collaborative editing of a project's timeline
+// Edits merge through a last-writer-wins CRDT over any transport: BroadcastChannel between tabs, or a WebSocket relay
+
+// Every track and clip field is its own register stamped with a Lamport clock, so concurrent edits
+// to different fields of the same clip both survive and conflicting edits to one field resolve the same way everywhere
+class CollabDocument {
+    constructor(site) {
+        this.site = site;
+        this.counter = 0;
+        this.entries = new Map();
+    }
+
+    // Ties on the counter are broken by site id so every peer picks the same winner
+    static compare(a, b) {
+        if (a.counter !== b.counter) return a.counter - b.counter;
+        return a.site < b.site ? -1 : a.site > b.site ? 1 : 0;
+    }
+
+    // Keys are `kind/id` for existence, `kind/id/field` for fields and `clip/id/properties/name` for clip properties
+    static flatten(data) {
+        const flat = {};
+
+        (data.tracks || []).forEach(track => {
+            flat[`track/${track.id}`] = true;
+            Object.keys(track).forEach(field => {
+                if (field !== 'id' && field !== 'clips') {
+                    flat[`track/${track.id}/${field}`] = track[field];
+                }
+            });
+
+            (track.clips || []).forEach(clip => {
+                flat[`clip/${clip.id}`] = true;
+                Object.keys(clip).forEach(field => {
+                    if (field !== 'id' && field !== 'properties') {
+                        flat[`clip/${clip.id}/${field}`] = clip[field];
+                    }
+                });
+                Object.keys(clip.properties || {}).forEach(name => {
+                    flat[`clip/${clip.id}/properties/${name}`] = clip.properties[name];
+                });
+            });
+        });
+
+        return flat;
+    }
+
+    // The starting timeline is written at counter 0 so any edit made during the session wins over it
+    load(data) {
+        this.entries.clear();
+        Object.entries(CollabDocument.flatten(data)).forEach(([key, value]) => {
+            this.entries.set(key, { value: value, deleted: false, clock: { counter: 0, site: this.site } });
+        });
+    }
+
+    createOp(key, value, deleted = false) {
+        this.counter++;
+        return { key: key, value: value, deleted: deleted, clock: { counter: this.counter, site: this.site } };
+    }
+
+    // Returns true when the op won and changed the document
+    apply(op) {
+        this.counter = Math.max(this.counter, op.clock.counter);
+
+        const entry = this.entries.get(op.key);
+        if (entry && CollabDocument.compare(op.clock, entry.clock) <= 0) return false;
+
+        this.entries.set(op.key, { value: op.value, deleted: !!op.deleted, clock: op.clock });
+        return true;
+    }
+
+    applyAll(ops) {
+        return ops.reduce((changed, op) => this.apply(op) || changed, false);
+    }
+
+    // Replace the whole document with a peer's state
+    reset(ops) {
+        this.entries.clear();
+        this.applyAll(ops);
+    }
+
+    // Turn the difference between the document and the local timeline into ops, applying them as it goes
+    diff(data) {
+        const flat = CollabDocument.flatten(data);
+        const ops = [];
+
+        Object.entries(flat).forEach(([key, value]) => {
+            const entry = this.entries.get(key);
+            if (!entry || entry.deleted || JSON.stringify(entry.value) !== JSON.stringify(value)) {
+                ops.push(this.createOp(key, value));
+            }
+        });
+
+        this.entries.forEach((entry, key) => {
+            if (entry.deleted || Object.prototype.hasOwnProperty.call(flat, key)) return;
+
+            const [kind, id, field] = key.split('/');
+            if (!field && entry.value) {
+                ops.push(this.createOp(key, false));
+            } else if (field === 'properties' && flat[`${kind}/${id}`]) {
+                ops.push(this.createOp(key, null, true));
+            }
+        });
+
+        ops.forEach(op => this.apply(op));
+        return ops;
+    }
+
+    getOps() {
+        return Array.from(this.entries, ([key, entry]) => ({ key: key, value: entry.value, deleted: entry.deleted, clock: entry.clock }));
+    }
+
+    // Materialize the timeline; a removed track stays while a concurrent edit still has clips on it
+    toTimeline() {
+        const records = { track: Object.create(null), clip: Object.create(null) };
+
+        this.entries.forEach((entry, key) => {
+            if (entry.deleted) return;
+
+            const [kind, id, field, ...name] = key.split('/');
+            const record = records[kind][id] = records[kind][id] || { id: id, exists: false, fields: {}, properties: {} };
+            if (!field) {
+                record.exists = entry.value;
+            } else if (field === 'properties') {
+                record.properties[name.join('/')] = entry.value;
+            } else {
+                record.fields[field] = entry.value;
+            }
+        });
+
+        const clips = Object.values(records.clip).filter(clip => clip.exists && records.track[clip.fields.trackId]);
+        const tracks = Object.values(records.track)
+            .filter(track => track.exists || clips.some(clip => clip.fields.trackId === track.id))
+            .sort((a, b) => (a.fields.layer - b.fields.layer) || (a.id < b.id ? -1 : 1));
+
+        return {
+            tracks: tracks.map(track => ({
+                id: track.id,
+                ...track.fields,
+                clips: clips
+                    .filter(clip => clip.fields.trackId === track.id)
+                    .map(clip => ({ id: clip.id, ...clip.fields, properties: clip.properties }))
+                    .sort((a, b) => a.start - b.start)
+            }))
+        };
+    }
+}
+
+// Transports deliver JSON messages to every other peer in a room
+class BroadcastChannelTransport {
+    constructor(room) {
+        this.type = 'broadcast_channel';
+        this.room = room;
+        this.channel = null;
+        this.onMessage = () => {};
+    }
+
+    connect() {
+        this.channel = new BroadcastChannel(this.room);
+        this.channel.onmessage = (event) => this.onMessage(event.data);
+        return Promise.resolve();
+    }
+
+    send(message) {
+        this.channel?.postMessage(message);
+    }
+
+    close() {
+        this.channel?.close();
+        this.channel = null;
+    }
+}
+
+// Talks to server/collab-server.js, which relays each message to the other sockets in the room
+class WebSocketTransport {
+    constructor(url, room) {
+        this.type = 'websocket';
+        this.url = url;
+        this.room = room;
+        this.socket = null;
+        this.onMessage = () => {};
+        this.onClose = () => {};
+    }
+
+    // onClose fires when an open connection drops, not when close() is called
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.socket = new WebSocket(`${this.url}?room=${encodeURIComponent(this.room)}`);
+            let opened = false;
+            socket.onopen = () => {
+                opened = true;
+                resolve();
+            };
+            socket.onerror = () => reject(new Error(`Could not connect to ${this.url}`));
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                if (opened) {
+                    this.onClose();
+                } else {
+                    reject(new Error(`Could not connect to ${this.url}`));
+                }
+            };
+            socket.onmessage = (event) => {
+                try {
+                    this.onMessage(JSON.parse(event.data));
+                } catch (e) {
+                    console.error('Invalid collaboration message:', e);
+                }
+            };
+        });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
+    }
+}
+
+class CollabSession {
+    constructor(editor) {
+        this.editor = editor;
+        this.site = 'site_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.projectId = null;
+        this.transport = null;
+        this.doc = null;
+        this.peers = new Map();
+        this.heartbeatTimer = null;
+        this.presenceTimer = null;
+        this.reconnectTimer = null;
+        this.disconnected = false;
+        this.reconnectAttempts = 0;
+        this.resetStats();
+    }
+
+    static get HEARTBEAT_MS() { return 5000; }
+    static get PEER_TIMEOUT_MS() { return 15000; }
+    static get PRESENCE_THROTTLE_MS() { return 200; }
+
+    // A dropped relay connection is retried with exponential backoff up to the maximum delay
+    static get RECONNECT_MS() { return 2000; }
+    static get MAX_RECONNECT_MS() { return 30000; }
+
+    // Set this localStorage key to a ws:// URL to collaborate through the WebSocket relay instead of between tabs
+    static get SERVER_URL_KEY() { return 'veed_collab_server'; }
+
+    static get COLORS() {
+        return ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899'];
+    }
+
+    static createTransport(room) {
+        const serverUrl = localStorage.getItem(CollabSession.SERVER_URL_KEY);
+        if (serverUrl && typeof WebSocket !== 'undefined') {
+            return new WebSocketTransport(serverUrl, room);
+        }
+        if (typeof BroadcastChannel !== 'undefined') {
+            return new BroadcastChannelTransport(room);
+        }
+        return null;
+    }
+
+    static get COLOR_PATTERN() { return /^#[0-9a-f]{6}$/i; }
+
+    // Track, clip and asset ids are generated as `prefix_time_random`
+    static get ID_PATTERN() { return /^[\w-]+$/; }
+
+    static get MAX_TEXT_LENGTH() { return 10000; }
+
+    // What each synced track field, clip field and clip property may hold. Remote values end up in the
+    // timeline and the tool panels' markup, so an op for a field that is not listed here is dropped.
+    static get FIELDS() {
+        const id = value => typeof value === 'string' && CollabSession.ID_PATTERN.test(value);
+        const number = value => Number.isFinite(value);
+        const boolean = value => typeof value === 'boolean';
+        const text = value => typeof value === 'string' && value.length <= CollabSession.MAX_TEXT_LENGTH;
+        const color = value => typeof value === 'string' && CollabSession.COLOR_PATTERN.test(value);
+        const oneOf = values => value => values.includes(value);
+        const nullable = check => value => value === null || check(value);
+        const list = check => value => Array.isArray(value) && value.length <= 1000 && value.every(item => !!item && typeof item === 'object' && check(item));
+
+        return {
+            track: {
+                type: oneOf([...new Set(Object.values(Timeline.TRACK_TYPES)), 'overlay']),
+                name: text,
+                layer: number,
+                muted: boolean,
+                solo: boolean,
+                locked: boolean
+            },
+            clip: {
+                trackId: id,
+                type: value => typeof value === 'string' && /^[a-z_]{1,40}$/.test(value),
+                name: text,
+                source: nullable(id),
+                start: number,
+                in: number,
+                out: number
+            },
+            properties: {
+                text: text,
+                font: value => typeof value === 'string' && /^[\w '-]{1,100}$/.test(value),
+                size: number,
+                color: color,
+                background: value => value === '' || color(value),
+                align: oneOf(TextTool.ALIGNMENTS),
+                bold: boolean,
+                x: number,
+                y: number,
+                keyframes: list(keyframe => number(keyframe.time) && number(keyframe.x) && number(keyframe.y)),
+                animation_in: oneOf(TextTool.ANIMATIONS),
+                animation_out: oneOf(TextTool.ANIMATIONS),
+                scale: number,
+                opacity: number,
+                image_url: value => typeof value === 'string' && value.startsWith('data:image/'),
+                library_asset_id: id,
+                brand_kit_id: id,
+                brand_kit_role: oneOf(['intro', 'outro', 'logo']),
+                width: nullable(number),
+                height: nullable(number),
+                frame_rate: nullable(number),
+                has_audio: nullable(boolean),
+                channels: nullable(number),
+                sample_rate: nullable(number),
+                volume: number,
+                fade_in: number,
+                fade_out: number,
+                background_music: boolean,
+                effects: list(effect => Object.prototype.hasOwnProperty.call(EffectsLibrary.EFFECTS, effect.type) && number(effect.amount)),
+                transition: nullable(transition => !!transition && typeof transition === 'object'
+                    && Object.prototype.hasOwnProperty.call(EffectsLibrary.TRANSITIONS, transition.type) && number(transition.duration)),
+                template_slot: slot => !!slot && typeof slot === 'object' && id(slot.id) && oneOf(['text', 'media', 'music'])(slot.type)
+                    && text(slot.label) && nullable(text)(slot.placeholder)
+            }
+        };
+    }
+
+    static getColor(email = '') {
+        const hash = Array.from(email || '').reduce((total, char) => total + char.charCodeAt(0), 0);
+        return CollabSession.COLORS[hash % CollabSession.COLORS.length];
+    }
+
+    resetStats() {
+        this.startedAt = null;
+        this.localEdits = 0;
+        this.opsReceived = 0;
+        this.peakPeers = 0;
+        this.hadPeers = false;
+    }
+
+    isConnected() {
+        return !!this.transport && !this.disconnected;
+    }
+
+    getPeers() {
+        return Array.from(this.peers.values());
+    }
+
+    // Join the room for a project, leaving any previous one
+    join(projectId) {
+        if (this.projectId === projectId && this.transport) return true;
+        this.leave();
+
+        const transport = CollabSession.createTransport(`veed_collab_${projectId}`);
+        if (!transport) return false;
+
+        this.projectId = projectId;
+        this.transport = transport;
+        this.startedAt = Date.now();
+        this.doc = new CollabDocument(this.site);
+        this.doc.load(this.editor.timeline.toJSON());
+
+        transport.onMessage = (message) => this.receive(message);
+        transport.onClose = () => this.onDisconnected(transport);
+        this.connect(transport);
+
+        return true;
+    }
+
+    connect(transport) {
+        transport.connect()
+            .then(() => {
+                if (this.transport !== transport) return;
+
+                this.send({ type: 'hello', ...this.getPresence() });
+
+                if (this.disconnected) {
+                    // Edits made while offline only reached the local document
+                    this.disconnected = false;
+                    this.reconnectAttempts = 0;
+                    this.send({ type: 'ops', ops: this.doc.getOps() });
+                    this.renderPresence();
+                    window.app?.showNotification('Live collaboration reconnected', 'success');
+                    return;
+                }
+
+                this.heartbeatTimer = setInterval(() => this.heartbeat(), CollabSession.HEARTBEAT_MS);
+
+                analytics.track('Collaboration Session Started', {
+                    user_id: window.app?.currentUser?.email,
+                    project_id: this.projectId,
+                    transport: transport.type
+                });
+            })
+            .catch(error => {
+                if (this.transport !== transport) return;
+                if (this.disconnected) {
+                    this.scheduleReconnect(transport);
+                    return;
+                }
+
+                console.error('Collaboration unavailable:', error);
+                this.transport = null;
+                this.projectId = null;
+            });
+    }
+
+    // Keep the session and its document; peers are dropped until the relay is reachable again
+    onDisconnected(transport) {
+        if (this.transport !== transport) return;
+
+        this.disconnected = true;
+        this.peers.clear();
+        this.renderPresence();
+        window.app?.showNotification('Live collaboration disconnected. Your edits are kept and will sync when the connection returns.', 'warning');
+        this.scheduleReconnect(transport);
+    }
+
+    scheduleReconnect(transport) {
+        const delay = Math.min(CollabSession.RECONNECT_MS * Math.pow(2, this.reconnectAttempts), CollabSession.MAX_RECONNECT_MS);
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.transport === transport) {
+                this.connect(transport);
+            }
+        }, delay);
+    }
+
+    leave() {
+        if (!this.transport) return;
+
+        this.send({ type: 'leave' });
+        this.transport.close();
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.presenceTimer);
+        clearTimeout(this.reconnectTimer);
+
+        analytics.track('Collaboration Session Ended', {
+            user_id: window.app?.currentUser?.email,
+            project_id: this.projectId,
+            transport: this.transport.type,
+            session_duration_ms: Date.now() - this.startedAt,
+            peak_collaborators: this.peakPeers,
+            local_edits: this.localEdits,
+            remote_ops_received: this.opsReceived
+        });
+
+        this.transport = null;
+        this.projectId = null;
+        this.doc = null;
+        this.heartbeatTimer = null;
+        this.presenceTimer = null;
+        this.reconnectTimer = null;
+        this.disconnected = false;
+        this.reconnectAttempts = 0;
+        this.peers.clear();
+        this.resetStats();
+        this.renderPresence();
+    }
+
+    send(message) {
+        this.transport?.send({ ...message, site: this.site });
+    }
+
+    // Broadcast whatever the local user just changed; viewers only receive
+    onLocalChange() {
+        if (!this.doc || this.editor.isReadOnly()) return;
+
+        const ops = this.doc.diff(this.editor.timeline.toJSON());
+        if (ops.length === 0) return;
+
+        this.localEdits++;
+        this.send({ type: 'ops', ops: ops });
+    }
+
+    // Messages come from other peers (any client of a relay), so nothing in them is trusted until it has been checked
+    static isValidOp(op) {
+        if (!op || typeof op.key !== 'string' || !op.clock || !Number.isInteger(op.clock.counter) || op.clock.counter < 0
+            || typeof op.clock.site !== 'string') return false;
+
+        const [kind, id, field, ...name] = op.key.split('/');
+        const fields = CollabSession.FIELDS;
+        const lookup = (group, key) => Object.prototype.hasOwnProperty.call(group, key) ? group[key] : null;
+        if ((kind !== 'track' && kind !== 'clip') || !CollabSession.ID_PATTERN.test(id)) return false;
+
+        // Existence registers are flags; only clip properties are ever removed
+        if (field === undefined) return !op.deleted && typeof op.value === 'boolean';
+        if (field === 'properties') {
+            const check = kind === 'clip' && name.length === 1 ? lookup(fields.properties, name[0]) : null;
+            return !!check && (!!op.deleted || check(op.value));
+        }
+
+        const check = name.length === 0 ? lookup(fields[kind], field) : null;
+        return !!check && !op.deleted && check(op.value);
+    }
+
+    static readPresence(message) {
+        const user = message.user && typeof message.user === 'object' ? message.user : {};
+        const email = typeof user.email === 'string' ? user.email : null;
+        const name = typeof user.name === 'string' && user.name.trim() ? user.name.trim().slice(0, 100) : 'Guest';
+        return {
+            user: {
+                name: name,
+                email: email,
+                color: typeof user.color === 'string' && CollabSession.COLOR_PATTERN.test(user.color) ? user.color : CollabSession.getColor(email)
+            },
+            playhead: Number.isFinite(message.playhead) && message.playhead >= 0 ? message.playhead : 0,
+            selected_clip_id: typeof message.selected_clip_id === 'string' && CollabSession.ID_PATTERN.test(message.selected_clip_id) ? message.selected_clip_id : null
+        };
+    }
+
+    static readMessage(message) {
+        if (!message || typeof message !== 'object' || typeof message.site !== 'string' || typeof message.type !== 'string') return null;
+
+        const read = { type: message.type, site: message.site, to: typeof message.to === 'string' ? message.to : null };
+        if (['hello', 'state', 'presence'].includes(message.type)) {
+            Object.assign(read, CollabSession.readPresence(message));
+        }
+        if (['state', 'ops'].includes(message.type)) {
+            if (!Array.isArray(message.ops)) return null;
+            read.ops = message.ops.filter(op => CollabSession.isValidOp(op));
+        }
+        if (message.type === 'state') {
+            read.started_at = Number.isFinite(message.started_at) ? message.started_at : Infinity;
+        }
+        return read;
+    }
+
+    receive(raw) {
+        const message = CollabSession.readMessage(raw);
+        if (!message) {
+            console.error('Ignoring malformed collaboration message');
+            return;
+        }
+        if (!this.doc || message.site === this.site || (message.to && message.to !== this.site)) return;
+
+        const handlers = {
+            hello: () => {
+                this.updatePeer(message);
+                this.send({ type: 'state', to: message.site, started_at: this.startedAt, ops: this.doc.getOps(), ...this.getPresence() });
+            },
+            state: () => {
+                this.updatePeer(message);
+
+                // A tab that joins without editing adopts the longer-running session's timeline outright
+                const peerIsOlder = message.started_at < this.startedAt || (message.started_at === this.startedAt && message.site < this.site);
+                if (peerIsOlder && this.localEdits === 0) {
+                    this.doc.reset(message.ops);
+                    this.applyToEditor();
+                } else if (this.doc.applyAll(message.ops)) {
+                    this.applyToEditor();
+                }
+            },
+            ops: () => {
+                this.opsReceived += message.ops.length;
+                if (this.doc.applyAll(message.ops)) {
+                    this.applyToEditor();
+                }
+            },
+            presence: () => this.updatePeer(message),
+            leave: () => {
+                this.peers.delete(message.site);
+                this.renderPresence();
+            }
+        };
+
+        handlers[message.type]?.();
+    }
+
+    applyToEditor() {
+        this.editor.applyRemoteTimeline(this.doc.toTimeline());
+    }
+
+    // Presence
+    getPresence() {
+        const user = window.app?.currentUser || {};
+        return {
+            user: { name: user.name || 'Guest', email: user.email || null, color: CollabSession.getColor(user.email) },
+            playhead: this.editor.currentTime,
+            selected_clip_id: this.editor.selectedClipId
+        };
+    }
+
+    // Playhead and selection updates are throttled; the heartbeat sends them regardless
+    sendPresence() {
+        if (!this.transport || this.presenceTimer) return;
+
+        this.presenceTimer = setTimeout(() => {
+            this.presenceTimer = null;
+            this.send({ type: 'presence', ...this.getPresence() });
+        }, CollabSession.PRESENCE_THROTTLE_MS);
+    }
+
+    heartbeat() {
+        this.send({ type: 'presence', ...this.getPresence() });
+
+        const cutoff = Date.now() - CollabSession.PEER_TIMEOUT_MS;
+        this.peers.forEach((peer, site) => {
+            if (peer.last_seen < cutoff) {
+                this.peers.delete(site);
+            }
+        });
+        this.renderPresence();
+    }
+
+    updatePeer(message) {
+        const isNew = !this.peers.has(message.site);
+        this.peers.set(message.site, {
+            site: message.site,
+            user: message.user,
+            playhead: message.playhead,
+            selected_clip_id: message.selected_clip_id,
+            last_seen: Date.now()
+        });
+
+        if (isNew) {
+            this.hadPeers = true;
+            this.peakPeers = Math.max(this.peakPeers, this.peers.size);
+
+            analytics.track('Collaborator Joined Session', {
+                user_id: window.app?.currentUser?.email,
+                project_id: this.projectId,
+                collaborator_email: message.user?.email || null,
+                collaborators_online: this.peers.size,
+                transport: this.transport?.type
+            });
+        }
+
+        this.renderPresence();
+    }
+
+    // Avatars in the editor header, plus each peer's playhead and selected clip on the timeline
+    renderPresence() {
+        const peers = this.getPeers();
+        const avatars = document.getElementById('collab-presence');
+        if (avatars) {
+            avatars.innerHTML = (this.disconnected ? `
+                <span class="collab-status" title="Reconnecting to live collaboration…">
+                    <i class="fas fa-plug-circle-xmark"></i> Offline
+                </span>
+            ` : '') + peers.map(peer => `
+                <span class="collab-avatar" style="background: ${peer.user.color};" title="${Utils.escapeHtml(peer.user.name)} is viewing">
+                    ${Utils.escapeHtml(peer.user.name.charAt(0).toUpperCase())}
+                </span>
+            `).join('');
+        }
+
+        document.querySelectorAll('.collab-playhead').forEach(marker => marker.remove());
+        document.querySelectorAll('.timeline-clip.collab-selected').forEach(clip => {
+            clip.classList.remove('collab-selected');
+            clip.style.outlineColor = '';
+        });
+
+        const duration = Math.max(this.editor.duration, 1);
+        peers.forEach(peer => {
+            document.querySelectorAll('#timeline-tracks .track-lane').forEach(lane => {
+                const marker = document.createElement('div');
+                marker.className = 'collab-playhead';
+                marker.style.left = `${Math.min(peer.playhead / duration, 1) * 100}%`;
+                marker.style.background = peer.user.color;
+                marker.title = peer.user.name;
+                lane.appendChild(marker);
+            });
+
+            const clip = peer.selected_clip_id && document.querySelector(`.timeline-clip[data-clip-id="${CSS.escape(peer.selected_clip_id)}"]`);
+            if (clip) {
+                clip.classList.add('collab-selected');
+                clip.style.outlineColor = peer.user.color;
+            }
+        });
+    }
+}
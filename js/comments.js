@@ -0,0 +1,630 @@
+// Timestamped review comments and read-only review links for projects
+// Comments are anchored to a timeline time and optionally a frame region; replies point at the root comment of their thread
+
+class CommentStore {
+    constructor(prefix = 'comments_') {
+        this.prefix = prefix;
+    }
+
+    key(projectId) {
+        return this.prefix + projectId;
+    }
+
+    generateId() {
+        return 'cmt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    list(projectId) {
+        const data = localStorage.getItem(this.key(projectId));
+        if (!data) return [];
+
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            console.error('Error loading comments:', projectId, e);
+            return [];
+        }
+    }
+
+    get(projectId, commentId) {
+        return this.list(projectId).find(comment => comment.id === commentId) || null;
+    }
+
+    // Insert or replace a comment
+    save(projectId, comment) {
+        const now = new Date().toISOString();
+        const record = {
+            ...comment,
+            id: comment.id || this.generateId(),
+            project_id: projectId,
+            created_at: comment.created_at || now,
+            updated_at: now
+        };
+
+        const comments = this.list(projectId);
+        const index = comments.findIndex(c => c.id === record.id);
+        if (index === -1) {
+            comments.push(record);
+        } else {
+            comments[index] = record;
+        }
+
+        localStorage.setItem(this.key(projectId), JSON.stringify(comments));
+        return record;
+    }
+
+    // Removing a thread's root comment removes its replies with it
+    remove(projectId, commentId) {
+        const comments = this.list(projectId);
+        const remaining = comments.filter(c => c.id !== commentId && c.parent_id !== commentId);
+        localStorage.setItem(this.key(projectId), JSON.stringify(remaining));
+        return remaining.length < comments.length;
+    }
+}
+
+class CommentsTool {
+    constructor(editor, store = new CommentStore()) {
+        this.editor = editor;
+        this.store = store;
+        this.filter = 'open';
+        this.pinning = false;       // Waiting for a region to be dragged out on the preview
+        this.drawing = null;        // Start point of the region being dragged
+        this.pendingRegion = null;  // Region the next comment will be pinned to
+        this.focusedId = null;      // Thread whose region stays on the preview wherever the playhead is
+
+        this.init();
+    }
+
+    // Guests opening a review link are asked for a name once per browser session
+    static get REVIEWER_NAME_KEY() { return 'veed_reviewer_name'; }
+
+    // Seconds either side of a comment's time during which its region is drawn on the preview
+    static get REGION_WINDOW() { return 1; }
+
+    // Smallest region, as a fraction of the frame, that counts as a drag rather than a click
+    static get MIN_REGION_SIZE() { return 0.02; }
+
+    init() {
+        const toolContent = document.getElementById('tool-content');
+        if (toolContent) {
+            toolContent.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-comment-action]');
+                if (button) {
+                    this.handleAction(button.dataset.commentAction, button.dataset);
+                }
+            });
+
+            toolContent.addEventListener('keydown', (e) => {
+                const input = e.target.closest('[data-reply-to]');
+                if (input && e.key === 'Enter') {
+                    e.preventDefault();
+                    this.addComment({ body: input.value, parent_id: input.dataset.replyTo });
+                }
+            });
+        }
+
+        // Regions are pinned by dragging a box on the preview canvas
+        const canvas = this.editor.preview.canvas;
+        if (canvas) {
+            canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+            canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+            canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        }
+
+        // Comments left from another tab show up without a reload
+        window.addEventListener('storage', (e) => {
+            const project = this.editor.currentProject;
+            if (project && e.key === this.store.key(project.id)) {
+                this.refresh();
+            }
+        });
+    }
+
+    // Reviewers on a review link can always comment; otherwise comments come with the team plan or a shared project
+    isAvailable() {
+        if (this.editor.reviewMode) return true;
+        if (this.editor.getFeatureAvailability('comments') === 'available') return true;
+        return !!window.teamSpace && window.teamSpace.isSharedProject(this.editor.currentProject);
+    }
+
+    getComments() {
+        const project = this.editor.currentProject;
+        return project ? this.store.list(project.id) : [];
+    }
+
+    // Root comments in timeline order, each with its replies oldest first
+    getThreads() {
+        const comments = this.getComments();
+        const byCreated = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+        return comments
+            .filter(comment => !comment.parent_id)
+            .sort((a, b) => a.time - b.time || byCreated(a, b))
+            .map(thread => ({
+                ...thread,
+                replies: comments.filter(comment => comment.parent_id === thread.id).sort(byCreated)
+            }));
+    }
+
+    getTeamId() {
+        const project = this.editor.currentProject;
+        return (project && window.teamSpace?.store.findForProject(project.id)?.id) || null;
+    }
+
+    // Logged-in users comment as themselves; guests on a review link give a display name
+    getAuthor() {
+        const user = window.app?.currentUser;
+        if (user) return { email: user.email, name: user.name || user.email };
+
+        let name = sessionStorage.getItem(CommentsTool.REVIEWER_NAME_KEY);
+        if (!name) {
+            name = (prompt('Your name, so others know who left this comment:') || '').trim();
+            if (!name) return null;
+            sessionStorage.setItem(CommentsTool.REVIEWER_NAME_KEY, name);
+        }
+        return { email: null, name: name };
+    }
+
+    promptUpgrade(action) {
+        analytics.track('Plan Limitation Hit', {
+            user_id: window.app?.currentUser?.email,
+            limitation_type: 'comments',
+            current_plan: window.app?.currentPlan,
+            attempted_action: action,
+            upgrade_opportunity: true
+        });
+        this.editor.showUpgradePrompt('comments');
+    }
+
+    // A root comment is anchored to the playhead; a reply joins its thread at the thread's time
+    addComment({ body, time = this.editor.currentTime, region = null, parent_id = null }) {
+        if (!this.isAvailable()) {
+            this.promptUpgrade('add_comment');
+            return null;
+        }
+
+        const text = (body || '').trim();
+        if (!text) return null;
+
+        const author = this.getAuthor();
+        if (!author) return null;
+
+        const project = this.editor.reviewMode ? this.editor.currentProject : this.editor.ensureProject();
+        const parent = parent_id ? this.store.get(project.id, parent_id) : null;
+        if (parent_id && !parent) return null;
+
+        const comment = this.store.save(project.id, {
+            parent_id: parent ? parent.id : null,
+            author: author,
+            body: text,
+            time: parent ? parent.time : Math.round(time * 100) / 100,
+            region: parent ? null : region,
+            resolved: false,
+            resolved_at: null,
+            resolved_by: null,
+            via_review_link: !!this.editor.reviewMode
+        });
+
+        analytics.track('Comment Created', {
+            user_id: author.email,
+            project_id: project.id,
+            team_id: this.getTeamId(),
+            comment_id: comment.id,
+            thread_id: parent ? parent.id : comment.id,
+            is_reply: !!parent,
+            has_region: !!comment.region,
+            timestamp_seconds: comment.time,
+            comment_length: text.length,
+            author_type: author.email ? 'member' : 'guest',
+            via_review_link: comment.via_review_link,
+            project_comment_count: this.store.list(project.id).length,
+            user_plan: window.app?.currentPlan
+        });
+        this.editor.trackInteraction('comment_add', { is_reply: !!parent, has_region: !!comment.region });
+
+        if (!parent) {
+            this.pendingRegion = null;
+            this.focusedId = comment.id;
+        }
+        this.refresh();
+        return comment;
+    }
+
+    setResolved(commentId, resolved) {
+        const project = this.editor.currentProject;
+        const comment = project ? this.store.get(project.id, commentId) : null;
+        if (!comment || comment.parent_id || comment.resolved === resolved) return null;
+
+        const author = this.getAuthor();
+        if (!author) return null;
+
+        const updated = this.store.save(project.id, {
+            ...comment,
+            resolved: resolved,
+            resolved_at: resolved ? new Date().toISOString() : null,
+            resolved_by: resolved ? author : null
+        });
+
+        const properties = {
+            user_id: author.email,
+            project_id: project.id,
+            team_id: this.getTeamId(),
+            comment_id: comment.id,
+            reply_count: this.store.list(project.id).filter(c => c.parent_id === comment.id).length,
+            has_region: !!comment.region,
+            via_review_link: !!this.editor.reviewMode,
+            user_plan: window.app?.currentPlan
+        };
+
+        if (resolved) {
+            analytics.track('Comment Resolved', {
+                ...properties,
+                resolved_by_author: author.name === comment.author.name && author.email === comment.author.email,
+                time_to_resolve_hours: Math.round((Date.now() - new Date(comment.created_at)) / 36000) / 100
+            });
+        } else {
+            analytics.track('Comment Reopened', properties);
+        }
+
+        this.refresh();
+        return updated;
+    }
+
+    // Only signed-in authors can delete their own comments
+    canDelete(comment) {
+        const email = window.app?.currentUser?.email;
+        return !!email && comment.author.email === email;
+    }
+
+    deleteComment(commentId) {
+        const project = this.editor.currentProject;
+        const comment = project ? this.store.get(project.id, commentId) : null;
+        if (!comment || !this.canDelete(comment) || !confirm('Delete this comment?')) return false;
+
+        this.store.remove(project.id, commentId);
+        if (this.focusedId === commentId) {
+            this.focusedId = null;
+        }
+
+        analytics.track('Comment Deleted', {
+            user_id: comment.author.email,
+            project_id: project.id,
+            comment_id: comment.id,
+            is_reply: !!comment.parent_id
+        });
+
+        this.refresh();
+        return true;
+    }
+
+    // Jump the preview to a thread and keep its region highlighted
+    focusComment(commentId) {
+        const comment = this.getComments().find(c => c.id === commentId);
+        if (!comment) return;
+
+        this.focusedId = comment.id;
+        this.editor.pause();
+        this.editor.seek(comment.time);
+        this.refresh();
+    }
+
+    togglePinning() {
+        this.pinning = !this.pinning;
+        if (this.pinning) {
+            this.editor.pause();
+            this.pendingRegion = null;
+        }
+        this.refresh();
+    }
+
+    handleAction(action, data) {
+        const actions = {
+            add: () => {
+                const input = document.getElementById('comment-body');
+                if (this.addComment({ body: input?.value, region: this.pendingRegion }) && input) {
+                    input.value = '';
+                }
+            },
+            reply: () => {
+                const input = document.querySelector(`[data-reply-to="${data.commentId}"]`);
+                this.addComment({ body: input?.value, parent_id: data.commentId });
+            },
+            resolve: () => this.setResolved(data.commentId, true),
+            reopen: () => this.setResolved(data.commentId, false),
+            delete: () => this.deleteComment(data.commentId),
+            seek: () => this.focusComment(data.commentId),
+            pin: () => this.togglePinning(),
+            clear_region: () => {
+                this.pendingRegion = null;
+                this.refresh();
+            },
+            filter: () => {
+                this.filter = data.commentFilter;
+                this.refresh();
+            },
+            review_link: () => this.copyReviewLink(),
+            upgrade: () => this.promptUpgrade('open_comments')
+        };
+
+        actions[action]?.();
+    }
+
+    // Region Pinning
+    toFramePoint(event) {
+        const rect = this.editor.preview.canvas.getBoundingClientRect();
+        return {
+            x: Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width)),
+            y: Math.max(0, Math.min(1, (event.clientY - rect.top) / rect.height))
+        };
+    }
+
+    getRegion(from, to) {
+        const round = (value) => Math.round(value * 1000) / 1000;
+        return {
+            x: round(Math.min(from.x, to.x)),
+            y: round(Math.min(from.y, to.y)),
+            width: round(Math.abs(to.x - from.x)),
+            height: round(Math.abs(to.y - from.y))
+        };
+    }
+
+    onPointerDown(event) {
+        if (!this.pinning) return;
+
+        this.drawing = this.toFramePoint(event);
+        this.pendingRegion = null;
+        this.editor.preview.canvas.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    }
+
+    onPointerMove(event) {
+        if (this.pinning) {
+            this.editor.preview.canvas.style.cursor = 'crosshair';
+        }
+        if (!this.drawing) return;
+
+        this.pendingRegion = this.getRegion(this.drawing, this.toFramePoint(event));
+        this.editor.preview.render(false);
+    }
+
+    onPointerUp(event) {
+        if (!this.drawing) return;
+
+        const region = this.getRegion(this.drawing, this.toFramePoint(event));
+        this.drawing = null;
+        this.pinning = false;
+        this.editor.preview.canvas.releasePointerCapture(event.pointerId);
+
+        const large = region.width >= CommentsTool.MIN_REGION_SIZE && region.height >= CommentsTool.MIN_REGION_SIZE;
+        this.pendingRegion = large ? region : null;
+        this.refresh();
+        document.getElementById('comment-body')?.focus();
+    }
+
+    // Called by the preview after each frame; open threads near the playhead show their region
+    drawRegions(context, frame) {
+        const time = this.editor.currentTime;
+        const regions = this.getThreads()
+            .filter(thread => thread.region && !thread.resolved)
+            .filter(thread => thread.id === this.focusedId || Math.abs(thread.time - time) <= CommentsTool.REGION_WINDOW)
+            .map(thread => ({ region: thread.region, label: thread.author.name }));
+
+        if (this.pendingRegion) {
+            regions.push({ region: this.pendingRegion, label: null });
+        }
+        if (regions.length === 0) return;
+
+        const lineWidth = Math.max(2, Math.round(frame.width / 480));
+        const fontSize = Math.max(12, Math.round(frame.height / 36));
+
+        context.save();
+        context.lineWidth = lineWidth;
+        context.font = `600 ${fontSize}px Inter, sans-serif`;
+        context.textBaseline = 'top';
+
+        regions.forEach(({ region, label }) => {
+            const x = region.x * frame.width;
+            const y = region.y * frame.height;
+
+            context.strokeStyle = '#6366f1';
+            context.setLineDash(label ? [] : [lineWidth * 3, lineWidth * 2]);
+            context.strokeRect(x, y, region.width * frame.width, region.height * frame.height);
+
+            if (label) {
+                const padding = Math.round(fontSize * 0.3);
+                const width = context.measureText(label).width + padding * 2;
+                const top = Math.max(0, y - fontSize - padding * 2);
+                context.fillStyle = '#6366f1';
+                context.fillRect(x, top, width, fontSize + padding * 2);
+                context.fillStyle = '#ffffff';
+                context.fillText(label, x + padding, top + padding);
+            }
+        });
+
+        context.restore();
+    }
+
+    // Review Links
+    getReviewLink(project) {
+        return `${window.location.origin}${window.location.pathname}#review=${project.review_token}`;
+    }
+
+    // A project keeps one review link; the token is written to the stored project without saving the open edits
+    createReviewLink() {
+        if (this.editor.reviewMode) return null;
+        if (!this.isAvailable()) {
+            this.promptUpgrade('create_review_link');
+            return null;
+        }
+
+        const project = this.editor.ensureProject();
+        const reused = !!project.review_token;
+
+        if (!reused) {
+            const stored = window.projectService.load(project.id) || project;
+            const token = Utils.generateToken();
+            window.projectService.save({ ...stored, review_token: token });
+            project.review_token = token;
+        }
+
+        analytics.track('Review Link Created', {
+            user_id: window.app?.currentUser?.email,
+            project_id: project.id,
+            team_id: this.getTeamId(),
+            link_reused: reused,
+            open_comments: this.getThreads().filter(thread => !thread.resolved).length,
+            user_plan: window.app?.currentPlan
+        });
+
+        return this.getReviewLink(project);
+    }
+
+    copyReviewLink() {
+        const link = this.createReviewLink();
+        if (!link) return;
+
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject(new Error('Clipboard unavailable'));
+        copied
+            .then(() => window.app?.showNotification('Review link copied. Anyone with it can watch and comment.', 'success'))
+            .catch(() => prompt('Copy this review link:', link));
+    }
+
+    // Opening a review link shows the project in the editor, read-only with just the comments panel
+    checkReviewLink() {
+        const match = window.location.hash.match(/^#review=([\w-]+)$/);
+        if (!match) return false;
+
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        const project = window.projectService.findByReviewToken(match[1]);
+        analytics.track('Review Link Opened', {
+            user_id: window.app?.currentUser?.email,
+            project_id: project?.id || null,
+            link_valid: !!project,
+            logged_in: !!window.app?.currentUser
+        });
+
+        if (!project) {
+            window.app?.showNotification('This review link is not valid', 'error');
+            return false;
+        }
+
+        this.editor.setReviewMode(true);
+        window.app.openEditor(project.id);
+        window.app.showNotification(`You're reviewing "${project.name}". Pause anywhere to leave a comment.`, 'info');
+        return true;
+    }
+
+    // Rendering
+    // Re-render the panel and the preview's regions, keeping a half-written comment
+    refresh() {
+        const draft = document.getElementById('comment-body')?.value || '';
+        this.editor.refreshToolPanel('comments');
+        this.editor.preview.render(this.editor.preview.isPlaying);
+
+        const body = document.getElementById('comment-body');
+        if (body) {
+            body.value = draft;
+        }
+    }
+
+    // Drop per-project state when the editor switches projects
+    reset() {
+        this.pinning = false;
+        this.drawing = null;
+        this.pendingRegion = null;
+        this.focusedId = null;
+        this.filter = 'open';
+        this.editor.refreshToolPanel('comments');
+    }
+
+    formatDate(iso) {
+        return new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+
+    renderPanel() {
+        if (!this.isAvailable()) {
+            return `
+                <p class="media-bin-empty">Collect feedback pinned to exact moments and areas of your video.</p>
+                <div class="media-tools">
+                    <button class="tool-item locked" data-comment-action="upgrade">
+                        <i class="fas fa-lock"></i>
+                        Unlock Comments
+                    </button>
+                </div>
+            `;
+        }
+
+        const threads = this.getThreads();
+        const open = threads.filter(thread => !thread.resolved);
+        const resolved = threads.filter(thread => thread.resolved);
+        const shown = this.filter === 'resolved' ? resolved : open;
+
+        return `
+            <div class="comment-compose">
+                <textarea id="comment-body" rows="3" placeholder="Leave a comment at the playhead"></textarea>
+                <div class="comment-compose-actions">
+                    <button class="btn-secondary${this.pinning ? ' active' : ''}" data-comment-action="pin" title="Drag a box on the preview">
+                        <i class="fas fa-crop-alt"></i>
+                        ${this.pinning ? 'Drag on the preview' : (this.pendingRegion ? 'Region pinned' : 'Pin to frame')}
+                    </button>
+                    ${this.pendingRegion ? '<button class="comment-link" data-comment-action="clear_region">Remove region</button>' : ''}
+                    <button class="btn-primary" data-comment-action="add">Comment</button>
+                </div>
+            </div>
+            <div class="comment-filters">
+                <button class="comment-filter${this.filter === 'open' ? ' active' : ''}" data-comment-action="filter" data-comment-filter="open">Open (${open.length})</button>
+                <button class="comment-filter${this.filter === 'resolved' ? ' active' : ''}" data-comment-action="filter" data-comment-filter="resolved">Resolved (${resolved.length})</button>
+            </div>
+            <div class="comment-threads">
+                ${shown.length === 0
+                    ? `<p class="media-bin-empty">${this.filter === 'resolved' ? 'No resolved comments yet' : 'No open comments. Pause on a moment and leave one.'}</p>`
+                    : shown.map(thread => this.renderThread(thread)).join('')}
+            </div>
+            ${this.editor.reviewMode ? '' : `
+                <div class="media-tools">
+                    <button class="tool-item" data-comment-action="review_link">
+                        <i class="fas fa-link"></i>
+                        Copy Review Link
+                    </button>
+                </div>
+            `}
+        `;
+    }
+
+    renderThread(thread) {
+        return `
+            <div class="comment-thread${thread.id === this.focusedId ? ' focused' : ''}${thread.resolved ? ' resolved' : ''}">
+                ${this.renderComment(thread)}
+                ${thread.replies.map(reply => this.renderComment(reply)).join('')}
+                ${thread.resolved ? `<p class="library-item-meta">Resolved by ${Utils.escapeHtml(thread.resolved_by?.name || 'someone')} · ${this.formatDate(thread.resolved_at)}</p>` : ''}
+                <div class="comment-thread-actions">
+                    <input type="text" data-reply-to="${thread.id}" placeholder="Reply...">
+                    <button class="btn-secondary" data-comment-action="reply" data-comment-id="${thread.id}">Reply</button>
+                    <button class="btn-secondary" data-comment-action="${thread.resolved ? 'reopen' : 'resolve'}" data-comment-id="${thread.id}">
+                        ${thread.resolved ? 'Reopen' : 'Resolve'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderComment(comment) {
+        return `
+            <div class="comment${comment.parent_id ? ' comment-reply' : ''}">
+                <div class="comment-header">
+                    <strong>${Utils.escapeHtml(comment.author.name)}</strong>
+                    ${comment.parent_id ? '' : `
+                        <button class="comment-time" data-comment-action="seek" data-comment-id="${comment.id}" title="Jump to this moment">
+                            ${comment.region ? '<i class="fas fa-crop-alt"></i>' : ''}
+                            ${this.editor.preview.formatTime(comment.time)}
+                        </button>
+                    `}
+                    <span class="library-item-meta">${this.formatDate(comment.created_at)}</span>
+                    ${this.canDelete(comment) ? `<button class="comment-link" data-comment-action="delete" data-comment-id="${comment.id}" title="Delete comment"><i class="fas fa-trash"></i></button>` : ''}
+                </div>
+                <p class="comment-body">${Utils.escapeHtml(comment.body)}</p>
+            </div>
+        `;
+    }
+}
@@ -4,7 +4,18 @@
 class VideoEditor {
     constructor() {
         this.currentProject = null;
-        this.timeline = [];
+        this.timeline = new Timeline();
+        this.history = new EditHistory();
+        this.autosave = new Autosave(this);
+        this.mediaBin = new MediaBin();
+        this.audioMixer = new AudioMixer(this.timeline, this.mediaBin);
+        this.canvasSettings = ProjectCanvas.getSettings();
+        this.collaboration = new CollabSession(this);
+        this.reviewMode = false; // Opened from a review link: watch and comment only
+        this.selectedClipId = null;
+        this.clipboard = null;
+        this.exportRenderer = null;
+        this.exportUrl = null;
         this.isPlaying = false;
         this.currentTime = 0;
         this.duration = 0;
@@ -17,7 +28,11 @@ class VideoEditor {
 
     init() {
         this.setupEditorEventListeners();
+        this.preview = new PreviewPlayer(this);
+        this.renderCanvasControls();
         this.initializeTools();
+        this.showToolPanel(this.activeTool);
+        this.renderTimeline();
     }
 
     setupEditorEventListeners() {
@@ -47,14 +62,35 @@ class VideoEditor {
             scrubber.addEventListener('mouseup', () => this.trackInteraction('timeline_scrub_end'));
         }
 
+        // Renaming counts as an unsaved change
+        const nameInput = document.getElementById('project-name');
+        if (nameInput) {
+            nameInput.addEventListener('input', () => this.autosave.markDirty());
+        }
+
+        // Project canvas: aspect ratio, custom size and frame rate
+        const canvasControls = {
+            'project-aspect-ratio': 'aspect_ratio',
+            'project-custom-width': 'custom_width',
+            'project-custom-height': 'custom_height',
+            'project-framerate': 'framerate'
+        };
+        Object.entries(canvasControls).forEach(([id, setting]) => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', (e) => this.updateCanvasSettings({ [setting]: e.target.value }));
+            }
+        });
+
         // Track tool panel interactions
         document.addEventListener('click', (e) => {
             if (e.target.closest('.tool-tab')) {
                 this.trackToolUsage(e.target.textContent.toLowerCase());
             }
-            
-            if (e.target.closest('.tool-item')) {
-                this.trackElementAdd(e.target.textContent);
+
+            const clipElement = e.target.closest('.timeline-clip');
+            if (clipElement) {
+                this.selectClip(clipElement.dataset.clipId);
             }
         });
 
@@ -70,6 +106,7 @@ class VideoEditor {
         this.editorStartTime = Date.now();
         this.interactions = [];
         this.toolUsage = {};
+        this.history.resetStats();
         
         // Track editor session start
         analytics.track('Editor Session Started', {
@@ -86,12 +123,25 @@ class VideoEditor {
 
         // Track feature discovery opportunities
         this.trackFeatureDiscovery();
+
+        this.autosave.start();
+        if (!this.reviewMode) {
+            this.autosave.checkForDraft();
+        }
     }
 
     onEditorClosed() {
         if (!this.editorStartTime) return;
         
         const sessionDuration = Date.now() - this.editorStartTime;
+
+        this.pause();
+
+        // Flush pending changes before the session ends
+        this.autosave.save('editor_close');
+        this.autosave.stop();
+        this.collaboration.leave();
+        this.setReviewMode(false);
         
         // Track detailed editor session metrics
         analytics.track('Editor Session Ended', {
@@ -107,7 +157,13 @@ class VideoEditor {
             timeline_interactions: this.getTimelineInteractions(),
             engagement_score: this.calculateEngagementScore(),
             drop_off_point: this.getDropOffPoint(),
-            completion_rate: this.calculateCompletionRate()
+            completion_rate: this.calculateCompletionRate(),
+            edit_commands: this.history.stats.commands,
+            undo_depth: this.history.undoStack.length,
+            max_undo_depth: this.history.stats.maxUndoDepth,
+            undo_count: this.history.stats.undos,
+            redo_count: this.history.stats.redos,
+            redo_used: this.history.stats.redos > 0
         });
 
         // Track potential churn signals
@@ -172,7 +228,7 @@ class VideoEditor {
         }
     }
 
-    trackElementAdd(elementType) {
+    trackElementAdd(elementType, clipData = {}) {
         const elementData = {
             element_type: elementType.toLowerCase(),
             timeline_position: this.currentTime,
@@ -180,45 +236,221 @@ class VideoEditor {
         };
 
         // Check plan limitations
-        if (window.app?.currentPlan === 'free' && this.getElementCount() >= 3) {
-            analytics.track('Plan Limitation Hit', {
-                user_id: window.app?.currentUser?.email,
-                limitation_type: 'element_limit',
-                current_plan: 'free',
-                attempted_action: 'add_element',
-                upgrade_opportunity: true
-            });
-            
-            // Show upgrade prompt
-            this.showUpgradePrompt('element_limit');
-            return false;
-        }
+        if (!this.checkElementLimit()) return false;
+
+        // Insert the element at the playhead on the first free track of its type
+        const clip = this.executeCommand(new AddClipCommand(elementType, {
+            start: this.currentTime,
+            ...clipData
+        }));
+        if (!clip) return false;
+
+        this.ensureProject(['upload', 'recording'].includes(clipData.method) ? clipData.method : 'from_scratch');
+        const track = this.timeline.getTrack(clip.trackId);
 
         analytics.track('Timeline Element Added', {
             user_id: window.app?.currentUser?.email,
             ...elementData,
-            total_elements: this.getElementCount() + 1,
+            clip_id: clip.id,
+            track_type: track.type,
+            track_layer: track.layer,
+            clip_duration: this.timeline.getClipDuration(clip),
+            total_elements: this.getElementCount(),
+            total_tracks: this.timeline.getActiveTracks().length,
+            timeline_duration: this.duration,
             timeline_complexity: this.calculateTimelineComplexity(),
-            creation_method: 'tool_panel'
+            creation_method: clipData.method || 'tool_panel',
+            ...this.getElementProperties(clip)
         });
 
         this.trackInteraction('element_add', elementData);
-        return true;
+        return clip;
+    }
+
+    // Whether the plan has room for this many more timeline elements; prompts an upgrade when it doesn't
+    checkElementLimit(count = 1, action = 'add_element') {
+        if (Entitlements.remaining(window.app?.currentUser, 'timeline_elements') >= count) return true;
+
+        analytics.track('Plan Limitation Hit', {
+            user_id: window.app?.currentUser?.email,
+            limitation_type: 'element_limit',
+            current_plan: window.app?.currentPlan,
+            plan_limit: Entitlements.limit(window.app?.currentUser, 'timeline_elements'),
+            attempted_action: action,
+            elements_requested: count,
+            upgrade_opportunity: true
+        });
+
+        // Show upgrade prompt
+        this.showUpgradePrompt('element_limit');
+        return false;
+    }
+
+    // Extra analytics properties for element types that carry their own styling
+    getElementProperties(clip) {
+        const describers = {
+            text: () => TextTool.getStyleProperties(clip),
+            audio: () => {
+                const settings = AudioMixer.getSettings(clip);
+                return {
+                    audio_volume: settings.volume,
+                    audio_fade_in: settings.fade_in,
+                    audio_fade_out: settings.fade_out,
+                    background_music: settings.background_music
+                };
+            }
+        };
+
+        return describers[clip.type] ? describers[clip.type]() : {};
     }
 
     onScrubberChange(event) {
-        const newTime = parseFloat(event.target.value);
-        this.currentTime = newTime;
+        const previousTime = this.currentTime;
+        const newTime = this.seek(parseFloat(event.target.value));
         
         analytics.track('Timeline Scrub', {
             user_id: window.app?.currentUser?.email,
             new_position: newTime,
-            previous_position: this.currentTime,
-            scrub_distance: Math.abs(newTime - this.currentTime),
+            previous_position: previousTime,
+            scrub_distance: Math.abs(newTime - previousTime),
             video_duration: this.duration
         });
     }
 
+    // Thumbnail strip for clips backed by an imported video
+    renderClipThumbnails(clip) {
+        const asset = clip.source ? this.mediaBin.getAsset(clip.source) : null;
+        if (asset && asset.waveform) return this.renderClipWaveform(clip, asset);
+        if (!asset || !asset.thumbnails?.length) return '';
+
+        // Only show frames that fall inside the clip's in/out range
+        const frames = asset.thumbnails.filter((_, i) => {
+            const time = asset.duration * (i + 0.5) / asset.thumbnails.length;
+            return time >= clip.in && time <= clip.out;
+        });
+
+        return `<div class="clip-thumbnails">${frames.map(src => `<img src="${src}" alt="">`).join('')}</div>`;
+    }
+
+    renderClipWaveform(clip, asset) {
+        // Only draw the peaks inside the clip's in/out range
+        const first = Math.floor(clip.in / asset.duration * asset.waveform.length);
+        const last = Math.ceil(clip.out / asset.duration * asset.waveform.length);
+        const peaks = asset.waveform.slice(first, last);
+        const volume = Math.min(2, AudioMixer.getSettings(clip).volume);
+
+        const path = peaks.map((peak, i) => {
+            const height = Math.max(2, Math.min(100, peak * volume * 100));
+            return `M${i + 0.5} ${50 - height / 2}V${50 + height / 2}`;
+        }).join('');
+
+        return `<svg class="clip-waveform" viewBox="0 0 ${peaks.length} 100" preserveAspectRatio="none"><path d="${path}"/></svg>`;
+    }
+
+    // Timeline State
+    onTimelineChanged(markDirty = true) {
+        this.duration = this.timeline.getDuration();
+        window.usageMeter?.observe('elements', this.getElementCount());
+
+        if (this.currentProject) {
+            this.currentProject.timeline = this.timeline.toJSON();
+            this.currentProject.duration = this.duration;
+        }
+
+        this.updateScrubberRange();
+        this.renderTimeline();
+        this.preview.render(this.preview.isPlaying);
+        this.refreshToolPanel('text');
+        this.refreshToolPanel('audio');
+        this.refreshToolPanel('effects');
+        this.refreshToolPanel('subtitles');
+        this.templateTool.checkSlots();
+        this.refreshToolPanel('template');
+        this.restoreMedia();
+
+        if (markDirty) {
+            this.autosave.markDirty();
+            this.collaboration.onLocalChange();
+        }
+    }
+
+    // Reopened projects, drafts and collaborators' timelines can point at sources the bin hasn't loaded yet
+    restoreMedia() {
+        const missing = this.mediaBin.getMissingSources(this.timeline.getClips())
+            .filter(id => !this.mediaBin.unavailable.has(id) && !this.mediaBin.restoring.has(id));
+        if (missing.length === 0) return Promise.resolve([]);
+
+        return this.mediaBin.restore(missing).then(restored => {
+            if (restored.length > 0) {
+                this.renderTimeline();
+                this.preview.render(this.preview.isPlaying);
+                this.refreshToolPanel('media');
+                this.refreshToolPanel('audio');
+            }
+
+            const unavailable = missing.length - restored.length;
+            if (unavailable > 0) {
+                window.app?.showNotification(`${unavailable} media file${unavailable === 1 ? ' is' : 's are'} not available in this browser. Re-import ${unavailable === 1 ? 'it' : 'them'} before exporting.`, 'warning');
+            }
+            return restored;
+        });
+    }
+
+    // Collaborators' edits replace the timeline wholesale. Local undo steps survive unless their clip or track
+    // was removed or restored remotely, and the change is not echoed back to the session
+    applyRemoteTimeline(data) {
+        this.timeline.load(data);
+        this.history.rebase(this.timeline);
+        if (!this.timeline.getClip(this.selectedClipId)) {
+            this.selectedClipId = null;
+        }
+        this.onTimelineChanged(false);
+
+        if (!this.isReadOnly()) {
+            this.autosave.markDirty();
+        }
+    }
+
+    updateScrubberRange() {
+        const scrubber = document.querySelector('.timeline-scrubber');
+        if (scrubber) {
+            scrubber.max = Math.max(this.duration, 0.1);
+            scrubber.step = 0.1;
+            scrubber.value = Math.min(this.currentTime, this.duration);
+        }
+    }
+
+    renderTimeline() {
+        const container = document.getElementById('timeline-tracks');
+        if (!container) return;
+
+        const duration = Math.max(this.duration, 1);
+        const tracks = this.timeline.getTracks().slice().reverse(); // Top layer first
+
+        if (tracks.length === 0) {
+            container.innerHTML = '<p class="timeline-empty">Add media, text or audio to start building your timeline</p>';
+            return;
+        }
+
+        container.innerHTML = tracks.map(track => `
+            <div class="timeline-track" data-track-id="${Utils.escapeHtml(track.id)}" data-track-type="${Utils.escapeHtml(track.type)}">
+                <div class="track-label">${Utils.escapeHtml(track.name)}</div>
+                <div class="track-lane">
+                    ${track.clips.map(clip => `
+                        <div class="timeline-clip clip-${Utils.escapeHtml(track.type)}${clip.id === this.selectedClipId ? ' selected' : ''}" data-clip-id="${Utils.escapeHtml(clip.id)}"
+                             style="left: ${(clip.start / duration) * 100}%; width: ${(this.timeline.getClipDuration(clip) / duration) * 100}%;"
+                             title="${Utils.escapeHtml(clip.name)}">
+                            ${this.renderClipThumbnails(clip)}
+                            <span class="clip-label">${Utils.escapeHtml(clip.name)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        this.collaboration.renderPresence();
+    }
+
     handleKeyboardShortcuts(event) {
         const shortcuts = {
             'Space': 'play_pause',
@@ -232,7 +464,16 @@ class VideoEditor {
             'KeyY': 'redo'
         };
 
-        const shortcut = shortcuts[event.code];
+        // Leave typing in the project name and tool inputs alone
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable]')) {
+            return;
+        }
+
+        let shortcut = shortcuts[event.code];
+        if (shortcut === 'undo' && event.shiftKey) {
+            shortcut = 'redo';
+        }
+
         if (shortcut) {
             event.preventDefault();
             
@@ -252,7 +493,175 @@ class VideoEditor {
                 shortcut: shortcut,
                 key: event.code 
             });
+
+            this.applyShortcut(shortcut);
+        }
+    }
+
+    applyShortcut(shortcut) {
+        const actions = {
+            play_pause: () => this.togglePlayback(),
+            seek_backward: () => this.seek(this.currentTime - PreviewPlayer.SEEK_STEP),
+            seek_forward: () => this.seek(this.currentTime + PreviewPlayer.SEEK_STEP),
+            undo: () => this.undo(),
+            redo: () => this.redo(),
+            copy: () => this.copySelectedClip(),
+            paste: () => this.pasteClip(),
+            delete_element: () => this.deleteSelectedClip(),
+            split_clip: () => this.splitSelectedClip()
+        };
+
+        if (actions[shortcut]) {
+            actions[shortcut]();
+        }
+    }
+
+    // Preview Playback
+    play() {
+        if (!this.preview.play()) return false;
+
+        this.isPlaying = true;
+        this.trackInteraction('video_play', {
+            position: this.currentTime,
+            timeline_duration: this.duration
+        });
+        return true;
+    }
+
+    pause() {
+        const playback = this.preview.pause();
+        if (!playback) return false;
+
+        this.isPlaying = false;
+        this.trackInteraction('video_pause', playback);
+
+        analytics.track('Preview Watched', {
+            user_id: window.app?.currentUser?.email,
+            project_id: this.currentProject?.id || null,
+            watch_time_seconds: Math.round(playback.watch_time_ms / 100) / 10,
+            start_position: playback.start_position,
+            end_position: playback.end_position,
+            timeline_duration: this.duration,
+            watched_percentage: this.duration ? Math.round((playback.end_position - playback.start_position) / this.duration * 100) : 0,
+            reached_end: playback.reached_end
+        });
+        return true;
+    }
+
+    togglePlayback() {
+        return this.isPlaying ? this.pause() : this.play();
+    }
+
+    seek(time) {
+        const target = this.preview.seek(time);
+        this.collaboration.sendPresence();
+        return target;
+    }
+
+    // Edit History
+    executeCommand(command) {
+        if (this.isReadOnly()) {
+            this.notifyReadOnly();
+            return null;
+        }
+
+        const result = this.history.execute(command, this.timeline);
+        if (result) {
+            this.onTimelineChanged();
+        }
+        return result;
+    }
+
+    undo() {
+        if (this.isReadOnly()) return false;
+
+        const command = this.history.undo(this.timeline);
+        if (!command) return false;
+
+        this.onTimelineChanged();
+        this.trackInteraction('undo', {
+            command: command.name,
+            undo_depth: this.history.undoStack.length
+        });
+        return true;
+    }
+
+    redo() {
+        if (this.isReadOnly()) return false;
+
+        const command = this.history.redo(this.timeline);
+        if (!command) return false;
+
+        this.onTimelineChanged();
+        this.trackInteraction('redo', {
+            command: command.name,
+            redo_depth: this.history.redoStack.length
+        });
+        return true;
+    }
+
+    // Clip Selection & Clipboard
+    selectClip(clipId) {
+        this.selectedClipId = this.timeline.getClip(clipId) ? clipId : null;
+        this.collaboration.sendPresence();
+        this.renderTimeline();
+        this.refreshToolPanel('text');
+        this.refreshToolPanel('audio');
+        this.refreshToolPanel('effects');
+    }
+
+    getSelectedClip() {
+        return this.selectedClipId ? this.timeline.getClip(this.selectedClipId) : null;
+    }
+
+    copySelectedClip() {
+        const clip = this.getSelectedClip();
+        if (!clip) return false;
+
+        this.clipboard = JSON.parse(JSON.stringify(clip));
+        return true;
+    }
+
+    pasteClip() {
+        if (!this.clipboard) return false;
+
+        const { id, trackId, start, ...clipData } = this.clipboard;
+        const clip = this.trackElementAdd(this.clipboard.type, {
+            ...clipData,
+            method: 'paste'
+        });
+
+        if (clip) {
+            this.selectClip(clip.id);
+        }
+        return clip;
+    }
+
+    deleteSelectedClip() {
+        const clip = this.getSelectedClip();
+        if (!clip) return false;
+
+        const removed = this.executeCommand(new RemoveClipCommand(clip.id));
+        if (removed) {
+            this.selectedClipId = null;
+            this.renderTimeline();
+            this.trackInteraction('element_delete', { element_type: removed.type });
+        }
+        return !!removed;
+    }
+
+    splitSelectedClip() {
+        const clip = this.getSelectedClip();
+        if (!clip) return false;
+
+        const newClip = this.executeCommand(new SplitClipCommand(clip.id, this.currentTime));
+        if (newClip) {
+            this.trackInteraction('clip_split', {
+                element_type: clip.type,
+                split_position: this.currentTime
+            });
         }
+        return !!newClip;
     }
 
     // Advanced Feature Tracking
@@ -310,126 +719,419 @@ class VideoEditor {
 
     // Project Management
     createNewProject(projectData = {}) {
-        const project = {
-            id: 'proj_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-            name: projectData.name || 'Untitled Project',
-            created_at: new Date().toISOString(),
-            duration: 0,
-            elements: [],
-            settings: {
-                resolution: '1080p',
-                framerate: 30,
-                quality: window.app?.currentPlan === 'free' ? 'standard' : 'high'
-            }
-        };
+        const nameInput = document.getElementById('project-name');
+
+        // Adopt the editor's current timeline unless the caller supplies one
+        const project = window.projectService.create({
+            name: nameInput?.value.trim() || undefined,
+            timeline: this.timeline.toJSON(),
+            duration: this.duration,
+            settings: { ...this.canvasSettings },
+            ...projectData
+        });
 
         this.currentProject = project;
+        this.setCanvasSettings(project.settings);
 
-        // Track project creation with enhanced properties
-        analytics.track('Project Created', {
-            user_id: window.app?.currentUser?.email,
-            project_id: project.id,
-            project_name: project.name,
-            project_type: 'video_editing',
-            creation_method: projectData.method || 'new_project_button',
-            template_used: projectData.template || null,
-            user_plan: window.app?.currentPlan,
-            projects_created_today: this.getProjectsCreatedToday(),
-            total_projects_created: this.getTotalProjectsCreated() + 1,
-            collaboration_enabled: false,
-            default_settings: project.settings,
-            creation_source: 'editor_interface'
-        });
-
-        // Check for onboarding milestones
-        if (this.getTotalProjectsCreated() === 0) {
-            if (window.veedAnalytics) {
-                window.veedAnalytics.trackOnboardingMilestone('first_project_created');
-            }
+        if (projectData.timeline) {
+            this.timeline.load(project.timeline);
+            this.history.clear();
+            this.selectedClipId = null;
         }
+        this.setProjectName(project.name);
+        this.onTimelineChanged(false);
+        this.startCollaboration();
+
+        // The new project was persisted with the current state, so any unsaved draft is obsolete
+        this.autosave.markClean();
+        this.autosave.discard(this.autosave.getDraftKey(null));
 
         return project;
     }
 
-    saveProject() {
+    // Make sure the open timeline belongs to a project, creating it on first use
+    ensureProject(method = 'from_scratch') {
         if (!this.currentProject) {
-            this.currentProject = this.createNewProject();
+            this.createNewProject({ method: method });
+        }
+        return this.currentProject;
+    }
+
+    saveProject() {
+        if (this.reviewMode) return null;
+        if (window.teamSpace && !window.teamSpace.requireProjectPermission(this.currentProject, 'save')) return null;
+
+        this.ensureProject();
+
+        const nameInput = document.getElementById('project-name');
+        if (nameInput && nameInput.value.trim()) {
+            this.currentProject.name = nameInput.value.trim();
         }
 
-        const saveData = {
-            project_id: this.currentProject.id,
+        this.currentProject = window.projectService.save({
+            ...this.currentProject,
+            timeline: this.timeline.toJSON(),
+            duration: this.duration,
+            save_count: (this.currentProject.save_count || 0) + 1
+        });
+
+        this.trackProjectSaved('manual', false);
+
+        // A manual save supersedes any autosaved draft
+        this.autosave.markClean();
+        this.autosave.discard();
+
+        return this.currentProject;
+    }
+
+    // Team viewers and review link visitors can look at a project but not edit, save or export it
+    isReadOnly() {
+        if (this.reviewMode) return true;
+        return !!window.teamSpace && !window.teamSpace.canAccessProject(this.currentProject, 'save');
+    }
+
+    notifyReadOnly() {
+        window.app?.showNotification(this.reviewMode
+            ? 'This is a review link, so the video can\'t be edited. Leave a comment instead.'
+            : 'You have view-only access to this team project', 'info');
+    }
+
+    // Review mode hides the editing tools and leaves only the comments panel
+    setReviewMode(enabled) {
+        this.reviewMode = enabled;
+
+        const modal = document.getElementById('editor-modal');
+        if (modal) {
+            modal.classList.toggle('review-mode', enabled);
+        }
+
+        const nameInput = document.getElementById('project-name');
+        if (nameInput) {
+            nameInput.readOnly = enabled;
+        }
+
+        if (enabled) {
+            this.pause();
+            window.switchTool('comments');
+        } else if (this.activeTool === 'comments') {
+            this.refreshToolPanel('comments');
+        }
+    }
+
+    trackProjectSaved(trigger, isAutoSave) {
+        analytics.track('Project Saved', {
+            user_id: window.app?.currentUser?.email,
+            project_id: this.currentProject?.id || null,
             elements_count: this.getElementCount(),
             timeline_duration: this.duration,
             complexity_score: this.calculateTimelineComplexity(),
             tools_used: Object.keys(this.toolUsage),
-            save_trigger: 'manual'
-        };
-
-        analytics.track('Project Saved', {
-            user_id: window.app?.currentUser?.email,
-            ...saveData,
+            save_trigger: trigger,
             session_duration: Date.now() - this.editorStartTime,
-            auto_save: false,
+            auto_save: isAutoSave,
             save_count: this.getSaveCount(),
             data_size_kb: this.estimateProjectSize()
         });
+    }
 
-        // Simulate save process
-        localStorage.setItem(`project_${this.currentProject.id}`, JSON.stringify(this.currentProject));
-        
-        // Update project counter
-        const totalProjects = this.getTotalProjectsCreated() + 1;
-        localStorage.setItem('total_projects', totalProjects.toString());
-        
-        if (window.app) {
-            window.app.projectCount = totalProjects;
+    // Apply an autosaved draft on top of the current project
+    restoreDraft(draft) {
+        if (draft.project) {
+            this.currentProject = { ...draft.project };
+            this.setCanvasSettings(draft.project.settings);
+        }
+
+        this.timeline.load(draft.timeline);
+        this.history.clear();
+        this.selectedClipId = null;
+        this.setProjectName(draft.name);
+
+        // The restored state is still newer than the last manual save
+        this.onTimelineChanged(true);
+    }
+
+    // Reopen a saved project and rehydrate its timeline
+    loadProject(projectId) {
+        const project = window.projectService.load(projectId);
+        if (!project) return null;
+
+        this.currentProject = project;
+        this.setCanvasSettings(project.settings);
+        this.timeline.load(project.timeline || { tracks: [] });
+        this.history.clear();
+        this.selectedClipId = null;
+        this.currentTime = 0;
+        this.setProjectName(project.name);
+        this.onTimelineChanged(false);
+        this.autosave.markClean();
+        this.startCollaboration();
+        this.comments.reset();
+
+        if (this.isReadOnly() && !this.reviewMode) {
+            this.notifyReadOnly();
+        }
+
+        return project;
+    }
+
+    // Start from an empty timeline that becomes a project on first save
+    resetProject() {
+        this.collaboration.leave();
+        this.currentProject = null;
+        this.setCanvasSettings();
+        this.timeline.clear();
+        this.history.clear();
+        this.selectedClipId = null;
+        this.currentTime = 0;
+        this.setProjectName('Untitled Project');
+        this.onTimelineChanged(false);
+        this.autosave.markClean();
+        this.comments.reset();
+    }
+
+    setProjectName(name) {
+        const nameInput = document.getElementById('project-name');
+        if (nameInput) {
+            nameInput.value = name;
+        }
+    }
+
+    // Project Canvas
+    setCanvasSettings(settings = {}) {
+        this.canvasSettings = ProjectCanvas.getSettings(settings);
+        this.preview.resize(this.canvasSettings);
+        this.renderCanvasControls();
+    }
+
+    updateCanvasSettings(changes) {
+        const previous = this.canvasSettings;
+        this.setCanvasSettings({ ...previous, ...changes });
+
+        if (this.currentProject) {
+            this.currentProject.settings = { ...this.currentProject.settings, ...this.canvasSettings };
+            this.autosave.markDirty();
+        }
+
+        const size = ProjectCanvas.getDimensions(this.canvasSettings, 1080);
+        analytics.track('Project Canvas Changed', {
+            user_id: window.app?.currentUser?.email,
+            project_id: this.currentProject?.id || null,
+            setting: Object.keys(changes)[0],
+            aspect_ratio: ProjectCanvas.getLabel(this.canvasSettings),
+            previous_aspect_ratio: ProjectCanvas.getLabel(previous),
+            frame_rate: this.canvasSettings.framerate,
+            previous_frame_rate: previous.framerate,
+            canvas_resolution: `${size.width}x${size.height}`,
+            template_id: this.currentProject?.template || null
+        });
+
+        this.trackInteraction('canvas_change', { setting: Object.keys(changes)[0] });
+        return this.canvasSettings;
+    }
+
+    renderCanvasControls() {
+        const settings = this.canvasSettings;
+        const aspectSelect = document.getElementById('project-aspect-ratio');
+        const frameRateSelect = document.getElementById('project-framerate');
+        const customSize = document.getElementById('project-custom-size');
+
+        if (aspectSelect) {
+            aspectSelect.innerHTML = Object.entries(ProjectCanvas.ASPECT_RATIOS).map(([ratio, preset]) => `
+                <option value="${ratio}" ${ratio === settings.aspect_ratio ? 'selected' : ''}>${preset.label}</option>
+            `).join('');
+        }
+
+        if (frameRateSelect) {
+            frameRateSelect.innerHTML = ProjectCanvas.FRAME_RATES.map(rate => `
+                <option value="${rate}" ${rate === settings.framerate ? 'selected' : ''}>${rate} fps</option>
+            `).join('');
+        }
+
+        if (customSize) {
+            customSize.style.display = settings.aspect_ratio === 'custom' ? 'flex' : 'none';
+            document.getElementById('project-custom-width').value = settings.custom_width;
+            document.getElementById('project-custom-height').value = settings.custom_height;
+        }
+    }
+
+    // Export dialog
+    showExportDialog() {
+        if (this.reviewMode) return false;
+        if (window.teamSpace && !window.teamSpace.requireProjectPermission(this.currentProject, 'export')) return false;
+
+        if (this.timeline.getClipCount() === 0) {
+            this.trackExportFailure('empty_timeline');
+            window.app?.showNotification('Add something to the timeline before exporting', 'error');
+            return false;
+        }
+
+        // Without its source a clip would export as a placeholder box and silence
+        const missing = this.mediaBin.getMissingSources(this.timeline.getClips());
+        if (missing.length > 0) {
+            this.trackExportFailure('missing_media');
+            window.app?.showNotification(`${missing.length} media file${missing.length === 1 ? ' is' : 's are'} missing from this project. Re-import ${missing.length === 1 ? 'it' : 'them'} to export.`, 'error');
+            return false;
+        }
+
+        // Effects the plan no longer includes stay on their clips but are left out, so say so before rendering
+        const unlicensed = EffectsLibrary.getUnlicensed(this.timeline);
+        if (unlicensed.length > 0) {
+            analytics.track('Plan Limitation Hit', {
+                user_id: window.app?.currentUser?.email,
+                limitation_type: 'effects',
+                current_plan: window.app?.currentPlan,
+                attempted_action: 'export_with_effects',
+                feature_requested: unlicensed.join(', '),
+                upgrade_opportunity: !!Entitlements.getUpgradePlan(window.app?.currentUser, 'effects')
+            });
+            window.app?.showNotification(`${unlicensed.join(', ')} ${unlicensed.length === 1 ? 'is' : 'are'} not included in your plan and will be left out of this export. Upgrade to keep ${unlicensed.length === 1 ? 'it' : 'them'}.`, 'warning');
+        }
+
+        const formats = ExportRenderer.getSupportedFormats();
+        if (formats.length === 0) {
+            this.trackExportFailure('unsupported_browser');
+            window.app?.showNotification('Exporting is not supported in this browser', 'error');
+            return false;
         }
 
+        const qualities = this.getExportQualities();
+        const hdPlan = Entitlements.PLANS[Entitlements.getUpgradePlan(window.app?.currentUser, 'hd_export')];
+        const qualitySelect = document.getElementById('export-quality');
+        const formatSelect = document.getElementById('export-format');
+
+        if (qualitySelect) {
+            qualitySelect.innerHTML = Object.keys(ExportRenderer.QUALITY_PRESETS).map(quality => `
+                <option value="${quality}" ${qualities.includes(quality) ? '' : 'disabled'}>${quality}${qualities.includes(quality) || !hdPlan ? '' : ` (${hdPlan.name})`}</option>
+            `).join('');
+            qualitySelect.value = this.getDefaultExportQuality();
+            qualitySelect.onchange = () => this.updateExportEstimate();
+        }
+
+        if (formatSelect) {
+            formatSelect.innerHTML = formats.map(format => `<option value="${format}">${format.toUpperCase()}</option>`).join('');
+        }
+
+        this.updateExportEstimate();
+        this.renderExportUsage();
+        this.renderWatermarkPreview();
+        this.setExportState('settings');
+        window.app?.showModal('export-modal');
         return true;
     }
 
+    closeExportDialog() {
+        if (this.exportRenderer) {
+            this.exportRenderer.cancel();
+        }
+        window.app?.closeModal('export-modal');
+    }
+
+    // Show free users the frame they will get, watermark included, next to the upgrade CTA
+    renderWatermarkPreview() {
+        const container = document.getElementById('export-watermark');
+        const canvas = document.getElementById('export-watermark-preview');
+        const watermark = Watermark.forPlan(window.app?.currentPlan);
+
+        if (container) {
+            container.style.display = watermark ? 'block' : 'none';
+        }
+        if (!watermark || !canvas) return;
+
+        const size = ProjectCanvas.getDimensions(this.canvasSettings, 180);
+        canvas.width = size.width;
+        canvas.height = size.height;
+
+        const context = canvas.getContext('2d');
+        this.preview.compositor.drawFrame(context, this.currentTime, canvas);
+        watermark.draw(context, canvas);
+
+        analytics.track('Watermark Preview Shown', {
+            user_id: window.app?.currentUser?.email,
+            project_id: this.currentProject?.id || null,
+            user_plan: window.app?.currentPlan,
+            watermark_position: watermark.options.position
+        });
+    }
+
+    setExportState(state) {
+        const content = document.querySelector('.export-content');
+        if (content) {
+            content.dataset.state = state;
+        }
+    }
+
+    updateExportEstimate() {
+        const estimate = document.getElementById('export-estimate');
+        const quality = document.getElementById('export-quality')?.value;
+        const preset = ExportRenderer.QUALITY_PRESETS[quality] || ExportRenderer.QUALITY_PRESETS['720p'];
+        const size = ProjectCanvas.getDimensions(this.canvasSettings, preset.size);
+        if (estimate) {
+            estimate.textContent = `${size.width}×${size.height} at ${this.canvasSettings.framerate} fps · About ${this.estimateExportSize({ quality: quality })} MB · takes about ${Math.ceil(this.duration)}s to render`;
+        }
+    }
+
+    renderExportUsage() {
+        const container = document.getElementById('export-usage');
+        if (!container || !window.usageMeter) return;
+
+        container.textContent = window.usageMeter.getSummary().map(entry => window.usageMeter.describe(entry)).join(' · ');
+    }
+
+    updateExportProgress(progress) {
+        const fill = document.getElementById('export-progress-fill');
+        const status = document.getElementById('export-status');
+        const percentage = Math.round(progress * 100);
+
+        if (fill) fill.style.width = `${percentage}%`;
+        if (status) status.textContent = `Rendering… ${percentage}%`;
+    }
+
     // Export functionality with detailed tracking
     exportProject(exportSettings = {}) {
-        if (!this.currentProject) {
-            analytics.track('Export Attempt Failed', {
-                user_id: window.app?.currentUser?.email,
-                failure_reason: 'no_project',
-                user_plan: window.app?.currentPlan
-            });
+        if (this.exportRenderer || this.reviewMode) return false;
+        if (window.teamSpace && !window.teamSpace.requireProjectPermission(this.currentProject, 'export')) return false;
+
+        if (this.timeline.getClipCount() === 0) {
+            this.trackExportFailure('empty_timeline');
+            return false;
+        }
+        if (this.mediaBin.getMissingSources(this.timeline.getClips()).length > 0) {
+            this.trackExportFailure('missing_media');
             return false;
         }
 
+        // Qualities outside the plan fall back to the plan's default regardless of what was requested
+        const quality = this.getExportQualities().includes(exportSettings.quality) ? exportSettings.quality : this.getDefaultExportQuality();
+        const preset = ExportRenderer.QUALITY_PRESETS[quality] || ExportRenderer.QUALITY_PRESETS['720p'];
+        const project = this.ensureProject();
+        const size = ProjectCanvas.getDimensions(this.canvasSettings, preset.size);
+        const templateSlots = TemplateEngine.getSlotStats(this.timeline);
+
         const exportData = {
-            project_id: this.currentProject.id,
-            export_format: exportSettings.format || 'mp4',
-            export_quality: exportSettings.quality || (window.app?.currentPlan === 'free' ? '720p' : '1080p'),
-            export_resolution: exportSettings.resolution || '1920x1080',
-            estimated_file_size_mb: this.estimateExportSize(exportSettings),
+            project_id: project.id,
+            export_format: exportSettings.format || ExportRenderer.getSupportedFormats()[0] || 'webm',
+            export_quality: quality,
+            export_resolution: `${size.width}x${size.height}`,
+            export_aspect_ratio: ProjectCanvas.getLabel(this.canvasSettings),
+            export_frame_rate: this.canvasSettings.framerate,
+            estimated_file_size_mb: this.estimateExportSize({ quality: quality }),
             processing_time_estimate: this.estimateProcessingTime(),
-            watermark_included: window.app?.currentPlan === 'free',
+            watermark_included: Watermark.isRequired(window.app?.currentPlan),
             subtitle_tracks: this.getSubtitleTracks(),
+            subtitle_cues: this.getSubtitleCues(),
             audio_tracks: this.getAudioTracks(),
+            audio_clips: this.timeline.getClipCount('audio'),
+            background_music: this.audioMixer.hasBackgroundMusic(),
             effects_applied: this.getAppliedEffects(),
+            effects_skipped: EffectsLibrary.getUnlicensed(this.timeline).length,
+            template_id: project.template || null,
+            template_slots_total: templateSlots.total,
+            template_slots_filled: templateSlots.filled,
             export_trigger: exportSettings.trigger || 'export_button'
         };
 
-        // Check export limits for free users
         const dailyExports = this.getDailyExportCount();
-        const exportLimits = { free: 1, pro: 50, business: 200 };
-        const userLimit = exportLimits[window.app?.currentPlan] || 0;
-
-        if (dailyExports >= userLimit && window.app?.currentPlan === 'free') {
-            analytics.track('Export Limit Reached', {
-                user_id: window.app?.currentUser?.email,
-                daily_exports: dailyExports,
-                plan_limit: userLimit,
-                current_plan: window.app?.currentPlan,
-                upgrade_opportunity: true
-            });
-
-            this.showUpgradePrompt('export_limit');
-            return false;
-        }
+        if (!this.checkExportQuotas()) return false;
 
         analytics.track('Video Export Started', {
             user_id: window.app?.currentUser?.email,
@@ -441,42 +1143,200 @@ class VideoEditor {
             collaboration_project: this.isCollaborationProject()
         });
 
-        // Simulate export process
+        // Second stage of "Template Used": how much of the template was made the user's own
+        if (project.template) {
+            analytics.track('Template Used', {
+                templateId: project.template,
+                projectId: project.id,
+                plan: window.app?.currentPlan,
+                usageStage: 'exported',
+                slotsTotal: templateSlots.total,
+                slotsFilled: templateSlots.filled,
+                slotsFilledPercentage: templateSlots.total ? Math.round(templateSlots.filled / templateSlots.total * 100) : 0
+            });
+        }
+
         return this.processExport(exportData);
     }
 
+    // An export needs one of today's exports and its length in this month's video minutes
+    checkExportQuotas() {
+        const user = window.app?.currentUser;
+        const needed = { exports_per_day: 1, export_minutes_per_month: this.duration / 60 };
+        const reasons = { exports_per_day: 'export_limit', export_minutes_per_month: 'video_minutes' };
+        const blocked = window.usageMeter?.getSummary(user).find(entry => entry.remaining < needed[entry.quota]);
+        if (!blocked) return true;
+
+        analytics.track('Export Limit Reached', {
+            user_id: user?.email,
+            limit_type: blocked.quota,
+            daily_exports: this.getDailyExportCount(),
+            monthly_export_minutes: Math.round(window.usageMeter.get('export_minutes', 'month') * 100) / 100,
+            export_minutes: Math.round(needed.export_minutes_per_month * 100) / 100,
+            plan_limit: blocked.limit,
+            current_plan: window.app?.currentPlan,
+            resets_at: blocked.resets_at,
+            upgrade_opportunity: !!Entitlements.getUpgradePlan(user, reasons[blocked.quota])
+        });
+
+        window.app?.closeModal('export-modal');
+        if (Entitlements.getUpgradePlan(user, reasons[blocked.quota])) {
+            this.showUpgradePrompt(reasons[blocked.quota]);
+        } else {
+            window.app?.showNotification(`Not enough usage left for this export: ${window.usageMeter.describe(blocked)}`, 'error');
+        }
+        return false;
+    }
+
     processExport(exportData) {
-        // Simulate processing time
-        const processingTime = Math.random() * 30000 + 10000; // 10-40 seconds
-        
-        setTimeout(() => {
-            analytics.track('Video Export Completed', {
-                user_id: window.app?.currentUser?.email,
-                project_id: exportData.project_id,
-                actual_processing_time_ms: processingTime,
-                export_success: true,
-                file_size_mb: exportData.estimated_file_size_mb * (0.8 + Math.random() * 0.4), // Some variance
-                export_quality: exportData.export_quality,
-                bandwidth_usage_mb: exportData.estimated_file_size_mb
+        const renderer = new ExportRenderer(this.timeline, this.mediaBin);
+        this.exportRenderer = renderer;
+
+        this.pause();
+        this.updateExportProgress(0);
+        this.setExportState('progress');
+
+        renderer.render({
+            quality: exportData.export_quality,
+            format: exportData.export_format,
+            canvas: this.canvasSettings,
+            watermark: Watermark.forPlan(window.app?.currentPlan),
+            onProgress: (progress) => this.updateExportProgress(progress)
+        })
+            .then(result => this.onExportCompleted(exportData, result))
+            .catch(error => {
+                if (renderer.cancelled) {
+                    this.onExportCancelled(exportData, renderer);
+                } else {
+                    this.onExportFailed(exportData, error);
+                }
+            })
+            .then(() => {
+                this.exportRenderer = null;
             });
 
-            // Update daily export count
-            this.incrementDailyExports();
-            
-            if (window.app) {
-                window.app.showNotification('Video exported successfully!', 'success');
-            }
-        }, processingTime);
+        return true;
+    }
 
+    cancelExport() {
+        if (!this.exportRenderer) return false;
+
+        this.exportRenderer.cancel();
         return true;
     }
 
+    onExportCompleted(exportData, result) {
+        const fileSizeMb = Math.round(result.blob.size / (1024 * 1024) * 100) / 100;
+
+        analytics.track('Video Export Completed', {
+            user_id: window.app?.currentUser?.email,
+            project_id: exportData.project_id,
+            actual_processing_time_ms: result.elapsed_ms,
+            export_success: true,
+            file_size_mb: fileSizeMb,
+            file_size_bytes: result.blob.size,
+            estimated_file_size_mb: exportData.estimated_file_size_mb,
+            export_quality: exportData.export_quality,
+            export_format: result.format,
+            export_resolution: `${result.width}x${result.height}`,
+            export_aspect_ratio: exportData.export_aspect_ratio,
+            export_frame_rate: result.frame_rate,
+            mime_type: result.mime_type,
+            export_encoder: result.encoder,
+            video_duration: result.duration,
+            watermark_included: result.watermark,
+            bandwidth_usage_mb: 0 // Rendered locally; nothing is uploaded
+        });
+
+        this.recordExportUsage(result.duration);
+
+        if (window.veedAnalytics) {
+            window.veedAnalytics.trackVideoExport({
+                projectId: exportData.project_id,
+                duration: result.duration,
+                quality: exportData.export_quality,
+                format: result.format,
+                fileSize: fileSizeMb,
+                processingTime: Math.round(result.elapsed_ms / 1000),
+                hasWatermark: result.watermark,
+                hasSubtitles: exportData.subtitle_cues > 0,
+                subtitleTracks: exportData.subtitle_tracks,
+                subtitleCues: exportData.subtitle_cues,
+                audioTracks: exportData.audio_tracks,
+                backgroundMusic: exportData.background_music,
+                effectsCount: exportData.effects_applied,
+                isCollaborative: this.isCollaborationProject()
+            });
+        }
+
+        // Only the latest export is kept available for download
+        if (this.exportUrl) {
+            URL.revokeObjectURL(this.exportUrl);
+        }
+        this.exportUrl = URL.createObjectURL(result.blob);
+
+        const fileName = (this.currentProject?.name || 'video').replace(/[\\/:*?"<>|]+/g, '_');
+        const download = document.getElementById('export-download');
+        if (download) {
+            download.href = this.exportUrl;
+            download.download = `${fileName}.${result.format}`;
+        }
+
+        const summary = document.getElementById('export-result');
+        if (summary) {
+            summary.textContent = `${exportData.export_quality} ${result.format.toUpperCase()} · ${fileSizeMb} MB · rendered in ${Math.round(result.elapsed_ms / 1000)}s`;
+        }
+
+        this.setExportState('complete');
+
+        if (window.app) {
+            window.app.showNotification('Video exported successfully!', 'success');
+        }
+    }
+
+    onExportCancelled(exportData, renderer) {
+        analytics.track('Video Export Cancelled', {
+            user_id: window.app?.currentUser?.email,
+            project_id: exportData.project_id,
+            export_quality: exportData.export_quality,
+            export_format: exportData.export_format,
+            progress_percentage: Math.round(renderer.progress * 100),
+            elapsed_time_ms: renderer.getElapsed()
+        });
+
+        this.setExportState('settings');
+    }
+
+    onExportFailed(exportData, error) {
+        analytics.track('Video Export Failed', {
+            user_id: window.app?.currentUser?.email,
+            project_id: exportData.project_id,
+            export_quality: exportData.export_quality,
+            export_format: exportData.export_format,
+            error_message: error.message
+        });
+
+        this.setExportState('settings');
+
+        if (window.app) {
+            window.app.showNotification(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    trackExportFailure(reason) {
+        analytics.track('Export Attempt Failed', {
+            user_id: window.app?.currentUser?.email,
+            failure_reason: reason,
+            user_plan: window.app?.currentPlan
+        });
+    }
+
     // Collaboration Features
     enableCollaboration() {
-        if (window.app?.currentPlan === 'free') {
+        if (!Entitlements.can(window.app?.currentUser, 'collaboration')) {
             analytics.track('Collaboration Feature Blocked', {
                 user_id: window.app?.currentUser?.email,
-                current_plan: 'free',
+                current_plan: window.app?.currentPlan,
                 feature: 'collaboration',
                 upgrade_opportunity: true
             });
@@ -485,40 +1345,58 @@ class VideoEditor {
             return false;
         }
 
+        this.ensureProject();
+        this.startCollaboration();
+
         analytics.track('Collaboration Enabled', {
             user_id: window.app?.currentUser?.email,
             project_id: this.currentProject?.id,
             user_plan: window.app?.currentPlan,
             team_size: this.getTeamSize(),
-            collaboration_method: 'project_sharing'
+            collaboration_method: 'project_sharing',
+            live_session: this.collaboration.isConnected()
         });
 
         return true;
     }
 
+    // Live editing is a paid feature, but anyone a project was shared with can join its session
+    startCollaboration() {
+        if (!this.currentProject) return false;
+
+        const shared = !!window.teamSpace && window.teamSpace.isSharedProject(this.currentProject);
+        if (!Entitlements.can(window.app?.currentUser, 'collaboration') && !shared) return false;
+
+        return this.collaboration.join(this.currentProject.id);
+    }
+
+    // Returns the persisted invite, or null if it could not be sent
     inviteCollaborator(email, role = 'editor') {
-        if (!this.enableCollaboration()) return false;
+        if (!this.enableCollaboration() || !window.inviteManager) return null;
 
-        const inviteData = {
-            invitee_email: email,
+        const teamSizeBefore = this.getTeamSize();
+        const invite = window.inviteManager.create({
+            email: email,
             role: role,
-            project_id: this.currentProject?.id,
-            invite_method: 'email',
-            team_size_before: this.getTeamSize()
-        };
-
-        if (window.veedAnalytics) {
-            window.veedAnalytics.trackUserInvited(inviteData);
-        }
+            project_id: this.ensureProject().id,
+            context: 'editor_interface'
+        });
+        if (!invite) return null;
 
         analytics.track('Collaborator Invited', {
             user_id: window.app?.currentUser?.email,
-            ...inviteData,
+            invite_id: invite.id,
+            invitee_email: invite.invitee_email,
+            role: invite.role,
+            project_id: invite.project_id,
+            invite_method: 'link',
+            times_sent: invite.sent_count,
+            team_size_before: teamSizeBefore,
             invitation_context: 'editor_interface',
             project_complexity: this.calculateTimelineComplexity()
         });
 
-        return true;
+        return invite;
     }
 
     // Helper Methods for Analytics
@@ -603,14 +1481,17 @@ class VideoEditor {
 
     // Feature availability and limitations
     getFeatureAvailability(featureName) {
-        const planFeatures = {
-            free: ['media', 'text', 'basic_effects'],
-            pro: ['media', 'text', 'effects', 'subtitles', 'audio', 'templates'],
-            business: ['media', 'text', 'effects', 'subtitles', 'audio', 'templates', 'collaboration', 'brand_kit']
-        };
-        
-        const userPlan = window.app?.currentPlan || 'free';
-        return planFeatures[userPlan].includes(featureName) ? 'available' : 'upgrade_required';
+        return Entitlements.can(window.app?.currentUser, featureName) ? 'available' : 'upgrade_required';
+    }
+
+    getExportQualities() {
+        return Entitlements.getDefinition(window.app?.currentUser).export_qualities;
+    }
+
+    // 1080p when the plan allows it, otherwise the best quality it does allow
+    getDefaultExportQuality() {
+        const qualities = this.getExportQualities();
+        return qualities.includes('1080p') ? '1080p' : qualities[qualities.length - 1];
     }
 
     getFeatureTier(featureName) {
@@ -621,7 +1502,8 @@ class VideoEditor {
             effects: 'intermediate',
             subtitles: 'advanced',
             collaboration: 'advanced',
-            brand_kit: 'advanced'
+            brand_kit: 'advanced',
+            comments: 'advanced'
         };
         
         return tiers[featureName] || 'basic';
@@ -631,7 +1513,11 @@ class VideoEditor {
         const messages = {
             element_limit: 'Upgrade to Pro for unlimited elements!',
             export_limit: 'Upgrade to Pro for unlimited exports!',
-            collaboration: 'Upgrade to Business for team collaboration!'
+            effects: 'Upgrade to Pro for the full effects and transitions library!',
+            brand_kit: 'Upgrade to Pro to apply brand kits to your videos!',
+            collaboration: 'Upgrade to Business for team collaboration!',
+            comments: 'Upgrade to Business to collect review comments from your team!',
+            video_minutes: 'Upgrade for more video minutes every month!'
         };
 
         analytics.track('Upgrade Prompt Shown', {
@@ -641,44 +1527,52 @@ class VideoEditor {
             current_plan: window.app?.currentPlan
         });
 
-        if (window.app && confirm(messages[reason] + ' Upgrade now?')) {
-            const targetPlan = reason === 'collaboration' ? 'business' : 'pro';
+        const targetPlan = Entitlements.getUpgradePlan(window.app?.currentUser, reason);
+        if (window.app && targetPlan && confirm(messages[reason] + ' Upgrade now?')) {
             window.app.selectPlan(targetPlan);
         }
     }
 
     // Utility methods (simplified implementations for demo)
-    getElementCount() { return Math.floor(Math.random() * 10); }
-    calculateTimelineComplexity() { return Math.random(); }
+    getElementCount() { return this.timeline.getClipCount(); }
+    calculateTimelineComplexity() { return this.timeline.calculateComplexity(); }
     getOnboardingDay() { return Math.floor(Math.random() * 30); }
     getFeatureAdoptionFunnel() { return ['discovery', 'trial', 'adoption'][Math.floor(Math.random() * 3)]; }
     isPowerUserBehavior() { return Math.random() > 0.7; }
     hasUsedFeatureBefore(feature) { return Math.random() > 0.5; }
     getTimeToFeatureDiscovery() { return Math.floor(Math.random() * 300000); }
-    getAvailableFeaturesForPlan() { return ['media', 'text', 'effects']; }
+    getAvailableFeaturesForPlan() { return Entitlements.getDefinition(window.app?.currentUser).features; }
     calculateChurnRisk(signal) { return Math.random(); }
     getDaysSinceSignup() { return Math.floor(Math.random() * 30); }
     getProjectsCreatedToday() { return Math.floor(Math.random() * 3); }
     getTotalProjectsCreated() { return parseInt(localStorage.getItem('total_projects') || '0'); }
-    getSaveCount() { return Math.floor(Math.random() * 10); }
-    estimateProjectSize() { return Math.floor(Math.random() * 1000); }
-    estimateExportSize(settings) { return Math.floor(Math.random() * 100) + 50; }
-    estimateProcessingTime() { return Math.floor(Math.random() * 120) + 30; }
-    getSubtitleTracks() { return Math.floor(Math.random() * 3); }
-    getAudioTracks() { return Math.floor(Math.random() * 3) + 1; }
-    getAppliedEffects() { return Math.floor(Math.random() * 5); }
-    getDailyExportCount() { return parseInt(localStorage.getItem('daily_exports') || '0'); }
-    getTotalExports() { return parseInt(localStorage.getItem('total_exports') || '0'); }
-    isCollaborationProject() { return Math.random() > 0.8; }
-    getTeamSize() { return Math.floor(Math.random() * 10) + 1; }
+    getSaveCount() { return this.currentProject?.save_count || 0; }
+    estimateProjectSize() { return Math.ceil(JSON.stringify(this.currentProject || {}).length / 1024); }
+    estimateExportSize(settings = {}) {
+        // Approximate MB per second of output at each quality
+        const megabytesPerSecond = { '720p': 0.6, '1080p': 1, '4K': 4.4 };
+        const quality = settings.quality || this.getDefaultExportQuality();
+        return Math.round(this.duration * (megabytesPerSecond[quality] || 1) * 10) / 10;
+    }
+    estimateProcessingTime() { return Math.ceil(this.duration * (0.5 + this.calculateTimelineComplexity())); }
+    getSubtitleTracks() { return this.timeline.getActiveTracks('subtitle').length; }
+    getSubtitleCues() { return this.timeline.getClipCount('subtitles'); }
+    getAudioTracks() { return this.timeline.getActiveTracks('audio').length; }
+    getAppliedEffects() { return EffectsLibrary.countApplied(this.timeline); }
+    getDailyExportCount() { return window.usageMeter ? window.usageMeter.get('exports', 'day') : 0; }
+    getTotalExports() { return window.usageMeter ? window.usageMeter.getTotal('exports') : 0; }
+    isCollaborationProject() {
+        return this.collaboration.hadPeers || (!!window.teamSpace && window.teamSpace.isSharedProject(this.currentProject));
+    }
+    getTeamSize() { return window.teamSpace ? window.teamSpace.getMemberCount() : 1; }
     calculateEfficiencyScore() { return Math.random(); }
     
-    incrementDailyExports() {
-        const current = this.getDailyExportCount();
-        localStorage.setItem('daily_exports', (current + 1).toString());
-        
-        const totalExports = this.getTotalExports();
-        localStorage.setItem('total_exports', (totalExports + 1).toString());
+    recordExportUsage(duration) {
+        if (!window.usageMeter) return;
+
+        window.usageMeter.record('exports', 1);
+        window.usageMeter.record('export_minutes', Math.round(duration / 60 * 100) / 100);
+        window.app?.updateUIBasedOnAuth();
     }
 
     triggerRetentionIntervention(signalType) {
@@ -701,11 +1595,83 @@ class VideoEditor {
     }
 
     initializeTools() {
-        // Initialize tool-specific functionality
-        const tools = ['media', 'text', 'audio', 'effects', 'subtitles'];
-        tools.forEach(tool => {
-            // Set up tool-specific event listeners and functionality
-            // This would contain the actual tool implementation
+        // Tool panel renderers keyed by tab; tools without one show a placeholder
+        this.subtitles = new SubtitleEditor(this);
+        this.textTool = new TextTool(this);
+        this.audioTool = new AudioTool(this);
+        this.effectsTool = new EffectsTool(this);
+        this.templateTool = new TemplateTool(this);
+        this.brandKitTool = new BrandKitTool(this);
+        this.comments = new CommentsTool(this);
+
+        this.toolPanels = {
+            media: () => this.mediaBin.renderPanel(),
+            text: () => this.textTool.renderPanel(),
+            audio: () => this.audioTool.renderPanel(),
+            effects: () => this.effectsTool.renderPanel(),
+            subtitles: () => this.subtitles.renderPanel(),
+            template: () => this.templateTool.renderPanel(),
+            brand: () => this.brandKitTool.renderPanel(),
+            comments: () => this.comments.renderPanel()
+        };
+        this.activeTool = 'media';
+    }
+
+    renderToolPanel(toolName) {
+        const render = this.toolPanels[toolName];
+        if (render) return render();
+
+        return `
+            <div class="tool-placeholder">
+                <h3>${toolName.charAt(0).toUpperCase() + toolName.slice(1)} Tools</h3>
+                <p>Advanced ${toolName} tools would be available here.</p>
+                <div class="tool-grid">
+                    <button class="tool-item" onclick="addElement('${toolName}')">
+                        <i class="fas fa-plus"></i>
+                        Add ${toolName}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    showToolPanel(toolName) {
+        this.activeTool = toolName;
+
+        const toolContent = document.getElementById('tool-content');
+        if (toolContent) {
+            toolContent.innerHTML = this.renderToolPanel(toolName);
+        }
+    }
+
+    // Re-render the open panel after its data changes
+    refreshToolPanel(toolName) {
+        if (this.activeTool === toolName) {
+            this.showToolPanel(toolName);
+        }
+    }
+
+    // Media Import
+    importMedia(file) {
+        return this.mediaBin.importFile(file).then(asset => {
+            this.refreshToolPanel('media');
+            return asset;
+        });
+    }
+
+    addMediaClip(asset, method = 'media_bin', start = this.currentTime) {
+        const properties = asset.type === 'audio'
+            ? { channels: asset.channels, sample_rate: asset.sample_rate }
+            : { width: asset.width, height: asset.height, frame_rate: asset.frame_rate, has_audio: asset.has_audio };
+
+        return this.trackElementAdd(asset.type, {
+            name: asset.name,
+            source: asset.id,
+            start: start,
+            in: 0,
+            out: asset.duration,
+            properties: properties,
+            method: method
         });
     }
 }
@@ -713,6 +1679,10 @@ class VideoEditor {
 // Initialize video editor when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
     window.videoEditor = new VideoEditor();
+
+    // Review and invite links open straight into the editor, so these wait for the global above
+    window.videoEditor.comments.checkReviewLink();
+    window.inviteManager?.checkInviteLink();
 });
 
 // Global editor functions for HTML onclick handlers
@@ -723,54 +1693,71 @@ window.switchTool = function(toolName) {
     
     // Update UI
     document.querySelectorAll('.tool-tab').forEach(tab => {
-        tab.classList.remove('active');
+        tab.classList.toggle('active', tab.dataset.tool === toolName);
     });
-    event.target.classList.add('active');
     
-    const toolContent = document.getElementById('tool-content');
-    if (toolContent) {
-        toolContent.innerHTML = `
-            <div class="tool-placeholder">
-                <h3>${toolName.charAt(0).toUpperCase() + toolName.slice(1)} Tools</h3>
-                <p>Advanced ${toolName} tools would be available here.</p>
-                <div class="tool-grid">
-                    <button class="tool-item" onclick="addElement('${toolName}')">
-                        <i class="fas fa-plus"></i>
-                        Add ${toolName}
-                    </button>
-                </div>
-            </div>
-        `;
+    if (window.videoEditor) {
+        window.videoEditor.showToolPanel(toolName);
     }
 };
 
 window.addElement = function(elementType) {
     if (window.videoEditor) {
-        const success = window.videoEditor.trackElementAdd(elementType);
-        if (success && window.app) {
+        const clip = window.videoEditor.trackElementAdd(elementType);
+        if (clip && window.app) {
             window.app.showNotification(`${elementType} added to timeline`, 'success');
         }
     }
 };
 
+window.addMediaAsset = function(assetId) {
+    const asset = window.videoEditor?.mediaBin.getAsset(assetId);
+    if (asset) {
+        const clip = window.videoEditor.addMediaClip(asset);
+        if (clip && window.app) {
+            window.app.showNotification(`${asset.name} added to timeline`, 'success');
+        }
+    }
+};
+
+// Play button state is kept in sync by the preview player
 window.playVideo = function() {
     if (window.videoEditor) {
-        window.videoEditor.trackInteraction('video_play');
+        window.videoEditor.play();
     }
-    
-    // Update play button state
-    const playBtn = event.target;
-    playBtn.innerHTML = '<i class="fas fa-pause"></i>';
-    playBtn.onclick = pauseVideo;
 };
 
 window.pauseVideo = function() {
     if (window.videoEditor) {
-        window.videoEditor.trackInteraction('video_pause');
+        window.videoEditor.pause();
     }
-    
-    // Update pause button state
-    const pauseBtn = event.target;
-    pauseBtn.innerHTML = '<i class="fas fa-play"></i>';
-    pauseBtn.onclick = playVideo;
-};
\ No newline at end of file
+};
+
+window.startExport = function() {
+    if (window.videoEditor) {
+        window.videoEditor.exportProject({
+            quality: document.getElementById('export-quality')?.value,
+            format: document.getElementById('export-format')?.value,
+            trigger: 'export_button'
+        });
+    }
+};
+
+window.cancelExport = function() {
+    if (window.videoEditor) {
+        window.videoEditor.cancelExport();
+    }
+};
+
+window.closeExportDialog = function() {
+    if (window.videoEditor) {
+        window.videoEditor.closeExportDialog();
+    }
+};
+
+window.upgradeToRemoveWatermark = function() {
+    if (window.app) {
+        window.app.closeModal('export-modal');
+        window.app.showUpgradePrompt('watermark');
+    }
+};
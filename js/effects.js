@@ -0,0 +1,414 @@
+// Clip effects and transitions for the compositor
+// A clip with effects is drawn to its own layer, then composited with canvas filters, where colour grades are
+// per-channel lookup tables turned into SVG filters, and blended with the clip before it during a transition.
+// Preview and export share the same passes.
+
+class EffectsLibrary {
+    // tier 'basic' is available on every plan; 'full' needs the effects feature (Pro and up)
+    static get EFFECTS() {
+        return {
+            brightness: { name: 'Brightness', icon: 'fa-sun', tier: 'basic', min: 0, max: 2, step: 0.05, amount: 1.2, filter: (v) => `brightness(${v})` },
+            contrast: { name: 'Contrast', icon: 'fa-adjust', tier: 'basic', min: 0, max: 2, step: 0.05, amount: 1.3, filter: (v) => `contrast(${v})` },
+            blur: { name: 'Blur', icon: 'fa-tint', tier: 'basic', min: 0, max: 20, step: 1, amount: 4, filter: (v, frame) => `blur(${v * Math.min(frame.width, frame.height) / 1080}px)` },
+            saturation: { name: 'Saturation', icon: 'fa-palette', tier: 'full', min: 0, max: 3, step: 0.1, amount: 1.5, filter: (v) => `saturate(${v})` },
+            black_white: { name: 'Black & White', icon: 'fa-circle-half-stroke', tier: 'full', min: 0, max: 1, step: 0.05, amount: 1, filter: (v) => `grayscale(${v})` },
+            warm: { name: 'Warm Grade', icon: 'fa-fire', tier: 'full', min: 0, max: 1, step: 0.05, amount: 1, grade: { r: [0.03, 1.05, 1.08], g: [0.01, 1, 1.02], b: [0, 0.95, 0.88] } },
+            cool: { name: 'Cool Grade', icon: 'fa-snowflake', tier: 'full', min: 0, max: 1, step: 0.05, amount: 1, grade: { r: [0, 0.95, 0.9], g: [0.01, 1, 1.02], b: [0.04, 1.05, 1.1] } },
+            teal_orange: { name: 'Teal & Orange', icon: 'fa-film', tier: 'full', min: 0, max: 1, step: 0.05, amount: 1, grade: { r: [0.02, 1.1, 1.1], g: [0.02, 1, 0.98], b: [0.08, 0.9, 0.92] } },
+            vintage: { name: 'Vintage', icon: 'fa-camera-retro', tier: 'full', min: 0, max: 1, step: 0.05, amount: 1, grade: { r: [0.1, 1, 0.95], g: [0.08, 1, 0.9], b: [0.06, 0.9, 0.78] } }
+        };
+    }
+
+    static get TRANSITIONS() {
+        return {
+            crossfade: { name: 'Crossfade', tier: 'basic' },
+            wipe: { name: 'Wipe', tier: 'full' },
+            slide: { name: 'Slide', tier: 'full' }
+        };
+    }
+
+    static get TRANSITION_DURATION() { return 1; }
+
+    // Points sampled from a grade's lookup table for its SVG filter; the filter interpolates between them
+    static get GRADE_TABLE_POINTS() { return 33; }
+
+    static get GRADE_FILTERS_ID() { return 'effects-grade-filters'; }
+
+    // Clip types the compositor draws and effects can apply to
+    static get VISUAL_TYPES() { return ['video', 'image', 'text']; }
+
+    static getEffects(clip) {
+        return (clip.properties.effects || []).filter(effect => EffectsLibrary.EFFECTS[effect.type]);
+    }
+
+    static getTransition(clip) {
+        const transition = clip.properties.transition;
+        return transition && EffectsLibrary.TRANSITIONS[transition.type] ? transition : null;
+    }
+
+    // Basic passes come with the free plan's basic_effects; everything else needs the effects feature
+    static isLicensed(definition) {
+        return Entitlements.can(window.app?.currentUser, definition.tier === 'basic' ? 'basic_effects' : 'effects');
+    }
+
+    // Passes the compositor draws. Clips keep full-tier passes added during a trial, by a collaborator on a
+    // higher plan or from a template, but those only render while the plan allows them
+    static getRenderedEffects(clip) {
+        return EffectsLibrary.getEffects(clip).filter(effect => EffectsLibrary.isLicensed(EffectsLibrary.EFFECTS[effect.type]));
+    }
+
+    static getRenderedTransition(clip) {
+        const transition = EffectsLibrary.getTransition(clip);
+        return transition && EffectsLibrary.isLicensed(EffectsLibrary.TRANSITIONS[transition.type]) ? transition : null;
+    }
+
+    static hasPasses(clip) {
+        return EffectsLibrary.getRenderedEffects(clip).length > 0 || EffectsLibrary.getRenderedTransition(clip) !== null;
+    }
+
+    // Names of the effects and transitions on the timeline that the plan leaves out of preview and export
+    static getUnlicensed(timeline) {
+        const names = new Set();
+        timeline.getClips().forEach(clip => {
+            EffectsLibrary.getEffects(clip)
+                .map(effect => EffectsLibrary.EFFECTS[effect.type])
+                .filter(definition => !EffectsLibrary.isLicensed(definition))
+                .forEach(definition => names.add(definition.name));
+
+            const transition = EffectsLibrary.getTransition(clip);
+            if (transition && !EffectsLibrary.isLicensed(EffectsLibrary.TRANSITIONS[transition.type])) {
+                names.add(EffectsLibrary.TRANSITIONS[transition.type].name);
+            }
+        });
+        return Array.from(names);
+    }
+
+    // Effects plus transitions across the timeline, plus legacy effect elements
+    static countApplied(timeline) {
+        return timeline.getClips().reduce((count, clip) =>
+            count + EffectsLibrary.getEffects(clip).length + (EffectsLibrary.getTransition(clip) ? 1 : 0),
+        timeline.getClipCount('effects'));
+    }
+
+    // Grades go first so the other filters work on the graded image
+    static getFilter(effects, frame) {
+        const grades = effects
+            .filter(effect => EffectsLibrary.EFFECTS[effect.type].grade)
+            .map(effect => EffectsLibrary.getGradeFilter(effect));
+        const filters = effects
+            .map(effect => EffectsLibrary.EFFECTS[effect.type])
+            .map((definition, i) => definition.filter ? definition.filter(effects[i].amount, frame) : null)
+            .filter(Boolean);
+
+        return grades.length + filters.length > 0 ? grades.concat(filters).join(' ') : 'none';
+    }
+
+    // 256-entry table per channel from lift / gamma / gain, blended with identity by amount
+    static buildLUT(grade, amount) {
+        return ['r', 'g', 'b'].map(channel => {
+            const [lift, gamma, gain] = grade[channel];
+            const table = new Uint8ClampedArray(256);
+
+            for (let i = 0; i < 256; i++) {
+                const graded = Math.pow(Math.max(0, Math.min(1, (i / 255) * gain + lift)), 1 / gamma) * 255;
+                table[i] = i + (graded - i) * amount;
+            }
+            return table;
+        });
+    }
+
+    // A grade becomes an SVG component-transfer filter the canvas references by id, built once per grade and
+    // amount, so grading runs inside the canvas filter pipeline instead of reading every pixel back each frame
+    static getGradeFilter(effect) {
+        const amount = Math.round(effect.amount * 100);
+        const id = `effects-grade-${effect.type}-${amount}`;
+        if (document.getElementById(id)) return `url(#${id})`;
+
+        const namespace = 'http://www.w3.org/2000/svg';
+        let svg = document.getElementById(EffectsLibrary.GRADE_FILTERS_ID);
+        if (!svg) {
+            svg = document.createElementNS(namespace, 'svg');
+            svg.id = EffectsLibrary.GRADE_FILTERS_ID;
+            svg.setAttribute('aria-hidden', 'true');
+            svg.style.cssText = 'position: absolute; width: 0; height: 0; overflow: hidden;';
+            document.body.appendChild(svg);
+        }
+
+        const filter = document.createElementNS(namespace, 'filter');
+        filter.id = id;
+        filter.setAttribute('color-interpolation-filters', 'sRGB');
+
+        const transfer = document.createElementNS(namespace, 'feComponentTransfer');
+        const points = EffectsLibrary.GRADE_TABLE_POINTS;
+        EffectsLibrary.buildLUT(EffectsLibrary.EFFECTS[effect.type].grade, amount / 100).forEach((table, i) => {
+            const func = document.createElementNS(namespace, `feFunc${'RGB'[i]}`);
+            func.setAttribute('type', 'table');
+            func.setAttribute('tableValues', Array.from({ length: points }, (_, j) =>
+                (table[Math.round(j * 255 / (points - 1))] / 255).toFixed(4)).join(' '));
+            transfer.appendChild(func);
+        });
+
+        filter.appendChild(transfer);
+        svg.appendChild(filter);
+        return `url(#${id})`;
+    }
+
+    // Draw a processed clip layer onto the frame with its filters. While its transition runs, the outgoing
+    // clip's layer ({ clip, layer }) is drawn first so the two blend, rather than the clip coming in over black
+    static composite(context, layer, clip, localTime, frame, outgoing = null) {
+        const transition = EffectsLibrary.getRenderedTransition(clip);
+        const active = transition && localTime < transition.duration;
+        const progress = active ? Math.max(0, localTime / transition.duration) : 1;
+        const eased = 1 - Math.pow(1 - progress, 3);
+
+        if (active && outgoing) {
+            context.save();
+            context.filter = EffectsLibrary.getFilter(EffectsLibrary.getRenderedEffects(outgoing.clip), frame);
+
+            // A slide pushes the outgoing clip off as the new one comes in
+            if (transition.type === 'slide') {
+                context.translate(-frame.width * eased, 0);
+            }
+            context.drawImage(outgoing.layer, 0, 0);
+            context.restore();
+        }
+
+        context.save();
+        context.filter = EffectsLibrary.getFilter(EffectsLibrary.getRenderedEffects(clip), frame);
+
+        if (active) {
+            if (transition.type === 'crossfade') {
+                context.globalAlpha = progress;
+            } else if (transition.type === 'wipe') {
+                context.beginPath();
+                context.rect(0, 0, frame.width * progress, frame.height);
+                context.clip();
+            } else if (transition.type === 'slide') {
+                context.translate(frame.width * (1 - eased), 0);
+            }
+        }
+
+        context.drawImage(layer, 0, 0);
+        context.restore();
+    }
+}
+
+class EffectsTool {
+    constructor(editor) {
+        this.editor = editor;
+
+        this.init();
+    }
+
+    init() {
+        const toolContent = document.getElementById('tool-content');
+        if (!toolContent) return;
+
+        // Sliders preview live while dragging and commit one undo step on release
+        toolContent.addEventListener('input', (e) => {
+            const index = e.target.dataset.effectAmount;
+            if (index !== undefined) {
+                this.previewAmount(parseInt(index), e.target.value);
+            }
+        });
+
+        toolContent.addEventListener('change', (e) => {
+            if (e.target.dataset.effectAmount !== undefined) {
+                this.setAmount(parseInt(e.target.dataset.effectAmount), e.target.value);
+            } else if (e.target.dataset.transitionSetting) {
+                this.updateTransition(e.target.dataset.transitionSetting, e.target.value);
+            }
+        });
+
+        toolContent.addEventListener('click', (e) => {
+            const apply = e.target.closest('[data-effect-type]');
+            const remove = e.target.closest('[data-effect-remove]');
+
+            if (apply) {
+                this.applyEffect(apply.dataset.effectType);
+            } else if (remove) {
+                this.removeEffect(parseInt(remove.dataset.effectRemove));
+            }
+        });
+    }
+
+    getSelectedVisual() {
+        const clip = this.editor.getSelectedClip();
+        return clip && EffectsLibrary.VISUAL_TYPES.includes(clip.type) ? clip : null;
+    }
+
+    isAvailable(definition) {
+        return EffectsLibrary.isLicensed(definition);
+    }
+
+    blockFeature(action, name) {
+        analytics.track('Plan Limitation Hit', {
+            user_id: window.app?.currentUser?.email,
+            limitation_type: 'effects',
+            current_plan: window.app?.currentPlan,
+            attempted_action: action,
+            feature_requested: name,
+            upgrade_opportunity: true
+        });
+
+        this.editor.showUpgradePrompt('effects');
+    }
+
+    applyEffect(type) {
+        const clip = this.getSelectedVisual();
+        const definition = EffectsLibrary.EFFECTS[type];
+        if (!clip || !definition) return null;
+
+        if (!this.isAvailable(definition)) {
+            this.blockFeature('apply_effect', type);
+            return null;
+        }
+
+        // Applying an effect twice just resets its amount
+        const effects = EffectsLibrary.getEffects(clip).filter(effect => effect.type !== type);
+        effects.push({ type: type, amount: definition.amount });
+
+        const updated = this.editor.executeCommand(new UpdateClipCommand(clip.id, { properties: { effects: effects } }));
+        if (updated) {
+            analytics.track('Effect Applied', {
+                user_id: window.app?.currentUser?.email,
+                project_id: this.editor.currentProject?.id || null,
+                effect_type: type,
+                effect_tier: definition.tier,
+                clip_type: clip.type,
+                effects_on_clip: effects.length,
+                total_effects_applied: this.editor.getAppliedEffects(),
+                user_plan: window.app?.currentPlan
+            });
+        }
+        return updated;
+    }
+
+    removeEffect(index) {
+        const clip = this.getSelectedVisual();
+        if (!clip) return null;
+
+        const effects = EffectsLibrary.getEffects(clip);
+        const [removed] = effects.splice(index, 1);
+        if (!removed) return null;
+
+        const updated = this.editor.executeCommand(new UpdateClipCommand(clip.id, { properties: { effects: effects } }));
+        if (updated) {
+            this.editor.trackInteraction('effect_remove', { effect_type: removed.type });
+        }
+        return updated;
+    }
+
+    withAmount(clip, index, value) {
+        return EffectsLibrary.getEffects(clip).map((effect, i) => i === index ? { ...effect, amount: parseFloat(value) } : effect);
+    }
+
+    // Render the preview with a temporary amount without touching the history
+    previewAmount(index, value) {
+        const clip = this.getSelectedVisual();
+        if (!clip || this.editor.isPlaying) return;
+
+        const original = clip.properties.effects;
+        clip.properties.effects = this.withAmount(clip, index, value);
+        this.editor.preview.render(false);
+        clip.properties.effects = original;
+    }
+
+    setAmount(index, value) {
+        const clip = this.getSelectedVisual();
+        if (!clip) return null;
+
+        const effects = this.withAmount(clip, index, value);
+        const updated = this.editor.executeCommand(new UpdateClipCommand(clip.id, { properties: { effects: effects } }));
+        if (updated) {
+            this.editor.trackInteraction('effect_adjust', {
+                effect_type: effects[index].type,
+                amount: effects[index].amount
+            });
+        }
+        return updated;
+    }
+
+    updateTransition(setting, value) {
+        const clip = this.getSelectedVisual();
+        if (!clip) return null;
+
+        const current = EffectsLibrary.getTransition(clip);
+        let transition;
+
+        if (setting === 'type') {
+            const definition = EffectsLibrary.TRANSITIONS[value];
+            if (definition && !this.isAvailable(definition)) {
+                this.blockFeature('apply_transition', value);
+                this.editor.refreshToolPanel('effects');
+                return null;
+            }
+            transition = definition ? { type: value, duration: current ? current.duration : EffectsLibrary.TRANSITION_DURATION } : null;
+        } else {
+            if (!current) return null;
+            const maxDuration = this.editor.timeline.getClipDuration(clip);
+            transition = { ...current, duration: Math.max(0.1, Math.min(maxDuration, parseFloat(value) || EffectsLibrary.TRANSITION_DURATION)) };
+        }
+
+        const updated = this.editor.executeCommand(new UpdateClipCommand(clip.id, { properties: { transition: transition } }));
+        if (updated && transition) {
+            analytics.track('Transition Applied', {
+                user_id: window.app?.currentUser?.email,
+                project_id: this.editor.currentProject?.id || null,
+                transition_type: transition.type,
+                transition_tier: EffectsLibrary.TRANSITIONS[transition.type].tier,
+                transition_duration: transition.duration,
+                clip_type: clip.type,
+                user_plan: window.app?.currentPlan
+            });
+        }
+        return updated;
+    }
+
+    renderPanel() {
+        const clip = this.getSelectedVisual();
+
+        return `
+            <h4 class="media-bin-title">Effects</h4>
+            <div class="effects-grid">
+                ${Object.entries(EffectsLibrary.EFFECTS).map(([type, definition]) => `
+                    <button class="tool-item${this.isAvailable(definition) ? '' : ' locked'}" data-effect-type="${type}" ${clip ? '' : 'disabled'}>
+                        <i class="fas ${this.isAvailable(definition) ? definition.icon : 'fa-lock'}"></i>
+                        ${definition.name}
+                    </button>
+                `).join('')}
+            </div>
+            ${clip ? this.renderClipEffects(clip) : '<p class="media-bin-empty">Select a video, image or text clip to apply effects and transitions</p>'}
+        `;
+    }
+
+    renderClipEffects(clip) {
+        const effects = EffectsLibrary.getEffects(clip);
+        const transition = EffectsLibrary.getTransition(clip);
+
+        return `
+            <h4 class="media-bin-title">Applied to ${Utils.escapeHtml(clip.name)}</h4>
+            <div class="clip-settings">
+                ${effects.map((effect, index) => {
+                    const definition = EffectsLibrary.EFFECTS[effect.type];
+                    return `
+                        <label>${definition.name}${this.isAvailable(definition) ? '' : ' (Pro · not rendered)'}
+                            <input type="range" min="${definition.min}" max="${definition.max}" step="${definition.step}" value="${effect.amount}" data-effect-amount="${index}">
+                            <button class="effect-remove" data-effect-remove="${index}" title="Remove"><i class="fas fa-times"></i></button>
+                        </label>
+                    `;
+                }).join('')}
+                <label>Transition in
+                    <select data-transition-setting="type">
+                        <option value="">None</option>
+                        ${Object.entries(EffectsLibrary.TRANSITIONS).map(([type, definition]) => `
+                            <option value="${type}" ${transition?.type === type ? 'selected' : ''}>${definition.name}${this.isAvailable(definition) ? '' : ' (Pro)'}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                ${transition ? `<label>Duration (s) <input type="number" min="0.1" step="0.1" value="${transition.duration}" data-transition-setting="duration"></label>` : ''}
+                ${transition && !this.editor.preview.compositor.getOutgoingClip(clip) ? '<p class="library-item-meta">Place this clip right after another on its track to transition between them; on its own it transitions in from the layers below.</p>' : ''}
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,115 @@
+// Plan entitlements: the features, quotas, prices and upgrade paths of each subscription plan
+// Every plan gate and plan-related analytics property reads from here instead of comparing plan names
+
+class Entitlements {
+    // Plans in upgrade order; a quota of Infinity means unlimited
+    static get PLANS() {
+        return {
+            free: {
+                name: 'Free',
+                price: 0,
+                features: ['media', 'text', 'basic_effects'],
+                quotas: { exports_per_day: 1, export_minutes_per_month: 10, timeline_elements: 3, asset_storage_mb: 100 },
+                export_qualities: ['720p'],
+                highlights: ['10 minutes/month', '720p export', 'Basic editing tools']
+            },
+            pro: {
+                name: 'Pro',
+                price: 24,
+                features: ['media', 'text', 'basic_effects', 'effects', 'subtitles', 'audio', 'templates', 'brand_kit', 'hd_export', 'remove_watermark'],
+                quotas: { exports_per_day: 50, export_minutes_per_month: 120, timeline_elements: Infinity, asset_storage_mb: 2048 },
+                export_qualities: ['720p', '1080p', '4K'],
+                highlights: ['2 hours/month', '4K export', 'No watermark']
+            },
+            business: {
+                name: 'Business',
+                price: 59,
+                features: ['media', 'text', 'basic_effects', 'effects', 'subtitles', 'audio', 'templates', 'brand_kit', 'hd_export', 'remove_watermark', 'collaboration', 'comments', 'team_space'],
+                quotas: { exports_per_day: 200, export_minutes_per_month: 600, timeline_elements: Infinity, asset_storage_mb: 10240 },
+                export_qualities: ['720p', '1080p', '4K'],
+                highlights: ['10 hours/month', 'Team collaboration', 'Brand kit']
+            }
+        };
+    }
+
+    static get DEFAULT_PLAN() { return 'free'; }
+
+    // What an upgrade prompt is asking for, as a feature or quota name
+    static get UPGRADE_REASONS() {
+        return {
+            element_limit: 'timeline_elements',
+            export_limit: 'exports_per_day',
+            video_minutes: 'export_minutes_per_month',
+            asset_storage: 'asset_storage_mb',
+            watermark: 'remove_watermark',
+            effects: 'effects',
+            brand_kit: 'brand_kit',
+            collaboration: 'collaboration',
+            comments: 'comments'
+        };
+    }
+
+    // Current usage of each quota for the signed-in user
+    static get USAGE() {
+        return {
+            exports_per_day: () => window.usageMeter ? window.usageMeter.get('exports', 'day') : 0,
+            export_minutes_per_month: () => window.usageMeter ? window.usageMeter.get('export_minutes', 'month') : 0,
+            timeline_elements: () => window.videoEditor ? window.videoEditor.getElementCount() : 0,
+            asset_storage_mb: () => window.assetLibrary ? window.assetLibrary.getUsage().used / 1024 / 1024 : 0
+        };
+    }
+
+    // Accepts a plan name, a user record, or nothing for the signed-in user
+    // The signed-in user's plan always comes from app.currentPlan, which the subscription keeps up to date
+    static getPlan(user) {
+        let plan;
+        if (typeof user === 'string') {
+            plan = user;
+        } else if (!user || user === window.app?.currentUser || user.email === window.app?.currentUser?.email) {
+            plan = window.app?.currentPlan || localStorage.getItem('user_plan');
+        } else {
+            plan = user.plan;
+        }
+        return Entitlements.PLANS[plan] ? plan : Entitlements.DEFAULT_PLAN;
+    }
+
+    static getDefinition(user) {
+        return Entitlements.PLANS[Entitlements.getPlan(user)];
+    }
+
+    static getFeatures() {
+        return [...new Set(Object.values(Entitlements.PLANS).flatMap(plan => plan.features))];
+    }
+
+    static can(user, feature) {
+        return Entitlements.getDefinition(user).features.includes(feature);
+    }
+
+    static limit(user, quota) {
+        const limit = Entitlements.getDefinition(user).quotas[quota];
+        return limit === undefined ? Infinity : limit;
+    }
+
+    static remaining(user, quota, used = (Entitlements.USAGE[quota] || (() => 0))()) {
+        return Math.max(0, Entitlements.limit(user, quota) - used);
+    }
+
+    static getPrice(user) {
+        return Entitlements.getDefinition(user).price;
+    }
+
+    // The cheapest plan above the user's that grants a feature or raises a quota (by name or upgrade reason)
+    static getUpgradePlan(user, need) {
+        const name = Entitlements.UPGRADE_REASONS[need] || need;
+        const plans = Object.keys(Entitlements.PLANS);
+        const current = Entitlements.getPlan(user);
+        if (Entitlements.can(current, name)) return null;
+
+        return plans.slice(plans.indexOf(current) + 1).find(plan => {
+            const definition = Entitlements.PLANS[plan];
+            return name in definition.quotas
+                ? Entitlements.limit(plan, name) > Entitlements.limit(current, name)
+                : definition.features.includes(name);
+        }) || null;
+    }
+}
@@ -0,0 +1,693 @@
+// In-browser export renderer for the video editor
+// MP4 is encoded frame by frame with WebCodecs and written by Mp4Muxer where the browser has the encoders;
+// otherwise the timeline plays through a Compositor onto an offscreen canvas that MediaRecorder captures
+
+// Minimal MP4 writer for one H.264 track and one AAC or Opus track, all samples in a single mdat
+class Mp4Muxer {
+    constructor(options) {
+        this.width = options.width;
+        this.height = options.height;
+        this.audioCodec = options.audioCodec;
+        this.sampleRate = options.sampleRate;
+        this.channels = options.channels;
+        this.audioBitrate = options.audioBitrate;
+        this.video = { timescale: 90000, samples: [], description: null };
+        this.audio = { timescale: options.sampleRate, samples: [], description: null };
+    }
+
+    static get MATRIX() { return [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000]; }
+
+    addVideoChunk(chunk, metadata) {
+        this.addChunk(this.video, chunk, metadata);
+    }
+
+    addAudioChunk(chunk, metadata) {
+        this.addChunk(this.audio, chunk, metadata);
+    }
+
+    // The encoder hands over its decoder config (avcC, AudioSpecificConfig or OpusHead) with the first chunk
+    addChunk(track, chunk, metadata) {
+        const description = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+        if (description && !track.description) {
+            track.description = ArrayBuffer.isView(description)
+                ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength).slice()
+                : new Uint8Array(description).slice();
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        track.samples.push({ data: data, timestamp: chunk.timestamp, duration: chunk.duration, key: chunk.type === 'key' });
+    }
+
+    // The finished file; moov goes after mdat since chunk offsets are only known once every sample is in
+    finalize() {
+        const ftyp = Mp4Muxer.box('ftyp', Mp4Muxer.ascii('isom'), Mp4Muxer.uint(0x200, 4),
+            Mp4Muxer.ascii('isom'), Mp4Muxer.ascii('iso2'), Mp4Muxer.ascii('avc1'), Mp4Muxer.ascii('mp41'));
+        const tracks = [this.video, this.audio].filter(track => track.samples.length > 0);
+        const payloadBytes = tracks.reduce((total, track) => total + this.getTrackBytes(track), 0);
+
+        // Files past 4 GB need the 64-bit box size
+        const mdatHeader = payloadBytes + 8 <= 0xffffffff
+            ? Mp4Muxer.concat([Mp4Muxer.uint(payloadBytes + 8, 4), Mp4Muxer.ascii('mdat')])
+            : Mp4Muxer.concat([Mp4Muxer.uint(1, 4), Mp4Muxer.ascii('mdat'), Mp4Muxer.uint(payloadBytes + 16, 8)]);
+
+        let offset = ftyp.length + mdatHeader.length;
+        const traks = tracks.map((track, index) => {
+            const trak = this.trak(track, index + 1, offset);
+            offset += this.getTrackBytes(track);
+            return trak;
+        });
+
+        const duration = Math.max(...tracks.map(track => this.getDurationMs(track)));
+        const moov = Mp4Muxer.box('moov', this.mvhd(duration, tracks.length + 1), ...traks);
+        const samples = tracks.reduce((parts, track) => parts.concat(track.samples.map(sample => sample.data)), []);
+
+        return new Blob([ftyp, mdatHeader, ...samples, moov], { type: 'video/mp4' });
+    }
+
+    getTrackBytes(track) {
+        return track.samples.reduce((total, sample) => total + sample.data.length, 0);
+    }
+
+    // Sample durations in the track's timescale, taken from the gaps between timestamps so rounding never drifts
+    getDeltas(track) {
+        const toTimescale = (microseconds) => Math.round(microseconds * track.timescale / 1000000);
+
+        return track.samples.map((sample, index) => {
+            const next = track.samples[index + 1];
+            const end = next ? next.timestamp : sample.timestamp + (sample.duration || 0);
+            return Math.max(0, toTimescale(end) - toTimescale(sample.timestamp));
+        });
+    }
+
+    getDurationMs(track) {
+        const total = this.getDeltas(track).reduce((sum, delta) => sum + delta, 0);
+        return Math.round(total / track.timescale * 1000);
+    }
+
+    mvhd(duration, nextTrackId) {
+        return Mp4Muxer.fullBox('mvhd', 0, 0,
+            Mp4Muxer.uint(0, 4), Mp4Muxer.uint(0, 4), Mp4Muxer.uint(1000, 4), Mp4Muxer.uint(duration, 4),
+            Mp4Muxer.uint(0x00010000, 4), Mp4Muxer.uint(0x0100, 2), new Uint8Array(10),
+            Mp4Muxer.matrix(), new Uint8Array(24), Mp4Muxer.uint(nextTrackId, 4));
+    }
+
+    trak(track, trackId, offset) {
+        const isVideo = track === this.video;
+        const deltas = this.getDeltas(track);
+        const duration = deltas.reduce((sum, delta) => sum + delta, 0);
+
+        const tkhd = Mp4Muxer.fullBox('tkhd', 0, 3,
+            Mp4Muxer.uint(0, 4), Mp4Muxer.uint(0, 4), Mp4Muxer.uint(trackId, 4), new Uint8Array(4),
+            Mp4Muxer.uint(this.getDurationMs(track), 4), new Uint8Array(8), Mp4Muxer.uint(0, 2), Mp4Muxer.uint(0, 2),
+            Mp4Muxer.uint(isVideo ? 0 : 0x0100, 2), new Uint8Array(2), Mp4Muxer.matrix(),
+            Mp4Muxer.uint(isVideo ? this.width * 65536 : 0, 4), Mp4Muxer.uint(isVideo ? this.height * 65536 : 0, 4));
+
+        const mdhd = Mp4Muxer.fullBox('mdhd', 0, 0,
+            Mp4Muxer.uint(0, 4), Mp4Muxer.uint(0, 4), Mp4Muxer.uint(track.timescale, 4), Mp4Muxer.uint(duration, 4),
+            Mp4Muxer.uint(0x55c4, 2), Mp4Muxer.uint(0, 2)); // language 'und'
+        const hdlr = Mp4Muxer.fullBox('hdlr', 0, 0,
+            Mp4Muxer.uint(0, 4), Mp4Muxer.ascii(isVideo ? 'vide' : 'soun'), new Uint8Array(12),
+            Mp4Muxer.ascii(isVideo ? 'VideoHandler\0' : 'SoundHandler\0'));
+        const mediaHeader = isVideo
+            ? Mp4Muxer.fullBox('vmhd', 0, 1, new Uint8Array(8))
+            : Mp4Muxer.fullBox('smhd', 0, 0, new Uint8Array(4));
+        const dinf = Mp4Muxer.box('dinf', Mp4Muxer.fullBox('dref', 0, 0, Mp4Muxer.uint(1, 4), Mp4Muxer.fullBox('url ', 0, 1)));
+
+        const stbl = Mp4Muxer.box('stbl',
+            Mp4Muxer.fullBox('stsd', 0, 0, Mp4Muxer.uint(1, 4), isVideo ? this.videoSampleEntry() : this.audioSampleEntry(trackId)),
+            this.stts(deltas),
+            ...(isVideo ? [this.stss(track)] : []),
+            Mp4Muxer.fullBox('stsc', 0, 0, Mp4Muxer.uint(1, 4), Mp4Muxer.uint(1, 4), Mp4Muxer.uint(track.samples.length, 4), Mp4Muxer.uint(1, 4)),
+            Mp4Muxer.fullBox('stsz', 0, 0, Mp4Muxer.uint(0, 4), Mp4Muxer.uint(track.samples.length, 4),
+                ...track.samples.map(sample => Mp4Muxer.uint(sample.data.length, 4))),
+            Mp4Muxer.fullBox('co64', 0, 0, Mp4Muxer.uint(1, 4), Mp4Muxer.uint(offset, 8)));
+
+        return Mp4Muxer.box('trak', tkhd,
+            Mp4Muxer.box('mdia', mdhd, hdlr, Mp4Muxer.box('minf', mediaHeader, dinf, stbl)));
+    }
+
+    // Run-length encoded sample durations
+    stts(deltas) {
+        const runs = [];
+        deltas.forEach(delta => {
+            const last = runs[runs.length - 1];
+            if (last && last.delta === delta) {
+                last.count++;
+            } else {
+                runs.push({ count: 1, delta: delta });
+            }
+        });
+
+        return Mp4Muxer.fullBox('stts', 0, 0, Mp4Muxer.uint(runs.length, 4),
+            ...runs.map(run => Mp4Muxer.concat([Mp4Muxer.uint(run.count, 4), Mp4Muxer.uint(run.delta, 4)])));
+    }
+
+    // Key frames, numbered from 1
+    stss(track) {
+        const keys = track.samples.map((sample, index) => sample.key ? index + 1 : 0).filter(Boolean);
+        return Mp4Muxer.fullBox('stss', 0, 0, Mp4Muxer.uint(keys.length, 4), ...keys.map(number => Mp4Muxer.uint(number, 4)));
+    }
+
+    videoSampleEntry() {
+        return Mp4Muxer.box('avc1',
+            new Uint8Array(6), Mp4Muxer.uint(1, 2), new Uint8Array(16),
+            Mp4Muxer.uint(this.width, 2), Mp4Muxer.uint(this.height, 2),
+            Mp4Muxer.uint(0x00480000, 4), Mp4Muxer.uint(0x00480000, 4), new Uint8Array(4), Mp4Muxer.uint(1, 2),
+            new Uint8Array(32), Mp4Muxer.uint(0x18, 2), Mp4Muxer.uint(0xffff, 2),
+            Mp4Muxer.box('avcC', this.video.description || new Uint8Array(0)));
+    }
+
+    audioSampleEntry(trackId) {
+        const isOpus = this.audioCodec === 'opus';
+        const config = isOpus ? this.dOps() : this.esds(trackId);
+
+        return Mp4Muxer.box(isOpus ? 'Opus' : 'mp4a',
+            new Uint8Array(6), Mp4Muxer.uint(1, 2), new Uint8Array(8),
+            Mp4Muxer.uint(this.channels, 2), Mp4Muxer.uint(16, 2), new Uint8Array(4),
+            Mp4Muxer.uint(this.sampleRate * 65536, 4), config);
+    }
+
+    // AAC decoder config; without one from the encoder this is AAC-LC at 48 kHz stereo, the only layout exported
+    esds(trackId) {
+        const specificInfo = this.audio.description || Uint8Array.from([0x11, 0x90]);
+        const descriptor = (tag, ...parts) => {
+            const body = Mp4Muxer.concat(parts);
+            return Mp4Muxer.concat([Mp4Muxer.uint(tag, 1), Mp4Muxer.uint(body.length, 1), body]);
+        };
+
+        return Mp4Muxer.fullBox('esds', 0, 0,
+            descriptor(0x03, Mp4Muxer.uint(trackId, 2), Mp4Muxer.uint(0, 1),
+                descriptor(0x04, Mp4Muxer.uint(0x40, 1), Mp4Muxer.uint(0x15, 1), Mp4Muxer.uint(0, 3),
+                    Mp4Muxer.uint(this.audioBitrate, 4), Mp4Muxer.uint(this.audioBitrate, 4),
+                    descriptor(0x05, specificInfo)),
+                descriptor(0x06, Mp4Muxer.uint(0x02, 1))));
+    }
+
+    // Opus decoder config; pre-skip comes from the encoder's OpusHead when it sends one
+    dOps() {
+        const head = this.audio.description;
+        const preSkip = head && head.length >= 12 && String.fromCharCode(...head.slice(0, 8)) === 'OpusHead'
+            ? head[10] | (head[11] << 8)
+            : 312;
+
+        return Mp4Muxer.box('dOps', Mp4Muxer.uint(0, 1), Mp4Muxer.uint(this.channels, 1), Mp4Muxer.uint(preSkip, 2),
+            Mp4Muxer.uint(this.sampleRate, 4), Mp4Muxer.uint(0, 2), Mp4Muxer.uint(0, 1));
+    }
+
+    static box(type, ...parts) {
+        const body = Mp4Muxer.concat(parts);
+        return Mp4Muxer.concat([Mp4Muxer.uint(body.length + 8, 4), Mp4Muxer.ascii(type), body]);
+    }
+
+    static fullBox(type, version, flags, ...parts) {
+        return Mp4Muxer.box(type, Mp4Muxer.uint(version, 1), Mp4Muxer.uint(flags, 3), ...parts);
+    }
+
+    // Big-endian unsigned integer; arithmetic instead of bit shifts keeps 64-bit offsets exact
+    static uint(value, bytes) {
+        const out = new Uint8Array(bytes);
+        for (let i = bytes - 1; i >= 0; i--) {
+            out[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        return out;
+    }
+
+    static ascii(text) {
+        return Uint8Array.from(text, character => character.charCodeAt(0));
+    }
+
+    static matrix() {
+        return Mp4Muxer.concat(Mp4Muxer.MATRIX.map(value => Mp4Muxer.uint(value, 4)));
+    }
+
+    static concat(parts) {
+        const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            out.set(part, offset);
+            offset += part.length;
+        });
+        return out;
+    }
+}
+
+class ExportRenderer {
+    constructor(timeline, mediaBin) {
+        this.timeline = timeline;
+        this.mediaBin = mediaBin;
+        this.compositor = null;
+        this.recorder = null;
+        this.videoEncoder = null;
+        this.audioEncoder = null;
+        this.frameTimer = null;
+        this.audioContext = null;
+        this.startedAt = null;
+        this.progress = 0;
+        this.cancelled = false;
+    }
+
+    // size is the shorter side of the frame; the project's aspect ratio decides the other
+    static get QUALITY_PRESETS() {
+        return {
+            '720p': { size: 720, bitrate: 5000000 },
+            '1080p': { size: 1080, bitrate: 8000000 },
+            '4K': { size: 2160, bitrate: 35000000 }
+        };
+    }
+
+    // Container formats in order of preference; MP4 is only offered where WebCodecs or the browser's recorder produces it
+    static get FORMATS() {
+        return {
+            mp4: ['video/mp4;codecs=avc1.640028,mp4a.40.2', 'video/mp4;codecs=avc1,mp4a.40.2', 'video/mp4'],
+            webm: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+        };
+    }
+
+    // WebCodecs candidates for MP4, best first; 4K needs H.264 level 5.1
+    static get VIDEO_CODECS() { return ['avc1.640033', 'avc1.640028', 'avc1.4d0028', 'avc1.42e01f']; }
+    static get AUDIO_CODECS() { return ['mp4a.40.2', 'opus']; }
+    static get AUDIO_SAMPLE_RATE() { return 48000; }
+    static get AUDIO_BITRATE() { return 128000; }
+    static get KEYFRAME_INTERVAL_SECONDS() { return 2; }
+    static get MAX_QUEUED_FRAMES() { return 8; }
+
+    static canRecord() {
+        return typeof MediaRecorder !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype;
+    }
+
+    static canEncode() {
+        return typeof VideoEncoder !== 'undefined' && typeof AudioEncoder !== 'undefined'
+            && typeof VideoFrame !== 'undefined' && typeof AudioData !== 'undefined' && typeof OfflineAudioContext !== 'undefined';
+    }
+
+    static isSupported() {
+        return ExportRenderer.canRecord() || ExportRenderer.canEncode();
+    }
+
+    static getSupportedFormats() {
+        return Object.keys(ExportRenderer.FORMATS).filter(format =>
+            (format === 'mp4' && ExportRenderer.canEncode()) || ExportRenderer.getMimeType(format)
+        );
+    }
+
+    static getMimeType(format) {
+        if (!ExportRenderer.canRecord()) return null;
+
+        const types = ExportRenderer.FORMATS[format] || [];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    // Encode the whole timeline at the project's canvas settings (options.canvas), burning in options.watermark if given;
+    // resolves with the Blob and what was produced
+    render(options = {}) {
+        const preset = ExportRenderer.QUALITY_PRESETS[options.quality] || ExportRenderer.QUALITY_PRESETS['720p'];
+        const size = ProjectCanvas.getDimensions(options.canvas, preset.size);
+        const format = options.format || ExportRenderer.getSupportedFormats()[0];
+        const duration = this.timeline.getDuration();
+
+        if (!format || !ExportRenderer.getSupportedFormats().includes(format)) {
+            return Promise.reject(new Error(`${(format || 'Video').toUpperCase()} export is not supported by your browser`));
+        }
+        if (duration === 0) {
+            return Promise.reject(new Error('Add something to the timeline before exporting'));
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        const context = canvas.getContext('2d');
+        const watermark = options.watermark || null;
+
+        const job = {
+            preset: preset,
+            size: size,
+            format: format,
+            duration: duration,
+            frameRate: ProjectCanvas.getSettings(options.canvas).framerate,
+            watermark: watermark,
+            onProgress: options.onProgress || (() => {}),
+            canvas: canvas,
+            drawFrame: (time) => {
+                this.compositor.drawFrame(context, time, canvas);
+                if (watermark) {
+                    watermark.draw(context, canvas);
+                }
+            }
+        };
+
+        this.startedAt = performance.now();
+
+        // MediaRecorder stays the fallback wherever WebCodecs cannot produce the format
+        const encoderConfig = format === 'mp4' && ExportRenderer.canEncode()
+            ? this.getEncoderConfig(size, job.frameRate, preset.bitrate)
+            : Promise.resolve(null);
+
+        return encoderConfig.then(config => config ? this.encode(job, config) : this.record(job));
+    }
+
+    getResult(job, blob, mimeType, encoder) {
+        return {
+            blob: blob,
+            format: job.format,
+            mime_type: mimeType,
+            encoder: encoder,
+            width: job.size.width,
+            height: job.size.height,
+            frame_rate: job.frameRate,
+            duration: job.duration,
+            watermark: job.watermark !== null,
+            elapsed_ms: Math.round(performance.now() - this.startedAt)
+        };
+    }
+
+    // First video and audio configs the browser's encoders accept, or null when either is missing
+    getEncoderConfig(size, frameRate, bitrate) {
+        const firstSupported = (Encoder, configs) => configs.reduce((found, config) => found.then(match => match || Encoder.isConfigSupported(config)
+            .then(support => support.supported ? config : null, () => null)), Promise.resolve(null));
+
+        return Promise.all([
+            firstSupported(VideoEncoder, ExportRenderer.VIDEO_CODECS.map(codec => ({
+                codec: codec,
+                width: size.width,
+                height: size.height,
+                bitrate: bitrate,
+                framerate: frameRate,
+                avc: { format: 'avc' }
+            }))),
+            firstSupported(AudioEncoder, ExportRenderer.AUDIO_CODECS.map(codec => ({
+                codec: codec,
+                sampleRate: ExportRenderer.AUDIO_SAMPLE_RATE,
+                numberOfChannels: 2,
+                bitrate: ExportRenderer.AUDIO_BITRATE
+            })))
+        ]).then(([video, audio]) => video && audio ? { video: video, audio: audio } : null);
+    }
+
+    // WebCodecs path: the mixdown renders offline, then every frame is seeked, drawn and encoded in turn,
+    // so the export runs as fast as the machine allows instead of in real time
+    encode(job, config) {
+        const muxer = new Mp4Muxer({
+            width: job.size.width,
+            height: job.size.height,
+            audioCodec: config.audio.codec,
+            sampleRate: config.audio.sampleRate,
+            channels: config.audio.numberOfChannels,
+            audioBitrate: config.audio.bitrate
+        });
+
+        this.compositor = new Compositor(this.timeline, this.mediaBin);
+
+        return this.prepareMedia()
+            .then(() => this.renderMixdown(job.duration))
+            .then(mixdown => this.encodeAudio(mixdown, config.audio, muxer))
+            .then(() => this.encodeVideo(job, config.video, muxer))
+            .then(() => {
+                this.stopRendering();
+                return this.getResult(job, muxer.finalize(), `video/mp4;codecs=${config.video.codec},${config.audio.codec}`, 'webcodecs');
+            })
+            .catch(error => {
+                this.stopRendering();
+                throw this.cancelled ? new Error('Export cancelled') : error;
+            });
+    }
+
+    // Audio clips go through the same mixer as playback; video clips bring their own soundtrack at the clip volume
+    renderMixdown(duration) {
+        const sampleRate = ExportRenderer.AUDIO_SAMPLE_RATE;
+        const context = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+        new AudioMixer(this.timeline, this.mediaBin).schedule(context, context.destination, 0, 0);
+
+        const decoded = {};
+        const clips = this.timeline.getClips('video').filter(clip => {
+            const asset = clip.source ? this.mediaBin.getAsset(clip.source) : null;
+            return asset && asset.has_audio !== false && this.timeline.isTrackAudible(this.timeline.getTrack(clip.trackId));
+        });
+
+        return Promise.all(clips.map(clip => {
+            if (!decoded[clip.source]) {
+                // A video whose soundtrack the browser cannot decode exports silent rather than failing
+                decoded[clip.source] = fetch(this.mediaBin.getAsset(clip.source).url)
+                    .then(response => response.blob())
+                    .then(blob => this.mediaBin.decodeAudio(blob))
+                    .catch(() => null);
+            }
+
+            return decoded[clip.source].then(buffer => {
+                if (!buffer) return;
+
+                const source = context.createBufferSource();
+                const gain = context.createGain();
+                source.buffer = buffer;
+                gain.gain.value = Math.min(1, AudioMixer.getSettings(clip).volume);
+                source.connect(gain);
+                gain.connect(context.destination);
+                source.start(clip.start, clip.in, this.timeline.getClipDuration(clip));
+            });
+        })).then(() => context.startRendering());
+    }
+
+    encodeAudio(mixdown, config, muxer) {
+        return new Promise((resolve, reject) => {
+            this.audioEncoder = new AudioEncoder({
+                output: (chunk, metadata) => muxer.addAudioChunk(chunk, metadata),
+                error: reject
+            });
+            this.audioEncoder.configure(config);
+
+            const channels = mixdown.numberOfChannels;
+            const framesPerChunk = Math.round(mixdown.sampleRate / 10);
+
+            for (let offset = 0; offset < mixdown.length; offset += framesPerChunk) {
+                const length = Math.min(framesPerChunk, mixdown.length - offset);
+                const planes = new Float32Array(length * channels);
+                for (let channel = 0; channel < channels; channel++) {
+                    planes.set(mixdown.getChannelData(channel).subarray(offset, offset + length), channel * length);
+                }
+
+                const data = new AudioData({
+                    format: 'f32-planar',
+                    sampleRate: mixdown.sampleRate,
+                    numberOfFrames: length,
+                    numberOfChannels: channels,
+                    timestamp: Math.round(offset / mixdown.sampleRate * 1000000),
+                    data: planes
+                });
+                this.audioEncoder.encode(data);
+                data.close();
+            }
+
+            this.audioEncoder.flush().then(resolve, reject);
+        });
+    }
+
+    encodeVideo(job, config, muxer) {
+        const frameCount = Math.max(1, Math.ceil(job.duration * job.frameRate));
+        const frameDuration = 1000000 / job.frameRate;
+        const keyFrameInterval = job.frameRate * ExportRenderer.KEYFRAME_INTERVAL_SECONDS;
+
+        return new Promise((resolve, reject) => {
+            this.videoEncoder = new VideoEncoder({
+                output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+                error: reject
+            });
+            this.videoEncoder.configure(config);
+
+            const encodeFrame = (index) => {
+                if (this.cancelled) {
+                    reject(new Error('Export cancelled'));
+                    return;
+                }
+                if (this.videoEncoder.state === 'closed') return;
+                if (index >= frameCount) {
+                    this.videoEncoder.flush().then(resolve, reject);
+                    return;
+                }
+
+                const time = Math.min(index / job.frameRate, job.duration);
+                this.seekMedia(time)
+                    .then(() => {
+                        job.drawFrame(time);
+                        const frame = new VideoFrame(job.canvas, {
+                            timestamp: Math.round(index * frameDuration),
+                            duration: Math.round(frameDuration)
+                        });
+                        this.videoEncoder.encode(frame, { keyFrame: index % keyFrameInterval === 0 });
+                        frame.close();
+
+                        this.progress = (index + 1) / frameCount;
+                        job.onProgress(this.progress, time);
+                        return this.waitForEncoder(this.videoEncoder);
+                    })
+                    .then(() => encodeFrame(index + 1), reject);
+            };
+            encodeFrame(0);
+        });
+    }
+
+    // Step every source <video> to the frame's time and wait for it to land, so each frame is exact however slow encoding is
+    seekMedia(time) {
+        this.compositor.syncMedia(time, false);
+
+        const seeking = Object.values(this.compositor.videoElements).filter(video => video.seeking);
+        return Promise.all(seeking.map(video => new Promise(resolve => {
+            const done = () => {
+                video.removeEventListener('seeked', done);
+                video.removeEventListener('error', done);
+                resolve();
+            };
+            video.addEventListener('seeked', done);
+            video.addEventListener('error', done);
+        })));
+    }
+
+    // Hold off drawing more frames while the encoder is behind so they do not pile up in memory
+    waitForEncoder(encoder) {
+        if (encoder.state === 'closed' || encoder.encodeQueueSize <= ExportRenderer.MAX_QUEUED_FRAMES) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => setTimeout(resolve, 10)).then(() => this.waitForEncoder(encoder));
+    }
+
+    // MediaRecorder path: rendering follows the wall clock, so an export takes as long as the timeline plays
+    record(job) {
+        const mimeType = ExportRenderer.getMimeType(job.format);
+        const frameRate = job.frameRate;
+        const duration = job.duration;
+        const drawFrame = job.drawFrame;
+
+        if (!mimeType) {
+            return Promise.reject(new Error(`${job.format.toUpperCase()} export is not supported by your browser`));
+        }
+
+        // The mixdown is rendered through its own audio graph into the recorded stream
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const audioDestination = this.audioContext.createMediaStreamDestination();
+        const mixer = new AudioMixer(this.timeline, this.mediaBin);
+
+        // A separate compositor keeps the export's <video> elements independent of the preview
+        this.compositor = new Compositor(this.timeline, this.mediaBin);
+        this.compositor.audioDestination = audioDestination;
+
+        return this.prepareMedia().then(() => new Promise((resolve, reject) => {
+            if (this.cancelled) {
+                this.stopRendering();
+                reject(new Error('Export cancelled'));
+                return;
+            }
+
+            const stream = new MediaStream([
+                ...job.canvas.captureStream(frameRate).getVideoTracks(),
+                ...audioDestination.stream.getAudioTracks()
+            ]);
+            const chunks = [];
+
+            this.recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: job.preset.bitrate });
+            this.recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            this.recorder.onerror = (e) => {
+                this.stopRendering();
+                reject(e.error || new Error('The browser encoder failed'));
+            };
+            this.recorder.onstop = () => {
+                this.stopRendering();
+                stream.getTracks().forEach(track => track.stop());
+
+                if (this.cancelled) {
+                    reject(new Error('Export cancelled'));
+                    return;
+                }
+
+                resolve(this.getResult(job, new Blob(chunks, { type: mimeType.split(';')[0] }), mimeType, 'media_recorder'));
+            };
+
+            // Draw the first frame before recording so the file does not open on black
+            this.compositor.syncMedia(0, false);
+            drawFrame(0);
+            this.recorder.start(1000);
+            this.audioContext.resume();
+            mixer.schedule(this.audioContext, audioDestination, 0);
+
+            // Timers keep running (throttled) in background tabs where animation frames stop
+            const recordStartedAt = performance.now();
+            const renderFrame = () => {
+                const time = Math.min((performance.now() - recordStartedAt) / 1000, duration);
+
+                this.compositor.syncMedia(time, true);
+                drawFrame(time);
+                this.progress = time / duration;
+                job.onProgress(this.progress, time);
+
+                if (time >= duration) {
+                    this.recorder.stop();
+                    return;
+                }
+                this.frameTimer = setTimeout(renderFrame, 1000 / frameRate);
+            };
+            renderFrame();
+        }));
+    }
+
+    // Wait until every source video and image can draw so the export does not start on placeholders
+    prepareMedia() {
+        const sources = [...new Set(this.timeline.getClips('video').map(clip => clip.source).filter(Boolean))];
+        const outgoing = [...new Set(this.compositor.getOutgoingClips().filter(clip => clip.type === 'video').map(clip => clip.source).filter(Boolean))];
+        const images = [...new Set(this.timeline.getClips('image').map(clip => clip.properties.image_url).filter(Boolean))];
+
+        const videos = sources.map(assetId => this.compositor.getVideoElement(assetId))
+            .concat(outgoing.map(assetId => this.compositor.getVideoElement(assetId, true)));
+
+        const videosReady = videos.map(video => {
+            if (!video || video.readyState >= 2) return Promise.resolve();
+
+            return new Promise(resolve => {
+                video.addEventListener('loadeddata', resolve, { once: true });
+                video.addEventListener('error', resolve, { once: true });
+            });
+        });
+
+        const imagesReady = images.map(url => {
+            const image = this.compositor.getImageElement(url);
+            if (image.complete) return Promise.resolve();
+
+            return new Promise(resolve => {
+                image.addEventListener('load', resolve, { once: true });
+                image.addEventListener('error', resolve, { once: true });
+            });
+        });
+
+        return Promise.all(videosReady.concat(imagesReady));
+    }
+
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+    }
+
+    getElapsed() {
+        return this.startedAt ? Math.round(performance.now() - this.startedAt) : 0;
+    }
+
+    stopRendering() {
+        clearTimeout(this.frameTimer);
+        this.frameTimer = null;
+
+        [this.videoEncoder, this.audioEncoder].forEach(encoder => {
+            if (encoder && encoder.state !== 'closed') {
+                encoder.close();
+            }
+        });
+        if (this.compositor) {
+            this.compositor.dispose();
+        }
+        if (this.audioContext && this.audioContext.state !== 'closed') {
+            this.audioContext.close();
+        }
+    }
+}
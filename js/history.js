@@ -0,0 +1,283 @@
+// Command-pattern edit history for the video editor
+// Every timeline mutation runs through a command so it can be undone and redone
+// undo() returns false when the command no longer applies, e.g. its clip was removed since, and the history drops it.
+// appliesTo() answers the same question up front, for pruning the history after a collaborator's edits
+
+class AddClipCommand {
+    constructor(elementType, clipData = {}) {
+        this.name = 'add_clip';
+        this.elementType = elementType;
+        this.clipData = clipData;
+        this.clip = null;
+        this.createdTrack = false;
+    }
+
+    execute(timeline) {
+        const trackCount = timeline.tracks.length;
+        const data = this.clip
+            ? { ...this.clip, trackId: timeline.getTrack(this.clip.trackId) ? this.clip.trackId : null }
+            : this.clipData;
+
+        this.clip = timeline.addClip(this.elementType, data);
+        this.createdTrack = timeline.tracks.length > trackCount;
+        return this.clip;
+    }
+
+    appliesTo(timeline) {
+        return !!timeline.getClip(this.clip.id);
+    }
+
+    undo(timeline) {
+        timeline.removeClip(this.clip.id);
+
+        // Don't leave behind an empty track that only existed for this clip
+        const track = timeline.getTrack(this.clip.trackId);
+        if (this.createdTrack && track && track.clips.length === 0) {
+            timeline.removeTrack(track.id);
+        }
+    }
+}
+
+class RemoveClipCommand {
+    constructor(clipId) {
+        this.name = 'remove_clip';
+        this.clipId = clipId;
+        this.clip = null;
+    }
+
+    execute(timeline) {
+        this.clip = timeline.removeClip(this.clipId);
+        return this.clip;
+    }
+
+    // Someone else may have put the clip back already
+    appliesTo(timeline) {
+        return !timeline.getClip(this.clipId);
+    }
+
+    // The clip goes back on its own track, or on any free one if that track has gone too
+    undo(timeline) {
+        const trackId = timeline.getTrack(this.clip.trackId) ? this.clip.trackId : null;
+        return !!timeline.addClip(this.clip.type, { ...this.clip, trackId: trackId });
+    }
+}
+
+class UpdateClipCommand {
+    constructor(clipId, changes) {
+        this.name = 'update_clip';
+        this.clipId = clipId;
+        this.changes = changes;
+        this.previous = null;
+    }
+
+    execute(timeline) {
+        const clip = timeline.getClip(this.clipId);
+        if (!clip) return null;
+
+        this.previous = JSON.parse(JSON.stringify(clip));
+
+        const { trackId, start, ...changes } = this.changes;
+        if (trackId !== undefined || start !== undefined) {
+            timeline.moveClip(this.clipId, start !== undefined ? start : clip.start, trackId);
+        }
+        return timeline.updateClip(this.clipId, changes);
+    }
+
+    appliesTo(timeline) {
+        return !!timeline.getClip(this.clipId);
+    }
+
+    undo(timeline) {
+        if (!timeline.getClip(this.clipId)) return false;
+
+        const { trackId, start, properties, ...previous } = this.previous;
+        timeline.moveClip(this.clipId, start, trackId);
+
+        const clip = timeline.updateClip(this.clipId, previous);
+        clip.properties = properties;
+        return true;
+    }
+}
+
+// Track settings such as mute and solo
+class UpdateTrackCommand {
+    constructor(trackId, changes) {
+        this.name = 'update_track';
+        this.trackId = trackId;
+        this.changes = changes;
+        this.previous = null;
+    }
+
+    execute(timeline) {
+        const track = timeline.getTrack(this.trackId);
+        if (!track) return null;
+
+        this.previous = {};
+        Object.keys(this.changes).forEach(key => {
+            this.previous[key] = track[key];
+        });
+        return timeline.updateTrack(this.trackId, this.changes);
+    }
+
+    appliesTo(timeline) {
+        return !!timeline.getTrack(this.trackId);
+    }
+
+    undo(timeline) {
+        return !!timeline.updateTrack(this.trackId, this.previous);
+    }
+}
+
+class SplitClipCommand {
+    constructor(clipId, time) {
+        this.name = 'split_clip';
+        this.clipId = clipId;
+        this.time = time;
+        this.originalOut = null;
+        this.newClip = null;
+    }
+
+    execute(timeline) {
+        const clip = timeline.getClip(this.clipId);
+        if (!clip || this.time <= clip.start || this.time >= timeline.getClipEnd(clip)) {
+            return null;
+        }
+
+        const splitPoint = clip.in + (this.time - clip.start);
+        this.originalOut = clip.out;
+
+        timeline.updateClip(clip.id, { out: splitPoint });
+        this.newClip = timeline.addClip(clip.type, {
+            id: this.newClip?.id,
+            trackId: clip.trackId,
+            name: clip.name,
+            source: clip.source,
+            start: this.time,
+            in: splitPoint,
+            out: this.originalOut,
+            properties: clip.properties
+        });
+        return this.newClip;
+    }
+
+    appliesTo(timeline) {
+        return !!timeline.getClip(this.clipId) && !!timeline.getClip(this.newClip.id);
+    }
+
+    undo(timeline) {
+        timeline.removeClip(this.newClip.id);
+        timeline.updateClip(this.clipId, { out: this.originalOut });
+    }
+}
+
+// Several commands applied and undone as a single step, e.g. importing a subtitle file
+class BatchCommand {
+    constructor(name, commands) {
+        this.name = name;
+        this.commands = commands;
+        this.applied = [];
+    }
+
+    execute(timeline) {
+        const results = [];
+        this.applied = [];
+
+        this.commands.forEach(command => {
+            const result = command.execute(timeline);
+            if (result !== null && result !== undefined) {
+                this.applied.push(command);
+                results.push(result);
+            }
+        });
+
+        return results.length > 0 ? results : null;
+    }
+
+    appliesTo(timeline) {
+        return this.applied.every(command => command.appliesTo(timeline));
+    }
+
+    undo(timeline) {
+        this.applied.slice().reverse().forEach(command => command.undo(timeline));
+    }
+}
+
+class EditHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.resetStats();
+    }
+
+    // Run a command and record it; commands that change nothing return null and are dropped
+    execute(command, timeline) {
+        const result = command.execute(timeline);
+        if (result === null || result === undefined) return null;
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.stats.commands++;
+        this.stats.maxUndoDepth = Math.max(this.stats.maxUndoDepth, this.undoStack.length);
+        return result;
+    }
+
+    // Stale commands are skipped so one keypress still undoes the most recent edit that applies
+    undo(timeline) {
+        while (this.undoStack.length > 0) {
+            const command = this.undoStack.pop();
+            if (command.undo(timeline) === false) continue;
+
+            this.redoStack.push(command);
+            this.stats.undos++;
+            return command;
+        }
+        return null;
+    }
+
+    redo(timeline) {
+        while (this.redoStack.length > 0) {
+            const command = this.redoStack.pop();
+            const result = command.execute(timeline);
+            if (result === null || result === undefined) continue;
+
+            this.undoStack.push(command);
+            this.stats.redos++;
+            return command;
+        }
+        return null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // After a collaborator's edits, keep the undo steps whose clips and tracks are still there.
+    // Their edits count as new ones, so the redo chain ends as it would after a local edit
+    rebase(timeline) {
+        this.undoStack = this.undoStack.filter(command => command.appliesTo(timeline));
+        this.redoStack = [];
+    }
+
+    resetStats() {
+        this.stats = {
+            commands: 0,
+            undos: 0,
+            redos: 0,
+            maxUndoDepth: this.undoStack.length
+        };
+    }
+}
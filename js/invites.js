@@ -0,0 +1,428 @@
+// Invitation lifecycle for project collaborators and Team Space members
+// Invites are persisted with a link token and move from pending to accepted, revoked or expired
+
+class InviteStore {
+    constructor(storageKey = 'veed_invites') {
+        this.storageKey = storageKey;
+    }
+
+    generateId() {
+        return 'inv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    list() {
+        const data = localStorage.getItem(this.storageKey);
+        if (!data) return [];
+
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            console.error('Error loading invites:', e);
+            return [];
+        }
+    }
+
+    get(inviteId) {
+        return this.list().find(invite => invite.id === inviteId) || null;
+    }
+
+    findByToken(token) {
+        return this.list().find(invite => invite.token === token) || null;
+    }
+
+    // Insert or replace an invite
+    save(invite) {
+        const record = { ...invite, updated_at: new Date().toISOString() };
+        const invites = this.list();
+        const index = invites.findIndex(i => i.id === record.id);
+        if (index === -1) {
+            invites.push(record);
+        } else {
+            invites[index] = record;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(invites));
+        return record;
+    }
+}
+
+class InviteManager {
+    constructor(store = new InviteStore()) {
+        this.store = store;
+        this.projectId = null; // Project whose invites the invite dialog is showing
+
+        this.init();
+    }
+
+    static get EXPIRY_DAYS() { return 7; }
+    static get PROJECT_ROLES() { return ['editor', 'viewer']; }
+
+    // An invite token remembered across the signup or login that accepting it requires
+    static get PENDING_TOKEN_KEY() { return 'veed_pending_invite'; }
+
+    init() {
+        ['invite-modal', 'team-space-modal'].forEach(modalId => {
+            const modal = document.getElementById(modalId);
+            if (!modal) return;
+
+            modal.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-invite-action]');
+                if (button) {
+                    this.handleAction(button.dataset.inviteAction, button.dataset.inviteId);
+                }
+            });
+        });
+    }
+
+    getAccountId() {
+        return Utils.normalizeEmail(window.app?.currentUser?.email);
+    }
+
+    // Pending invites past their expiry are marked expired the first time anyone looks at them
+    refresh(invite) {
+        if (invite.status !== 'pending' || new Date(invite.expires_at) > new Date()) return invite;
+
+        const expired = this.store.save({ ...invite, status: 'expired', expired_at: invite.expires_at });
+        analytics.track('Invite Expired', {
+            invite_id: expired.id,
+            inviter_id: expired.inviter_id,
+            invitee_role: expired.role,
+            project_id: expired.project_id,
+            team_id: expired.team_id,
+            times_sent: expired.sent_count
+        });
+        return expired;
+    }
+
+    list(filter = {}) {
+        return this.store.list()
+            .filter(invite => (!filter.projectId || invite.project_id === filter.projectId) && (!filter.teamId || invite.team_id === filter.teamId))
+            .map(invite => this.refresh(invite))
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+
+    getExpiry() {
+        return new Date(Date.now() + InviteManager.EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    getInviteLink(invite) {
+        return `${window.location.origin}${window.location.pathname}#invite=${invite.token}`;
+    }
+
+    // Invite someone to a project (project_id) or a Team Space (team_id); inviting them again resends
+    create({ email, role, project_id = null, team_id = null, context = 'invite_dialog' }) {
+        email = Utils.normalizeEmail(email) || '';
+        if (!window.app?.isValidEmail(email)) {
+            window.app?.showNotification('Please enter a valid email address', 'error');
+            return null;
+        }
+        if (email === this.getAccountId()) {
+            window.app?.showNotification('You cannot invite yourself', 'error');
+            return null;
+        }
+
+        const existing = this.list({ projectId: project_id, teamId: team_id })
+            .find(invite => invite.invitee_email === email && ['pending', 'expired'].includes(invite.status));
+        if (existing) {
+            return this.resend(existing.id);
+        }
+
+        const now = new Date().toISOString();
+        const invite = this.store.save({
+            id: this.store.generateId(),
+            token: Utils.generateToken(),
+            inviter_id: this.getAccountId(),
+            inviter_user_id: window.app?.currentUser?.userId || null,
+            inviter_name: window.app?.currentUser?.name || null,
+            invitee_email: email,
+            role: role,
+            project_id: project_id,
+            team_id: team_id,
+            status: 'pending',
+            context: context,
+            sent_count: 1,
+            created_at: now,
+            last_sent_at: now,
+            expires_at: this.getExpiry()
+        });
+
+        if (window.veedAnalytics) {
+            window.veedAnalytics.trackUserInvited(invite);
+        }
+
+        this.showLink(invite);
+        this.renderAll();
+        return invite;
+    }
+
+    // Resending restarts the expiry window; the link itself stays the same
+    resend(inviteId) {
+        const invite = this.store.get(inviteId);
+        if (!invite || !['pending', 'expired'].includes(invite.status)) return null;
+
+        const now = new Date().toISOString();
+        const resent = this.store.save({
+            ...invite,
+            status: 'pending',
+            sent_count: (invite.sent_count || 1) + 1,
+            last_sent_at: now,
+            expires_at: this.getExpiry()
+        });
+
+        analytics.track('Invite Resent', {
+            user_id: this.getAccountId(),
+            invite_id: resent.id,
+            previous_status: invite.status,
+            invitee_role: resent.role,
+            project_id: resent.project_id,
+            team_id: resent.team_id,
+            times_sent: resent.sent_count
+        });
+
+        this.showLink(resent);
+        this.renderAll();
+        return resent;
+    }
+
+    revoke(inviteId) {
+        const invite = this.store.get(inviteId);
+        if (!invite || invite.status !== 'pending') return null;
+        if (!confirm(`Revoke the invitation to ${invite.invitee_email}? The link will stop working.`)) return null;
+
+        const revoked = this.store.save({ ...invite, status: 'revoked', revoked_at: new Date().toISOString() });
+
+        analytics.track('Invite Revoked', {
+            user_id: this.getAccountId(),
+            invite_id: revoked.id,
+            invitee_role: revoked.role,
+            project_id: revoked.project_id,
+            team_id: revoked.team_id,
+            invite_age_hours: Math.round((Date.now() - new Date(revoked.created_at).getTime()) / 3600000)
+        });
+
+        this.renderAll();
+        return revoked;
+    }
+
+    copyLink(inviteId, message = 'Invite link copied') {
+        const invite = this.store.get(inviteId);
+        if (!invite) return;
+
+        const link = this.getInviteLink(invite);
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject(new Error('Clipboard unavailable'));
+        copied
+            .then(() => window.app?.showNotification(message, 'success'))
+            .catch(() => prompt('Copy this invite link:', link));
+    }
+
+    // Accepting an invite link; accepting a project invite opens the editor, so editor.js calls this after creating it
+    checkInviteLink() {
+        const match = window.location.hash.match(/^#invite=([\w-]+)$/);
+        if (!match) return;
+
+        // Keep the token out of the address bar and browser history once it has been read
+        sessionStorage.setItem(InviteManager.PENDING_TOKEN_KEY, match[1]);
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        const invite = this.getPendingInvite();
+        analytics.track('Invite Link Opened', {
+            invite_id: invite?.id || null,
+            invite_status: invite?.status || 'invalid',
+            inviter_id: invite?.inviter_id || null,
+            logged_in: !!window.app?.currentUser
+        });
+
+        this.processPendingInvite();
+    }
+
+    getPendingInvite() {
+        const token = sessionStorage.getItem(InviteManager.PENDING_TOKEN_KEY);
+        const invite = token ? this.store.findByToken(token) : null;
+        return invite ? this.refresh(invite) : null;
+    }
+
+    clearPendingInvite() {
+        sessionStorage.removeItem(InviteManager.PENDING_TOKEN_KEY);
+    }
+
+    // Called on page load and again after the invitee signs up or logs in
+    processPendingInvite(isNewUser = false) {
+        if (!sessionStorage.getItem(InviteManager.PENDING_TOKEN_KEY)) return null;
+
+        const invite = this.getPendingInvite();
+        const messages = {
+            accepted: 'This invitation has already been accepted',
+            revoked: 'This invitation was revoked. Ask for a new invite.',
+            expired: 'This invitation has expired. Ask for it to be resent.'
+        };
+
+        if (!invite || invite.status !== 'pending') {
+            this.clearPendingInvite();
+            window.app?.showNotification(invite ? messages[invite.status] : 'This invite link is not valid', 'error');
+            return null;
+        }
+
+        if (!window.app?.currentUser) {
+            const emailInput = document.getElementById('signup-email');
+            if (emailInput) {
+                emailInput.value = invite.invitee_email;
+            }
+            window.app?.showSignupModal();
+            window.app?.showNotification(`${invite.inviter_name || invite.inviter_id} invited you to collaborate. Sign up or log in to join.`, 'info');
+            return null;
+        }
+
+        return this.accept(invite, isNewUser);
+    }
+
+    accept(invite, isNewUser = false) {
+        this.clearPendingInvite();
+
+        if (this.getAccountId() !== invite.invitee_email) {
+            window.app?.showNotification(`This invitation was sent to ${invite.invitee_email}. Log in with that email to accept it.`, 'error');
+            return null;
+        }
+
+        const member = { email: invite.invitee_email, name: window.app.currentUser.name, role: invite.role, added_by: invite.inviter_id };
+        const attached = invite.team_id
+            ? window.teamSpace?.attachMember(invite.team_id, member)
+            : this.addCollaborator(invite.project_id, member);
+        if (!attached) {
+            window.app?.showNotification(`The ${invite.team_id ? 'team' : 'project'} you were invited to no longer exists`, 'error');
+            return null;
+        }
+
+        const accepted = this.store.save({
+            ...invite,
+            status: 'accepted',
+            accepted_at: new Date().toISOString(),
+            accepted_user_id: window.app.currentUser.userId || null,
+            new_user: isNewUser
+        });
+
+        if (window.veedAnalytics) {
+            window.veedAnalytics.trackInviteAccepted(accepted);
+        }
+
+        if (accepted.team_id) {
+            window.app.showNotification(`You joined ${attached.name}`, 'success');
+            window.teamSpace.open();
+        } else {
+            window.app.showNotification(`You can now ${accepted.role === 'viewer' ? 'view' : 'edit'} "${attached.name}"`, 'success');
+            window.app.openEditor(accepted.project_id);
+        }
+
+        return accepted;
+    }
+
+    addCollaborator(projectId, member) {
+        const project = window.projectService.load(projectId);
+        if (!project) return null;
+
+        const collaborators = (project.collaborators || []).filter(c => c.email !== member.email);
+        return window.projectService.save({
+            ...project,
+            collaborators: collaborators.concat({ ...member, added_at: new Date().toISOString() })
+        });
+    }
+
+    // Invite dialog
+    open(projectId) {
+        this.projectId = projectId;
+
+        const roleSelect = document.getElementById('invite-role');
+        if (roleSelect) {
+            roleSelect.innerHTML = InviteManager.PROJECT_ROLES.map(role => `<option value="${role}">${TeamSpace.ROLES[role].label}</option>`).join('');
+        }
+        const link = document.getElementById('invite-link');
+        if (link) {
+            link.innerHTML = '';
+        }
+
+        this.render();
+        window.app?.showModal('invite-modal');
+    }
+
+    handleAction(action, inviteId) {
+        const actions = {
+            send: () => this.sendFromDialog(),
+            copy: () => this.copyLink(inviteId),
+            resend: () => this.resend(inviteId),
+            revoke: () => this.revoke(inviteId)
+        };
+
+        actions[action]?.();
+    }
+
+    sendFromDialog() {
+        const emailInput = document.getElementById('invite-email');
+        const role = document.getElementById('invite-role')?.value || 'editor';
+        if (!emailInput || !window.videoEditor) return;
+
+        if (window.videoEditor.inviteCollaborator(emailInput.value, role)) {
+            emailInput.value = '';
+        }
+    }
+
+    // No email is sent from the browser, so the link is shown and copied for the inviter to pass on
+    showLink(invite) {
+        const container = document.getElementById('invite-link');
+        if (container && invite.project_id && invite.project_id === this.projectId) {
+            container.innerHTML = `
+                <input type="text" value="${this.getInviteLink(invite)}" readonly>
+                <button class="btn-secondary" data-invite-action="copy" data-invite-id="${invite.id}">Copy link</button>
+            `;
+        }
+
+        this.copyLink(invite.id, `Invite link copied. Send it to ${invite.invitee_email} to give them access.`);
+    }
+
+    renderAll() {
+        this.render();
+        window.teamSpace?.render();
+    }
+
+    render() {
+        const list = document.getElementById('invite-list');
+        if (list && this.projectId) {
+            list.innerHTML = this.renderList(this.list({ projectId: this.projectId }));
+        }
+    }
+
+    renderList(invites) {
+        if (invites.length === 0) {
+            return '<p class="media-bin-empty">No invitations sent yet</p>';
+        }
+
+        return invites.map(invite => `
+            <div class="invite-item">
+                <div class="team-member-info">
+                    <span class="activity-user">${Utils.escapeHtml(invite.invitee_email)}</span>
+                    <span class="library-item-meta">${TeamSpace.ROLES[invite.role].label} · ${this.describeStatus(invite)}</span>
+                </div>
+                <span class="invite-status invite-status-${invite.status}">${invite.status}</span>
+                <div class="library-item-actions">
+                    ${invite.status === 'pending' ? `<button data-invite-action="copy" data-invite-id="${invite.id}" title="Copy link"><i class="fas fa-link"></i></button>` : ''}
+                    ${['pending', 'expired'].includes(invite.status) ? `<button data-invite-action="resend" data-invite-id="${invite.id}" title="Resend"><i class="fas fa-paper-plane"></i></button>` : ''}
+                    ${invite.status === 'pending' ? `<button data-invite-action="revoke" data-invite-id="${invite.id}" title="Revoke"><i class="fas fa-ban"></i></button>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    describeStatus(invite) {
+        const formatDate = (date) => new Date(date).toLocaleDateString();
+        const descriptions = {
+            pending: () => `Expires in ${Math.max(1, Math.ceil((new Date(invite.expires_at) - Date.now()) / (24 * 60 * 60 * 1000)))} days`,
+            accepted: () => `Accepted ${formatDate(invite.accepted_at)}`,
+            revoked: () => `Revoked ${formatDate(invite.revoked_at)}`,
+            expired: () => `Expired ${formatDate(invite.expired_at)}`
+        };
+        return descriptions[invite.status]();
+    }
+}
+
+// Initialize invitations when DOM is ready; #invite=<token> links are picked up once the editor exists (see editor.js)
+document.addEventListener('DOMContentLoaded', function() {
+    window.inviteManager = new InviteManager();
+});
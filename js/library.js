@@ -0,0 +1,215 @@
+// Project Library view with search, sorting and project management actions
+// Lists saved projects through ProjectService and reopens them in the editor
+
+class ProjectLibrary {
+    constructor(projects) {
+        this.projects = projects;
+        this.search = '';
+        this.sort = 'updated';
+
+        this.init();
+    }
+
+    init() {
+        const searchInput = document.getElementById('library-search');
+        const sortSelect = document.getElementById('library-sort');
+
+        if (searchInput) {
+            let searchTimeout;
+            searchInput.addEventListener('input', (e) => {
+                this.search = e.target.value;
+                this.render();
+
+                // Only track the settled search term
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => this.trackSearch(), 500);
+            });
+        }
+
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => {
+                this.sort = e.target.value;
+                this.render();
+
+                analytics.track('Project Library Sorted', {
+                    user_id: window.app?.currentUser?.email,
+                    sort_by: this.sort
+                });
+            });
+        }
+
+        const list = document.getElementById('library-list');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (!button) return;
+
+                const projectId = button.closest('.library-item').dataset.projectId;
+                this.handleAction(button.dataset.action, projectId);
+            });
+        }
+    }
+
+    open() {
+        if (!window.app?.currentUser) {
+            window.app?.showSignupModal();
+            return;
+        }
+
+        this.render();
+        window.app.showModal('project-library-modal');
+
+        analytics.track('Project Library Opened', {
+            user_id: window.app?.currentUser?.email,
+            user_plan: window.app?.currentPlan,
+            saved_projects: this.projects.list().length
+        });
+    }
+
+    render() {
+        const list = document.getElementById('library-list');
+        if (!list) return;
+
+        const projects = this.projects.list({ search: this.search, sort: this.sort });
+
+        if (projects.length === 0) {
+            list.innerHTML = `<p class="library-empty">${this.search ? 'No projects match your search.' : 'No saved projects yet. Save a project from the editor to see it here.'}</p>`;
+            return;
+        }
+
+        list.innerHTML = projects.map(project => `
+            <div class="library-item" data-project-id="${project.id}">
+                <div class="library-item-info" data-action="open">
+                    <h4>${Utils.escapeHtml(project.name || 'Untitled Project')}</h4>
+                    <span class="library-item-meta">
+                        ${this.getClipCount(project)} elements · ${this.formatDuration(project.duration)} · Edited ${this.formatDate(project.updated_at || project.created_at)}
+                    </span>
+                </div>
+                <div class="library-item-actions">
+                    <button data-action="open" title="Open"><i class="fas fa-folder-open"></i></button>
+                    ${this.canRename(project) ? '<button data-action="rename" title="Rename"><i class="fas fa-pen"></i></button>' : ''}
+                    <button data-action="duplicate" title="Duplicate"><i class="fas fa-copy"></i></button>
+                    ${this.projects.isOwner(project) ? '<button data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>' : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    handleAction(action, projectId) {
+        const actions = {
+            open: () => this.openProject(projectId),
+            rename: () => this.renameProject(projectId),
+            duplicate: () => this.duplicateProject(projectId),
+            delete: () => this.deleteProject(projectId)
+        };
+
+        if (actions[action]) {
+            actions[action]();
+        }
+    }
+
+    // Renaming is an edit, so invited viewers and view-only team members can't do it
+    canRename(project) {
+        return !window.teamSpace || window.teamSpace.canAccessProject(project, 'save');
+    }
+
+    openProject(projectId) {
+        window.app.closeModal('project-library-modal');
+        window.app.openEditor(projectId);
+    }
+
+    renameProject(projectId) {
+        const project = this.projects.load(projectId);
+        if (!project || (window.teamSpace && !window.teamSpace.requireProjectPermission(project, 'save'))) return;
+
+        const name = prompt('Rename project:', project.name);
+        if (!name || !name.trim() || name.trim() === project.name) return;
+
+        this.projects.rename(projectId, name.trim());
+        this.render();
+
+        analytics.track('Project Renamed', {
+            user_id: window.app?.currentUser?.email,
+            project_id: projectId,
+            rename_source: 'project_library'
+        });
+    }
+
+    duplicateProject(projectId) {
+        const copy = this.projects.duplicate(projectId);
+        if (!copy) return;
+
+        this.render();
+        window.app?.showNotification(`Created "${copy.name}"`, 'success');
+
+        analytics.track('Project Duplicated', {
+            user_id: window.app?.currentUser?.email,
+            project_id: copy.id,
+            source_project_id: projectId,
+            elements_count: this.getClipCount(copy)
+        });
+    }
+
+    deleteProject(projectId) {
+        const project = this.projects.load(projectId);
+        if (!project) return;
+        if (!this.projects.isOwner(project)) {
+            window.app?.showNotification('Only the project owner can delete this project', 'error');
+            return;
+        }
+        if (!confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+
+        this.projects.remove(projectId);
+        this.render();
+        window.app?.showNotification('Project deleted', 'success');
+
+        analytics.track('Project Deleted', {
+            user_id: window.app?.currentUser?.email,
+            project_id: projectId,
+            elements_count: this.getClipCount(project),
+            project_age_days: Math.floor((Date.now() - new Date(project.created_at).getTime()) / (1000 * 60 * 60 * 24))
+        });
+    }
+
+    trackSearch() {
+        if (!this.search.trim()) return;
+
+        analytics.track('Project Library Searched', {
+            user_id: window.app?.currentUser?.email,
+            search_length: this.search.trim().length,
+            results_count: this.projects.list({ search: this.search }).length
+        });
+    }
+
+    // Formatting helpers
+    getClipCount(project) {
+        return (project.timeline?.tracks || []).reduce((count, track) => count + (track.clips || []).length, 0);
+    }
+
+    formatDuration(seconds = 0) {
+        const total = Math.round(seconds || 0);
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
+    formatDate(date) {
+        if (!date) return 'never';
+
+        const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+        if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+        return new Date(date).toLocaleDateString();
+    }
+}
+
+// Initialize project library when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.projectLibrary = new ProjectLibrary(window.projectService);
+});
+
+// Global function for HTML onclick handlers
+window.openProjectLibrary = function() {
+    if (window.projectLibrary) {
+        window.projectLibrary.open();
+    }
+};
@@ -188,7 +188,8 @@ class VeedApp {
                 name: existingUserData.name || email.split('@')[0],
                 loginDate: new Date().toISOString(),
                 userId: userId,
-                company: existingUserData.company || null
+                company: existingUserData.company || null,
+                subscription: existingUserData.subscription || null
             };
             
             localStorage.setItem('veed_user_data', JSON.stringify(this.currentUser));
@@ -197,6 +198,9 @@ class VeedApp {
             if (window.veedAnalytics) {
                 window.veedAnalytics.trackLogin(email, userId);
             }
+            window.teamSpace?.syncWorkspace();
+            window.inviteManager?.processPendingInvite();
+            window.subscription?.check();
 
             this.updateUIBasedOnAuth();
             this.closeModal('login-modal');
@@ -213,12 +217,16 @@ class VeedApp {
             // Generate a unique 5-character user ID
             const userId = window.veedAnalytics ? window.veedAnalytics.generateRandomUserId() : this.generateRandomUserId();
             
-            // Add the generated user ID to the user data
+            // Add the generated user ID to the user data, attributing the signup to whoever sent the invite link
+            // when it was sent to the address the account is being created with
+            const pendingInvite = window.inviteManager?.getPendingInvite();
+            const invite = pendingInvite && pendingInvite.invitee_email === Utils.normalizeEmail(userData.email) ? pendingInvite : null;
             const userDataWithId = {
                 ...userData,
                 signupDate: new Date().toISOString(),
                 plan: 'free',
-                userId: userId
+                userId: userId,
+                ...(invite ? { invitedBy: invite.inviter_user_id || invite.inviter_id, inviteId: invite.id } : {})
             };
             
             this.currentUser = userDataWithId;
@@ -235,6 +243,7 @@ class VeedApp {
             this.closeModal('signup-modal');
             this.hideLoading();
             this.showNotification('Account created successfully!', 'success');
+            window.inviteManager?.processPendingInvite(true);
             
             // Start onboarding flow
             this.startOnboardingFlow();
@@ -314,12 +323,14 @@ class VeedApp {
         modal.className = 'modal';
         modal.id = 'upgrade-modal';
         
-        const plans = {
-            pro: { name: 'Pro', price: 24, features: ['2 hours/month', '4K export', 'No watermark'] },
-            business: { name: 'Business', price: 59, features: ['10 hours/month', 'Team collaboration', 'Brand kit'] }
-        };
-        
-        const plan = plans[planType];
+        const plan = Entitlements.getDefinition(planType);
+        const trialing = !!window.subscription?.isTrialing();
+        const trial = !trialing && !!window.subscription?.isTrialEligible();
+        const terms = trialing
+            ? `Your trial continues until ${new Date(window.subscription.get().trial_end).toLocaleDateString()}, then $${plan.price}/month.`
+            : trial
+                ? `${SubscriptionManager.TRIAL_DAYS}-day free trial, then $${plan.price}/month. Cancel anytime.`
+                : `$${plan.price}/month. Cancel anytime.`;
         
         modal.innerHTML = `
             <div class="modal-content">
@@ -328,7 +339,7 @@ class VeedApp {
                 <div class="upgrade-details">
                     <div class="price">$${plan.price}/month</div>
                     <ul class="features">
-                        ${plan.features.map(feature => `<li><i class="fas fa-check"></i> ${feature}</li>`).join('')}
+                        ${plan.highlights.map(feature => `<li><i class="fas fa-check"></i> ${feature}</li>`).join('')}
                     </ul>
                     <div class="billing-options">
                         <label>
@@ -341,10 +352,10 @@ class VeedApp {
                         </label>
                     </div>
                     <button class="btn-primary" onclick="processUpgrade('${planType}')">
-                        Start Free Trial
+                        ${trialing ? `Switch Trial to ${plan.name}` : trial ? 'Start Free Trial' : 'Subscribe'}
                     </button>
                 </div>
-                <p>14-day free trial, then $${plan.price}/month. Cancel anytime.</p>
+                <p>${terms}</p>
             </div>
         `;
         
@@ -358,36 +369,14 @@ class VeedApp {
         // Simulate upgrade process
         setTimeout(() => {
             const billingCycle = document.querySelector('input[name="billing"]:checked').value;
-            
-            const upgradeData = {
-                plan: planType,
-                billingCycle: billingCycle,
-                method: 'upgrade_modal',
-                fromTrial: false
-            };
-
-            // Update user plan
-            this.currentPlan = planType;
-            localStorage.setItem('user_plan', planType);
-
-            // Track with Segment
-            if (window.veedAnalytics) {
-                window.veedAnalytics.trackSubscriptionUpgrade(upgradeData);
-            }
 
             this.closeModal('upgrade-modal');
             this.hideLoading();
-            this.showNotification(`Successfully upgraded to ${planType}!`, 'success');
-            this.updateUIBasedOnAuth();
-            
-            // Track successful conversion
-            analytics.track('Conversion Completed', {
-                user_id: this.currentUser?.email,
-                plan: planType,
-                billing_cycle: billingCycle,
-                conversion_value: planType === 'pro' ? 24 : 59,
-                conversion_type: 'freemium_to_paid'
-            });
+
+            // Starts a trial, subscribes or switches plan, and tracks the conversion
+            if (window.subscription) {
+                window.subscription.upgrade(planType, billingCycle);
+            }
         }, 2000);
     }
 
@@ -416,26 +405,18 @@ class VeedApp {
     openEditor(existingProjectId = null) {
         const modal = document.getElementById('editor-modal');
         if (modal) {
-            modal.style.display = 'block';
-            
-            // Create new project if starting from scratch (no existing project)
+            // Rehydrate a saved project, or fall back to a fresh one if it no longer exists
+            if (existingProjectId && !window.videoEditor?.loadProject(existingProjectId)) {
+                this.showNotification('That project could not be found', 'error');
+                existingProjectId = null;
+            }
+
             if (!existingProjectId) {
-                const projectId = 'proj_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
-                
-                // Track project creation
-                if (window.veedAnalytics) {
-                    window.veedAnalytics.trackProjectCreated({
-                        id: projectId,
-                        name: 'Untitled Project',
-                        type: 'video_editing',
-                        method: 'from_scratch'
-                    });
-                }
-                
-                // Update project count
-                this.projectCount++;
-                localStorage.setItem('total_projects', this.projectCount.toString());
+                window.videoEditor?.resetProject();
             }
+
+            // New projects are created by the editor on first edit, save, export or invite
+            modal.style.display = 'block';
             
             // Track editor opened
             analytics.track('Editor Opened', {
@@ -460,31 +441,11 @@ class VeedApp {
     }
 
     saveProject() {
-        if (!this.currentUser) return;
-
-        const projectName = document.getElementById('project-name').value;
-        const projectId = 'proj_' + Date.now();
-        
-        this.projectCount++;
-        localStorage.setItem('total_projects', this.projectCount.toString());
+        if (!this.currentUser || !window.videoEditor) return;
 
-        // Track project creation
-        if (window.veedAnalytics) {
-            window.veedAnalytics.trackProjectCreated({
-                id: projectId,
-                name: projectName,
-                type: 'video_editing',
-                method: 'manual'
-            });
-        }
-
-        this.showNotification('Project saved successfully!', 'success');
-        
-        // Check for onboarding milestones
-        if (this.projectCount === 1) {
-            if (window.veedAnalytics) {
-                window.veedAnalytics.trackOnboardingMilestone('first_project_created');
-            }
+        // The editor owns the project lifecycle; creation is tracked there on first save
+        if (window.videoEditor.saveProject()) {
+            this.showNotification('Project saved successfully!', 'success');
         }
     }
 
@@ -515,83 +476,69 @@ class VeedApp {
     }
 
     processVideoUpload(file) {
-        // Track actual upload
-        analytics.track('Video Uploaded', {
-            user_id: this.currentUser?.email,
-            file_size_mb: Math.round(file.size / (1024 * 1024)),
-            file_type: file.type,
-            user_plan: this.currentPlan
-        });
+        if (!window.videoEditor) return;
+
+        this.showLoading('Processing video...');
+
+        window.videoEditor.importMedia(file)
+            .then(asset => {
+                // Track actual upload with the decoded metadata
+                analytics.track('Video Uploaded', {
+                    user_id: this.currentUser?.email,
+                    file_size_mb: Math.round(file.size / (1024 * 1024)),
+                    file_type: file.type,
+                    duration_seconds: Math.round(asset.duration * 10) / 10,
+                    resolution: `${asset.width}x${asset.height}`,
+                    frame_rate: asset.frame_rate,
+                    has_audio: asset.has_audio,
+                    user_plan: this.currentPlan
+                });
 
-        this.showNotification('Video uploaded successfully!', 'success');
-        this.openEditor();
+                this.hideLoading();
+
+                // Uploading from the hero starts a new project; from the editor it adds to the open one
+                if (document.getElementById('editor-modal')?.style.display !== 'block') {
+                    this.openEditor();
+                }
+
+                window.videoEditor.addMediaClip(asset, 'upload');
+                this.showNotification('Video uploaded successfully!', 'success');
+            })
+            .catch(error => {
+                this.hideLoading();
+
+                analytics.track('Video Upload Failed', {
+                    user_id: this.currentUser?.email,
+                    file_size_mb: Math.round(file.size / (1024 * 1024)),
+                    file_type: file.type,
+                    failure_reason: error.message,
+                    user_plan: this.currentPlan
+                });
+
+                this.showNotification(error.message, 'error');
+            });
     }
 
     exportVideo() {
         if (!this.currentUser) return;
 
-        // Check plan limits
-        const exportLimits = { free: 1, pro: 50, business: 200 };
-        const todayExports = parseInt(localStorage.getItem('exports_today') || '0');
-        
-        if (todayExports >= exportLimits[this.currentPlan] && this.currentPlan === 'free') {
-            this.showUpgradePrompt('export_limit');
-            return;
+        // Plan limits, rendering and export tracking are handled by the editor
+        if (window.videoEditor) {
+            window.videoEditor.showExportDialog();
         }
-
-        // Simulate export process
-        this.showLoading('Exporting video...');
-        
-        setTimeout(() => {
-            const exportData = {
-                projectId: 'proj_current',
-                duration: 120,
-                quality: this.currentPlan === 'free' ? '720p' : '4K',
-                format: 'mp4',
-                fileSize: 45,
-                processingTime: 30,
-                hasSubtitles: true,
-                effectsCount: 3,
-                isCollaborative: false
-            };
-
-            if (window.veedAnalytics) {
-                window.veedAnalytics.trackVideoExport(exportData);
-            }
-
-            // Update export count
-            localStorage.setItem('exports_today', (todayExports + 1).toString());
-            
-            this.hideLoading();
-            this.showNotification('Video exported successfully!', 'success');
-        }, 3000);
     }
 
     // Team Collaboration
     inviteCollaborator() {
-        if (this.currentPlan === 'free') {
+        if (!Entitlements.can(this.currentUser, 'collaboration')) {
             this.showUpgradePrompt('collaboration');
             return;
         }
 
-        const email = prompt('Enter collaborator\'s email:');
-        if (email && this.isValidEmail(email)) {
-            this.sendInvite(email);
-        }
-    }
-
-    sendInvite(email) {
-        const inviteData = {
-            email: email,
-            role: 'editor',
-            projectId: 'proj_current'
-        };
-
-        if (window.veedAnalytics) {
-            window.veedAnalytics.trackUserInvited(inviteData);
+        // Invites are created, resent and revoked from the invite dialog
+        if (window.videoEditor && window.inviteManager) {
+            window.inviteManager.open(window.videoEditor.ensureProject().id);
         }
-
-        this.showNotification(`Invitation sent to ${email}!`, 'success');
     }
 
     // UI Helper Methods
@@ -644,11 +591,12 @@ class VeedApp {
         const message = {
             export_limit: 'Upgrade to Pro for unlimited exports!',
             collaboration: 'Upgrade to Business for team collaboration!',
-            watermark: 'Upgrade to Pro to remove watermarks!'
+            watermark: 'Upgrade to Pro to remove watermarks!',
+            asset_storage: 'Upgrade for more storage in your asset library!'
         };
 
-        if (confirm(message[reason] + ' Upgrade now?')) {
-            const targetPlan = reason === 'collaboration' ? 'business' : 'pro';
+        const targetPlan = Entitlements.getUpgradePlan(this.currentUser, reason);
+        if (targetPlan && confirm(message[reason] + ' Upgrade now?')) {
             this.selectPlan(targetPlan);
         }
     }
@@ -661,13 +609,29 @@ class VeedApp {
                 <div class="user-menu">
                     <span class="user-name">Hi, ${this.currentUser.name}!</span>
                     <span class="user-id">ID: ${this.currentUser.userId}</span>
-                    <span class="user-plan">${this.currentPlan}</span>
+                    <span class="user-plan">${this.currentPlan}${window.subscription?.isTrialing() ? ' (trial)' : ''}</span>
+                    ${this.renderUsage()}
+                    <button class="btn-secondary" onclick="openProjectLibrary()">
+                        <i class="fas fa-folder"></i>
+                        Projects
+                    </button>
                     <button class="btn-secondary" onclick="app.logout()">Logout</button>
                 </div>
             `;
         }
     }
 
+    // Video minutes left this month, with every metered quota in the tooltip
+    renderUsage() {
+        if (!window.usageMeter) return '';
+
+        const summary = window.usageMeter.getSummary();
+        const minutes = summary.find(entry => entry.metric === 'export_minutes');
+        if (!minutes) return '';
+
+        return `<span class="user-usage" title="${summary.map(entry => window.usageMeter.describe(entry)).join('\n')}">${window.usageMeter.formatAmount(minutes, minutes.remaining)} min left</span>`;
+    }
+
     logout() {
         // Track logout event before resetting
         analytics.track('Logged Out', {
@@ -994,35 +958,32 @@ function selectTemplate(templateId) {
         return;
     }
 
-    // Create project from template
-    const projectId = 'proj_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
-    
-    // Track project creation from template
-    if (window.veedAnalytics) {
-        window.veedAnalytics.trackProjectCreated({
-            id: projectId,
-            name: `${templateId} Project`,
-            type: 'video_editing',
-            template: templateId,
-            method: 'template'
-        });
-    }
+    // Create project from template, pre-populated with its placeholder slots when it has a definition
+    const templateProject = TemplateEngine.instantiate(templateId);
+    const project = window.projectService.create({
+        name: `${templateId} Project`,
+        template: templateId,
+        ...templateProject,
+        method: 'template'
+    });
+    const slots = TemplateEngine.getSlotStats(new Timeline(project.timeline));
 
-    // Track template usage started
+    // Track template usage started; the export fires the 'exported' stage with slots filled
     analytics.track('Template Used', {
         templateId: templateId,
-        projectId: projectId,
-        plan: window.app?.currentPlan
+        projectId: project.id,
+        plan: window.app?.currentPlan,
+        usageStage: 'created',
+        aspectRatio: project.settings.aspect_ratio || null,
+        templateDuration: project.duration,
+        slotsTotal: slots.total,
+        slotsFilled: slots.filled
     });
 
     if (window.app) {
-        // Update project count
-        window.app.projectCount++;
-        localStorage.setItem('total_projects', window.app.projectCount.toString());
-        
         window.app.showNotification(`Creating project from ${templateId} template...`, 'success');
         setTimeout(() => {
-            window.app.startVideoEditor();
+            window.app.openEditor(project.id);
         }, 1000);
     }
 }
@@ -1038,33 +999,44 @@ function viewAllTemplates() {
     }
 }
 
-function createBrandKit() {
+// Opens the brand kit manager; source 'new' adds a blank kit and an example type adopts that example
+function createBrandKit(source = null) {
+    const exampleType = BrandKitManager.EXAMPLES[source] ? source : null;
+
     analytics.track('Brand Kit Creation Started', {
         user_id: window.app?.currentUser?.email,
         user_plan: window.app?.currentPlan,
-        entry_point: 'brand_kit_section'
+        entry_point: source === 'new' ? 'brand_kit_manager' : (exampleType ? 'brand_kit_example' : 'brand_kit_section'),
+        example_type: exampleType
     });
 
     if (!window.app?.currentUser) {
+        window.app?.closeModal('brand-kit-modal');
         window.app?.showSignupModal();
         return;
     }
 
-    if (window.app?.currentPlan === 'free') {
+    if (!Entitlements.can(window.app?.currentUser, 'brand_kit')) {
         analytics.track('Brand Kit Feature Blocked', {
             user_id: window.app?.currentUser?.email,
-            current_plan: 'free',
+            current_plan: window.app?.currentPlan,
             upgrade_opportunity: true
         });
 
         if (confirm('Brand Kits are available with Pro and Business plans. Upgrade now?')) {
-            window.app.selectPlan('pro');
+            window.app.selectPlan(Entitlements.getUpgradePlan(window.app?.currentUser, 'brand_kit'));
         }
         return;
     }
 
-    if (window.app) {
-        window.app.showNotification('Opening Brand Kit creator...', 'success');
+    if (!window.brandKitManager) return;
+
+    if (source) {
+        window.brandKitManager.createKit(exampleType);
+    } else if (window.brandKitManager.getKits().length === 0) {
+        window.brandKitManager.createKit();
+    } else {
+        window.brandKitManager.open();
     }
 }
 
@@ -1075,8 +1047,8 @@ function previewBrandKit(kitType) {
         interaction_type: 'example_preview'
     });
 
-    if (window.app) {
-        window.app.showNotification(`Previewing ${kitType} brand kit`, 'info');
+    if (window.brandKitManager) {
+        window.brandKitManager.previewExample(kitType);
     }
 }
 
@@ -1095,7 +1067,8 @@ function accessTeamSpace() {
         return;
     }
 
-    if (window.app?.currentPlan !== 'business') {
+    // Members added to someone else's team use the owner's business plan
+    if (!Entitlements.can(window.app?.currentUser, 'team_space') && !window.teamSpace?.getTeam()) {
         analytics.track('Team Space Feature Blocked', {
             user_id: window.app?.currentUser?.email,
             current_plan: window.app?.currentPlan,
@@ -1103,18 +1076,19 @@ function accessTeamSpace() {
         });
 
         if (confirm('Team Space is available with Business plan. Upgrade now?')) {
-            window.app.selectPlan('business');
+            window.app.selectPlan(Entitlements.getUpgradePlan(window.app?.currentUser, 'team_space'));
         }
         return;
     }
 
     analytics.track('Team Space Accessed', {
         user_id: window.app?.currentUser?.email,
-        user_plan: window.app?.currentPlan
+        user_plan: window.app?.currentPlan,
+        team_id: window.teamSpace?.getTeam()?.id || null
     });
 
-    if (window.app) {
-        window.app.showNotification('Opening Team Space...', 'success');
+    if (window.teamSpace) {
+        window.teamSpace.open();
     }
 }
 
@@ -1133,6 +1107,13 @@ function trackResourceAccess(resourceType, resourceId) {
         engagement_level: 'content_access'
     });
 
+    // Asset links open the library on the matching tab
+    if (resourceType === 'asset' && window.assetLibrary) {
+        const kinds = { music: 'music', images: 'image', fonts: 'font' };
+        window.assetLibrary.open(kinds[resourceId], 'resources');
+        return;
+    }
+
     if (window.app) {
         window.app.showNotification(`Opening ${resourceType}: ${resourceId}`, 'info');
     }
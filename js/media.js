@@ -0,0 +1,375 @@
+// Media bin and client-side video import for the editor
+// Decodes uploads in an off-DOM <video> to read duration, resolution, frame rate and audio
+// Source files are kept in IndexedDB so projects, drafts and shared timelines still find them after a reload
+
+class MediaBin {
+    constructor(store = new DraftStore('veed_media_bin', 'sources')) {
+        this.store = store;
+        this.assets = [];
+        this.audioBuffers = {};
+        this.audioContext = null;
+        this.restoring = new Set();   // Source ids being read back from the store
+        this.unavailable = new Set(); // Source ids looked up in the store and not found there
+    }
+
+    static get THUMBNAIL_COUNT() { return 8; }
+    static get THUMBNAIL_WIDTH() { return 160; }
+    static get WAVEFORM_POINTS() { return 200; }
+
+    // Common frame rates that measured values are snapped to
+    static get FRAME_RATES() { return [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60]; }
+
+    // How long a seek may take before the file is treated as unreadable
+    static get SEEK_TIMEOUT_MS() { return 10000; }
+
+    getAccountId() {
+        return window.app?.currentUser?.email || null;
+    }
+
+    importFile(file) {
+        if (file.type.startsWith('audio/')) {
+            return this.importAudioFile(file);
+        }
+        if (!file.type.startsWith('video/')) {
+            return Promise.reject(new Error('Please choose a video or audio file'));
+        }
+
+        const url = URL.createObjectURL(file);
+        const asset = {
+            id: 'asset_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            type: 'video',
+            name: file.name,
+            url: url,
+            file_size: file.size,
+            file_type: file.type,
+            imported_at: new Date().toISOString()
+        };
+
+        return this.loadVideo(url)
+            .then(video => {
+                asset.duration = video.duration;
+                asset.width = video.videoWidth;
+                asset.height = video.videoHeight;
+
+                return this.measureFrameRate(video)
+                    .then(frameRate => {
+                        asset.frame_rate = frameRate;
+                        asset.has_audio = this.detectAudio(video);
+                        return this.generateThumbnails(video);
+                    })
+                    .then(thumbnails => {
+                        asset.thumbnails = thumbnails;
+                        video.removeAttribute('src');
+                        video.load();
+
+                        this.assets.push(asset);
+                        this.persist(asset, file);
+                        return asset;
+                    });
+            })
+            .catch(error => {
+                URL.revokeObjectURL(url);
+                throw error;
+            });
+    }
+
+    // Decode audio up front so it can be mixed with Web Audio and drawn as a waveform
+    importAudioFile(file) {
+        return this.decodeAudio(file)
+            .then(buffer => {
+                const asset = {
+                    id: 'asset_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                    type: 'audio',
+                    name: file.name,
+                    url: URL.createObjectURL(file),
+                    file_size: file.size,
+                    file_type: file.type,
+                    imported_at: new Date().toISOString(),
+                    duration: buffer.duration,
+                    channels: buffer.numberOfChannels,
+                    sample_rate: buffer.sampleRate,
+                    waveform: this.calculateWaveform(buffer)
+                };
+
+                this.audioBuffers[asset.id] = buffer;
+                this.assets.push(asset);
+                this.persist(asset, file);
+                return asset;
+            });
+    }
+
+    decodeAudio(blob) {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+
+        return blob.arrayBuffer()
+            .then(data => new Promise((resolve, reject) => {
+                this.audioContext.decodeAudioData(data, resolve, () => reject(new Error('This audio format is not supported by your browser')));
+            }));
+    }
+
+    // Stored Sources
+    // Saving is best effort: the import already succeeded, it just won't survive a reload
+    persist(asset, file) {
+        const { url, ...metadata } = asset;
+        return this.store.put({ key: asset.id, account_id: this.getAccountId(), asset: metadata, blob: file })
+            .then(() => this.meterStorage())
+            .catch(error => console.error('Error storing media source:', error));
+    }
+
+    // Stored sources count toward the account's asset storage quota
+    meterStorage() {
+        const accountId = this.getAccountId();
+        return this.store.list().then(records => window.usageMeter?.setStorage('media_bin', records
+            .filter(record => record.account_id === accountId)
+            .reduce((total, record) => total + (record.blob?.size || 0), 0)));
+    }
+
+    // Bring stored sources back into the bin; resolves with the assets that were restored
+    restore(assetIds) {
+        const ids = [...new Set(assetIds)].filter(id => !this.getAsset(id) && !this.unavailable.has(id) && !this.restoring.has(id));
+        ids.forEach(id => this.restoring.add(id));
+
+        return Promise.all(ids.map(id => this.store.get(id)
+            .then(record => record ? this.restoreRecord(record) : null)
+            .catch(error => {
+                console.error('Error restoring media source:', error);
+                return null;
+            })
+            .then(asset => {
+                this.restoring.delete(id);
+                if (!asset) this.unavailable.add(id);
+                return asset;
+            })
+        )).then(assets => assets.filter(Boolean));
+    }
+
+    restoreRecord(record) {
+        const asset = { ...record.asset, url: URL.createObjectURL(record.blob) };
+        const decoded = asset.type === 'audio'
+            ? this.decodeAudio(record.blob).then(buffer => {
+                this.audioBuffers[asset.id] = buffer;
+            })
+            : Promise.resolve();
+
+        return decoded.then(() => {
+            // Another restore of the same id may have finished first
+            if (this.getAsset(asset.id)) {
+                URL.revokeObjectURL(asset.url);
+                return this.getAsset(asset.id);
+            }
+            this.assets.push(asset);
+            return asset;
+        });
+    }
+
+    // Sources that clips point at but the bin doesn't have
+    getMissingSources(clips) {
+        return [...new Set(clips.map(clip => clip.source).filter(Boolean))].filter(id => !this.getAsset(id));
+    }
+
+    // Peak amplitude (0-1) per bucket across all channels
+    calculateWaveform(buffer, points = MediaBin.WAVEFORM_POINTS) {
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+        const bucketSize = Math.max(1, Math.floor(buffer.length / points));
+        const peaks = [];
+
+        for (let i = 0; i < points; i++) {
+            let peak = 0;
+            const end = Math.min((i + 1) * bucketSize, buffer.length);
+            channels.forEach(data => {
+                for (let j = i * bucketSize; j < end; j++) {
+                    const value = Math.abs(data[j]);
+                    if (value > peak) peak = value;
+                }
+            });
+            peaks.push(Math.round(peak * 1000) / 1000);
+        }
+        return peaks;
+    }
+
+    getAudioBuffer(assetId) {
+        return this.audioBuffers[assetId] || null;
+    }
+
+    loadVideo(url) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.preload = 'auto';
+            video.muted = true;
+            video.playsInline = true;
+
+            video.onloadeddata = () => {
+                const ready = video.duration === Infinity ? this.scanDuration(video) : Promise.resolve();
+                ready.then(() => {
+                    if (!isFinite(video.duration) || !video.videoWidth) {
+                        reject(new Error('Could not read video metadata'));
+                        return;
+                    }
+                    resolve(video);
+                }, reject);
+            };
+            video.onerror = () => reject(new Error('This video format is not supported by your browser'));
+            video.src = url;
+        });
+    }
+
+    // MediaRecorder output has no duration in its header; seeking past the end makes the browser work it out
+    scanDuration(video) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => finish(new Error('Could not read video metadata')), MediaBin.SEEK_TIMEOUT_MS);
+            const finish = (error) => {
+                clearTimeout(timer);
+                video.onseeked = null;
+                video.onerror = null;
+                error ? reject(error) : resolve();
+            };
+
+            video.onseeked = () => {
+                if (video.currentTime === 0) {
+                    finish();
+                } else {
+                    video.currentTime = 0;
+                }
+            };
+            video.onerror = () => finish(new Error('This video could not be read'));
+            video.currentTime = Number.MAX_SAFE_INTEGER;
+        });
+    }
+
+    // Sample presented frames while playing muted and snap the median interval to a known rate
+    measureFrameRate(video) {
+        if (!('requestVideoFrameCallback' in HTMLVideoElement.prototype)) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            const mediaTimes = [];
+            let finished = false;
+
+            const finish = () => {
+                if (finished) return;
+                finished = true;
+                video.pause();
+                resolve(this.calculateFrameRate(mediaTimes));
+            };
+
+            const onFrame = (now, metadata) => {
+                mediaTimes.push(metadata.mediaTime);
+                if (mediaTimes.length < 15) {
+                    video.requestVideoFrameCallback(onFrame);
+                } else {
+                    finish();
+                }
+            };
+
+            video.requestVideoFrameCallback(onFrame);
+            video.play().catch(finish);
+            setTimeout(finish, 2000);
+        });
+    }
+
+    calculateFrameRate(mediaTimes) {
+        const intervals = [];
+        for (let i = 1; i < mediaTimes.length; i++) {
+            const interval = mediaTimes[i] - mediaTimes[i - 1];
+            if (interval > 0) intervals.push(interval);
+        }
+        if (intervals.length === 0) return null;
+
+        intervals.sort((a, b) => a - b);
+        const measured = 1 / intervals[Math.floor(intervals.length / 2)];
+
+        return MediaBin.FRAME_RATES.reduce((closest, rate) =>
+            Math.abs(rate - measured) < Math.abs(closest - measured) ? rate : closest
+        );
+    }
+
+    detectAudio(video) {
+        if (typeof video.mozHasAudio === 'boolean') return video.mozHasAudio;
+        if (typeof video.webkitAudioDecodedByteCount === 'number') return video.webkitAudioDecodedByteCount > 0;
+        if (video.audioTracks) return video.audioTracks.length > 0;
+        return null;
+    }
+
+    generateThumbnails(video, count = MediaBin.THUMBNAIL_COUNT) {
+        const canvas = document.createElement('canvas');
+        canvas.width = MediaBin.THUMBNAIL_WIDTH;
+        canvas.height = Math.round(MediaBin.THUMBNAIL_WIDTH * video.videoHeight / video.videoWidth);
+        const context = canvas.getContext('2d');
+
+        const times = Array.from({ length: count }, (_, i) => video.duration * (i + 0.5) / count);
+
+        // Seek sequentially; a <video> can only be at one position at a time
+        return times.reduce((chain, time) => chain.then(thumbnails =>
+            this.seek(video, time).then(() => {
+                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+                thumbnails.push(canvas.toDataURL('image/jpeg', 0.6));
+                return thumbnails;
+            })
+        ), Promise.resolve([]));
+    }
+
+    seek(video, time) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => finish(new Error('This video could not be read')), MediaBin.SEEK_TIMEOUT_MS);
+            const finish = (error) => {
+                clearTimeout(timer);
+                video.onseeked = null;
+                video.onerror = null;
+                error ? reject(error) : resolve();
+            };
+
+            video.onseeked = () => finish();
+            video.onerror = () => finish(new Error('This video could not be read'));
+            video.currentTime = time;
+        });
+    }
+
+    getAsset(assetId) {
+        return this.assets.find(a => a.id === assetId) || null;
+    }
+
+    getAssets(type = null) {
+        return type ? this.assets.filter(a => a.type === type) : this.assets.slice();
+    }
+
+    formatResolution(asset) {
+        return asset.width && asset.height ? `${asset.width}x${asset.height}` : null;
+    }
+
+    renderPanel() {
+        const assets = this.getAssets('video');
+
+        return `
+            <div class="media-tools">
+                <button class="tool-item" onclick="uploadVideoFile()">
+                    <i class="fas fa-upload"></i>
+                    Upload Video
+                </button>
+                <button class="tool-item" onclick="addElement('image')">
+                    <i class="fas fa-image"></i>
+                    Add Image
+                </button>
+                <button class="tool-item" onclick="switchTool('audio')">
+                    <i class="fas fa-music"></i>
+                    Add Audio
+                </button>
+            </div>
+            <h4 class="media-bin-title">Media Bin</h4>
+            <div class="media-bin">
+                ${assets.length === 0 ? '<p class="media-bin-empty">Uploaded videos appear here</p>' : assets.map(asset => `
+                    <div class="media-asset" onclick="addMediaAsset('${asset.id}')" title="Add to timeline">
+                        <img src="${asset.thumbnails[0] || ''}" alt="">
+                        <div class="media-asset-info">
+                            <span class="media-asset-name">${Utils.escapeHtml(asset.name)}</span>
+                            <span class="media-asset-meta">${Math.round(asset.duration)}s · ${this.formatResolution(asset)}${asset.frame_rate ? ' · ' + asset.frame_rate + 'fps' : ''}</span>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            ${window.assetLibrary ? window.assetLibrary.renderEditorSection('image') : ''}
+        `;
+    }
+}
@@ -0,0 +1,405 @@
+// Timeline compositing and preview playback for the video editor
+// Compositor draws any point of the timeline to a canvas; PreviewPlayer drives it in real time
+
+class Compositor {
+    constructor(timeline, mediaBin) {
+        this.timeline = timeline;
+        this.mediaBin = mediaBin;
+        this.videoElements = {};
+        this.images = {};
+        this.audioDestination = null;
+        this.layers = {};
+        this.onImageLoaded = null;
+
+        // Layer renderers keyed by clip type; clips without one are not drawn
+        this.renderers = {
+            video: (context, clip, localTime, frame, time, outgoing) => this.drawVideoClip(context, clip, frame, outgoing),
+            image: (context, clip, localTime, frame) => this.drawImageClip(context, clip, frame),
+            text: (context, clip, localTime, frame) => TextTool.draw(context, clip, localTime, frame),
+            subtitles: (context, clip, localTime, frame) => SubtitleEditor.drawCue(context, clip.properties.text || '', frame)
+        };
+    }
+
+    // A clip counts as following another on its track when they meet within this many seconds
+    static get ADJACENT_TOLERANCE() { return 0.05; }
+
+    registerRenderer(clipType, renderer) {
+        this.renderers[clipType] = renderer;
+    }
+
+    // Draw the composed frame at a timeline position, bottom layer first
+    drawFrame(context, time, frame) {
+        context.fillStyle = '#000';
+        context.fillRect(0, 0, frame.width, frame.height);
+
+        this.timeline.getClipsAt(time).forEach(clip => {
+            const renderer = this.renderers[clip.type];
+            if (!renderer) return;
+
+            if (!EffectsLibrary.hasPasses(clip)) {
+                context.save();
+                renderer(context, clip, time - clip.start, frame, time);
+                context.restore();
+                return;
+            }
+
+            // Clips with effects or a transition are drawn on their own layer first
+            const localTime = time - clip.start;
+            const layer = this.renderLayer('clip', renderer, clip, localTime, frame, time);
+
+            // While a transition runs, the clip it follows on the track is drawn too so the two blend
+            const outgoingClip = this.isInTransition(clip, time) ? this.getOutgoingClip(clip) : null;
+            const outgoingRenderer = outgoingClip && this.renderers[outgoingClip.type];
+            const outgoing = outgoingRenderer ? {
+                clip: outgoingClip,
+                layer: this.renderLayer('outgoing', outgoingRenderer, outgoingClip, Math.min(time - outgoingClip.start, this.timeline.getClipDuration(outgoingClip)), frame, time, true)
+            } : null;
+
+            EffectsLibrary.composite(context, layer, clip, localTime, frame, outgoing);
+        });
+    }
+
+    renderLayer(name, renderer, clip, localTime, frame, time, outgoing = false) {
+        const layer = this.getLayer(name, frame);
+        const layerContext = layer.getContext('2d');
+        layerContext.clearRect(0, 0, layer.width, layer.height);
+        layerContext.save();
+        renderer(layerContext, clip, localTime, layer, time, outgoing);
+        layerContext.restore();
+        return layer;
+    }
+
+    getLayer(name, frame) {
+        if (!this.layers[name]) {
+            this.layers[name] = document.createElement('canvas');
+        }
+        const layer = this.layers[name];
+        if (layer.width !== frame.width || layer.height !== frame.height) {
+            layer.width = frame.width;
+            layer.height = frame.height;
+        }
+        return layer;
+    }
+
+    isInTransition(clip, time) {
+        const transition = EffectsLibrary.getRenderedTransition(clip);
+        return !!transition && time - clip.start < transition.duration;
+    }
+
+    // The clip a transition blends from: the one that ends where this one starts on the same track
+    getOutgoingClip(clip) {
+        const track = this.timeline.getTrack(clip.trackId);
+        if (!track) return null;
+
+        return track.clips.find(other => other.id !== clip.id && other.start < clip.start &&
+            Math.abs(this.timeline.getClipEnd(other) - clip.start) <= Compositor.ADJACENT_TOLERANCE) || null;
+    }
+
+    // Every clip some transition blends from, for preloading their sources
+    getOutgoingClips() {
+        return this.timeline.getClips()
+            .filter(clip => EffectsLibrary.getRenderedTransition(clip))
+            .map(clip => this.getOutgoingClip(clip))
+            .filter(Boolean);
+    }
+
+    // An outgoing clip plays on through the transition from its own muted element,
+    // so a clip split from the same source can show both positions at once
+    getVideoElement(assetId, outgoing = false) {
+        const key = outgoing ? `${assetId}:outgoing` : assetId;
+        if (this.videoElements[key]) return this.videoElements[key];
+
+        const asset = this.mediaBin.getAsset(assetId);
+        if (!asset) return null;
+
+        const video = document.createElement('video');
+        video.src = asset.url;
+        video.preload = 'auto';
+        video.playsInline = true;
+        video.muted = outgoing;
+        this.videoElements[key] = video;
+
+        // Exports route the element's sound into their mix instead of the speakers
+        if (this.audioDestination && !outgoing) {
+            this.audioDestination.context.createMediaElementSource(video).connect(this.audioDestination);
+        }
+        return video;
+    }
+
+    getImageElement(url) {
+        if (!this.images[url]) {
+            const image = new Image();
+            image.onload = () => {
+                if (this.onImageLoaded) this.onImageLoaded();
+            };
+            image.src = url;
+            this.images[url] = image;
+        }
+        return this.images[url];
+    }
+
+    // Keep each source <video> at the right position; playing clips are only corrected when they drift
+    syncMedia(time, playing) {
+        const active = {};
+        const visible = this.timeline.getClipsAt(time);
+        const outgoing = visible
+            .filter(clip => this.isInTransition(clip, time))
+            .map(clip => this.getOutgoingClip(clip))
+            .filter(Boolean);
+
+        visible.concat(outgoing).forEach(clip => {
+            if (clip.type !== 'video' || !clip.source) return;
+
+            const isOutgoing = outgoing.includes(clip);
+            const video = this.getVideoElement(clip.source, isOutgoing);
+            if (!video) return;
+
+            const mediaTime = clip.in + (time - clip.start);
+            active[isOutgoing ? `${clip.source}:outgoing` : clip.source] = true;
+
+            if (!isOutgoing) {
+                video.muted = !this.timeline.isTrackAudible(this.timeline.getTrack(clip.trackId));
+                video.volume = Math.min(1, AudioMixer.getSettings(clip).volume);
+            }
+
+            if (!playing || Math.abs(video.currentTime - mediaTime) > 0.25) {
+                video.currentTime = mediaTime;
+            }
+
+            if (playing && video.paused) {
+                video.play().catch(() => {});
+            } else if (!playing && !video.paused) {
+                video.pause();
+            }
+        });
+
+        Object.keys(this.videoElements).forEach(key => {
+            if (!active[key] && !this.videoElements[key].paused) {
+                this.videoElements[key].pause();
+            }
+        });
+    }
+
+    pauseAll() {
+        Object.values(this.videoElements).forEach(video => video.pause());
+    }
+
+    // Release the decoders held by source <video> elements
+    dispose() {
+        Object.values(this.videoElements).forEach(video => {
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+        });
+        this.videoElements = {};
+        this.images = {};
+    }
+
+    // Fit a source rectangle inside the frame, preserving aspect ratio
+    fitRect(sourceWidth, sourceHeight, frame) {
+        const scale = Math.min(frame.width / sourceWidth, frame.height / sourceHeight);
+        const width = sourceWidth * scale;
+        const height = sourceHeight * scale;
+        return { x: (frame.width - width) / 2, y: (frame.height - height) / 2, width, height };
+    }
+
+    drawVideoClip(context, clip, frame, outgoing = false) {
+        const video = clip.source ? this.getVideoElement(clip.source, outgoing) : null;
+
+        if (!video || video.readyState < 2) {
+            // An outgoing clip that isn't ready yet is left out rather than flashing a placeholder
+            if (!outgoing) this.drawPlaceholderClip(context, clip, frame);
+            return;
+        }
+
+        const rect = this.fitRect(video.videoWidth, video.videoHeight, frame);
+        context.drawImage(video, rect.x, rect.y, rect.width, rect.height);
+    }
+
+    // Images carry their own URL; x/y anchor the centre and scale is the width as a fraction of the shorter side
+    drawImageClip(context, clip, frame) {
+        const props = clip.properties;
+        if (!props.image_url) {
+            this.drawPlaceholderClip(context, clip, frame);
+            return;
+        }
+
+        const image = this.getImageElement(props.image_url);
+        if (!image.complete || !image.naturalWidth) return;
+
+        const width = Math.min(frame.width, frame.height) * (props.scale || 0.3);
+        const height = width * image.naturalHeight / image.naturalWidth;
+        const x = (props.x !== undefined ? props.x : 0.5) * frame.width - width / 2;
+        const y = (props.y !== undefined ? props.y : 0.5) * frame.height - height / 2;
+
+        context.globalAlpha = props.opacity !== undefined ? props.opacity : 1;
+        context.drawImage(image, x, y, width, height);
+    }
+
+    drawPlaceholderClip(context, clip, frame) {
+        const width = frame.width * 0.4;
+        const height = frame.height * 0.4;
+
+        context.fillStyle = 'rgba(99, 102, 241, 0.35)';
+        context.fillRect((frame.width - width) / 2, (frame.height - height) / 2, width, height);
+        context.fillStyle = '#fff';
+        context.font = `${Math.round(Math.min(frame.width, frame.height) / 24)}px Inter, sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(clip.name, frame.width / 2, frame.height / 2);
+    }
+}
+
+class PreviewPlayer {
+    constructor(editor) {
+        this.editor = editor;
+        this.compositor = new Compositor(editor.timeline, editor.mediaBin);
+        this.compositor.onImageLoaded = () => this.render(this.isPlaying);
+        this.canvas = null;
+        this.context = null;
+        this.animationFrame = null;
+        this.playStartedAt = null;
+        this.playStartPosition = 0;
+
+        this.init();
+    }
+
+    static get SEEK_STEP() { return 5; }
+
+    // Shorter side of the preview canvas; the longer side follows the project's aspect ratio
+    static get PREVIEW_SIZE() { return 720; }
+
+    init() {
+        const container = document.querySelector('.video-canvas');
+        if (!container) return;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'preview-canvas';
+        this.context = this.canvas.getContext('2d');
+        container.appendChild(this.canvas);
+        this.resize(this.editor.canvasSettings);
+    }
+
+    resize(canvasSettings) {
+        if (!this.canvas) return;
+
+        const size = ProjectCanvas.getDimensions(canvasSettings, PreviewPlayer.PREVIEW_SIZE);
+        if (this.canvas.width !== size.width || this.canvas.height !== size.height) {
+            this.canvas.width = size.width;
+            this.canvas.height = size.height;
+            this.render(this.isPlaying);
+        }
+    }
+
+    get isPlaying() {
+        return this.animationFrame !== null;
+    }
+
+    play() {
+        if (this.isPlaying || this.editor.duration === 0) return false;
+
+        // Restart from the beginning when play is pressed at the end
+        if (this.editor.currentTime >= this.editor.duration) {
+            this.editor.currentTime = 0;
+        }
+
+        this.playStartedAt = performance.now();
+        this.playStartPosition = this.editor.currentTime;
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+        this.editor.audioMixer.play(this.editor.currentTime);
+        this.updateControls();
+        return true;
+    }
+
+    // Stop playback and report how long was watched and where
+    pause() {
+        if (!this.isPlaying) return null;
+
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        this.compositor.pauseAll();
+        this.editor.audioMixer.stop();
+        this.updateControls();
+
+        return {
+            watch_time_ms: Math.round(performance.now() - this.playStartedAt),
+            start_position: this.playStartPosition,
+            end_position: this.editor.currentTime,
+            reached_end: this.editor.currentTime >= this.editor.duration
+        };
+    }
+
+    tick() {
+        const elapsed = (performance.now() - this.playStartedAt) / 1000;
+        const time = Math.min(this.playStartPosition + elapsed, this.editor.duration);
+
+        this.editor.currentTime = time;
+        this.render(true);
+        this.editor.collaboration.sendPresence();
+
+        if (time >= this.editor.duration) {
+            this.editor.pause();
+            return;
+        }
+
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+    }
+
+    seek(time) {
+        const target = Math.max(0, Math.min(time, this.editor.duration));
+        this.editor.currentTime = target;
+
+        // Re-anchor the clock so playback continues from the new position
+        if (this.isPlaying) {
+            this.playStartedAt = performance.now();
+            this.playStartPosition = target;
+            this.editor.audioMixer.play(target);
+        }
+
+        this.render(this.isPlaying);
+        return target;
+    }
+
+    render(playing = false) {
+        const time = this.editor.currentTime;
+        const container = document.querySelector('.video-canvas');
+        if (container) {
+            container.classList.toggle('has-content', this.editor.timeline.getClipCount() > 0);
+        }
+
+        if (this.context) {
+            this.compositor.syncMedia(time, playing);
+            this.compositor.drawFrame(this.context, time, this.canvas);
+
+            // Review comment regions are drawn over the preview only, never into exports
+            if (this.editor.comments) {
+                this.editor.comments.drawRegions(this.context, this.canvas);
+            }
+        }
+
+        this.updateControls();
+    }
+
+    updateControls() {
+        const scrubber = document.querySelector('.timeline-scrubber');
+        if (scrubber) {
+            scrubber.value = this.editor.currentTime;
+        }
+
+        const timeDisplay = document.querySelector('.time-display');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${this.formatTime(this.editor.currentTime)} / ${this.formatTime(this.editor.duration)}`;
+        }
+
+        const playButton = document.querySelector('.preview-controls button');
+        if (playButton) {
+            playButton.innerHTML = `<i class="fas fa-${this.isPlaying ? 'pause' : 'play'}"></i>`;
+            playButton.onclick = this.isPlaying ? window.pauseVideo : window.playVideo;
+        }
+    }
+
+    formatTime(seconds) {
+        const total = Math.floor(seconds || 0);
+        return `${Math.floor(total / 60).toString().padStart(2, '0')}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+}
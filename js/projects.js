@@ -0,0 +1,112 @@
+// Project lifecycle service shared by VeedApp, VideoEditor and the project library
+// Owns project ids and fires "Project Created" exactly once per project
+
+class ProjectService {
+    constructor(store = new ProjectStore()) {
+        this.store = store;
+    }
+
+    // Create and persist a new project; this is the only place projects get an id
+    create(projectData = {}) {
+        const project = this.store.save({
+            id: this.store.generateId(),
+            name: projectData.name || 'Untitled Project',
+            created_at: new Date().toISOString(),
+            duration: projectData.duration || 0,
+            timeline: projectData.timeline || { tracks: [] },
+            template: projectData.template || null,
+            creation_method: projectData.method || 'from_scratch',
+            save_count: 0,
+            settings: {
+                resolution: '1080p',
+                quality: Entitlements.can(window.app?.currentUser, 'hd_export') ? 'high' : 'standard',
+                ...(projectData.settings || {}),
+                ...ProjectCanvas.getSettings(projectData.settings)
+            }
+        });
+
+        this.incrementProjectCount();
+
+        if (window.veedAnalytics) {
+            const size = ProjectCanvas.getDimensions(project.settings, 1080);
+            window.veedAnalytics.trackProjectCreated({
+                id: project.id,
+                name: project.name,
+                type: 'video_editing',
+                template: project.template,
+                method: project.creation_method,
+                aspectRatio: ProjectCanvas.getLabel(project.settings),
+                frameRate: project.settings.framerate,
+                canvasResolution: `${size.width}x${size.height}`
+            });
+        }
+
+        return project;
+    }
+
+    save(project) {
+        return this.store.save(project);
+    }
+
+    load(projectId) {
+        return this.store.load(projectId);
+    }
+
+    list(options = {}) {
+        return this.store.list(options);
+    }
+
+    findByReviewToken(token) {
+        return this.store.listAll().find(project => project.review_token === token) || null;
+    }
+
+    // Collaborators see shared projects in their library, but only the owner may delete one
+    isOwner(project) {
+        return !!project && Utils.normalizeEmail(project.owner_id) === this.store.getAccountId();
+    }
+
+    rename(projectId, name) {
+        return this.store.rename(projectId, name);
+    }
+
+    // A duplicate is a new project, so it goes through create() like any other
+    duplicate(projectId) {
+        const source = this.store.load(projectId);
+        if (!source) return null;
+
+        const copy = JSON.parse(JSON.stringify(source));
+        const project = this.create({
+            name: `${source.name} (copy)`,
+            duration: copy.duration,
+            timeline: copy.timeline,
+            template: copy.template,
+            settings: copy.settings,
+            method: 'duplicate'
+        });
+
+        return this.store.save({ ...project, duplicated_from: source.id });
+    }
+
+    remove(projectId) {
+        return this.store.remove(projectId);
+    }
+
+    getTotalProjectsCreated() {
+        return parseInt(localStorage.getItem('total_projects') || '0');
+    }
+
+    incrementProjectCount() {
+        const total = this.getTotalProjectsCreated() + 1;
+        localStorage.setItem('total_projects', total.toString());
+
+        if (window.app) {
+            window.app.projectCount = total;
+        }
+        return total;
+    }
+}
+
+// Initialize project service when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.projectService = new ProjectService();
+});
@@ -0,0 +1,602 @@
+// Screen and webcam recorder built on getDisplayMedia, getUserMedia and MediaRecorder
+// A finished recording is imported into the media bin and dropped onto the timeline of a new project
+
+class ScreenRecorder {
+    constructor() {
+        this.mode = 'screen';
+        this.state = 'idle'; // idle | countdown | recording | paused | processing
+        this.micId = localStorage.getItem(ScreenRecorder.MIC_KEY) || '';
+        this.entryPoint = null;
+        this.streams = [];
+        this.sources = null; // The screen, camera and microphone streams behind the current recording
+        this.recorder = null;
+        this.chunks = [];
+        this.audioContext = null;
+        this.compositeTimer = null;
+        this.countdownTimer = null;
+        this.clockTimer = null;
+        this.session = null; // Timing and pause stats for the recording in progress
+
+        this.init();
+    }
+
+    static get MODES() {
+        return {
+            screen: { label: 'Screen', icon: 'fa-desktop' },
+            camera: { label: 'Camera', icon: 'fa-video' },
+            pip: { label: 'Screen + Camera', icon: 'fa-user-circle' }
+        };
+    }
+
+    static get COUNTDOWN_SECONDS() { return 3; }
+    static get FRAME_RATE() { return 30; }
+
+    // Preferred container/codec combinations, best first
+    static get MIME_TYPES() {
+        return ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+    }
+
+    // Webcam bubble diameter and inset as fractions of the screen capture's width
+    static get PIP_SIZE() { return 0.2; }
+    static get PIP_MARGIN() { return 0.03; }
+
+    // Microphone chosen last time; 'none' records without one
+    static get MIC_KEY() { return 'veed_recorder_mic'; }
+
+    init() {
+        const modal = document.getElementById('recorder-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            const modeButton = e.target.closest('[data-recorder-mode]');
+            if (modeButton) {
+                this.setMode(modeButton.dataset.recorderMode);
+            }
+
+            const button = e.target.closest('[data-recorder-action]');
+            if (button) {
+                this.handleAction(button.dataset.recorderAction);
+            }
+        });
+
+        const micSelect = document.getElementById('recorder-mic');
+        if (micSelect) {
+            micSelect.addEventListener('change', (e) => {
+                this.micId = e.target.value;
+                localStorage.setItem(ScreenRecorder.MIC_KEY, this.micId);
+            });
+        }
+
+        // Closing the modal from the backdrop ends a recording in progress rather than leaving it running unseen.
+        // While the browser's pickers are still open there is no recorder yet, and closing abandons the start
+        const observer = new MutationObserver(() => {
+            if (modal.style.display !== 'none') return;
+
+            if (this.state === 'recording' || this.state === 'paused') {
+                this.stop('modal_closed');
+            } else if (this.state === 'countdown' || (this.state === 'processing' && !this.recorder)) {
+                this.cancel();
+            }
+        });
+        observer.observe(modal, { attributes: true, attributeFilter: ['style'] });
+    }
+
+    isSupported() {
+        return !!(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+    }
+
+    canCaptureScreen() {
+        return !!navigator.mediaDevices?.getDisplayMedia;
+    }
+
+    getMimeType() {
+        return ScreenRecorder.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    open(entryPoint = 'feature_grid') {
+        if (!window.app?.currentUser) {
+            analytics.track('Signup Prompted', {
+                trigger: 'screen_record',
+                feature: 'screen_recording'
+            });
+            window.app?.showSignupModal();
+            return false;
+        }
+
+        if (!this.isSupported()) {
+            window.app.showNotification('Recording is not supported in this browser', 'error');
+            return false;
+        }
+
+        if (!this.canCaptureScreen() && this.mode !== 'camera') {
+            this.mode = 'camera';
+        }
+
+        this.entryPoint = entryPoint;
+        this.render();
+        this.loadMicrophones();
+        window.app.showModal('recorder-modal');
+
+        analytics.track('Recorder Opened', {
+            user_id: window.app.currentUser.email,
+            entry_point: entryPoint,
+            screen_capture_supported: this.canCaptureScreen(),
+            user_plan: window.app.currentPlan
+        });
+        return true;
+    }
+
+    close() {
+        window.app?.closeModal('recorder-modal');
+    }
+
+    setMode(mode) {
+        if (this.state !== 'idle' || !ScreenRecorder.MODES[mode]) return;
+        if (mode !== 'camera' && !this.canCaptureScreen()) return;
+
+        this.mode = mode;
+        this.render();
+    }
+
+    // Device labels are only exposed once the page has been granted microphone access
+    loadMicrophones() {
+        const select = document.getElementById('recorder-mic');
+        if (!select || !navigator.mediaDevices?.enumerateDevices) return Promise.resolve([]);
+
+        return navigator.mediaDevices.enumerateDevices().then(devices => {
+            const microphones = devices.filter(device => device.kind === 'audioinput');
+            select.innerHTML = [
+                '<option value="none">No microphone</option>',
+                ...microphones.map((device, index) => `
+                    <option value="${Utils.escapeHtml(device.deviceId)}">${Utils.escapeHtml(device.label || `Microphone ${index + 1}`)}</option>
+                `)
+            ].join('');
+
+            const known = this.micId === 'none' || microphones.some(device => device.deviceId === this.micId);
+            select.value = known && this.micId ? this.micId : (microphones[0]?.deviceId || 'none');
+            this.micId = select.value;
+            return microphones;
+        });
+    }
+
+    handleAction(action) {
+        const actions = {
+            start: () => this.start(),
+            pause: () => this.pause(),
+            resume: () => this.resume(),
+            stop: () => this.stop('user'),
+            cancel: () => this.cancel()
+        };
+
+        actions[action]?.();
+    }
+
+    // Capture
+    // Ask for every stream up front so the countdown only starts once the browser's pickers are done
+    start() {
+        if (this.state !== 'idle') return Promise.resolve(false);
+
+        const devices = navigator.mediaDevices;
+        const wantsScreen = this.mode !== 'camera';
+        const wantsCamera = this.mode !== 'screen';
+        const requests = [
+            wantsScreen ? devices.getDisplayMedia({ video: { frameRate: ScreenRecorder.FRAME_RATE }, audio: true }) : null,
+            wantsCamera ? devices.getUserMedia({ video: { width: 1280, height: 720 } }) : null,
+            this.micId !== 'none' ? devices.getUserMedia({ audio: this.micId ? { deviceId: { exact: this.micId } } : true }) : null
+        ];
+
+        this.setState('processing');
+
+        // Each stream is kept as soon as it arrives so a later refusal still releases the earlier ones;
+        // one granted after another was refused is released straight away
+        return Promise.all(requests.map(request => request && request.then(stream => {
+            if (this.state === 'idle') {
+                stream.getTracks().forEach(track => track.stop());
+            } else {
+                this.streams.push(stream);
+            }
+            return stream;
+        })))
+            .then(([screen, camera, microphone]) => {
+                // Cancelled while the pickers were open; cleanup() has already released the streams
+                if (this.state !== 'processing') return false;
+
+                this.sources = { screen, camera, microphone };
+                const output = this.buildOutputStream(screen, camera, microphone);
+
+                const preview = document.getElementById('recorder-preview');
+                if (preview) {
+                    preview.srcObject = new MediaStream(output.getVideoTracks());
+                    preview.play().catch(() => {});
+                }
+
+                // Ending the share from the browser's own "Stop sharing" bar finishes the recording
+                const ended = screen || camera;
+                ended.getVideoTracks()[0].addEventListener('ended', () => {
+                    if (this.state === 'recording' || this.state === 'paused') {
+                        this.stop('share_ended');
+                    } else if (this.state === 'countdown') {
+                        this.cancel();
+                    }
+                });
+
+                this.loadMicrophones();
+                return this.countdown().then(started => started && this.record(output));
+            })
+            .catch(error => {
+                this.cleanup();
+                this.setState('idle');
+
+                analytics.track('Recording Failed', {
+                    user_id: window.app?.currentUser?.email,
+                    recording_mode: this.mode,
+                    reason: error.name || 'unknown'
+                });
+
+                const denied = error.name === 'NotAllowedError';
+                window.app?.showNotification(denied
+                    ? 'Recording needs permission to use your screen, camera or microphone'
+                    : `Could not start recording: ${error.message}`, 'error');
+                return false;
+            });
+    }
+
+    // The recorded video track: the capture itself, or a canvas compositing the camera bubble over the screen
+    buildOutputStream(screen, camera, microphone) {
+        const tracks = [];
+
+        if (this.mode === 'pip') {
+            tracks.push(this.composite(screen, camera).getVideoTracks()[0]);
+        } else {
+            tracks.push((screen || camera).getVideoTracks()[0]);
+        }
+
+        const audio = this.mixAudio([screen, microphone].filter(stream => stream && stream.getAudioTracks().length > 0));
+        if (audio) {
+            tracks.push(audio);
+        }
+
+        return new MediaStream(tracks);
+    }
+
+    // Tab or system audio and the microphone are mixed into one track, since MediaRecorder records only one
+    mixAudio(streams) {
+        if (streams.length === 0) return null;
+        if (streams.length === 1) return streams[0].getAudioTracks()[0];
+
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const destination = this.audioContext.createMediaStreamDestination();
+        streams.forEach(stream => this.audioContext.createMediaStreamSource(stream).connect(destination));
+        return destination.stream.getAudioTracks()[0];
+    }
+
+    // Timer-driven rather than requestAnimationFrame, which stops while the recorded window is in front
+    composite(screen, camera) {
+        const screenVideo = this.createSourceVideo(screen);
+        const cameraVideo = this.createSourceVideo(camera);
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+
+        this.compositeTimer = setInterval(() => {
+            if (!screenVideo.videoWidth) return;
+
+            if (canvas.width !== screenVideo.videoWidth || canvas.height !== screenVideo.videoHeight) {
+                canvas.width = screenVideo.videoWidth;
+                canvas.height = screenVideo.videoHeight;
+            }
+
+            context.drawImage(screenVideo, 0, 0, canvas.width, canvas.height);
+            if (cameraVideo.videoWidth) {
+                this.drawCameraBubble(context, cameraVideo, canvas);
+            }
+        }, 1000 / ScreenRecorder.FRAME_RATE);
+
+        return canvas.captureStream(ScreenRecorder.FRAME_RATE);
+    }
+
+    createSourceVideo(stream) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = stream;
+        video.play().catch(() => {});
+        return video;
+    }
+
+    // Round webcam bubble in the bottom-right corner, centre-cropped from the camera frame
+    drawCameraBubble(context, video, frame) {
+        const size = Math.round(frame.width * ScreenRecorder.PIP_SIZE);
+        const margin = Math.round(frame.width * ScreenRecorder.PIP_MARGIN);
+        const x = frame.width - size - margin;
+        const y = frame.height - size - margin;
+        const crop = Math.min(video.videoWidth, video.videoHeight);
+
+        context.save();
+        context.beginPath();
+        context.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+        context.clip();
+        context.drawImage(video, (video.videoWidth - crop) / 2, (video.videoHeight - crop) / 2, crop, crop, x, y, size, size);
+        context.restore();
+
+        context.lineWidth = Math.max(2, Math.round(size / 40));
+        context.strokeStyle = '#ffffff';
+        context.beginPath();
+        context.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+        context.stroke();
+    }
+
+    // Resolves true once the countdown finishes, or false if it was cancelled
+    countdown() {
+        this.setState('countdown');
+        let remaining = ScreenRecorder.COUNTDOWN_SECONDS;
+        this.renderCountdown(remaining);
+
+        return new Promise(resolve => {
+            this.countdownTimer = setInterval(() => {
+                if (this.state !== 'countdown') {
+                    clearInterval(this.countdownTimer);
+                    resolve(false);
+                    return;
+                }
+
+                remaining--;
+                this.renderCountdown(remaining);
+                if (remaining <= 0) {
+                    clearInterval(this.countdownTimer);
+                    resolve(true);
+                }
+            }, 1000);
+        });
+    }
+
+    record(output) {
+        const mimeType = this.getMimeType();
+        this.chunks = [];
+        this.recorder = new MediaRecorder(output, mimeType ? { mimeType: mimeType } : {});
+        this.recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) {
+                this.chunks.push(e.data);
+            }
+        };
+
+        this.session = {
+            startedAt: Date.now(),
+            segmentStart: Date.now(),
+            elapsed: 0,
+            pauseCount: 0,
+            hasMicrophone: !!this.sources.microphone,
+            hasSystemAudio: !!this.sources.screen && this.sources.screen.getAudioTracks().length > 0
+        };
+
+        this.recorder.start(1000);
+        this.setState('recording');
+        this.clockTimer = setInterval(() => this.renderClock(), 500);
+
+        analytics.track('Recording Started', {
+            user_id: window.app?.currentUser?.email,
+            recording_mode: this.mode,
+            microphone: this.session.hasMicrophone,
+            system_audio: this.session.hasSystemAudio,
+            countdown_seconds: ScreenRecorder.COUNTDOWN_SECONDS,
+            mime_type: this.recorder.mimeType || mimeType || null,
+            entry_point: this.entryPoint,
+            user_plan: window.app?.currentPlan
+        });
+        return true;
+    }
+
+    // Seconds actually recorded, not counting pauses
+    getDuration() {
+        if (!this.session) return 0;
+
+        const running = this.state === 'recording' ? Date.now() - this.session.segmentStart : 0;
+        return (this.session.elapsed + running) / 1000;
+    }
+
+    pause() {
+        if (this.state !== 'recording') return;
+
+        this.recorder.pause();
+        this.session.elapsed += Date.now() - this.session.segmentStart;
+        this.session.pauseCount++;
+        this.setState('paused');
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+
+        this.recorder.resume();
+        this.session.segmentStart = Date.now();
+        this.setState('recording');
+    }
+
+    stop(reason = 'user') {
+        if (this.state !== 'recording' && this.state !== 'paused') return Promise.resolve(null);
+
+        const duration = this.getDuration();
+        const recorder = this.recorder;
+        const session = this.session;
+        this.setState('processing');
+
+        // The recorder stops by itself once every track it records has ended
+        return new Promise(resolve => {
+            const finish = () => resolve(new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' }));
+            if (recorder.state === 'inactive') {
+                finish();
+            } else {
+                recorder.onstop = finish;
+                recorder.stop();
+            }
+        }).then(blob => {
+            this.cleanup();
+
+            analytics.track('Recording Stopped', {
+                user_id: window.app?.currentUser?.email,
+                recording_mode: this.mode,
+                duration_seconds: Math.round(duration * 10) / 10,
+                wall_clock_seconds: Math.round((Date.now() - session.startedAt) / 100) / 10,
+                pause_count: session.pauseCount,
+                stop_reason: reason,
+                microphone: session.hasMicrophone,
+                system_audio: session.hasSystemAudio,
+                file_size_mb: Math.round(blob.size / 1024 / 1024 * 10) / 10
+            });
+
+            return this.openInEditor(blob, duration);
+        });
+    }
+
+    cancel() {
+        const wasRecording = this.state === 'recording' || this.state === 'paused';
+        if (wasRecording) {
+            if (this.recorder.state !== 'inactive') {
+                this.recorder.stop();
+            }
+
+            analytics.track('Recording Stopped', {
+                user_id: window.app?.currentUser?.email,
+                recording_mode: this.mode,
+                duration_seconds: Math.round(this.getDuration() * 10) / 10,
+                pause_count: this.session.pauseCount,
+                stop_reason: 'cancelled'
+            });
+        }
+
+        this.cleanup();
+        this.setState('idle');
+    }
+
+    // Release every camera, microphone and screen share so the browser's recording indicators go away
+    cleanup() {
+        clearInterval(this.countdownTimer);
+        clearInterval(this.clockTimer);
+        clearInterval(this.compositeTimer);
+        this.compositeTimer = null;
+
+        this.streams.forEach(stream => stream.getTracks().forEach(track => track.stop()));
+        this.streams = [];
+        this.sources = null;
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+
+        const preview = document.getElementById('recorder-preview');
+        if (preview) {
+            preview.srcObject = null;
+        }
+
+        this.recorder = null;
+    }
+
+    // Hand the clip to the editor through the same path as opening a new project
+    openInEditor(blob, duration) {
+        const extension = blob.type.includes('mp4') ? 'mp4' : 'webm';
+        const label = ScreenRecorder.MODES[this.mode].label;
+        const name = `${label} Recording ${new Date().toLocaleDateString()}`;
+        const file = new File([blob], `${name.replace(/[^\w-]+/g, '_')}.${extension}`, { type: blob.type.split(';')[0] });
+
+        this.close();
+        this.setState('idle');
+        window.app.openEditor();
+
+        const editor = window.videoEditor;
+        editor.setProjectName(name);
+        window.app.showLoading('Preparing your recording...');
+
+        return editor.importMedia(file)
+            .then(asset => {
+                window.app.hideLoading();
+                const clip = editor.addMediaClip(asset, 'recording');
+                if (clip) {
+                    window.app.showNotification(`Your ${Math.round(duration)}s recording is ready to edit`, 'success');
+                }
+                return clip;
+            })
+            .catch(error => {
+                window.app.hideLoading();
+                window.app.showNotification(error.message, 'error');
+                return null;
+            });
+    }
+
+    // Rendering
+    setState(state) {
+        this.state = state;
+        this.render();
+    }
+
+    formatClock(seconds) {
+        const total = Math.floor(seconds);
+        return `${Math.floor(total / 60).toString().padStart(2, '0')}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
+    renderCountdown(remaining) {
+        const overlay = document.getElementById('recorder-countdown');
+        if (overlay) {
+            overlay.textContent = remaining > 0 ? remaining : '';
+        }
+    }
+
+    renderClock() {
+        const clock = document.getElementById('recorder-clock');
+        if (clock) {
+            clock.textContent = this.formatClock(this.getDuration());
+            clock.classList.toggle('paused', this.state === 'paused');
+        }
+    }
+
+    render() {
+        const modes = document.getElementById('recorder-modes');
+        if (modes) {
+            modes.innerHTML = Object.entries(ScreenRecorder.MODES).map(([mode, info]) => `
+                <button class="recorder-mode${mode === this.mode ? ' active' : ''}" data-recorder-mode="${mode}"
+                        ${this.state !== 'idle' || (mode !== 'camera' && !this.canCaptureScreen()) ? 'disabled' : ''}>
+                    <i class="fas ${info.icon}"></i>
+                    ${info.label}
+                </button>
+            `).join('');
+        }
+
+        const micSelect = document.getElementById('recorder-mic');
+        if (micSelect) {
+            micSelect.disabled = this.state !== 'idle';
+        }
+
+        const controls = document.getElementById('recorder-controls');
+        if (controls) {
+            const buttons = {
+                idle: '<button class="btn-primary" data-recorder-action="start"><i class="fas fa-circle"></i> Start Recording</button>',
+                countdown: '<button class="btn-secondary" data-recorder-action="cancel">Cancel</button>',
+                recording: `
+                    <button class="btn-secondary" data-recorder-action="pause"><i class="fas fa-pause"></i> Pause</button>
+                    <button class="btn-primary" data-recorder-action="stop"><i class="fas fa-stop"></i> Stop</button>
+                `,
+                paused: `
+                    <button class="btn-secondary" data-recorder-action="resume"><i class="fas fa-play"></i> Resume</button>
+                    <button class="btn-primary" data-recorder-action="stop"><i class="fas fa-stop"></i> Stop</button>
+                `,
+                processing: '<span class="library-item-meta">Preparing...</span>'
+            };
+            controls.innerHTML = buttons[this.state];
+        }
+
+        if (this.state !== 'countdown') {
+            this.renderCountdown(0);
+        }
+        this.renderClock();
+    }
+}
+
+// Initialize recorder when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.screenRecorder = new ScreenRecorder();
+});
+
+// Global functions for HTML onclick handlers
+window.openRecorder = function(entryPoint) {
+    if (window.screenRecorder) {
+        window.screenRecorder.open(entryPoint);
+    }
+};
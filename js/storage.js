@@ -0,0 +1,122 @@
+// Project storage layer backed by localStorage
+// Projects live under `project_<id>` keys so saves from earlier versions stay readable, and each records the account
+// that owns it. Libraries list only the signed-in account's projects; shared projects are still loaded by id
+
+class ProjectStore {
+    constructor(prefix = 'project_') {
+        this.prefix = prefix;
+    }
+
+    key(projectId) {
+        return this.prefix + projectId;
+    }
+
+    getAccountId() {
+        return Utils.normalizeEmail(window.app?.currentUser?.email);
+    }
+
+    generateId() {
+        return 'proj_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    save(project) {
+        const now = new Date().toISOString();
+        const record = {
+            ...project,
+            owner_id: project.owner_id || this.getAccountId(),
+            created_at: project.created_at || now,
+            updated_at: now
+        };
+
+        localStorage.setItem(this.key(record.id), JSON.stringify(record));
+        return record;
+    }
+
+    load(projectId) {
+        const data = localStorage.getItem(this.key(projectId));
+        if (!data) return null;
+
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            console.error('Error loading project:', projectId, e);
+            return null;
+        }
+    }
+
+    exists(projectId) {
+        return localStorage.getItem(this.key(projectId)) !== null;
+    }
+
+    // Every stored project whatever its account, for lookups that cross accounts such as review links
+    listAll() {
+        const projects = [];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(this.prefix)) continue;
+
+            const project = this.load(key.slice(this.prefix.length));
+            if (project && project.id) {
+                projects.push(project);
+            }
+        }
+        return projects;
+    }
+
+    // Projects saved before they recorded an owner go to the first account that lists its projects
+    claimUnowned(projects, accountId) {
+        return projects.map(project => {
+            if (project.owner_id || !accountId) return project;
+
+            const claimed = { ...project, owner_id: accountId };
+            localStorage.setItem(this.key(project.id), JSON.stringify(claimed));
+            return claimed;
+        });
+    }
+
+    // The account's own projects and those it collaborates on, optionally filtered by name
+    // and sorted (updated | created | name)
+    list(options = {}) {
+        const search = (options.search || '').trim().toLowerCase();
+        const sort = options.sort || 'updated';
+        const accountId = this.getAccountId();
+        const projects = this.claimUnowned(this.listAll(), accountId).filter(project =>
+            Utils.normalizeEmail(project.owner_id) === accountId || (project.collaborators || []).some(c => Utils.normalizeEmail(c.email) === accountId)
+        );
+
+        const filtered = search
+            ? projects.filter(p => (p.name || '').toLowerCase().includes(search))
+            : projects;
+
+        const sorters = {
+            updated: (a, b) => this.getTimestamp(b.updated_at || b.created_at) - this.getTimestamp(a.updated_at || a.created_at),
+            created: (a, b) => this.getTimestamp(b.created_at) - this.getTimestamp(a.created_at),
+            name: (a, b) => (a.name || '').localeCompare(b.name || '')
+        };
+
+        return filtered.sort(sorters[sort] || sorters.updated);
+    }
+
+    recent(limit = 5) {
+        return this.list({ sort: 'updated' }).slice(0, limit);
+    }
+
+    rename(projectId, name) {
+        const project = this.load(projectId);
+        if (!project) return null;
+
+        return this.save({ ...project, name: name });
+    }
+
+    remove(projectId) {
+        if (!this.exists(projectId)) return false;
+
+        localStorage.removeItem(this.key(projectId));
+        return true;
+    }
+
+    getTimestamp(date) {
+        return date ? new Date(date).getTime() : 0;
+    }
+}
@@ -0,0 +1,440 @@
+// Subscription lifecycle for paid plans: trialing → active → past_due → canceled
+// The subscription is stored on the user record; whenever it lapses the account falls back to the free plan
+
+class SubscriptionManager {
+    constructor() {
+        this.timer = null;
+        this.init();
+    }
+
+    static get TRIAL_DAYS() { return 14; }
+
+    // Days before the trial ends that a reminder is shown and tracked
+    static get REMINDER_DAYS() { return [3, 1]; }
+
+    // How long a failed renewal keeps the plan before the subscription is canceled
+    static get GRACE_DAYS() { return 7; }
+
+    static get CHECK_INTERVAL_MS() { return 60 * 60 * 1000; }
+
+    static get DAY_MS() { return 24 * 60 * 60 * 1000; }
+
+    // Allowed moves between statuses; time-based ones happen in check()
+    static get TRANSITIONS() {
+        return {
+            trialing: ['active', 'canceled'],
+            active: ['past_due', 'canceled'],
+            past_due: ['active', 'canceled'],
+            canceled: ['trialing', 'active']
+        };
+    }
+
+    // Statuses that keep the paid plan's entitlements
+    static get ENTITLED_STATUSES() { return ['trialing', 'active', 'past_due']; }
+
+    init() {
+        const banner = document.getElementById('subscription-banner');
+        if (banner) {
+            banner.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-subscription-action]');
+                if (!button) return;
+
+                const actions = {
+                    payment: () => this.addPaymentMethod(),
+                    cancel: () => this.cancel(),
+                    dismiss: () => banner.classList.remove('visible')
+                };
+                actions[button.dataset.subscriptionAction]?.();
+            });
+        }
+
+        this.check();
+        this.timer = setInterval(() => this.check(), SubscriptionManager.CHECK_INTERVAL_MS);
+    }
+
+    get() {
+        return window.app?.currentUser?.subscription || null;
+    }
+
+    save(subscription) {
+        const user = window.app?.currentUser;
+        if (!user) return null;
+
+        user.subscription = { ...subscription, updated_at: new Date().toISOString() };
+        localStorage.setItem('veed_user_data', JSON.stringify(user));
+        return user.subscription;
+    }
+
+    isTrialing() {
+        return this.get()?.status === 'trialing';
+    }
+
+    // One trial per account, however many times the subscription is canceled and restarted
+    isTrialEligible() {
+        return !!window.app?.currentUser && !this.get()?.trial_start;
+    }
+
+    getTrialDaysLeft(subscription = this.get(), now = new Date()) {
+        if (subscription?.status !== 'trialing') return 0;
+        return Math.max(0, Math.ceil((new Date(subscription.trial_end) - now) / SubscriptionManager.DAY_MS));
+    }
+
+    addDays(date, days) {
+        return new Date(new Date(date).getTime() + days * SubscriptionManager.DAY_MS);
+    }
+
+    // End of the nth billing period after the anchor date. Periods count from the anchor rather than from the
+    // previous end, and a day the month doesn't have falls back to its last day: Jan 31 renews Feb 28, Mar 31, Apr 30
+    getPeriodEnd(anchor, billingCycle, periods = 1) {
+        const start = new Date(anchor);
+        const end = new Date(start);
+        end.setDate(1);
+        end.setMonth(start.getMonth() + (billingCycle === 'annual' ? 12 : 1) * periods);
+        end.setDate(Math.min(start.getDate(), new Date(end.getFullYear(), end.getMonth() + 1, 0).getDate()));
+        return end;
+    }
+
+    // Move to a new status and give the account the entitlements that status carries
+    transition(status, changes = {}, reason = null) {
+        const current = this.get();
+        const previous = current?.status || null;
+        if (previous && !SubscriptionManager.TRANSITIONS[previous].includes(status)) {
+            console.error(`Invalid subscription transition: ${previous} → ${status}`);
+            return null;
+        }
+
+        // Nobody to save it for, e.g. the user logged out while an upgrade was processing
+        const subscription = this.save({ ...current, ...changes, status: status });
+        if (!subscription) return null;
+
+        this.applyPlan(SubscriptionManager.ENTITLED_STATUSES.includes(status) ? subscription.plan : Entitlements.DEFAULT_PLAN);
+
+        if (window.veedAnalytics) {
+            window.veedAnalytics.trackSubscriptionStatusChanged(subscription, previous, reason);
+        }
+
+        this.render();
+        return subscription;
+    }
+
+    applyPlan(plan) {
+        if (!window.app) return;
+
+        // The stored user record carries the plan too, so keep it in step with the subscription
+        const user = window.app.currentUser;
+        if (user && user.plan !== plan) {
+            user.plan = plan;
+            localStorage.setItem('veed_user_data', JSON.stringify(user));
+        }
+        if (window.app.currentPlan === plan) return;
+
+        window.app.currentPlan = plan;
+        localStorage.setItem('user_plan', plan);
+        window.app.updateUIBasedOnAuth();
+
+        const editor = window.videoEditor;
+        if (editor?.activeTool) {
+            editor.refreshToolPanel(editor.activeTool);
+        }
+    }
+
+    // Entry point for the upgrade modal: a trial if the account never had one, a paid subscription otherwise
+    upgrade(plan, billingCycle = 'monthly') {
+        const subscription = this.get();
+
+        // A failed payment keeps the current plan through the grace period, but moving up has to wait for payment
+        if (subscription?.status === 'past_due') {
+            window.app?.showNotification('Update your payment method before changing plans', 'error');
+            this.render();
+            return null;
+        }
+
+        if (SubscriptionManager.ENTITLED_STATUSES.includes(subscription?.status)) {
+            return this.changePlan(plan);
+        }
+        if (this.isTrialEligible()) {
+            return this.startTrial(plan, billingCycle);
+        }
+        return this.subscribe(plan, billingCycle);
+    }
+
+    startTrial(plan, billingCycle = 'monthly') {
+        const now = new Date();
+        const subscription = this.transition('trialing', {
+            plan: plan,
+            billing_cycle: billingCycle,
+            trial_start: now.toISOString(),
+            trial_end: this.addDays(now, SubscriptionManager.TRIAL_DAYS).toISOString(),
+            reminders_sent: [],
+            payment_method: false,
+            current_period_end: null,
+            grace_end: null,
+            cancel_at_period_end: false,
+            previous_plan: window.app?.currentPlan || Entitlements.DEFAULT_PLAN
+        }, 'trial_started');
+        if (!subscription) return null;
+
+        if (window.veedAnalytics) {
+            window.veedAnalytics.trackTrialStarted(subscription);
+        }
+
+        window.app?.showNotification(`Your ${SubscriptionManager.TRIAL_DAYS}-day ${Entitlements.PLANS[plan].name} trial has started!`, 'success');
+        return subscription;
+    }
+
+    // Switching plans keeps the current trial or billing period dates
+    changePlan(plan) {
+        const current = this.get();
+        if (!current || current.status === 'past_due') return null;
+
+        const previousPlan = current.plan;
+        const subscription = this.save({ ...current, plan: plan });
+        if (!subscription) return null;
+
+        this.applyPlan(plan);
+        this.render();
+
+        if (subscription.status === 'trialing') {
+            window.app?.showNotification(`Your trial now includes ${Entitlements.PLANS[plan].name}`, 'success');
+            return subscription;
+        }
+
+        if (window.veedAnalytics) {
+            window.veedAnalytics.trackSubscriptionUpgrade({
+                plan: plan,
+                previousPlan: previousPlan,
+                billingCycle: subscription.billing_cycle,
+                method: 'plan_change',
+                fromTrial: false
+            });
+        }
+        window.app?.showNotification(`You're now on the ${Entitlements.PLANS[plan].name} plan`, 'success');
+        return subscription;
+    }
+
+    // Paid straight away, for accounts that already used their trial
+    subscribe(plan, billingCycle = 'monthly') {
+        const now = new Date();
+        const previousPlan = window.app?.currentPlan || Entitlements.DEFAULT_PLAN;
+        const subscription = this.transition('active', {
+            plan: plan,
+            billing_cycle: billingCycle,
+            payment_method: true,
+            billing_anchor: now.toISOString(),
+            current_period_start: now.toISOString(),
+            current_period_end: this.getPeriodEnd(now, billingCycle).toISOString(),
+            grace_end: null,
+            cancel_at_period_end: false
+        }, 'subscribed');
+        if (!subscription) return null;
+
+        this.trackConversion(subscription, previousPlan, false);
+        window.app?.showNotification(`Successfully upgraded to ${Entitlements.PLANS[plan].name}!`, 'success');
+        return subscription;
+    }
+
+    trackConversion(subscription, previousPlan, fromTrial) {
+        if (window.veedAnalytics) {
+            window.veedAnalytics.trackSubscriptionUpgrade({
+                plan: subscription.plan,
+                previousPlan: previousPlan,
+                billingCycle: subscription.billing_cycle,
+                method: fromTrial ? 'trial_conversion' : 'upgrade_modal',
+                fromTrial: fromTrial
+            });
+        }
+
+        analytics.track('Conversion Completed', {
+            user_id: window.app?.currentUser?.email,
+            plan: subscription.plan,
+            billing_cycle: subscription.billing_cycle,
+            conversion_value: Entitlements.getPrice(subscription.plan),
+            conversion_type: fromTrial ? 'trial_to_paid' : 'freemium_to_paid'
+        });
+    }
+
+    // Simulated card entry: a trial with a payment method converts when it ends, a past-due plan is paid now
+    addPaymentMethod() {
+        const subscription = this.get();
+        if (!subscription) return null;
+
+        if (subscription.status === 'past_due') {
+            const now = new Date();
+            window.app?.showNotification('Payment method updated. Thanks for staying with us!', 'success');
+            return this.transition('active', {
+                payment_method: true,
+                billing_anchor: now.toISOString(),
+                current_period_start: now.toISOString(),
+                current_period_end: this.getPeriodEnd(now, subscription.billing_cycle).toISOString(),
+                grace_end: null
+            }, 'payment_recovered');
+        }
+
+        if (subscription.status !== 'trialing') return subscription;
+
+        const updated = this.save({ ...subscription, payment_method: true });
+        this.render();
+        window.app?.showNotification(`Payment method added. ${Entitlements.PLANS[updated.plan].name} continues after your trial.`, 'success');
+        return updated;
+    }
+
+    // Canceling a trial ends it now; canceling a paid plan lets it run to the end of the period
+    cancel() {
+        const subscription = this.get();
+        if (!subscription) return null;
+
+        if (subscription.status === 'trialing') {
+            if (!confirm(`Cancel your ${Entitlements.PLANS[subscription.plan].name} trial? You'll move to the Free plan now.`)) return subscription;
+            return this.endTrial(subscription, 'canceled');
+        }
+
+        if (subscription.status === 'active') {
+            const updated = this.save({ ...subscription, cancel_at_period_end: true });
+            this.render();
+            window.app?.showNotification(`Your plan stays active until ${new Date(updated.current_period_end).toLocaleDateString()}`, 'info');
+            return updated;
+        }
+
+        if (subscription.status === 'past_due') {
+            return this.transition('canceled', { canceled_at: new Date().toISOString() }, 'canceled_by_user');
+        }
+
+        return subscription;
+    }
+
+    endTrial(subscription, outcome) {
+        const now = new Date();
+        const converted = outcome === 'converted';
+        const updated = converted
+            ? this.transition('active', {
+                billing_anchor: now.toISOString(),
+                current_period_start: now.toISOString(),
+                current_period_end: this.getPeriodEnd(now, subscription.billing_cycle).toISOString()
+            }, 'trial_converted')
+            : this.transition('canceled', { canceled_at: now.toISOString() }, outcome === 'canceled' ? 'trial_canceled' : 'trial_expired');
+        if (!updated) return null;
+
+        if (window.veedAnalytics) {
+            window.veedAnalytics.trackTrialEnded(updated, outcome);
+        }
+
+        if (converted) {
+            this.trackConversion(updated, subscription.previous_plan || Entitlements.DEFAULT_PLAN, true);
+            window.app?.showNotification(`Your trial has ended and ${Entitlements.PLANS[updated.plan].name} is now active`, 'success');
+        } else {
+            window.app?.showNotification(`Your ${Entitlements.PLANS[updated.plan].name} trial has ended. You're now on the Free plan.`, 'info');
+        }
+        return updated;
+    }
+
+    // Hook for a failed renewal charge; the plan is kept for a grace period while the user fixes payment
+    recordPaymentFailure() {
+        const subscription = this.get();
+        if (subscription?.status !== 'active') return null;
+
+        window.app?.showNotification(`We couldn't renew your ${Entitlements.PLANS[subscription.plan].name} plan. Please update your payment method.`, 'error');
+        return this.transition('past_due', {
+            payment_method: false,
+            grace_end: this.addDays(new Date(), SubscriptionManager.GRACE_DAYS).toISOString()
+        }, 'payment_failed');
+    }
+
+    // A paid plan that ran out falls back to Free
+    lapse(subscription, now, reason) {
+        window.app?.showNotification(`Your ${Entitlements.PLANS[subscription.plan].name} plan has ended. You're now on the Free plan.`, 'info');
+        return this.transition('canceled', { canceled_at: now.toISOString() }, reason);
+    }
+
+    // Apply whatever the clock says should have happened since the last check
+    check(now = new Date()) {
+        const subscription = this.get();
+        if (!subscription) {
+            this.render();
+            return null;
+        }
+
+        if (subscription.status === 'trialing') {
+            if (now >= new Date(subscription.trial_end)) {
+                return this.endTrial(subscription, subscription.payment_method ? 'converted' : 'expired');
+            }
+            this.remind(subscription, now);
+        } else if (subscription.status === 'active' && now >= new Date(subscription.current_period_end)) {
+            if (subscription.cancel_at_period_end) {
+                return this.lapse(subscription, now, 'period_ended');
+            }
+            if (!subscription.payment_method) {
+                return this.recordPaymentFailure();
+            }
+
+            // Renew as many periods as have passed, for users returning after a long time away
+            const anchor = subscription.billing_anchor || subscription.current_period_start;
+            let periods = 1;
+            while (now >= this.getPeriodEnd(anchor, subscription.billing_cycle, periods)) {
+                periods++;
+            }
+            this.save({
+                ...subscription,
+                billing_anchor: anchor,
+                current_period_start: this.getPeriodEnd(anchor, subscription.billing_cycle, periods - 1).toISOString(),
+                current_period_end: this.getPeriodEnd(anchor, subscription.billing_cycle, periods).toISOString()
+            });
+        } else if (subscription.status === 'past_due' && now >= new Date(subscription.grace_end)) {
+            return this.lapse(subscription, now, 'grace_period_ended');
+        }
+
+        // Signing in restores the plan the subscription entitles the account to
+        this.applyPlan(SubscriptionManager.ENTITLED_STATUSES.includes(subscription.status) ? subscription.plan : Entitlements.DEFAULT_PLAN);
+        this.render();
+        return this.get();
+    }
+
+    // Each reminder threshold is tracked once, even if the reminder shows again in later sessions
+    remind(subscription, now) {
+        const daysLeft = this.getTrialDaysLeft(subscription, now);
+        const due = SubscriptionManager.REMINDER_DAYS.filter(days => daysLeft <= days && !subscription.reminders_sent.includes(days));
+        if (due.length === 0) return;
+
+        this.save({ ...subscription, reminders_sent: subscription.reminders_sent.concat(due) });
+
+        if (window.veedAnalytics) {
+            window.veedAnalytics.trackTrialEndingSoon(subscription, daysLeft);
+        }
+        window.app?.showNotification(`Your ${Entitlements.PLANS[subscription.plan].name} trial ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`, 'warning');
+    }
+
+    render() {
+        const banner = document.getElementById('subscription-banner');
+        if (!banner) return;
+
+        const subscription = this.get();
+        const plan = subscription ? Entitlements.PLANS[subscription.plan] : null;
+        let message = null;
+        let actions = [];
+
+        if (subscription?.status === 'trialing') {
+            const daysLeft = this.getTrialDaysLeft(subscription);
+            const ends = new Date(subscription.trial_end).toLocaleDateString();
+            message = subscription.payment_method
+                ? `${daysLeft} day${daysLeft === 1 ? '' : 's'} left in your ${plan.name} trial. Your plan continues at $${plan.price}/month on ${ends}.`
+                : `${daysLeft} day${daysLeft === 1 ? '' : 's'} left in your ${plan.name} trial. Add a payment method to keep ${plan.name} after ${ends}.`;
+            actions = subscription.payment_method ? ['cancel'] : ['payment', 'cancel'];
+        } else if (subscription?.status === 'past_due') {
+            message = `We couldn't renew your ${plan.name} plan. Update your payment method by ${new Date(subscription.grace_end).toLocaleDateString()} to keep it.`;
+            actions = ['payment', 'cancel'];
+        }
+
+        const labels = { payment: 'Add payment method', cancel: subscription?.status === 'trialing' ? 'Cancel trial' : 'Cancel plan' };
+        banner.classList.toggle('visible', !!message);
+        banner.classList.toggle('urgent', subscription?.status === 'past_due' || (!!message && this.getTrialDaysLeft(subscription) <= SubscriptionManager.REMINDER_DAYS[0]));
+        banner.innerHTML = message ? `
+            <span>${message}</span>
+            ${actions.map(action => `<button class="${action === 'payment' ? 'btn-primary' : 'btn-secondary'}" data-subscription-action="${action}">${labels[action]}</button>`).join('')}
+            <button class="subscription-banner-close" data-subscription-action="dismiss" title="Dismiss">&times;</button>
+        ` : '';
+    }
+}
+
+// Initialize subscription lifecycle when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.subscription = new SubscriptionManager();
+});
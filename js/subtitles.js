@@ -0,0 +1,349 @@
+// Subtitle track editing with SRT/WebVTT import and export
+// Each cue is a 'subtitles' clip on a subtitle track, so cues undo, autosave and render like any other clip
+
+class SubtitleFormat {
+    static get FORMATS() { return ['srt', 'vtt']; }
+
+    static get MIME_TYPES() {
+        return { srt: 'application/x-subrip', vtt: 'text/vtt' };
+    }
+
+    // Guess the format from the file name, falling back to the WEBVTT header
+    static detect(fileName, text) {
+        const extension = (fileName || '').split('.').pop().toLowerCase();
+        if (SubtitleFormat.FORMATS.includes(extension)) return extension;
+        return text.trim().startsWith('WEBVTT') ? 'vtt' : 'srt';
+    }
+
+    // SRT and VTT share the same cue layout; header, NOTE and STYLE blocks have no timing line and are skipped
+    static parse(text) {
+        const timing = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+        const cues = [];
+
+        text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/).forEach(block => {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => timing.test(line));
+            if (timingIndex === -1) return;
+
+            const match = lines[timingIndex].match(timing);
+            const start = SubtitleFormat.parseTimestamp(match[1]);
+            const end = SubtitleFormat.parseTimestamp(match[2]);
+            const cueText = lines.slice(timingIndex + 1)
+                .map(line => line.replace(/<[^>]+>/g, '').trim())
+                .filter(Boolean)
+                .join('\n');
+
+            if (cueText && end > start) {
+                cues.push({ start: start, end: end, text: cueText });
+            }
+        });
+
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    static format(cues, format) {
+        const separator = format === 'vtt' ? '.' : ',';
+        const blocks = cues.map((cue, index) => {
+            const timing = `${SubtitleFormat.formatTimestamp(cue.start, separator)} --> ${SubtitleFormat.formatTimestamp(cue.end, separator)}`;
+            return format === 'vtt' ? `${timing}\n${cue.text}` : `${index + 1}\n${timing}\n${cue.text}`;
+        });
+
+        return (format === 'vtt' ? 'WEBVTT\n\n' : '') + blocks.join('\n\n') + '\n';
+    }
+
+    static parseTimestamp(timestamp) {
+        return timestamp.replace(',', '.').split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    static formatTimestamp(seconds, separator = ',') {
+        const totalMs = Math.round(seconds * 1000);
+        const pad = (value, length = 2) => value.toString().padStart(length, '0');
+
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor(totalMs / 60000) % 60;
+        const secs = Math.floor(totalMs / 1000) % 60;
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+    }
+}
+
+class SubtitleEditor {
+    constructor(editor) {
+        this.editor = editor;
+
+        this.init();
+    }
+
+    init() {
+        const toolContent = document.getElementById('tool-content');
+        if (!toolContent) return;
+
+        // The panel is re-rendered often, so listen on its container
+        toolContent.addEventListener('change', (e) => {
+            const field = e.target.dataset.cueField;
+            const cue = e.target.closest('.subtitle-cue');
+            if (field && cue) {
+                this.updateCue(cue.dataset.clipId, field, e.target.value);
+            }
+        });
+
+        toolContent.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-cue-action]');
+            const cue = e.target.closest('.subtitle-cue');
+            if (!button || !cue) return;
+
+            if (button.dataset.cueAction === 'delete') {
+                this.removeCue(cue.dataset.clipId);
+            } else if (button.dataset.cueAction === 'seek') {
+                this.editor.seek(this.getCue(cue.dataset.clipId).start);
+            }
+        });
+    }
+
+    // Draw a cue centred near the bottom of the frame, one box per line
+    static drawCue(context, text, frame) {
+        const fontSize = Math.round(Math.min(frame.width, frame.height) / 20);
+        const lineHeight = Math.round(fontSize * 1.4);
+        const lines = text.split('\n');
+        const bottom = frame.height * 0.92;
+
+        context.font = `600 ${fontSize}px Inter, sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+
+        lines.forEach((line, index) => {
+            const y = bottom - (lines.length - index - 0.5) * lineHeight;
+            const width = context.measureText(line).width + fontSize;
+
+            context.fillStyle = 'rgba(0, 0, 0, 0.65)';
+            context.fillRect((frame.width - width) / 2, y - lineHeight / 2, width, lineHeight);
+            context.fillStyle = '#fff';
+            context.fillText(line, frame.width / 2, y);
+        });
+    }
+
+    getCues() {
+        const timeline = this.editor.timeline;
+
+        return timeline.getClips('subtitles')
+            .map(clip => ({
+                id: clip.id,
+                start: clip.start,
+                end: timeline.getClipEnd(clip),
+                text: clip.properties.text || ''
+            }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    getCue(clipId) {
+        return this.getCues().find(cue => cue.id === clipId) || null;
+    }
+
+    // Cue Editing
+    addCue(text = 'New caption') {
+        const clip = this.editor.trackElementAdd('subtitles', {
+            name: 'Caption',
+            start: this.editor.currentTime,
+            properties: { text: text },
+            method: 'subtitle_editor'
+        });
+
+        if (clip) {
+            this.editor.trackInteraction('subtitle_cue_add', {
+                cue_start: clip.start,
+                total_cues: this.getCues().length
+            });
+        }
+        return clip;
+    }
+
+    updateCue(clipId, field, value) {
+        const cue = this.getCue(clipId);
+        if (!cue) return null;
+
+        let changes;
+        if (field === 'text') {
+            if (!value.trim()) return null;
+            changes = { properties: { text: value.trim() } };
+        } else {
+            const time = parseFloat(value);
+            const start = field === 'start' ? time : cue.start;
+            const end = field === 'end' ? time : cue.end;
+
+            // Reject timings that would leave an empty or inverted cue
+            if (isNaN(time) || start < 0 || end <= start) {
+                this.editor.refreshToolPanel('subtitles');
+                return null;
+            }
+            changes = { start: start, out: this.editor.timeline.getClip(clipId).in + (end - start) };
+        }
+
+        const clip = this.editor.executeCommand(new UpdateClipCommand(clipId, changes));
+        if (clip) {
+            this.editor.trackInteraction('subtitle_cue_edit', { field: field });
+        }
+        return clip;
+    }
+
+    removeCue(clipId) {
+        const clip = this.editor.executeCommand(new RemoveClipCommand(clipId));
+        if (clip) {
+            this.editor.trackInteraction('subtitle_cue_delete', {
+                total_cues: this.getCues().length
+            });
+        }
+        return clip;
+    }
+
+    // Import / Export
+    openImportDialog() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.srt,.vtt,text/vtt';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            this.importFile(file)
+                .then(cues => {
+                    if (cues) {
+                        window.app?.showNotification(`Imported ${cues.length} captions`, 'success');
+                    }
+                })
+                .catch(error => {
+                    window.app?.showNotification(error.message, 'error');
+                });
+        };
+        input.click();
+    }
+
+    importFile(file) {
+        return file.text().then(text => {
+            const format = SubtitleFormat.detect(file.name, text);
+            const cues = SubtitleFormat.parse(text);
+
+            if (cues.length === 0) {
+                analytics.track('Subtitles Import Failed', {
+                    user_id: window.app?.currentUser?.email,
+                    subtitle_format: format,
+                    file_size_bytes: file.size,
+                    failure_reason: 'no_cues'
+                });
+                throw new Error('No captions found in this file');
+            }
+
+            // Every cue is a timeline element, so the whole file has to fit in the plan
+            if (this.editor.isReadOnly()) {
+                this.editor.notifyReadOnly();
+                return null;
+            }
+            if (!this.editor.checkElementLimit(cues.length, 'import_subtitles')) return null;
+
+            // One undo step for the whole file; resolves with null when nothing was added
+            const added = this.editor.executeCommand(new BatchCommand('import_subtitles', cues.map(cue =>
+                new AddClipCommand('subtitles', {
+                    name: 'Caption',
+                    start: cue.start,
+                    out: cue.end - cue.start,
+                    properties: { text: cue.text }
+                })
+            )));
+            if (!added) return null;
+
+            analytics.track('Subtitles Imported', {
+                user_id: window.app?.currentUser?.email,
+                project_id: this.editor.currentProject?.id || null,
+                subtitle_format: format,
+                cue_count: cues.length,
+                subtitle_tracks: this.editor.getSubtitleTracks(),
+                subtitles_duration: cues[cues.length - 1].end,
+                file_size_bytes: file.size
+            });
+
+            return cues;
+        });
+    }
+
+    exportFile(format = 'srt') {
+        const cues = this.getCues();
+        if (cues.length === 0) {
+            window.app?.showNotification('Add captions before exporting subtitles', 'error');
+            return false;
+        }
+
+        const blob = new Blob([SubtitleFormat.format(cues, format)], { type: SubtitleFormat.MIME_TYPES[format] });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${(this.editor.currentProject?.name || 'subtitles').replace(/[\\/:*?"<>|]+/g, '_')}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        analytics.track('Subtitles Exported', {
+            user_id: window.app?.currentUser?.email,
+            project_id: this.editor.currentProject?.id || null,
+            subtitle_format: format,
+            cue_count: cues.length,
+            subtitle_tracks: this.editor.getSubtitleTracks(),
+            file_size_bytes: blob.size
+        });
+
+        return true;
+    }
+
+    renderPanel() {
+        const cues = this.getCues();
+
+        return `
+            <div class="media-tools">
+                <button class="tool-item" onclick="addSubtitleCue()">
+                    <i class="fas fa-plus"></i>
+                    Add Caption
+                </button>
+                <button class="tool-item" onclick="importSubtitles()">
+                    <i class="fas fa-file-import"></i>
+                    Import SRT / VTT
+                </button>
+                ${SubtitleFormat.FORMATS.map(format => `
+                    <button class="tool-item" onclick="exportSubtitles('${format}')" ${cues.length === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-file-export"></i>
+                        Export ${format.toUpperCase()}
+                    </button>
+                `).join('')}
+            </div>
+            <h4 class="media-bin-title">Captions (${cues.length})</h4>
+            <div class="subtitle-cues">
+                ${cues.length === 0 ? '<p class="media-bin-empty">Add a caption at the playhead or import a subtitle file</p>' : cues.map(cue => `
+                    <div class="subtitle-cue" data-clip-id="${Utils.escapeHtml(cue.id)}">
+                        <div class="subtitle-cue-timing">
+                            <button data-cue-action="seek" title="Jump to caption"><i class="fas fa-crosshairs"></i></button>
+                            <input type="number" min="0" step="0.1" value="${cue.start.toFixed(1)}" data-cue-field="start" title="Start (s)">
+                            <span>→</span>
+                            <input type="number" min="0" step="0.1" value="${cue.end.toFixed(1)}" data-cue-field="end" title="End (s)">
+                            <button data-cue-action="delete" title="Delete caption"><i class="fas fa-trash"></i></button>
+                        </div>
+                        <textarea rows="2" data-cue-field="text">${Utils.escapeHtml(cue.text)}</textarea>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+}
+
+// Global functions for HTML onclick handlers
+window.addSubtitleCue = function() {
+    if (window.videoEditor) {
+        window.videoEditor.subtitles.addCue();
+    }
+};
+
+window.importSubtitles = function() {
+    if (window.videoEditor) {
+        window.videoEditor.subtitles.openImportDialog();
+    }
+};
+
+window.exportSubtitles = function(format) {
+    if (window.videoEditor) {
+        window.videoEditor.subtitles.exportFile(format);
+    }
+};
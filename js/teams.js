@@ -0,0 +1,535 @@
+// Team Space workspaces: members with roles and shared project folders
+// Teams are stored in localStorage; a project is a team project while it sits in one of the team's folders
+
+class TeamStore {
+    constructor(prefix = 'team_') {
+        this.prefix = prefix;
+    }
+
+    key(teamId) {
+        return this.prefix + teamId;
+    }
+
+    generateId() {
+        return 'team_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    save(team) {
+        const now = new Date().toISOString();
+        const record = {
+            ...team,
+            id: team.id || this.generateId(),
+            created_at: team.created_at || now,
+            updated_at: now
+        };
+
+        localStorage.setItem(this.key(record.id), JSON.stringify(record));
+        return record;
+    }
+
+    load(teamId) {
+        const data = localStorage.getItem(this.key(teamId));
+        if (!data) return null;
+
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            console.error('Error loading team:', teamId, e);
+            return null;
+        }
+    }
+
+    list() {
+        const teams = [];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(this.prefix)) continue;
+
+            const team = this.load(key.slice(this.prefix.length));
+            if (team && team.id) {
+                teams.push(team);
+            }
+        }
+
+        return teams;
+    }
+
+    findForMember(email) {
+        return this.list().find(team => team.members.some(member => Utils.normalizeEmail(member.email) === email)) || null;
+    }
+
+    findForProject(projectId) {
+        return this.list().find(team => team.folders.some(folder => folder.project_ids.includes(projectId))) || null;
+    }
+}
+
+class TeamSpace {
+    constructor(store = new TeamStore()) {
+        this.store = store;
+
+        this.init();
+    }
+
+    // Owners are the only role that cannot be assigned from the member list
+    static get ROLES() {
+        return {
+            owner: { label: 'Owner', permissions: ['manage_team', 'manage_members', 'manage_folders', 'share_projects', 'save', 'export', 'view'] },
+            admin: { label: 'Admin', permissions: ['manage_members', 'manage_folders', 'share_projects', 'save', 'export', 'view'] },
+            editor: { label: 'Editor', permissions: ['share_projects', 'save', 'export', 'view'] },
+            viewer: { label: 'Viewer', permissions: ['view'] }
+        };
+    }
+
+    static get ASSIGNABLE_ROLES() { return ['admin', 'editor', 'viewer']; }
+
+    init() {
+        const modal = document.getElementById('team-space-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-team-action]');
+                if (button) {
+                    this.handleAction(button.dataset.teamAction, button.dataset);
+                }
+            });
+
+            modal.addEventListener('change', (e) => {
+                if (e.target.dataset.memberRole) {
+                    this.updateMemberRole(e.target.dataset.memberRole, e.target.value);
+                } else if (e.target.dataset.folderShare && e.target.value) {
+                    this.shareProject(e.target.value, e.target.dataset.folderShare);
+                }
+            });
+        }
+
+        // Returning members are associated with their workspace once Segment has identified them
+        analytics.ready(() => this.syncWorkspace());
+    }
+
+    getAccountId() {
+        return Utils.normalizeEmail(window.app?.currentUser?.email);
+    }
+
+    getTeam() {
+        const accountId = this.getAccountId();
+        return accountId ? this.store.findForMember(accountId) : null;
+    }
+
+    getMember(team, email = this.getAccountId()) {
+        return team?.members.find(member => Utils.normalizeEmail(member.email) === Utils.normalizeEmail(email)) || null;
+    }
+
+    getRole(team = this.getTeam()) {
+        return this.getMember(team)?.role || null;
+    }
+
+    can(permission, team = this.getTeam()) {
+        const role = this.getRole(team);
+        return !!role && TeamSpace.ROLES[role].permissions.includes(permission);
+    }
+
+    // Personal projects are unrestricted; team projects follow the member's role in the owning team
+    // and projects shared by invite follow the collaborator's role
+    canAccessProject(project, permission) {
+        if (!project) return true;
+
+        const team = this.store.findForProject(project.id);
+        if (team) return this.can(permission, team);
+
+        const collaborator = (project.collaborators || []).find(c => Utils.normalizeEmail(c.email) === this.getAccountId());
+        return !collaborator || TeamSpace.ROLES[collaborator.role].permissions.includes(permission);
+    }
+
+    isSharedProject(project) {
+        return !!project && (!!this.store.findForProject(project.id) || (project.collaborators || []).length > 0);
+    }
+
+    // Like canAccessProject(), but tells the user and records the blocked attempt
+    requireProjectPermission(project, permission) {
+        if (this.canAccessProject(project, permission)) return true;
+
+        const team = this.store.findForProject(project.id);
+        const collaborator = (project.collaborators || []).find(c => Utils.normalizeEmail(c.email) === this.getAccountId());
+        analytics.track('Team Permission Denied', {
+            user_id: this.getAccountId(),
+            team_id: team?.id || null,
+            project_id: project.id,
+            permission: permission,
+            member_role: team ? this.getRole(team) : collaborator?.role || null
+        });
+
+        window.app?.showNotification(`You have view-only access to ${team ? `"${team.name}" projects` : 'this project'}. Ask for editor access to ${permission} it.`, 'error');
+        return false;
+    }
+
+    syncWorkspace(team = this.getTeam()) {
+        if (team && window.veedAnalytics) {
+            window.veedAnalytics.groupWorkspace(team, this.getSharedProjectIds(team).length);
+        }
+    }
+
+    getSharedProjectIds(team) {
+        return team.folders.reduce((ids, folder) => ids.concat(folder.project_ids), []);
+    }
+
+    getMemberCount() {
+        return this.getTeam()?.members.length || 1;
+    }
+
+    // Access checks for the business plan happen in accessTeamSpace() before this is reached
+    open() {
+        const team = this.getTeam();
+        this.render();
+        window.app?.showModal('team-space-modal');
+
+        if (team) {
+            this.syncWorkspace(team);
+        }
+
+        analytics.track('Team Space Opened', {
+            user_id: this.getAccountId(),
+            team_id: team?.id || null,
+            member_role: this.getRole(team),
+            team_size: team?.members.length || 0,
+            shared_projects: team ? this.getSharedProjectIds(team).length : 0
+        });
+    }
+
+    createTeam(name) {
+        const accountId = this.getAccountId();
+        if (!accountId || this.getTeam()) return null;
+
+        const now = new Date().toISOString();
+        const team = this.store.save({
+            name: name.trim() || `${window.app.currentUser.company || window.app.currentUser.name}'s Team`,
+            owner_id: accountId,
+            plan: window.app?.currentPlan,
+            members: [{ email: accountId, name: window.app.currentUser.name, role: 'owner', added_at: now }],
+            folders: [{ id: this.generateFolderId(), name: 'Shared Projects', project_ids: [], created_at: now }]
+        });
+
+        this.syncWorkspace(team);
+        this.render();
+
+        analytics.track('Team Created', {
+            user_id: accountId,
+            team_id: team.id,
+            team_name: team.name,
+            user_plan: window.app?.currentPlan
+        });
+
+        return team;
+    }
+
+    // Members join by accepting an invitation, which then calls attachMember()
+    inviteMember(email, role) {
+        const team = this.getTeam();
+        if (!team || !this.can('manage_members', team) || !window.inviteManager) return null;
+
+        if (this.getMember(team, email)) {
+            window.app?.showNotification(`${email.trim()} is already on this team`, 'error');
+            return null;
+        }
+
+        return window.inviteManager.create({
+            email: email,
+            role: TeamSpace.ASSIGNABLE_ROLES.includes(role) ? role : 'editor',
+            team_id: team.id,
+            context: 'team_space'
+        });
+    }
+
+    attachMember(teamId, member) {
+        const team = this.store.load(teamId);
+        if (!team) return null;
+        if (this.getMember(team, member.email)) return team;
+
+        const saved = this.saveTeam({
+            ...team,
+            members: team.members.concat({ ...member, role: TeamSpace.ASSIGNABLE_ROLES.includes(member.role) ? member.role : 'viewer', added_at: new Date().toISOString() })
+        });
+
+        analytics.track('Team Member Added', {
+            user_id: member.email,
+            team_id: saved.id,
+            member_role: member.role,
+            added_by: member.added_by,
+            added_via: 'invite',
+            team_size: saved.members.length
+        });
+
+        return saved;
+    }
+
+    updateMemberRole(email, role) {
+        const team = this.getTeam();
+        const member = this.getMember(team, email);
+        if (!member || member.role === role || !this.canManageMember(team, member) || !TeamSpace.ASSIGNABLE_ROLES.includes(role)) {
+            this.render();
+            return null;
+        }
+
+        const saved = this.saveTeam({ ...team, members: team.members.map(m => m.email === email ? { ...m, role: role } : m) });
+
+        analytics.track('Team Member Role Changed', {
+            user_id: this.getAccountId(),
+            team_id: saved.id,
+            previous_role: member.role,
+            new_role: role,
+            team_size: saved.members.length
+        });
+
+        return saved;
+    }
+
+    removeMember(email) {
+        const team = this.getTeam();
+        const member = this.getMember(team, email);
+        if (!member || !this.canManageMember(team, member)) return null;
+        if (!confirm(`Remove ${email} from ${team.name}?`)) return null;
+
+        const saved = this.saveTeam({ ...team, members: team.members.filter(m => m.email !== email) });
+
+        analytics.track('Team Member Removed', {
+            user_id: this.getAccountId(),
+            team_id: saved.id,
+            member_role: member.role,
+            team_size: saved.members.length
+        });
+
+        return saved;
+    }
+
+    // Nobody can change the owner, and members cannot change their own role
+    canManageMember(team, member) {
+        return this.can('manage_members', team) && member.role !== 'owner' && Utils.normalizeEmail(member.email) !== this.getAccountId();
+    }
+
+    // Shared folders
+    generateFolderId() {
+        return 'folder_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    createFolder(name) {
+        const team = this.getTeam();
+        if (!team || !this.can('manage_folders', team) || !name.trim()) return null;
+
+        const folder = { id: this.generateFolderId(), name: name.trim(), project_ids: [], created_at: new Date().toISOString() };
+        const saved = this.saveTeam({ ...team, folders: team.folders.concat(folder) });
+
+        analytics.track('Team Folder Created', {
+            user_id: this.getAccountId(),
+            team_id: saved.id,
+            folder_id: folder.id,
+            total_folders: saved.folders.length
+        });
+
+        return folder;
+    }
+
+    removeFolder(folderId) {
+        const team = this.getTeam();
+        const folder = team?.folders.find(f => f.id === folderId);
+        if (!folder || !this.can('manage_folders', team)) return null;
+        if (!confirm(`Delete the "${folder.name}" folder? Its projects become personal projects again.`)) return null;
+
+        return this.saveTeam({ ...team, folders: team.folders.filter(f => f.id !== folderId) });
+    }
+
+    // A project lives in at most one folder, so sharing it again moves it
+    shareProject(projectId, folderId) {
+        const team = this.getTeam();
+        const project = window.projectService.load(projectId);
+        if (!team || !project || !this.can('share_projects', team)) return null;
+
+        const saved = this.saveTeam({
+            ...team,
+            folders: team.folders.map(folder => ({
+                ...folder,
+                project_ids: folder.id === folderId
+                    ? folder.project_ids.filter(id => id !== projectId).concat(projectId)
+                    : folder.project_ids.filter(id => id !== projectId)
+            }))
+        });
+
+        analytics.track('Project Shared With Team', {
+            user_id: this.getAccountId(),
+            team_id: saved.id,
+            project_id: projectId,
+            folder_id: folderId,
+            shared_projects: this.getSharedProjectIds(saved).length
+        });
+
+        return saved;
+    }
+
+    unshareProject(projectId) {
+        const team = this.getTeam();
+        if (!team || !this.can('manage_folders', team)) return null;
+
+        return this.saveTeam({
+            ...team,
+            folders: team.folders.map(folder => ({ ...folder, project_ids: folder.project_ids.filter(id => id !== projectId) }))
+        });
+    }
+
+    openProject(projectId) {
+        window.app.closeModal('team-space-modal');
+        window.app.openEditor(projectId);
+
+        analytics.track('Team Project Opened', {
+            user_id: this.getAccountId(),
+            team_id: this.getTeam()?.id || null,
+            project_id: projectId,
+            member_role: this.getRole()
+        });
+    }
+
+    saveTeam(team) {
+        const saved = this.store.save(team);
+        this.syncWorkspace(saved);
+        this.render();
+        return saved;
+    }
+
+    handleAction(action, data) {
+        const input = (id) => document.getElementById(id);
+        const actions = {
+            create_team: () => this.createTeam(input('team-name-input').value),
+            invite_member: () => this.inviteMember(input('team-member-email').value, input('team-member-role').value),
+            remove_member: () => this.removeMember(data.email),
+            create_folder: () => this.createFolder(input('team-folder-name').value),
+            remove_folder: () => this.removeFolder(data.folderId),
+            open_project: () => this.openProject(data.projectId),
+            unshare_project: () => this.unshareProject(data.projectId)
+        };
+
+        actions[action]?.();
+    }
+
+    // Rendering
+    render() {
+        const container = document.getElementById('team-space-content');
+        if (!container) return;
+
+        const team = this.getTeam();
+        container.innerHTML = team ? this.renderTeam(team) : `
+            <p class="library-empty">Create a team to share project folders and manage who can edit, export or only view them.</p>
+            <div class="team-form">
+                <input type="text" id="team-name-input" placeholder="Team name">
+                <button class="btn-primary" data-team-action="create_team">Create Team</button>
+            </div>
+        `;
+    }
+
+    renderTeam(team) {
+        const role = this.getRole(team);
+        const sharedIds = this.getSharedProjectIds(team);
+        const personalProjects = window.projectService.list()
+            .filter(project => window.projectService.isOwner(project) && !sharedIds.includes(project.id));
+
+        return `
+            <div class="team-space-header">
+                <h3>${Utils.escapeHtml(team.name)}</h3>
+                <span class="team-role-badge">${TeamSpace.ROLES[role].label}</span>
+            </div>
+            <div class="team-stats">
+                <div class="stat-card"><h4>Members</h4><span class="stat-number">${team.members.length}</span></div>
+                <div class="stat-card"><h4>Folders</h4><span class="stat-number">${team.folders.length}</span></div>
+                <div class="stat-card"><h4>Shared Projects</h4><span class="stat-number">${sharedIds.length}</span></div>
+            </div>
+
+            <h4 class="media-bin-title">Members</h4>
+            <div class="team-members">
+                ${team.members.map(member => this.renderMember(team, member)).join('')}
+            </div>
+            ${this.can('manage_members', team) ? `
+                <div class="team-form">
+                    <input type="email" id="team-member-email" placeholder="colleague@company.com">
+                    <select id="team-member-role">
+                        ${TeamSpace.ASSIGNABLE_ROLES.map(r => `<option value="${r}" ${r === 'editor' ? 'selected' : ''}>${TeamSpace.ROLES[r].label}</option>`).join('')}
+                    </select>
+                    <button class="btn-primary" data-team-action="invite_member">Invite</button>
+                </div>
+                ${this.renderInvites(team)}
+            ` : ''}
+
+            <h4 class="media-bin-title">Shared Folders</h4>
+            ${team.folders.map(folder => this.renderFolder(team, folder, personalProjects)).join('')}
+            ${this.can('manage_folders', team) ? `
+                <div class="team-form">
+                    <input type="text" id="team-folder-name" placeholder="Folder name">
+                    <button class="btn-secondary" data-team-action="create_folder">New Folder</button>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    // Accepted invites already show up as members
+    renderInvites(team) {
+        if (!window.inviteManager) return '';
+
+        const invites = window.inviteManager.list({ teamId: team.id }).filter(invite => invite.status !== 'accepted');
+        return invites.length === 0 ? '' : `
+            <h4 class="media-bin-title">Invitations</h4>
+            <div class="invite-list">${window.inviteManager.renderList(invites)}</div>
+        `;
+    }
+
+    renderMember(team, member) {
+        const initials = (member.name || member.email).split(/[\s._-]+/).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+        const manageable = this.canManageMember(team, member);
+
+        return `
+            <div class="team-member">
+                <div class="activity-avatar">${Utils.escapeHtml(initials)}</div>
+                <div class="team-member-info">
+                    <span class="activity-user">${Utils.escapeHtml(member.name || member.email)}${Utils.normalizeEmail(member.email) === this.getAccountId() ? ' (you)' : ''}</span>
+                    <span class="library-item-meta">${Utils.escapeHtml(member.email)}</span>
+                </div>
+                ${manageable ? `
+                    <select data-member-role="${Utils.escapeHtml(member.email)}">
+                        ${TeamSpace.ASSIGNABLE_ROLES.map(r => `<option value="${r}" ${r === member.role ? 'selected' : ''}>${TeamSpace.ROLES[r].label}</option>`).join('')}
+                    </select>
+                    <button class="team-remove" data-team-action="remove_member" data-email="${Utils.escapeHtml(member.email)}" title="Remove"><i class="fas fa-times"></i></button>
+                ` : `<span class="team-role-badge">${TeamSpace.ROLES[member.role].label}</span>`}
+            </div>
+        `;
+    }
+
+    // Projects deleted from the library simply drop out of their folder
+    renderFolder(team, folder, personalProjects) {
+        const projects = folder.project_ids.map(id => window.projectService.load(id)).filter(Boolean);
+
+        return `
+            <div class="team-folder">
+                <div class="team-folder-header">
+                    <span><i class="fas fa-folder"></i> ${Utils.escapeHtml(folder.name)}</span>
+                    ${this.can('manage_folders', team) ? `<button class="team-remove" data-team-action="remove_folder" data-folder-id="${folder.id}" title="Delete folder"><i class="fas fa-trash"></i></button>` : ''}
+                </div>
+                ${projects.length === 0 ? '<p class="media-bin-empty">No projects in this folder yet</p>' : projects.map(project => `
+                    <div class="library-item">
+                        <div class="library-item-info" data-team-action="open_project" data-project-id="${project.id}">
+                            <h4>${Utils.escapeHtml(project.name || 'Untitled Project')}</h4>
+                        </div>
+                        <div class="library-item-actions">
+                            <button data-team-action="open_project" data-project-id="${project.id}" title="${this.can('save', team) ? 'Open' : 'View'}"><i class="fas fa-${this.can('save', team) ? 'folder-open' : 'eye'}"></i></button>
+                            ${this.can('manage_folders', team) ? `<button data-team-action="unshare_project" data-project-id="${project.id}" title="Remove from folder"><i class="fas fa-times"></i></button>` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+                ${this.can('share_projects', team) && personalProjects.length > 0 ? `
+                    <select data-folder-share="${folder.id}">
+                        <option value="">Add a project…</option>
+                        ${personalProjects.map(project => `<option value="${project.id}">${Utils.escapeHtml(project.name || 'Untitled Project')}</option>`).join('')}
+                    </select>
+                ` : ''}
+            </div>
+        `;
+    }
+}
+
+// Initialize Team Space when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.teamSpace = new TeamSpace();
+});
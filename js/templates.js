@@ -0,0 +1,344 @@
+// Video templates for new projects
+// Definitions are plain data objects; each slot becomes a placeholder clip tagged with properties.template_slot
+
+class TemplateEngine {
+    // Slot times are seconds from the start of the template; text slots take a TextTool preset plus style overrides
+    static get DEFINITIONS() {
+        return {
+            'instagram-story': {
+                name: 'Instagram Story',
+                aspect_ratio: '9:16',
+                duration: 15,
+                slots: [
+                    { id: 'background', type: 'media', label: 'Background video', start: 0, duration: 15 },
+                    { id: 'headline', type: 'text', label: 'Headline', start: 0.5, duration: 5, preset: 'heading', placeholder: 'Your story starts here', style: { y: 0.3, animation_in: 'pop' } },
+                    { id: 'call_to_action', type: 'text', label: 'Call to action', start: 10, duration: 5, preset: 'body', placeholder: 'Swipe up to learn more', style: { y: 0.8, background: '#6366f1', animation_in: 'slide_up' } }
+                ],
+                music: { label: 'Background music', volume: 0.6, fade_out: 2 }
+            },
+            'product-promo': {
+                name: 'Product Promotion',
+                aspect_ratio: '16:9',
+                duration: 30,
+                slots: [
+                    { id: 'hero_shot', type: 'media', label: 'Product hero shot', start: 0, duration: 10 },
+                    { id: 'product_name', type: 'text', label: 'Product name', start: 1, duration: 5, preset: 'heading', placeholder: 'Product Name', style: { animation_in: 'fade', animation_out: 'fade' } },
+                    { id: 'feature_shot', type: 'media', label: 'Feature close-up', start: 10, duration: 12 },
+                    { id: 'feature_caption', type: 'text', label: 'Key feature', start: 11, duration: 6, preset: 'lower_third', placeholder: 'What makes it special' },
+                    { id: 'closing_shot', type: 'media', label: 'Closing shot', start: 22, duration: 8 },
+                    { id: 'offer', type: 'text', label: 'Offer', start: 23, duration: 7, preset: 'heading', placeholder: 'Shop now', style: { animation_in: 'pop' } }
+                ],
+                music: { label: 'Background music', volume: 0.7, fade_in: 1, fade_out: 3 }
+            },
+            'company-intro': {
+                name: 'Company Introduction',
+                aspect_ratio: '16:9',
+                duration: 60,
+                slots: [
+                    { id: 'opening', type: 'media', label: 'Opening footage', start: 0, duration: 15 },
+                    { id: 'company_name', type: 'text', label: 'Company name', start: 1, duration: 6, preset: 'heading', placeholder: 'Company Name', style: { animation_in: 'fade' } },
+                    { id: 'team', type: 'media', label: 'Team footage', start: 15, duration: 20 },
+                    { id: 'speaker', type: 'text', label: 'Speaker name', start: 17, duration: 6, preset: 'lower_third', placeholder: 'Name Surname, CEO' },
+                    { id: 'product', type: 'media', label: 'Product footage', start: 35, duration: 25 },
+                    { id: 'mission', type: 'text', label: 'Mission statement', start: 37, duration: 8, preset: 'body', placeholder: 'Our mission in one sentence', style: { y: 0.75, background: '#000000' } },
+                    { id: 'website', type: 'text', label: 'Website', start: 52, duration: 8, preset: 'heading', placeholder: 'www.example.com', style: { animation_in: 'slide_up' } }
+                ],
+                music: { label: 'Background music', volume: 0.5, fade_in: 2, fade_out: 4 }
+            },
+            'tutorial': {
+                name: 'Tutorial',
+                aspect_ratio: '16:9',
+                duration: 45,
+                slots: [
+                    { id: 'title', type: 'text', label: 'Tutorial title', start: 0, duration: 5, preset: 'heading', placeholder: 'How to…', style: { animation_in: 'typewriter' } },
+                    { id: 'step_one', type: 'media', label: 'Step 1 recording', start: 5, duration: 20 },
+                    { id: 'step_one_caption', type: 'text', label: 'Step 1 caption', start: 5, duration: 5, preset: 'lower_third', placeholder: 'Step 1' },
+                    { id: 'step_two', type: 'media', label: 'Step 2 recording', start: 25, duration: 20 },
+                    { id: 'step_two_caption', type: 'text', label: 'Step 2 caption', start: 25, duration: 5, preset: 'lower_third', placeholder: 'Step 2' }
+                ],
+                music: null
+            },
+            'youtube-intro': {
+                name: 'YouTube Channel Intro',
+                aspect_ratio: '16:9',
+                duration: 10,
+                slots: [
+                    { id: 'background', type: 'media', label: 'Background footage', start: 0, duration: 10 },
+                    { id: 'channel_name', type: 'text', label: 'Channel name', start: 0.5, duration: 6, preset: 'heading', placeholder: 'Channel Name', style: { animation_in: 'pop', animation_out: 'fade' } },
+                    { id: 'tagline', type: 'text', label: 'Tagline', start: 6.5, duration: 3.5, preset: 'body', placeholder: 'New videos every week', style: { animation_in: 'fade' } }
+                ],
+                music: { label: 'Intro music', volume: 0.8, fade_out: 1 }
+            },
+            'event-promo': {
+                name: 'Event Promotion',
+                aspect_ratio: '1:1',
+                duration: 25,
+                slots: [
+                    { id: 'venue', type: 'media', label: 'Venue or highlights', start: 0, duration: 25 },
+                    { id: 'event_name', type: 'text', label: 'Event name', start: 0.5, duration: 8, preset: 'heading', placeholder: 'Event Name', style: { animation_in: 'slide_up' } },
+                    { id: 'date', type: 'text', label: 'Date and place', start: 9, duration: 8, preset: 'lower_third', placeholder: 'Date · City' },
+                    { id: 'tickets', type: 'text', label: 'Ticket link', start: 18, duration: 7, preset: 'body', placeholder: 'Get your tickets', style: { background: '#f97316', animation_in: 'pop' } }
+                ],
+                music: { label: 'Background music', volume: 0.7, fade_out: 3 }
+            }
+        };
+    }
+
+    static getDefinition(templateId) {
+        return TemplateEngine.DEFINITIONS[templateId] || null;
+    }
+
+    // Build the project data for a template; null for templates without a definition
+    static instantiate(templateId) {
+        const definition = TemplateEngine.getDefinition(templateId);
+        if (!definition) return null;
+
+        const timeline = new Timeline();
+        const slots = definition.music
+            ? definition.slots.concat({ id: 'music', type: 'music', start: 0, duration: definition.duration, ...definition.music })
+            : definition.slots;
+
+        // Tracks are created as slots are added, so media goes first to keep text layered above it
+        const layerOrder = ['media', 'text', 'music'];
+        slots.slice()
+            .sort((a, b) => layerOrder.indexOf(a.type) - layerOrder.indexOf(b.type))
+            .forEach(slot => TemplateEngine.addSlotClip(timeline, slot));
+
+        return {
+            name: `${definition.name} Project`,
+            template: templateId,
+            duration: timeline.getDuration(),
+            timeline: timeline.toJSON(),
+            settings: { aspect_ratio: definition.aspect_ratio }
+        };
+    }
+
+    static addSlotClip(timeline, slot) {
+        const templateSlot = { id: slot.id, type: slot.type, label: slot.label, placeholder: slot.placeholder || null };
+
+        if (slot.type === 'text') {
+            const { label, icon, ...preset } = TextTool.PRESETS[slot.preset] || TextTool.PRESETS.body;
+            return timeline.addClip('text', {
+                name: slot.placeholder,
+                start: slot.start,
+                out: slot.duration,
+                properties: { ...TextTool.STYLE_DEFAULTS, ...preset, ...(slot.style || {}), text: slot.placeholder, template_slot: templateSlot }
+            });
+        }
+
+        // Media and music slots are sourceless clips until an asset is chosen
+        return timeline.addClip(slot.type === 'music' ? 'audio' : 'video', {
+            name: slot.label,
+            start: slot.start,
+            out: slot.duration,
+            properties: slot.type === 'music'
+                ? { volume: slot.volume, fade_in: slot.fade_in || 0, fade_out: slot.fade_out || 0, background_music: true, template_slot: templateSlot }
+                : { template_slot: templateSlot }
+        });
+    }
+
+    static getSlots(timeline) {
+        return timeline.getClips()
+            .filter(clip => clip.properties.template_slot)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    static isSlotFilled(clip) {
+        const slot = clip.properties.template_slot;
+        return slot.type === 'text' ? clip.properties.text !== slot.placeholder : !!clip.source;
+    }
+
+    static getSlotStats(timeline) {
+        const slots = TemplateEngine.getSlots(timeline);
+        return {
+            total: slots.length,
+            filled: slots.filter(clip => TemplateEngine.isSlotFilled(clip)).length
+        };
+    }
+}
+
+class TemplateTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.projectId = null;
+        this.filledSlots = new Set();
+
+        this.init();
+    }
+
+    init() {
+        const toolContent = document.getElementById('tool-content');
+        if (!toolContent) return;
+
+        toolContent.addEventListener('change', (e) => {
+            const field = e.target.dataset.slotField;
+            const slot = e.target.closest('.template-slot');
+            if (!field || !slot) return;
+
+            if (field === 'text') {
+                this.fillText(slot.dataset.clipId, e.target.value);
+            } else if (e.target.value) {
+                this.fillMedia(slot.dataset.clipId, e.target.value, 'media_bin');
+            }
+        });
+
+        toolContent.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-slot-action]');
+            const slot = e.target.closest('.template-slot');
+            if (!button || !slot) return;
+
+            // The slot may have been deleted since the panel was drawn, e.g. by a collaborator
+            const clip = this.editor.timeline.getClip(slot.dataset.clipId);
+            if (!clip) {
+                this.editor.refreshToolPanel('template');
+                return;
+            }
+
+            if (button.dataset.slotAction === 'select') {
+                this.editor.seek(clip.start);
+                this.editor.selectClip(clip.id);
+            } else if (button.dataset.slotAction === 'upload') {
+                this.openUploadDialog(clip.id);
+            }
+        });
+    }
+
+    getTemplateId() {
+        return this.editor.currentProject?.template || null;
+    }
+
+    // Slot Filling
+    fillText(clipId, value) {
+        if (!value.trim()) {
+            this.editor.refreshToolPanel('template');
+            return null;
+        }
+
+        return this.editor.executeCommand(new UpdateClipCommand(clipId, {
+            name: value.trim().split('\n')[0].slice(0, 40),
+            properties: { text: value }
+        }));
+    }
+
+    // Swap the placeholder for an asset, keeping the slot's timing unless the asset is shorter
+    fillMedia(clipId, assetId, method) {
+        const clip = this.editor.timeline.getClip(clipId);
+        const asset = this.editor.mediaBin.getAsset(assetId);
+        if (!clip || !asset) return null;
+
+        const properties = asset.type === 'audio'
+            ? { channels: asset.channels, sample_rate: asset.sample_rate }
+            : { width: asset.width, height: asset.height, frame_rate: asset.frame_rate, has_audio: asset.has_audio };
+
+        this.fillMethod = method;
+        const updated = this.editor.executeCommand(new UpdateClipCommand(clipId, {
+            name: asset.name,
+            source: asset.id,
+            in: 0,
+            out: Math.min(asset.duration, this.editor.timeline.getClipDuration(clip)),
+            properties: properties
+        }));
+        this.fillMethod = null;
+
+        return updated;
+    }
+
+    openUploadDialog(clipId) {
+        const clip = this.editor.timeline.getClip(clipId);
+        if (!clip || !clip.properties.template_slot) return;
+
+        const isMusic = clip.properties.template_slot.type === 'music';
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = isMusic ? 'audio/*' : 'video/*';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const upload = isMusic ? this.editor.audioTool.importFile(file) : this.editor.importMedia(file);
+            upload
+                .then(asset => {
+                    if (asset) {
+                        this.fillMedia(clipId, asset.id, 'upload');
+                    }
+                })
+                .catch(error => {
+                    window.app?.showNotification(error.message, 'error');
+                });
+        };
+        input.click();
+    }
+
+    // Called on every timeline change; tracks slots that became filled, however they were edited
+    checkSlots() {
+        const projectId = this.editor.currentProject?.id || null;
+        const slots = TemplateEngine.getSlots(this.editor.timeline);
+        const filled = slots.filter(clip => TemplateEngine.isSlotFilled(clip));
+
+        // Opening a project establishes its starting point without tracking anything
+        if (projectId && projectId === this.projectId) {
+            filled.filter(clip => !this.filledSlots.has(clip.id)).forEach(clip => {
+                analytics.track('Template Slot Filled', {
+                    user_id: window.app?.currentUser?.email,
+                    project_id: projectId,
+                    template_id: this.getTemplateId(),
+                    slot_id: clip.properties.template_slot.id,
+                    slot_type: clip.properties.template_slot.type,
+                    fill_method: clip.properties.template_slot.type === 'text' ? 'text' : (this.fillMethod || 'timeline'),
+                    slots_filled: filled.length,
+                    slots_total: slots.length
+                });
+            });
+        }
+
+        this.projectId = projectId;
+        this.filledSlots = new Set(filled.map(clip => clip.id));
+    }
+
+    renderPanel() {
+        const slots = TemplateEngine.getSlots(this.editor.timeline);
+        if (slots.length === 0) {
+            return '<p class="media-bin-empty">Start a project from a template to get placeholder slots to fill in</p>';
+        }
+
+        const definition = TemplateEngine.getDefinition(this.getTemplateId());
+        const stats = TemplateEngine.getSlotStats(this.editor.timeline);
+
+        return `
+            <h4 class="media-bin-title">${definition ? Utils.escapeHtml(definition.name) : 'Template'} · ${stats.filled}/${stats.total} filled</h4>
+            <div class="template-slots">
+                ${slots.map(clip => this.renderSlot(clip)).join('')}
+            </div>
+        `;
+    }
+
+    renderSlot(clip) {
+        const slot = clip.properties.template_slot;
+        const filled = TemplateEngine.isSlotFilled(clip);
+        const assets = this.editor.mediaBin.getAssets(slot.type === 'music' ? 'audio' : 'video');
+
+        const input = slot.type === 'text'
+            ? `<textarea rows="2" placeholder="${Utils.escapeHtml(slot.placeholder)}" data-slot-field="text">${filled ? Utils.escapeHtml(clip.properties.text) : ''}</textarea>`
+            : `
+                <div class="template-slot-media">
+                    <select data-slot-field="source">
+                        <option value="">${assets.length === 0 ? 'Media bin is empty' : `Choose ${slot.type === 'music' ? 'audio' : 'a video'}…`}</option>
+                        ${assets.map(asset => `<option value="${asset.id}" ${asset.id === clip.source ? 'selected' : ''}>${Utils.escapeHtml(asset.name)}</option>`).join('')}
+                    </select>
+                    <button data-slot-action="upload" title="Upload"><i class="fas fa-upload"></i></button>
+                </div>
+            `;
+
+        return `
+            <div class="template-slot${filled ? ' filled' : ''}" data-clip-id="${Utils.escapeHtml(clip.id)}">
+                <div class="template-slot-header">
+                    <button data-slot-action="select" title="Jump to slot"><i class="fas fa-crosshairs"></i></button>
+                    <span>${Utils.escapeHtml(slot.label)}</span>
+                    <i class="fas ${filled ? 'fa-check-circle' : 'fa-circle'}" title="${filled ? 'Filled' : 'Placeholder'}"></i>
+                </div>
+                ${input}
+            </div>
+        `;
+    }
+}
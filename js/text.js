@@ -0,0 +1,395 @@
+// Text overlay tool for the video editor
+// Styles live in clip.properties; position is an anchor in 0-1 frame coordinates, optionally keyframed over time
+
+class TextTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.drag = null;
+
+        this.init();
+    }
+
+    static get STYLE_DEFAULTS() {
+        return {
+            text: 'Your text here',
+            font: 'Inter',
+            size: 64,            // Pixels at 1080p; scaled to the output frame's shorter side
+            color: '#ffffff',
+            background: '',      // Empty for no box behind the text
+            align: 'center',
+            bold: true,
+            x: 0.5,
+            y: 0.5,
+            keyframes: [],       // [{ time, x, y }] with time relative to the clip start
+            animation_in: 'none',
+            animation_out: 'none'
+        };
+    }
+
+    static get PRESETS() {
+        return {
+            heading: { label: 'Heading', icon: 'fa-heading', text: 'Heading', size: 112 },
+            body: { label: 'Body Text', icon: 'fa-paragraph', text: 'Your text here', size: 56, bold: false },
+            lower_third: { label: 'Lower Third', icon: 'fa-id-card', text: 'Name Surname', size: 48, align: 'left', x: 0.06, y: 0.84, background: '#6366f1' }
+        };
+    }
+
+    static get FONTS() { return ['Inter', 'Georgia', 'Courier New', 'Impact', 'Trebuchet MS']; }
+
+    // Built-in fonts plus any the user has added from the asset library
+    static getFonts() {
+        const libraryFonts = window.assetLibrary ? window.assetLibrary.getFontFamilies() : [];
+        return [...new Set([...TextTool.FONTS, ...libraryFonts])];
+    }
+    static get ALIGNMENTS() { return ['left', 'center', 'right']; }
+    static get ANIMATIONS() { return ['none', 'fade', 'slide_up', 'pop', 'typewriter']; }
+
+    // Seconds an entry or exit animation takes
+    static get ANIMATION_DURATION() { return 0.5; }
+
+    static getStyle(clip) {
+        return { ...TextTool.STYLE_DEFAULTS, ...clip.properties };
+    }
+
+    // Style properties attached to "Timeline Element Added" and style change events
+    static getStyleProperties(clip) {
+        const style = TextTool.getStyle(clip);
+        return {
+            text_font: style.font,
+            text_size: style.size,
+            text_color: style.color,
+            text_background: style.background || null,
+            text_align: style.align,
+            text_bold: style.bold,
+            text_animation_in: style.animation_in,
+            text_animation_out: style.animation_out,
+            text_keyframes: style.keyframes.length,
+            text_length: style.text.length
+        };
+    }
+
+    // Anchor position at a clip-local time, linearly interpolated between keyframes
+    static getPosition(style, localTime) {
+        const keyframes = (style.keyframes || []).slice().sort((a, b) => a.time - b.time);
+        if (keyframes.length === 0) return { x: style.x, y: style.y };
+        if (localTime <= keyframes[0].time) return { x: keyframes[0].x, y: keyframes[0].y };
+
+        const last = keyframes[keyframes.length - 1];
+        if (localTime >= last.time) return { x: last.x, y: last.y };
+
+        const nextIndex = keyframes.findIndex(k => k.time > localTime);
+        const from = keyframes[nextIndex - 1];
+        const to = keyframes[nextIndex];
+        const t = (localTime - from.time) / (to.time - from.time);
+        return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    }
+
+    // Add or replace the keyframe at a clip-local time
+    static setKeyframe(keyframes, time, x, y) {
+        return (keyframes || [])
+            .filter(k => Math.abs(k.time - time) > 0.05)
+            .concat({ time: time, x: x, y: y })
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // Animation state from whichever of the entry or exit animation is running
+    static getAnimationState(style, localTime, duration) {
+        const state = { alpha: 1, offsetY: 0, scale: 1, visible: 1 };
+        const inProgress = Math.min(1, localTime / TextTool.ANIMATION_DURATION);
+        const outProgress = Math.min(1, (duration - localTime) / TextTool.ANIMATION_DURATION);
+
+        const animation = inProgress < 1 ? style.animation_in : (outProgress < 1 ? style.animation_out : 'none');
+        const progress = Math.max(0, inProgress < 1 ? inProgress : outProgress);
+        const eased = 1 - Math.pow(1 - progress, 3);
+
+        if (animation === 'fade') {
+            state.alpha = eased;
+        } else if (animation === 'slide_up') {
+            state.alpha = eased;
+            state.offsetY = (1 - eased) * 0.06;
+        } else if (animation === 'pop') {
+            state.alpha = eased;
+            state.scale = 0.6 + 0.4 * eased;
+        } else if (animation === 'typewriter') {
+            state.visible = progress;
+        }
+        return state;
+    }
+
+    // Measure the text box for a style at an anchor position, in frame pixels
+    static layout(context, style, position, frame) {
+        const fontSize = Math.round(style.size * Math.min(frame.width, frame.height) / 1080);
+        const lineHeight = Math.round(fontSize * 1.25);
+        const padding = style.background ? Math.round(fontSize * 0.3) : 0;
+        const lines = style.text.split('\n');
+
+        context.font = `${style.bold ? 700 : 400} ${fontSize}px "${style.font}", sans-serif`;
+        const textWidth = Math.max(...lines.map(line => context.measureText(line).width));
+
+        const width = textWidth + padding * 2;
+        const height = lines.length * lineHeight + padding * 2;
+        const anchorX = position.x * frame.width;
+        const x = style.align === 'left' ? anchorX : (style.align === 'right' ? anchorX - width : anchorX - width / 2);
+        const y = position.y * frame.height - height / 2;
+
+        return { lines, fontSize, lineHeight, padding, x, y, width, height };
+    }
+
+    // Compositor renderer for text clips
+    static draw(context, clip, localTime, frame) {
+        const style = TextTool.getStyle(clip);
+        const position = TextTool.getPosition(style, localTime);
+        const animation = TextTool.getAnimationState(style, localTime, clip.out - clip.in);
+        const box = TextTool.layout(context, style, position, frame);
+
+        context.globalAlpha = animation.alpha;
+        context.translate(box.x + box.width / 2, box.y + box.height / 2 - animation.offsetY * frame.height);
+        context.scale(animation.scale, animation.scale);
+        context.translate(-box.width / 2, -box.height / 2);
+
+        if (style.background) {
+            context.fillStyle = style.background;
+            context.fillRect(0, 0, box.width, box.height);
+        }
+
+        // Typewriter reveals characters across all lines in reading order
+        let remaining = Math.ceil(style.text.replace(/\n/g, '').length * animation.visible);
+        const textX = style.align === 'left' ? box.padding : (style.align === 'right' ? box.width - box.padding : box.width / 2);
+
+        context.fillStyle = style.color;
+        context.textAlign = style.align;
+        context.textBaseline = 'middle';
+        box.lines.forEach((line, index) => {
+            const visibleLine = line.slice(0, Math.max(0, remaining));
+            remaining -= line.length;
+            context.fillText(visibleLine, textX, box.padding + (index + 0.5) * box.lineHeight);
+        });
+    }
+
+    init() {
+        const toolContent = document.getElementById('tool-content');
+        if (toolContent) {
+            toolContent.addEventListener('change', (e) => {
+                const prop = e.target.dataset.textProp;
+                if (prop) {
+                    this.updateStyle(prop, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+                }
+            });
+        }
+
+        // Text is positioned by dragging it on the preview canvas
+        const canvas = this.editor.preview.canvas;
+        if (canvas) {
+            canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+            canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+            canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        }
+    }
+
+    getSelectedText() {
+        const clip = this.editor.getSelectedClip();
+        return clip && clip.type === 'text' ? clip : null;
+    }
+
+    addText(presetName = 'body') {
+        const { label, icon, ...preset } = TextTool.PRESETS[presetName] || TextTool.PRESETS.body;
+        const properties = { ...TextTool.STYLE_DEFAULTS, ...preset };
+
+        const clip = this.editor.trackElementAdd('text', {
+            name: properties.text,
+            properties: properties,
+            method: 'text_panel'
+        });
+
+        if (clip) {
+            this.editor.selectClip(clip.id);
+        }
+        return clip;
+    }
+
+    updateStyle(prop, value) {
+        const clip = this.getSelectedText();
+        if (!clip) return null;
+
+        const style = TextTool.getStyle(clip);
+        const changes = { properties: {} };
+
+        if (prop === 'text') {
+            if (!value.trim()) return null;
+            changes.name = value.trim().split('\n')[0].slice(0, 40);
+            changes.properties.text = value;
+        } else if (prop === 'size') {
+            changes.properties.size = Math.max(8, parseInt(value) || style.size);
+        } else if (prop === 'has_background') {
+            changes.properties.background = value ? '#000000' : '';
+        } else if (prop === 'animate_position') {
+            // Start keyframing from where the text currently sits; stopping keeps that position
+            const position = TextTool.getPosition(style, this.getLocalTime(clip));
+            changes.properties = value
+                ? { keyframes: [{ time: 0, x: position.x, y: position.y }] }
+                : { keyframes: [], x: position.x, y: position.y };
+        } else {
+            changes.properties[prop] = value;
+        }
+
+        const updated = this.editor.executeCommand(new UpdateClipCommand(clip.id, changes));
+        if (updated) {
+            this.editor.trackInteraction('text_style_change', {
+                property: prop,
+                ...TextTool.getStyleProperties(updated)
+            });
+        }
+        return updated;
+    }
+
+    getLocalTime(clip) {
+        const duration = this.editor.timeline.getClipDuration(clip);
+        return Math.max(0, Math.min(this.editor.currentTime - clip.start, duration));
+    }
+
+    // Canvas Dragging
+    toCanvasPoint(event) {
+        const canvas = this.editor.preview.canvas;
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) / rect.width * canvas.width,
+            y: (event.clientY - rect.top) / rect.height * canvas.height
+        };
+    }
+
+    // Topmost visible text clip under a canvas point
+    findTextAt(point) {
+        const canvas = this.editor.preview.canvas;
+        const context = this.editor.preview.context;
+        const clips = this.editor.timeline.getClipsAt(this.editor.currentTime).filter(c => c.type === 'text').reverse();
+
+        return clips.find(clip => {
+            const style = TextTool.getStyle(clip);
+            const box = TextTool.layout(context, style, TextTool.getPosition(style, this.getLocalTime(clip)), canvas);
+            return point.x >= box.x && point.x <= box.x + box.width && point.y >= box.y && point.y <= box.y + box.height;
+        }) || null;
+    }
+
+    onPointerDown(event) {
+        // Read-only viewers can't move text, and the canvas belongs to the comments tool while it pins a region
+        if (this.editor.isPlaying || this.editor.isReadOnly() || this.editor.comments.pinning) return;
+
+        const point = this.toCanvasPoint(event);
+        const clip = this.findTextAt(point);
+        if (!clip) return;
+
+        const canvas = this.editor.preview.canvas;
+        const style = TextTool.getStyle(clip);
+        const position = TextTool.getPosition(style, this.getLocalTime(clip));
+
+        this.editor.selectClip(clip.id);
+        this.drag = {
+            clipId: clip.id,
+            original: JSON.parse(JSON.stringify(clip.properties)),
+            offsetX: point.x - position.x * canvas.width,
+            offsetY: point.y - position.y * canvas.height,
+            moved: false
+        };
+
+        canvas.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    }
+
+    onPointerMove(event) {
+        const canvas = this.editor.preview.canvas;
+        const point = this.toCanvasPoint(event);
+
+        if (!this.drag) {
+            canvas.style.cursor = !this.editor.isReadOnly() && this.findTextAt(point) ? 'move' : '';
+            return;
+        }
+
+        const clip = this.editor.timeline.getClip(this.drag.clipId);
+        if (!clip) return;
+
+        const x = Math.max(0, Math.min(1, (point.x - this.drag.offsetX) / canvas.width));
+        const y = Math.max(0, Math.min(1, (point.y - this.drag.offsetY) / canvas.height));
+
+        // Preview the move directly; the undoable command is issued on release
+        if (TextTool.getStyle(clip).keyframes.length > 0) {
+            clip.properties.keyframes = TextTool.setKeyframe(clip.properties.keyframes, this.getLocalTime(clip), x, y);
+        } else {
+            clip.properties.x = x;
+            clip.properties.y = y;
+        }
+
+        this.drag.moved = true;
+        this.editor.preview.render(false);
+    }
+
+    onPointerUp(event) {
+        if (!this.drag) return;
+
+        const drag = this.drag;
+        this.drag = null;
+        this.editor.preview.canvas.releasePointerCapture(event.pointerId);
+
+        const clip = this.editor.timeline.getClip(drag.clipId);
+        if (!clip || !drag.moved) return;
+
+        const moved = { x: clip.properties.x, y: clip.properties.y, keyframes: clip.properties.keyframes };
+        clip.properties = drag.original;
+
+        const updated = this.editor.executeCommand(new UpdateClipCommand(clip.id, { properties: moved }));
+        if (updated) {
+            this.editor.trackInteraction('text_move', {
+                keyframed: TextTool.getStyle(updated).keyframes.length > 0,
+                keyframe_count: TextTool.getStyle(updated).keyframes.length
+            });
+        }
+    }
+
+    renderPanel() {
+        const clip = this.getSelectedText();
+
+        return `
+            <div class="media-tools">
+                ${Object.entries(TextTool.PRESETS).map(([name, preset]) => `
+                    <button class="tool-item" onclick="addTextPreset('${name}')">
+                        <i class="fas ${preset.icon}"></i>
+                        ${preset.label}
+                    </button>
+                `).join('')}
+            </div>
+            ${clip ? this.renderStyleEditor(clip) : '<p class="media-bin-empty">Select a text clip to style it, or drag text on the preview to move it</p>'}
+        `;
+    }
+
+    renderStyleEditor(clip) {
+        const style = TextTool.getStyle(clip);
+        const options = (values, selected, label = value => value) => values.map(value =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${label(value)}</option>`
+        ).join('');
+        const animationLabel = value => value.replace('_', ' ').replace(/^\w/, c => c.toUpperCase());
+
+        return `
+            <h4 class="media-bin-title">Text Style</h4>
+            <div class="clip-settings">
+                <textarea rows="2" data-text-prop="text">${Utils.escapeHtml(style.text)}</textarea>
+                <label>Font <select data-text-prop="font">${options(TextTool.getFonts(), style.font)}</select></label>
+                <label>Size <input type="number" min="8" max="400" value="${Utils.escapeHtml(style.size)}" data-text-prop="size"></label>
+                <label>Colour <input type="color" value="${Utils.escapeHtml(style.color)}" data-text-prop="color"></label>
+                <label><input type="checkbox" ${style.bold ? 'checked' : ''} data-text-prop="bold"> Bold</label>
+                <label><input type="checkbox" ${style.background ? 'checked' : ''} data-text-prop="has_background"> Background</label>
+                ${style.background ? `<label>Background colour <input type="color" value="${Utils.escapeHtml(style.background)}" data-text-prop="background"></label>` : ''}
+                <label>Align <select data-text-prop="align">${options(TextTool.ALIGNMENTS, style.align, animationLabel)}</select></label>
+                <label>Entry <select data-text-prop="animation_in">${options(TextTool.ANIMATIONS, style.animation_in, animationLabel)}</select></label>
+                <label>Exit <select data-text-prop="animation_out">${options(TextTool.ANIMATIONS, style.animation_out, animationLabel)}</select></label>
+                <label><input type="checkbox" ${style.keyframes.length > 0 ? 'checked' : ''} data-text-prop="animate_position"> Animate position</label>
+                ${style.keyframes.length > 0 ? `<p class="media-bin-empty">${style.keyframes.length} keyframe${style.keyframes.length === 1 ? '' : 's'} · move the playhead and drag the text to add more</p>` : ''}
+            </div>
+        `;
+    }
+}
+
+// Global function for HTML onclick handlers
+window.addTextPreset = function(presetName) {
+    if (window.videoEditor) {
+        window.videoEditor.textTool.addText(presetName);
+    }
+};
@@ -0,0 +1,301 @@
+// Multi-track timeline model for the video editor
+// Tracks hold clips with in/out points and start offsets; track order is layer order
+
+class Timeline {
+    constructor(data = null) {
+        this.tracks = [];
+
+        if (data) {
+            this.load(data);
+        }
+    }
+
+    // Element types from the tool panel mapped to the track they live on
+    static get TRACK_TYPES() {
+        return {
+            video: 'video',
+            media: 'video',
+            image: 'overlay',
+            text: 'text',
+            audio: 'audio',
+            effects: 'effect',
+            subtitles: 'subtitle'
+        };
+    }
+
+    // Default clip length in seconds when an element is added without a source duration
+    static get DEFAULT_DURATIONS() {
+        return {
+            video: 10,
+            overlay: 5,
+            text: 3,
+            audio: 10,
+            effect: 3,
+            subtitle: 3
+        };
+    }
+
+    generateId(prefix) {
+        return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    // Track Management
+    addTrack(type, name = null) {
+        const track = {
+            id: this.generateId('track'),
+            type: type,
+            name: name || `${type.charAt(0).toUpperCase() + type.slice(1)} ${this.getTracks(type).length + 1}`,
+            layer: this.tracks.length,
+            muted: false,
+            solo: false,
+            locked: false,
+            clips: []
+        };
+
+        this.tracks.push(track);
+        return track;
+    }
+
+    removeTrack(trackId) {
+        const index = this.tracks.findIndex(t => t.id === trackId);
+        if (index === -1) return null;
+
+        const [track] = this.tracks.splice(index, 1);
+        this.reindexLayers();
+        return track;
+    }
+
+    getTrack(trackId) {
+        return this.tracks.find(t => t.id === trackId) || null;
+    }
+
+    updateTrack(trackId, changes = {}) {
+        const track = this.getTrack(trackId);
+        if (!track) return null;
+
+        ['name', 'muted', 'solo', 'locked'].forEach(key => {
+            if (changes[key] !== undefined) {
+                track[key] = changes[key];
+            }
+        });
+        return track;
+    }
+
+    getTracks(type = null) {
+        return type ? this.tracks.filter(t => t.type === type) : this.tracks.slice();
+    }
+
+    // Tracks of a type that actually carry content
+    getActiveTracks(type = null) {
+        return this.getTracks(type).filter(t => t.clips.length > 0);
+    }
+
+    // A track is heard unless it is muted or another track is soloed
+    isTrackAudible(track) {
+        if (!track || track.muted) return false;
+        return track.solo || !this.tracks.some(t => t.solo);
+    }
+
+    moveTrack(trackId, newLayer) {
+        const index = this.tracks.findIndex(t => t.id === trackId);
+        if (index === -1) return false;
+
+        const [track] = this.tracks.splice(index, 1);
+        const target = Math.max(0, Math.min(newLayer, this.tracks.length));
+        this.tracks.splice(target, 0, track);
+        this.reindexLayers();
+        return true;
+    }
+
+    reindexLayers() {
+        this.tracks.forEach((track, index) => {
+            track.layer = index;
+        });
+    }
+
+    // Find a track of the given type with room at [start, start + duration), or create one
+    findAvailableTrack(type, start, duration) {
+        const track = this.getTracks(type).find(t =>
+            !t.locked && !t.clips.some(c => this.overlaps(c, start, start + duration))
+        );
+
+        return track || this.addTrack(type);
+    }
+
+    overlaps(clip, start, end) {
+        return clip.start < end && start < this.getClipEnd(clip);
+    }
+
+    // Clip Management
+    addClip(elementType, clipData = {}) {
+        const type = elementType.toLowerCase();
+        const trackType = Timeline.TRACK_TYPES[type] || 'overlay';
+        const inPoint = clipData.in || 0;
+        const outPoint = clipData.out !== undefined
+            ? clipData.out
+            : inPoint + (clipData.duration || Timeline.DEFAULT_DURATIONS[trackType]);
+        const start = Math.max(0, clipData.start || 0);
+
+        const track = clipData.trackId
+            ? this.getTrack(clipData.trackId)
+            : this.findAvailableTrack(trackType, start, outPoint - inPoint);
+
+        if (!track) return null;
+
+        const clip = {
+            id: clipData.id || this.generateId('clip'),
+            trackId: track.id,
+            type: type,
+            name: clipData.name || type,
+            source: clipData.source || null,
+            start: start,
+            in: inPoint,
+            out: outPoint,
+            properties: { ...(clipData.properties || {}) }
+        };
+
+        track.clips.push(clip);
+        this.sortClips(track);
+        return clip;
+    }
+
+    removeClip(clipId) {
+        for (const track of this.tracks) {
+            const index = track.clips.findIndex(c => c.id === clipId);
+            if (index !== -1) {
+                return track.clips.splice(index, 1)[0];
+            }
+        }
+        return null;
+    }
+
+    getClip(clipId) {
+        for (const track of this.tracks) {
+            const clip = track.clips.find(c => c.id === clipId);
+            if (clip) return clip;
+        }
+        return null;
+    }
+
+    getClips(type = null) {
+        const clips = this.tracks.reduce((all, track) => all.concat(track.clips), []);
+        return type ? clips.filter(c => c.type === type) : clips;
+    }
+
+    updateClip(clipId, changes = {}) {
+        const clip = this.getClip(clipId);
+        if (!clip) return null;
+
+        ['name', 'source', 'start', 'in', 'out'].forEach(key => {
+            if (changes[key] !== undefined) {
+                clip[key] = changes[key];
+            }
+        });
+
+        if (changes.properties) {
+            clip.properties = { ...clip.properties, ...changes.properties };
+        }
+
+        this.sortClips(this.getTrack(clip.trackId));
+        return clip;
+    }
+
+    moveClip(clipId, start, trackId = null) {
+        const clip = this.getClip(clipId);
+        if (!clip) return null;
+
+        clip.start = Math.max(0, start);
+
+        if (trackId && trackId !== clip.trackId) {
+            const from = this.getTrack(clip.trackId);
+            const to = this.getTrack(trackId);
+            if (!to) return null;
+
+            from.clips = from.clips.filter(c => c.id !== clipId);
+            clip.trackId = to.id;
+            to.clips.push(clip);
+        }
+
+        this.sortClips(this.getTrack(clip.trackId));
+        return clip;
+    }
+
+    sortClips(track) {
+        if (track) {
+            track.clips.sort((a, b) => a.start - b.start);
+        }
+    }
+
+    // Clips visible at a point in time, bottom layer first
+    getClipsAt(time) {
+        return this.tracks.reduce((visible, track) => {
+            track.clips.forEach(clip => {
+                if (clip.start <= time && time < this.getClipEnd(clip)) {
+                    visible.push(clip);
+                }
+            });
+            return visible;
+        }, []);
+    }
+
+    getClipDuration(clip) {
+        return Math.max(0, clip.out - clip.in);
+    }
+
+    getClipEnd(clip) {
+        return clip.start + this.getClipDuration(clip);
+    }
+
+    // Timeline Metrics
+    getDuration() {
+        return this.getClips().reduce((max, clip) => Math.max(max, this.getClipEnd(clip)), 0);
+    }
+
+    getClipCount(type = null) {
+        return this.getClips(type).length;
+    }
+
+    // 0-1 score from clip count, stacked layers and variety of element types
+    calculateComplexity() {
+        const clips = this.getClips();
+        if (clips.length === 0) return 0;
+
+        const activeTracks = this.getActiveTracks().length;
+        const elementTypes = new Set(clips.map(c => c.type)).size;
+        const overlapping = clips.filter(clip =>
+            clips.some(other => other.trackId !== clip.trackId &&
+                this.overlaps(other, clip.start, this.getClipEnd(clip)))
+        ).length;
+
+        const factors = {
+            clips: Math.min(clips.length / 20, 1) * 0.35,
+            tracks: Math.min(activeTracks / 6, 1) * 0.25,
+            types: Math.min(elementTypes / Object.keys(Timeline.DEFAULT_DURATIONS).length, 1) * 0.2,
+            layering: (overlapping / clips.length) * 0.2
+        };
+
+        return Math.round(Object.values(factors).reduce((a, b) => a + b, 0) * 100) / 100;
+    }
+
+    // Serialization
+    toJSON() {
+        return {
+            tracks: this.tracks.map(track => ({
+                ...track,
+                clips: track.clips.map(clip => ({ ...clip, properties: { ...clip.properties } }))
+            }))
+        };
+    }
+
+    load(data) {
+        this.tracks = (data.tracks || []).map(track => ({
+            ...track,
+            clips: (track.clips || []).map(clip => ({ ...clip, properties: { ...(clip.properties || {}) } }))
+        }));
+        this.reindexLayers();
+    }
+
+    clear() {
+        this.tracks = [];
+    }
+}
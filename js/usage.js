@@ -0,0 +1,201 @@
+// Usage metering for plan quotas: exports, export minutes, storage and timeline elements per day and per month
+// Counts are kept per account in localStorage and roll over at local midnight and on the first of each month
+
+class UsageMeter {
+    constructor(prefix = 'veed_usage_') {
+        this.prefix = prefix;
+        this.migrateLegacyCounters();
+    }
+
+    static get PERIODS() { return ['day', 'month']; }
+
+    // Counters add up what happened in a period; gauges keep the highest level seen in it
+    static get METRICS() {
+        return {
+            exports: 'counter',
+            export_minutes: 'counter',
+            storage_mb: 'gauge',
+            elements: 'gauge'
+        };
+    }
+
+    // Stores whose bytes count toward asset storage; each reports its own total and storage_mb observes the sum
+    static get STORAGE_SOURCES() { return ['asset_library', 'media_bin', 'brand_kits']; }
+
+    // Entitlement quotas measured by this meter
+    static get QUOTAS() {
+        return {
+            exports_per_day: { metric: 'exports', period: 'day', unit: 'exports', when: 'today' },
+            export_minutes_per_month: { metric: 'export_minutes', period: 'month', unit: 'video minutes', when: 'this month' }
+        };
+    }
+
+    getAccountId() {
+        return window.app?.currentUser?.email || 'anonymous';
+    }
+
+    key(accountId = this.getAccountId()) {
+        return this.prefix + accountId;
+    }
+
+    // Period keys use local time so a day resets at the user's midnight
+    static getPeriodKeys(date = new Date()) {
+        const pad = (value) => value.toString().padStart(2, '0');
+        const month = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+        return { day: `${month}-${pad(date.getDate())}`, month: month };
+    }
+
+    static emptyPeriod(key) {
+        const period = { key: key };
+        Object.keys(UsageMeter.METRICS).forEach(metric => {
+            period[metric] = 0;
+        });
+        return period;
+    }
+
+    // Before the meter, exports were counted in never-reset keys: 'daily_exports' and 'total_exports' by the editor,
+    // 'exports_today' by the home page's export path. The two paths counted different exports, so their totals add up
+    migrateLegacyCounters() {
+        const legacyKeys = ['daily_exports', 'total_exports', 'exports_today'];
+        if (legacyKeys.every(key => localStorage.getItem(key) === null)) return;
+
+        const total = parseInt(localStorage.getItem('total_exports') || '0') + parseInt(localStorage.getItem('exports_today') || '0');
+        const record = this.load();
+        record.totals.exports = Math.max(record.totals.exports, total);
+        this.save(record);
+
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+    }
+
+    // The account's usage record, with any period that has ended replaced by a fresh one
+    load() {
+        const keys = UsageMeter.getPeriodKeys();
+        let record;
+        try {
+            record = JSON.parse(localStorage.getItem(this.key()) || 'null');
+        } catch (e) {
+            record = null;
+        }
+
+        if (!record) {
+            record = { account_id: this.getAccountId(), periods: {}, totals: { exports: 0, export_minutes: 0 } };
+        }
+
+        const ended = UsageMeter.PERIODS.filter(period => record.periods[period]?.key !== keys[period]);
+        ended.forEach(period => {
+            if (record.periods[period]) {
+                this.trackReset(period, record.periods[period]);
+            }
+            record.periods[period] = UsageMeter.emptyPeriod(keys[period]);
+        });
+
+        return ended.length > 0 ? this.save(record) : record;
+    }
+
+    save(record) {
+        localStorage.setItem(this.key(), JSON.stringify(record));
+        return record;
+    }
+
+    trackReset(period, previous) {
+        analytics.track('Usage Period Reset', {
+            user_id: window.app?.currentUser?.email,
+            period: period,
+            previous_period: previous.key,
+            exports: previous.exports,
+            export_minutes: Math.round(previous.export_minutes * 100) / 100,
+            peak_storage_mb: Math.round(previous.storage_mb * 10) / 10,
+            peak_elements: previous.elements,
+            user_plan: window.app?.currentPlan
+        });
+    }
+
+    record(metric, amount = 1) {
+        if (UsageMeter.METRICS[metric] !== 'counter') return null;
+
+        const record = this.load();
+        UsageMeter.PERIODS.forEach(period => {
+            record.periods[period][metric] += amount;
+        });
+        record.totals[metric] += amount;
+        return this.save(record);
+    }
+
+    observe(metric, value) {
+        if (UsageMeter.METRICS[metric] !== 'gauge') return null;
+
+        const record = this.load();
+        const changed = UsageMeter.PERIODS.filter(period => value > record.periods[period][metric]);
+        if (changed.length === 0) return record;
+
+        changed.forEach(period => {
+            record.periods[period][metric] = value;
+        });
+        return this.save(record);
+    }
+
+    // Bytes a store (one of STORAGE_SOURCES) holds for the account
+    setStorage(source, bytes) {
+        const record = this.load();
+        record.storage = { ...(record.storage || {}), [source]: bytes };
+        this.save(record);
+        return this.observe('storage_mb', Math.round(this.getStorageBytes() / 1024 / 1024 * 10) / 10);
+    }
+
+    getStorageBytes(sources = UsageMeter.STORAGE_SOURCES) {
+        const storage = this.load().storage || {};
+        return sources.reduce((total, source) => total + (storage[source] || 0), 0);
+    }
+
+    get(metric, period = 'day') {
+        return this.load().periods[period]?.[metric] || 0;
+    }
+
+    getTotal(metric) {
+        return this.load().totals[metric] || 0;
+    }
+
+    // When a period's counts go back to zero
+    static getResetDate(period, date = new Date()) {
+        return period === 'day'
+            ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+            : new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    }
+
+    // Remaining quota for the UI, one entry per metered quota the plan limits
+    getSummary(user = window.app?.currentUser) {
+        return Object.entries(UsageMeter.QUOTAS)
+            .map(([quota, meta]) => {
+                const limit = Entitlements.limit(user, quota);
+                const used = this.get(meta.metric, meta.period);
+                return {
+                    quota: quota,
+                    metric: meta.metric,
+                    period: meta.period,
+                    unit: meta.unit,
+                    when: meta.when,
+                    used: used,
+                    limit: limit,
+                    remaining: Entitlements.remaining(user, quota, used),
+                    resets_at: UsageMeter.getResetDate(meta.period).toISOString()
+                };
+            })
+            .filter(entry => entry.limit !== Infinity);
+    }
+
+    formatAmount(entry, value) {
+        return entry.metric === 'export_minutes' ? Math.floor(value * 10) / 10 : value;
+    }
+
+    describe(entry) {
+        return `${this.formatAmount(entry, entry.remaining)} of ${entry.limit} ${entry.unit} left ${entry.when}`;
+    }
+}
+
+// Initialize usage meter when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.usageMeter = new UsageMeter();
+
+    // The nav was rendered before the meter existed
+    window.app?.updateUIBasedOnAuth();
+});
@@ -0,0 +1,26 @@
+// Shared helpers for modules that render untrusted text into markup or hand out link tokens
+
+class Utils {
+    // Safe in element content and in quoted attribute values
+    static escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Emails identify accounts, invitees and collaborators; compare them in one form whatever was typed at signup
+    static normalizeEmail(email) {
+        return email ? String(email).trim().toLowerCase() : null;
+    }
+
+    // Tokens end up in shareable links, so prefer the browser's CSPRNG when it exists
+    static generateToken() {
+        if (window.crypto?.getRandomValues) {
+            return Array.from(window.crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+        return Math.random().toString(36).substr(2) + Math.random().toString(36).substr(2);
+    }
+}
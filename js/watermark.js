@@ -0,0 +1,58 @@
+// VEED watermark burned into free-plan exports
+// Position, opacity and size are configurable; sizes are relative to the frame so every quality looks the same
+
+class Watermark {
+    constructor(options = {}) {
+        this.options = { ...Watermark.DEFAULTS, ...options };
+    }
+
+    static get DEFAULTS() {
+        return {
+            text: 'Made with VEED',
+            position: 'bottom-right',
+            opacity: 0.8,
+            size: 0.045,   // Text height as a fraction of the frame's shorter side
+            margin: 0.03   // Distance from the frame edge as a fraction of the frame's shorter side
+        };
+    }
+
+    static get POSITIONS() { return ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center']; }
+
+    // Exports carry the watermark unless the plan includes its removal
+    static isRequired(plan) {
+        return !Entitlements.can(plan, 'remove_watermark');
+    }
+
+    // Build the watermark for a plan, or null when its exports are clean
+    static forPlan(plan, options = {}) {
+        return Watermark.isRequired(plan) ? new Watermark(options) : null;
+    }
+
+    draw(context, frame) {
+        const { text, opacity, size, margin } = this.options;
+        const position = Watermark.POSITIONS.includes(this.options.position) ? this.options.position : Watermark.DEFAULTS.position;
+
+        const fontSize = Math.round(Math.min(frame.width, frame.height) * size);
+        const padding = Math.round(fontSize * 0.5);
+        const offset = Math.round(Math.min(frame.width, frame.height) * margin);
+
+        context.save();
+        context.globalAlpha = opacity;
+        context.font = `700 ${fontSize}px Inter, sans-serif`;
+        context.textBaseline = 'middle';
+
+        const width = context.measureText(text).width + padding * 2;
+        const height = fontSize + padding * 2;
+        const x = position === 'center' ? (frame.width - width) / 2
+            : position.endsWith('left') ? offset : frame.width - width - offset;
+        const y = position === 'center' ? (frame.height - height) / 2
+            : position.startsWith('top') ? offset : frame.height - height - offset;
+
+        context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        context.fillRect(x, y, width, height);
+        context.fillStyle = '#fff';
+        context.textAlign = 'left';
+        context.fillText(text, x + padding, y + height / 2);
+        context.restore();
+    }
+}
@@ -0,0 +1,226 @@
+// Dependency-free WebSocket relay for real-time collaborative editing
+// Run with `node server/collab-server.js [port]`; every message is forwarded to the other sockets in the same ?room=
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787');
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 5 * 1024 * 1024;
+const PING_INTERVAL_MS = 30000;
+
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+const rooms = new Map();
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the front of the buffer; returns the frames and whatever bytes are left over
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        const masked = (second & 0x80) !== 0;
+        let length = second & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length - cursor < 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length - cursor < 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+
+        if (length > MAX_MESSAGE_BYTES) {
+            throw new Error('Frame too large');
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - cursor < maskLength + length) break;
+
+        const mask = masked ? buffer.slice(cursor, cursor + 4) : null;
+        const payload = Buffer.from(buffer.slice(cursor + maskLength, cursor + maskLength + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload: payload });
+        offset = cursor + maskLength + length;
+    }
+
+    return { frames: frames, rest: buffer.slice(offset) };
+}
+
+class Client {
+    constructor(socket, room) {
+        this.socket = socket;
+        this.room = room;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        this.alive = true;
+        this.closed = false;
+
+        socket.on('data', (chunk) => this.onData(chunk));
+        socket.on('close', () => this.leave());
+        socket.on('error', () => this.leave());
+    }
+
+    onData(chunk) {
+        if (this.closed) return;
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let decoded;
+        try {
+            decoded = decodeFrames(this.buffer);
+        } catch (e) {
+            this.close(1009);
+            return;
+        }
+
+        this.buffer = decoded.rest;
+        decoded.frames.forEach(frame => {
+            if (!this.closed) this.onFrame(frame);
+        });
+    }
+
+    onFrame(frame) {
+        if (frame.opcode === OPCODES.close) {
+            this.close();
+        } else if (frame.opcode === OPCODES.ping) {
+            this.send(OPCODES.pong, frame.payload);
+        } else if (frame.opcode === OPCODES.pong) {
+            this.alive = true;
+        } else if (frame.opcode === OPCODES.text || frame.opcode === OPCODES.continuation) {
+            // The frame limit alone would let a client stream continuation frames forever
+            this.fragmentBytes += frame.payload.length;
+            if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+                this.close(1009);
+                return;
+            }
+
+            this.fragments.push(frame.payload);
+            if (frame.fin) {
+                const message = Buffer.concat(this.fragments);
+                this.fragments = [];
+                this.fragmentBytes = 0;
+                this.relay(message);
+            }
+        }
+    }
+
+    relay(message) {
+        const frame = encodeFrame(OPCODES.text, message);
+        (rooms.get(this.room) || new Set()).forEach(client => {
+            if (client !== this) {
+                client.socket.write(frame);
+            }
+        });
+    }
+
+    send(opcode, payload) {
+        if (!this.socket.destroyed) {
+            this.socket.write(encodeFrame(opcode, payload));
+        }
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        this.closed = true;
+        this.fragments = [];
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.send(OPCODES.close, payload);
+        this.socket.end();
+        this.leave();
+    }
+
+    leave() {
+        const clients = rooms.get(this.room);
+        if (!clients || !clients.delete(this)) return;
+
+        if (clients.size === 0) {
+            rooms.delete(this.room);
+        }
+        console.log(`[${this.room}] peer left (${clients.size} connected)`);
+    }
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('This server only accepts WebSocket connections for collaborative editing.\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    const room = new URL(req.url, 'http://localhost').searchParams.get('room');
+
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key || !room) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    const client = new Client(socket, room);
+    if (!rooms.has(room)) {
+        rooms.set(room, new Set());
+    }
+    rooms.get(room).add(client);
+    console.log(`[${room}] peer joined (${rooms.get(room).size} connected)`);
+});
+
+// Drop connections that stopped answering pings, e.g. a laptop that went to sleep
+const pingTimer = setInterval(() => {
+    rooms.forEach(clients => clients.forEach(client => {
+        if (!client.alive) {
+            client.socket.destroy();
+            client.leave();
+            return;
+        }
+        client.alive = false;
+        client.send(OPCODES.ping, Buffer.alloc(0));
+    }));
+}, PING_INTERVAL_MS);
+
+server.on('close', () => clearInterval(pingTimer));
+
+server.listen(PORT, () => {
+    console.log(`Collaboration relay listening on ws://localhost:${PORT}`);
+});